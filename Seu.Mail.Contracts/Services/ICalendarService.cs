@@ -104,8 +104,9 @@ public interface ICalendarService
     /// Gets pending reminders that should be triggered.
     /// </summary>
     /// <param name="accountId">The account ID.</param>
+    /// <param name="now">The local time to check against; defaults to <see cref="DateTime.Now"/>.</param>
     /// <returns>List of reminders to trigger.</returns>
-    Task<List<EventReminder>> GetPendingRemindersAsync(int accountId);
+    Task<List<EventReminder>> GetPendingRemindersAsync(int accountId, DateTime? now = null);
 
     /// <summary>
     /// Marks a reminder as triggered.
@@ -34,6 +34,14 @@ public interface IEmailService
     /// <returns>Email message or null if not found</returns>
     Task<EmailMessage?> GetEmailByIdAsync(int emailId, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Retrieves the conversation an email belongs to, oldest first
+    /// </summary>
+    /// <param name="emailId">ID of any email in the conversation</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Emails in the conversation with attachments, or an empty list if the email was not found</returns>
+    Task<List<EmailMessage>> GetThreadAsync(int emailId, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Deletes all emails for a given account.
     /// </summary>
@@ -193,6 +201,15 @@ public interface IEmailService
     /// <returns>True if successful</returns>
     Task<bool> MoveEmailAsync(int emailId, string targetFolder, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Copies an email, including its attachments, into a different folder
+    /// </summary>
+    /// <param name="emailId">Email ID</param>
+    /// <param name="targetFolder">Target folder name</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>True if successful or the copy already exists</returns>
+    Task<bool> CopyEmailAsync(int emailId, string targetFolder, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Archives an email
     /// </summary>
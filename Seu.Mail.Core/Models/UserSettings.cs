@@ -55,6 +55,89 @@ public class UserSettings
     /// </summary>
     public bool EnableKeyboardNavigation { get; set; } = true;
 
+    /// <summary>
+    /// Custom keyboard shortcut bindings as JSON, mapping shortcut IDs to key sequences (e.g., {"global.goInbox": "g i"}).
+    /// Shortcuts without an entry use their default keys.
+    /// </summary>
+    public string? KeyboardShortcuts { get; set; }
+
+    /// <summary>
+    /// Whether to show desktop notifications for calendar event reminders.
+    /// </summary>
+    public bool EnableReminderNotifications { get; set; } = true;
+
+    /// <summary>
+    /// Whether to show desktop notifications for newly arrived mail.
+    /// </summary>
+    public bool EnableNewMailNotifications { get; set; } = true;
+
+    /// <summary>
+    /// How many seconds a sent email is held back so the send can be undone
+    /// (between <see cref="MinUndoSendDelaySeconds"/> and <see cref="MaxUndoSendDelaySeconds"/>).
+    /// </summary>
+    public int UndoSendDelaySeconds { get; set; } = 10;
+
+    /// <summary>
+    /// The shortest allowed <see cref="UndoSendDelaySeconds"/>.
+    /// </summary>
+    public const int MinUndoSendDelaySeconds = 5;
+
+    /// <summary>
+    /// The longest allowed <see cref="UndoSendDelaySeconds"/>.
+    /// </summary>
+    public const int MaxUndoSendDelaySeconds = 30;
+
+    /// <summary>
+    /// Sizes of the email list in the split layouts as JSON, mapping layout modes to the list's share of the window
+    /// (e.g., {"SplitRight": 0.35}). Layouts without an entry use their default size.
+    /// </summary>
+    public string? SplitPaneRatios { get; set; }
+
+    /// <summary>
+    /// Width of the folder sidebar in pixels (between <see cref="MinSidebarWidth"/> and <see cref="MaxSidebarWidth"/>).
+    /// </summary>
+    public int SidebarWidth { get; set; } = DefaultSidebarWidth;
+
+    /// <summary>
+    /// The width the folder sidebar starts with.
+    /// </summary>
+    public const int DefaultSidebarWidth = 250;
+
+    /// <summary>
+    /// The narrowest allowed <see cref="SidebarWidth"/>.
+    /// </summary>
+    public const int MinSidebarWidth = 180;
+
+    /// <summary>
+    /// The widest allowed <see cref="SidebarWidth"/>.
+    /// </summary>
+    public const int MaxSidebarWidth = 480;
+
+    /// <summary>
+    /// Whether the folder sidebar is collapsed to icons only.
+    /// </summary>
+    public bool IsSidebarCollapsed { get; set; } = false;
+
+    /// <summary>
+    /// What swiping an email to the left does in the email list on touch screens.
+    /// </summary>
+    public EmailSwipeAction SwipeLeftAction { get; set; } = EmailSwipeAction.Archive;
+
+    /// <summary>
+    /// What swiping an email to the right does in the email list on touch screens.
+    /// </summary>
+    public EmailSwipeAction SwipeRightAction { get; set; } = EmailSwipeAction.ToggleRead;
+
+    /// <summary>
+    /// Locale dates and times are shown in, as a culture name (e.g., "en-GB"). Null uses the browser's locale.
+    /// </summary>
+    public string? Locale { get; set; }
+
+    /// <summary>
+    /// IANA time zone dates and times are shown in (e.g., "Europe/Lisbon"). Null uses the browser's time zone.
+    /// </summary>
+    public string? TimeZone { get; set; }
+
     /// <summary>
     /// Date and time when the settings were created.
     /// </summary>
@@ -106,4 +189,46 @@ public enum EmailLayoutMode
     /// Email view is split to the bottom of the list.
     /// </summary>
     SplitBottom = 3
+}
+
+/// <summary>
+/// Specifies what swiping an email in the list does. There is no snooze: emails have no snoozed state or time to
+/// come back, so there is nothing for a swipe to set.
+/// </summary>
+public enum EmailSwipeAction
+{
+    /// <summary>
+    /// Swiping in this direction does nothing.
+    /// </summary>
+    None = 0,
+
+    /// <summary>
+    /// Archive the email.
+    /// </summary>
+    Archive = 1,
+
+    /// <summary>
+    /// Delete the email.
+    /// </summary>
+    Delete = 2,
+
+    /// <summary>
+    /// Mark the email as read, or as unread if it is already read.
+    /// </summary>
+    ToggleRead = 3,
+
+    /// <summary>
+    /// Star the email, or remove its star.
+    /// </summary>
+    ToggleImportant = 4,
+
+    /// <summary>
+    /// Mark the email as spam.
+    /// </summary>
+    Spam = 5,
+
+    /// <summary>
+    /// Open the email's context menu at its "Move to" folder list.
+    /// </summary>
+    Move = 6
 }
\ No newline at end of file
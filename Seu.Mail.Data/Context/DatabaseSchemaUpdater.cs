@@ -0,0 +1,97 @@
+using System.Data;
+using System.Data.Common;
+using Microsoft.EntityFrameworkCore;
+
+namespace Seu.Mail.Data.Context;
+
+/// <summary>
+/// Adds columns introduced since a database was created. The app builds its database with <c>EnsureCreated</c>,
+/// which never changes an existing database, so each column added by a migration is also listed here and added to
+/// databases that don't have it yet.
+/// </summary>
+public static class DatabaseSchemaUpdater
+{
+    /// <summary>
+    /// Columns added after the first release, with the SQLite definition each migration gives them. Columns that
+    /// can't be null need a default for the rows already in the table.
+    /// </summary>
+    private static readonly AddedColumn[] AddedColumns =
+    [
+        // 20261019090000_AddKeyboardShortcuts
+        new("UserSettings", "KeyboardShortcuts", "TEXT NULL"),
+
+        // 20261019090100_AddNotificationSettings
+        new("UserSettings", "EnableReminderNotifications", "INTEGER NOT NULL DEFAULT 1"),
+        new("UserSettings", "EnableNewMailNotifications", "INTEGER NOT NULL DEFAULT 1"),
+
+        // 20261019090200_AddUndoSendDelay
+        new("UserSettings", "UndoSendDelaySeconds", "INTEGER NOT NULL DEFAULT 10"),
+
+        // 20261019090300_AddSplitPaneRatios
+        new("UserSettings", "SplitPaneRatios", "TEXT NULL"),
+
+        // 20261019090400_AddSidebarSettings
+        new("UserSettings", "SidebarWidth", "INTEGER NOT NULL DEFAULT 250"),
+        new("UserSettings", "IsSidebarCollapsed", "INTEGER NOT NULL DEFAULT 0"),
+
+        // 20261019090500_AddSwipeActions
+        new("UserSettings", "SwipeLeftAction", "INTEGER NOT NULL DEFAULT 1"),
+        new("UserSettings", "SwipeRightAction", "INTEGER NOT NULL DEFAULT 3"),
+
+        // 20261019090600_AddDateFormatSettings
+        new("UserSettings", "Locale", "TEXT NULL"),
+        new("UserSettings", "TimeZone", "TEXT NULL")
+    ];
+
+    /// <summary>
+    /// Adds any missing columns to the tables that exist. Does nothing for databases other than SQLite.
+    /// </summary>
+    /// <param name="context">The database context.</param>
+    public static void EnsureColumns(EmailDbContext context)
+    {
+        if (!context.Database.IsSqlite()) return;
+
+        var connection = context.Database.GetDbConnection();
+        var shouldClose = connection.State != ConnectionState.Open;
+        if (shouldClose) connection.Open();
+
+        try
+        {
+            foreach (var table in AddedColumns.GroupBy(c => c.Table))
+            {
+                var existing = GetColumnNames(connection, table.Key);
+
+                // A table that doesn't exist yet is created with every column by EnsureCreated.
+                if (existing.Count == 0) continue;
+
+                foreach (var column in table.Where(c => !existing.Contains(c.Name)))
+                {
+                    using var command = connection.CreateCommand();
+                    command.CommandText = $"ALTER TABLE \"{column.Table}\" ADD COLUMN \"{column.Name}\" {column.Definition}";
+                    command.ExecuteNonQuery();
+                }
+            }
+        }
+        finally
+        {
+            if (shouldClose) connection.Close();
+        }
+    }
+
+    private static HashSet<string> GetColumnNames(DbConnection connection, string table)
+    {
+        using var command = connection.CreateCommand();
+        command.CommandText = $"PRAGMA table_info(\"{table}\")";
+
+        var names = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        using var reader = command.ExecuteReader();
+        while (reader.Read())
+        {
+            names.Add(reader.GetString(reader.GetOrdinal("name")));
+        }
+
+        return names;
+    }
+
+    private sealed record AddedColumn(string Table, string Name, string Definition);
+}
@@ -257,6 +257,7 @@ public class EmailDbContext : DbContext
         {
             entity.HasKey(e => e.Id);
             entity.Property(e => e.DefaultSignature).HasMaxLength(2000);
+            entity.Property(e => e.KeyboardShortcuts).HasMaxLength(4000);
         });
     }
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace Seu.Mail.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddNotificationSettings : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<bool>(
+                name: "EnableReminderNotifications",
+                table: "UserSettings",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: true);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "EnableNewMailNotifications",
+                table: "UserSettings",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "EnableNewMailNotifications",
+                table: "UserSettings");
+
+            migrationBuilder.DropColumn(
+                name: "EnableReminderNotifications",
+                table: "UserSettings");
+        }
+    }
+}
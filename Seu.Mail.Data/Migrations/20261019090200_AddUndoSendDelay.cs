@@ -0,0 +1,29 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace Seu.Mail.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddUndoSendDelay : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "UndoSendDelaySeconds",
+                table: "UserSettings",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: 10);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "UndoSendDelaySeconds",
+                table: "UserSettings");
+        }
+    }
+}
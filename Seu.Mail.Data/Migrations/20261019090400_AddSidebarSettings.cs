@@ -0,0 +1,40 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace Seu.Mail.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddSidebarSettings : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "SidebarWidth",
+                table: "UserSettings",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: 250);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "IsSidebarCollapsed",
+                table: "UserSettings",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: false);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "IsSidebarCollapsed",
+                table: "UserSettings");
+
+            migrationBuilder.DropColumn(
+                name: "SidebarWidth",
+                table: "UserSettings");
+        }
+    }
+}
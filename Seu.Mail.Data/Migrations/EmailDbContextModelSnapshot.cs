@@ -751,12 +751,46 @@ namespace Seu.Mail.Migrations
                     b.Property<bool>("EnableKeyboardNavigation")
                         .HasColumnType("INTEGER");
 
+                    b.Property<bool>("EnableNewMailNotifications")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<bool>("EnableReminderNotifications")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<bool>("IsSidebarCollapsed")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("KeyboardShortcuts")
+                        .HasMaxLength(4000)
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Locale")
+                        .HasColumnType("TEXT");
+
                     b.Property<bool>("MarkAsReadOnOpen")
                         .HasColumnType("INTEGER");
 
                     b.Property<bool>("ShowEmailPreview")
                         .HasColumnType("INTEGER");
 
+                    b.Property<int>("SidebarWidth")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("SplitPaneRatios")
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("SwipeLeftAction")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<int>("SwipeRightAction")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("TimeZone")
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("UndoSendDelaySeconds")
+                        .HasColumnType("INTEGER");
+
                     b.Property<DateTime>("UpdatedAt")
                         .HasColumnType("TEXT");
 
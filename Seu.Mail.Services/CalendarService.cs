@@ -302,17 +302,19 @@ public class CalendarService : ICalendarService
     /// Gets all pending reminders for a specific account that are due to be triggered.
     /// </summary>
     /// <param name="accountId">The database ID of the email account.</param>
+    /// <param name="now">The local time to check against; defaults to <see cref="DateTime.Now"/>. Event times are
+    /// stored as local wall-clock times, so reminders are compared with the local clock rather than UTC.</param>
     /// <returns>A task that represents the asynchronous operation. The task result contains a list of pending reminders.</returns>
-    public async Task<List<EventReminder>> GetPendingRemindersAsync(int accountId)
+    public async Task<List<EventReminder>> GetPendingRemindersAsync(int accountId, DateTime? now = null)
     {
-        var now = DateTime.UtcNow;
+        var dueBy = now ?? DateTime.Now;
 
         return await _context.EventReminders
             .Include(r => r.CalendarEvent)
             .Where(r => r.CalendarEvent.AccountId == accountId &&
                         !r.IsTriggered &&
                         r.IsEnabled &&
-                        r.CalendarEvent.StartDateTime.AddMinutes(-r.MinutesBefore) <= now)
+                        r.CalendarEvent.StartDateTime.AddMinutes(-r.MinutesBefore) <= dueBy)
             .ToListAsync();
     }
 
@@ -324,22 +326,11 @@ public class CalendarService : ICalendarService
     public async Task MarkReminderTriggeredAsync(int reminderId)
     {
         var reminder = await _context.EventReminders.FindAsync(reminderId);
-        if (reminder != null)
+        if (reminder != null && !reminder.IsTriggered)
         {
-            var updatedReminder = new EventReminder
-            {
-                Id = reminder.Id,
-                CalendarEventId = reminder.CalendarEventId,
-                MinutesBefore = reminder.MinutesBefore,
-                Type = reminder.Type,
-                IsTriggered = true,
-                TriggeredAt = DateTime.UtcNow,
-                CustomMessage = reminder.CustomMessage,
-                EmailAddress = reminder.EmailAddress,
-                IsEnabled = reminder.IsEnabled,
-                CreatedAt = reminder.CreatedAt
-            };
-            _context.EventReminders.Update(updatedReminder);
+            // FindAsync returns the tracked entity; attaching a copy with the same key would throw.
+            reminder.IsTriggered = true;
+            reminder.TriggeredAt = DateTime.UtcNow;
             await _context.SaveChangesAsync();
         }
     }
@@ -5,6 +5,7 @@ using MailKit.Security;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
 using MimeKit;
+using System.Text.RegularExpressions;
 using Seu.Mail.Data.Context;
 using Seu.Mail.Core.Models;
 using Seu.Mail.Core.Enums;
@@ -21,6 +22,9 @@ public class EmailService : IEmailService
     private readonly ILogger<EmailService> _logger;
     private readonly IEncryptionService _encryptionService;
 
+    private static readonly Regex ThreadSubjectPrefixRegex =
+        new(@"^\s*((re|fw|fwd|aw|sv)(\[\d+\])?\s*:\s*)+", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
     /// <summary>
     /// Deletes all emails for a given account.
     /// </summary>
@@ -128,6 +132,65 @@ public class EmailService : IEmailService
         }
     }
 
+    /// <summary>
+    /// Gets the conversation an email belongs to. Messages are matched by thread ID when one is stored,
+    /// otherwise by subject with reply and forward prefixes removed. Local folder copies are skipped.
+    /// </summary>
+    /// <param name="emailId">The ID of any email in the conversation.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The conversation ordered by date sent, or an empty list if the email was not found.</returns>
+    public async Task<List<EmailMessage>> GetThreadAsync(int emailId, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var email = await _context.EmailMessages
+                .FirstOrDefaultAsync(e => e.Id == emailId, cancellationToken);
+            if (email == null) return new List<EmailMessage>();
+
+            var query = _context.EmailMessages
+                .Include(e => e.Attachments)
+                .Where(e => e.AccountId == email.AccountId && !e.IsDeleted);
+
+            List<EmailMessage> messages;
+            if (!string.IsNullOrEmpty(email.ThreadId))
+            {
+                messages = await query.Where(e => e.ThreadId == email.ThreadId).ToListAsync(cancellationToken);
+            }
+            else
+            {
+                var subject = NormalizeThreadSubject(email.Subject);
+                if (string.IsNullOrEmpty(subject))
+                {
+                    messages = await query.Where(e => e.Id == email.Id).ToListAsync(cancellationToken);
+                }
+                else
+                {
+                    messages = (await query.Where(e => e.Subject.EndsWith(subject)).ToListAsync(cancellationToken))
+                        .Where(e => NormalizeThreadSubject(e.Subject).Equals(subject, StringComparison.OrdinalIgnoreCase))
+                        .ToList();
+                }
+            }
+
+            if (messages.All(e => e.Id != email.Id)) messages.Add(email);
+
+            return messages
+                .OrderBy(e => e.DateSent)
+                .ThenBy(e => e.Id)
+                .DistinctBy(e => e.MessageId.Split('#')[0])
+                .ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting thread for email {EmailId}", emailId);
+            return new List<EmailMessage>();
+        }
+    }
+
+    private static string NormalizeThreadSubject(string? subject)
+    {
+        return string.IsNullOrWhiteSpace(subject) ? string.Empty : ThreadSubjectPrefixRegex.Replace(subject, "").Trim();
+    }
+
     /// <summary>
     /// Gets an email by its server UID.
     /// </summary>
@@ -209,13 +272,7 @@ public class EmailService : IEmailService
                 foreach (var bccEmail in bcc.Split(',', StringSplitOptions.RemoveEmptyEntries))
                     message.Bcc.Add(MailboxAddress.Parse(bccEmail.Trim()));
 
-            var bodyBuilder = new BodyBuilder();
-            if (isHtml)
-                bodyBuilder.HtmlBody = body;
-            else
-                bodyBuilder.TextBody = body;
-
-            message.Body = bodyBuilder.ToMessageBody();
+            message.Body = BuildMessageBody(body, isHtml, attachments);
 
             using var client = new SmtpClient();
             await client.ConnectAsync(account.SmtpServer, account.SmtpPort, SecureSocketOptions.SslOnConnect,
@@ -241,6 +298,39 @@ public class EmailService : IEmailService
         }
     }
 
+    /// <summary>
+    /// Builds the MIME body for an outgoing message. Inline attachments referenced from an HTML body
+    /// (<c>cid:</c> URLs) become linked resources; everything else is attached normally.
+    /// </summary>
+    private static MimeEntity BuildMessageBody(string body, bool isHtml, List<EmailAttachment>? attachments)
+    {
+        var bodyBuilder = new BodyBuilder();
+        if (isHtml)
+            bodyBuilder.HtmlBody = body;
+        else
+            bodyBuilder.TextBody = body;
+
+        foreach (var attachment in attachments ?? [])
+        {
+            if (attachment.Content == null) continue;
+
+            if (!ContentType.TryParse(attachment.ContentType, out var contentType))
+                contentType = new ContentType("application", "octet-stream");
+
+            if (isHtml && attachment.IsInline && !string.IsNullOrEmpty(attachment.ContentId))
+            {
+                var resource = bodyBuilder.LinkedResources.Add(attachment.FileName, attachment.Content, contentType);
+                resource.ContentId = attachment.ContentId;
+            }
+            else
+            {
+                bodyBuilder.Attachments.Add(attachment.FileName, attachment.Content, contentType);
+            }
+        }
+
+        return bodyBuilder.ToMessageBody();
+    }
+
     /// <summary>
     /// Sends an email using the specified account and email message object.
     /// </summary>
@@ -507,6 +597,86 @@ public class EmailService : IEmailService
         }
     }
 
+    /// <summary>
+    /// Copies an email and its attachments into a different folder. The copy is local only and gets a
+    /// folder-qualified message ID, since message IDs are unique per account.
+    /// </summary>
+    /// <param name="emailId">The database ID of the email to copy.</param>
+    /// <param name="targetFolder">The target folder to copy the email to.</param>
+    /// <param name="cancellationToken">Cancellation token to cancel the operation.</param>
+    /// <returns>A task that represents the asynchronous operation. The task result contains true if successful or the copy already exists.</returns>
+    public async Task<bool> CopyEmailAsync(int emailId, string targetFolder,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var email = await _context.EmailMessages
+                .Include(e => e.Attachments)
+                .FirstOrDefaultAsync(e => e.Id == emailId, cancellationToken);
+            if (email == null) return false;
+
+            if (email.Folder.Equals(targetFolder, StringComparison.OrdinalIgnoreCase)) return true;
+
+            var copyMessageId = $"{email.MessageId}#{targetFolder}";
+            var exists = await _context.EmailMessages
+                .AnyAsync(e => e.AccountId == email.AccountId && e.MessageId == copyMessageId, cancellationToken);
+            if (exists) return true;
+
+            var copy = new EmailMessage
+            {
+                MessageId = copyMessageId,
+                AccountId = email.AccountId,
+                From = email.From,
+                To = email.To,
+                Cc = email.Cc,
+                Bcc = email.Bcc,
+                Subject = email.Subject,
+                TextBody = email.TextBody,
+                HtmlBody = email.HtmlBody,
+                DateSent = email.DateSent,
+                DateReceived = email.DateReceived,
+                IsRead = email.IsRead,
+                IsImportant = email.IsImportant,
+                Folder = targetFolder,
+                HasAttachments = email.HasAttachments,
+                Size = email.Size,
+                Priority = email.Priority,
+                Headers = email.Headers,
+                ThreadId = email.ThreadId,
+                References = email.References,
+                InReplyTo = email.InReplyTo,
+                Labels = email.Labels,
+                Attachments = email.Attachments.Select(a => new EmailAttachment
+                {
+                    FileName = a.FileName,
+                    ContentType = a.ContentType,
+                    Size = a.Size,
+                    ContentId = a.ContentId,
+                    ContentDisposition = a.ContentDisposition,
+                    IsInline = a.IsInline,
+                    ContentHash = a.ContentHash,
+                    LocalPath = a.LocalPath,
+                    Content = a.Content,
+                    IsDownloaded = a.IsDownloaded,
+                    DownloadedAt = a.DownloadedAt,
+                    TransferEncoding = a.TransferEncoding,
+                    Charset = a.Charset,
+                    MimeParameters = a.MimeParameters,
+                    IsSafe = a.IsSafe
+                }).ToList()
+            };
+
+            await _context.EmailMessages.AddAsync(copy, cancellationToken);
+            await _context.SaveChangesAsync(cancellationToken);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error copying email {EmailId}", emailId);
+            return false;
+        }
+    }
+
     /// <summary>
     /// Archives an email by moving it to the Archive folder.
     /// </summary>
@@ -684,6 +854,7 @@ public class EmailService : IEmailService
             // Basic sync implementation - get recent messages (limit to last 50)
             var count = Math.Min(mailFolder.Count, 50);
             var newEmails = 0;
+            var correctedDates = 0;
 
             _logger.LogInformation(
                 "Folder {Folder} has {TotalCount} messages, fetching last {FetchCount} for account {Email}",
@@ -722,8 +893,8 @@ public class EmailService : IEmailService
                                 Subject = message.Envelope?.Subject ?? "(No Subject)",
                                 From = message.Envelope?.From?.FirstOrDefault()?.ToString() ?? "",
                                 To = message.Envelope?.To?.FirstOrDefault()?.ToString() ?? "",
-                                DateReceived = message.Envelope?.Date?.DateTime ?? DateTime.UtcNow,
-                                DateSent = message.Envelope?.Date?.DateTime ?? DateTime.UtcNow,
+                                DateReceived = message.Envelope?.Date?.UtcDateTime ?? DateTime.UtcNow,
+                                DateSent = message.Envelope?.Date?.UtcDateTime ?? DateTime.UtcNow,
                                 IsRead = message.Flags?.HasFlag(MessageFlags.Seen) ?? false,
                                 IsImportant = message.Flags?.HasFlag(MessageFlags.Flagged) ?? false,
                                 Folder = folderName,
@@ -742,6 +913,18 @@ public class EmailService : IEmailService
                         }
                         else
                         {
+                            // Dates used to be stored in the sender's time zone rather than UTC, so messages
+                            // synced before are corrected whenever the server lists them again.
+                            var date = message.Envelope?.Date?.UtcDateTime;
+                            if (date.HasValue && (existingEmail.DateSent != date.Value ||
+                                                  existingEmail.DateReceived != date.Value))
+                            {
+                                existingEmail.DateSent = date.Value;
+                                existingEmail.DateReceived = date.Value;
+                                existingEmail.UpdatedAt = DateTime.UtcNow;
+                                correctedDates++;
+                            }
+
                             _logger.LogDebug("Message {MessageId} already exists for account {Email}, skipping",
                                 messageId, account.EmailAddress);
                         }
@@ -753,10 +936,11 @@ public class EmailService : IEmailService
                         continue;
                     }
 
-                if (newEmails > 0)
+                if (newEmails > 0 || correctedDates > 0)
                 {
-                    _logger.LogInformation("Saving {NewEmails} new emails to database for account {Email}",
-                        newEmails, account.EmailAddress);
+                    _logger.LogInformation(
+                        "Saving {NewEmails} new emails and {CorrectedDates} corrected dates to database for account {Email}",
+                        newEmails, correctedDates, account.EmailAddress);
 
                     try
                     {
@@ -49,6 +49,13 @@ public class UserSettingsService : IUserSettingsService
                     MarkAsReadOnOpen = true,
                     ShowEmailPreview = true,
                     EnableKeyboardNavigation = true,
+                    EnableReminderNotifications = true,
+                    EnableNewMailNotifications = true,
+                    UndoSendDelaySeconds = 10,
+                    SidebarWidth = UserSettings.DefaultSidebarWidth,
+                    IsSidebarCollapsed = false,
+                    SwipeLeftAction = EmailSwipeAction.Archive,
+                    SwipeRightAction = EmailSwipeAction.ToggleRead,
                     CreatedAt = DateTime.UtcNow,
                     UpdatedAt = DateTime.UtcNow
                 };
@@ -97,6 +104,19 @@ public class UserSettingsService : IUserSettingsService
                 existingSettings.MarkAsReadOnOpen = settings.MarkAsReadOnOpen;
                 existingSettings.ShowEmailPreview = settings.ShowEmailPreview;
                 existingSettings.EnableKeyboardNavigation = settings.EnableKeyboardNavigation;
+                existingSettings.KeyboardShortcuts = settings.KeyboardShortcuts;
+                existingSettings.EnableReminderNotifications = settings.EnableReminderNotifications;
+                existingSettings.EnableNewMailNotifications = settings.EnableNewMailNotifications;
+                existingSettings.UndoSendDelaySeconds = Math.Clamp(settings.UndoSendDelaySeconds,
+                    UserSettings.MinUndoSendDelaySeconds, UserSettings.MaxUndoSendDelaySeconds);
+                existingSettings.SplitPaneRatios = settings.SplitPaneRatios;
+                existingSettings.SidebarWidth = Math.Clamp(settings.SidebarWidth,
+                    UserSettings.MinSidebarWidth, UserSettings.MaxSidebarWidth);
+                existingSettings.IsSidebarCollapsed = settings.IsSidebarCollapsed;
+                existingSettings.SwipeLeftAction = settings.SwipeLeftAction;
+                existingSettings.SwipeRightAction = settings.SwipeRightAction;
+                existingSettings.Locale = string.IsNullOrWhiteSpace(settings.Locale) ? null : settings.Locale.Trim();
+                existingSettings.TimeZone = string.IsNullOrWhiteSpace(settings.TimeZone) ? null : settings.TimeZone.Trim();
                 existingSettings.UpdatedAt = DateTime.UtcNow;
             }
 
@@ -201,6 +221,17 @@ public class UserSettingsService : IUserSettingsService
                 settings.MarkAsReadOnOpen = true;
                 settings.ShowEmailPreview = true;
                 settings.EnableKeyboardNavigation = true;
+                settings.KeyboardShortcuts = null;
+                settings.EnableReminderNotifications = true;
+                settings.EnableNewMailNotifications = true;
+                settings.UndoSendDelaySeconds = 10;
+                settings.SplitPaneRatios = null;
+                settings.SidebarWidth = UserSettings.DefaultSidebarWidth;
+                settings.IsSidebarCollapsed = false;
+                settings.SwipeLeftAction = EmailSwipeAction.Archive;
+                settings.SwipeRightAction = EmailSwipeAction.ToggleRead;
+                settings.Locale = null;
+                settings.TimeZone = null;
                 settings.UpdatedAt = DateTime.UtcNow;
             }
             else
@@ -216,6 +247,13 @@ public class UserSettingsService : IUserSettingsService
                     MarkAsReadOnOpen = true,
                     ShowEmailPreview = true,
                     EnableKeyboardNavigation = true,
+                    EnableReminderNotifications = true,
+                    EnableNewMailNotifications = true,
+                    UndoSendDelaySeconds = 10,
+                    SidebarWidth = UserSettings.DefaultSidebarWidth,
+                    IsSidebarCollapsed = false,
+                    SwipeLeftAction = EmailSwipeAction.Archive,
+                    SwipeRightAction = EmailSwipeAction.ToggleRead,
                     CreatedAt = DateTime.UtcNow,
                     UpdatedAt = DateTime.UtcNow
                 };
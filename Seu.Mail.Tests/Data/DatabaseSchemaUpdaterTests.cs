@@ -0,0 +1,134 @@
+using Microsoft.Data.Sqlite;
+using Microsoft.EntityFrameworkCore;
+using Seu.Mail.Core.Models;
+using Seu.Mail.Data.Context;
+
+namespace Seu.Mail.Tests.Data;
+
+/// <summary>
+/// Tests for adding columns introduced since a database was created
+/// </summary>
+public class DatabaseSchemaUpdaterTests : IAsyncDisposable
+{
+    private readonly SqliteConnection _connection;
+    private readonly EmailDbContext _context;
+
+    public DatabaseSchemaUpdaterTests()
+    {
+        _connection = new SqliteConnection("DataSource=:memory:");
+        _connection.Open();
+
+        var options = new DbContextOptionsBuilder<EmailDbContext>()
+            .UseSqlite(_connection)
+            .Options;
+
+        _context = new EmailDbContext(options);
+    }
+
+    private async Task CreateFirstReleaseUserSettingsAsync()
+    {
+        // UserSettings as 20250822200238_AddUserSettings created it, with one saved row
+        await _context.Database.ExecuteSqlRawAsync("""
+            CREATE TABLE "UserSettings" (
+                "Id" INTEGER NOT NULL CONSTRAINT "PK_UserSettings" PRIMARY KEY AUTOINCREMENT,
+                "EmailDisplayMode" INTEGER NOT NULL,
+                "EmailLayoutMode" INTEGER NOT NULL,
+                "DefaultSignature" TEXT NULL,
+                "UseCompactMode" INTEGER NOT NULL,
+                "EmailsPerPage" INTEGER NOT NULL,
+                "MarkAsReadOnOpen" INTEGER NOT NULL,
+                "ShowEmailPreview" INTEGER NOT NULL,
+                "EnableKeyboardNavigation" INTEGER NOT NULL,
+                "CreatedAt" TEXT NOT NULL,
+                "UpdatedAt" TEXT NOT NULL
+            );
+            INSERT INTO "UserSettings" VALUES (1, 3, 2, 'Cheers', 0, 25, 1, 1, 1, '2025-09-01 10:00:00', '2025-09-01 10:00:00');
+            """);
+    }
+
+    private async Task<List<string>> GetColumnNamesAsync(string table)
+    {
+        return await _context.Database
+            .SqlQuery<string>($"SELECT name AS Value FROM pragma_table_info({table})")
+            .ToListAsync();
+    }
+
+    private async Task<T> ReadValueAsync<T>(string column)
+    {
+        var sql = "SELECT \"" + column + "\" AS Value FROM \"UserSettings\"";
+        return await _context.Database.SqlQueryRaw<T>(sql).SingleAsync();
+    }
+
+    [Test]
+    public async Task EnsureColumns_WithFirstReleaseTable_ShouldAddColumnsWithDefaults()
+    {
+        // Arrange
+        await CreateFirstReleaseUserSettingsAsync();
+
+        // Act
+        DatabaseSchemaUpdater.EnsureColumns(_context);
+
+        // Assert
+        await Assert.That(await ReadValueAsync<string>("DefaultSignature")).IsEqualTo("Cheers");
+        await Assert.That(await ReadValueAsync<string?>("KeyboardShortcuts")).IsNull();
+        await Assert.That(await ReadValueAsync<bool>("EnableReminderNotifications")).IsTrue();
+        await Assert.That(await ReadValueAsync<bool>("EnableNewMailNotifications")).IsTrue();
+        await Assert.That(await ReadValueAsync<int>("UndoSendDelaySeconds")).IsEqualTo(10);
+        await Assert.That(await ReadValueAsync<string?>("SplitPaneRatios")).IsNull();
+        await Assert.That(await ReadValueAsync<int>("SidebarWidth")).IsEqualTo(250);
+        await Assert.That(await ReadValueAsync<bool>("IsSidebarCollapsed")).IsFalse();
+        await Assert.That(await ReadValueAsync<int>("SwipeLeftAction")).IsEqualTo(1);
+        await Assert.That(await ReadValueAsync<int>("SwipeRightAction")).IsEqualTo(3);
+        await Assert.That(await ReadValueAsync<string?>("Locale")).IsNull();
+        await Assert.That(await ReadValueAsync<string?>("TimeZone")).IsNull();
+    }
+
+    [Test]
+    public async Task EnsureColumns_WithFirstReleaseTable_ShouldLetSettingsLoad()
+    {
+        // Arrange
+        await CreateFirstReleaseUserSettingsAsync();
+
+        // Act
+        DatabaseSchemaUpdater.EnsureColumns(_context);
+
+        // Assert
+        var settings = await _context.UserSettings.SingleAsync();
+        await Assert.That(settings.EmailLayoutMode).IsEqualTo(EmailLayoutMode.SplitRight);
+        await Assert.That(settings.EmailsPerPage).IsEqualTo(25);
+        await Assert.That(settings.SwipeLeftAction).IsEqualTo(EmailSwipeAction.Archive);
+        await Assert.That(settings.SidebarWidth).IsEqualTo(UserSettings.DefaultSidebarWidth);
+    }
+
+    [Test]
+    public async Task EnsureColumns_WithCurrentSchema_ShouldChangeNothing()
+    {
+        // Arrange
+        await _context.Database.EnsureCreatedAsync();
+        var before = await GetColumnNamesAsync("UserSettings");
+
+        // Act
+        DatabaseSchemaUpdater.EnsureColumns(_context);
+        DatabaseSchemaUpdater.EnsureColumns(_context);
+
+        // Assert
+        var after = await GetColumnNamesAsync("UserSettings");
+        await Assert.That(after).IsEquivalentTo(before);
+    }
+
+    [Test]
+    public async Task EnsureColumns_WithoutTable_ShouldLeaveItToEnsureCreated()
+    {
+        // Act
+        DatabaseSchemaUpdater.EnsureColumns(_context);
+
+        // Assert
+        await Assert.That(await GetColumnNamesAsync("UserSettings")).IsEmpty();
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        await _context.DisposeAsync();
+        await _connection.DisposeAsync();
+    }
+}
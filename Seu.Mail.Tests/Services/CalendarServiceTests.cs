@@ -0,0 +1,91 @@
+using Microsoft.EntityFrameworkCore;
+using Seu.Mail.Core.Models;
+using Seu.Mail.Core.Models.Calendar;
+using Seu.Mail.Data.Context;
+using Seu.Mail.Services;
+
+namespace Seu.Mail.Tests.Services;
+
+public class CalendarServiceTests : IAsyncDisposable
+{
+    private readonly EmailDbContext _context;
+    private readonly CalendarService _calendarService;
+
+    public CalendarServiceTests()
+    {
+        var options = new DbContextOptionsBuilder<EmailDbContext>()
+            .UseInMemoryDatabase(Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new EmailDbContext(options);
+        _context.Database.EnsureCreated();
+        _calendarService = new CalendarService(_context);
+    }
+
+    #region GetPendingRemindersAsync Tests
+
+    [Test]
+    [Arguments(-1, false)]
+    [Arguments(0, true)]
+    [Arguments(1, true)]
+    public async Task GetPendingRemindersAsync_AroundDueTime_ShouldReturnReminderOnceDue(int minutesFromDue, bool expected)
+    {
+        // Arrange: a 10:00 event, stored in local wall-clock time, with a reminder 15 minutes before
+        var start = new DateTime(2026, 10, 19, 10, 0, 0, DateTimeKind.Unspecified);
+        await AddEventWithReminderAsync(start, minutesBefore: 15);
+        var now = start.AddMinutes(-15 + minutesFromDue);
+
+        // Act
+        var result = await _calendarService.GetPendingRemindersAsync(1, now);
+
+        // Assert
+        await Assert.That(result.Count).IsEqualTo(expected ? 1 : 0);
+    }
+
+    [Test]
+    public async Task GetPendingRemindersAsync_WithTriggeredOrDisabledReminders_ShouldSkipThem()
+    {
+        // Arrange
+        var start = new DateTime(2026, 10, 19, 10, 0, 0, DateTimeKind.Unspecified);
+        var triggered = await AddEventWithReminderAsync(start, minutesBefore: 15);
+        var disabled = await AddEventWithReminderAsync(start, minutesBefore: 15);
+        triggered.IsTriggered = true;
+        disabled.IsEnabled = false;
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _calendarService.GetPendingRemindersAsync(1, start);
+
+        // Assert
+        await Assert.That(result).IsEmpty();
+    }
+
+    #endregion
+
+    private async Task<EventReminder> AddEventWithReminderAsync(DateTime start, int minutesBefore)
+    {
+        if (!await _context.EmailAccounts.AnyAsync())
+        {
+            await _context.EmailAccounts.AddAsync(new EmailAccount { Id = 1, Email = "test@example.com" });
+        }
+
+        var reminder = new EventReminder { MinutesBefore = minutesBefore };
+        var calendarEvent = new CalendarEvent
+        {
+            Title = "Stand-up",
+            AccountId = 1,
+            StartDateTime = start,
+            EndDateTime = start.AddMinutes(30),
+            Reminders = { reminder }
+        };
+
+        await _context.CalendarEvents.AddAsync(calendarEvent);
+        await _context.SaveChangesAsync();
+        return reminder;
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        await _context.DisposeAsync();
+    }
+}
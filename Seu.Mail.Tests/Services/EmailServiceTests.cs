@@ -83,6 +83,66 @@ public class EmailServiceTests : IAsyncDisposable
 
     #endregion
 
+    #region GetThreadAsync Tests
+
+    [Test]
+    public async Task GetThreadAsync_WithoutThreadId_ShouldMatchRepliesBySubjectInDateOrder()
+    {
+        // Arrange
+        var account = new EmailAccount
+        {
+            Id = 1,
+            Email = "test@example.com",
+            DisplayName = "Test User"
+        };
+
+        await _context.EmailAccounts.AddAsync(account);
+        await _context.EmailMessages.AddRangeAsync(
+            new EmailMessage
+            {
+                Id = 1, AccountId = 1, Subject = "Re: Project plan", MessageId = "reply@example.com",
+                From = "recipient@example.com", To = "sender@example.com", DateSent = new DateTime(2024, 3, 2)
+            },
+            new EmailMessage
+            {
+                Id = 2, AccountId = 1, Subject = "Project plan", MessageId = "original@example.com",
+                From = "sender@example.com", To = "recipient@example.com", DateSent = new DateTime(2024, 3, 1)
+            },
+            new EmailMessage
+            {
+                Id = 3, AccountId = 1, Subject = "Fwd: RE: Project plan", MessageId = "forward@example.com",
+                From = "sender@example.com", To = "other@example.com", DateSent = new DateTime(2024, 3, 3)
+            },
+            new EmailMessage
+            {
+                Id = 4, AccountId = 1, Subject = "Unrelated", MessageId = "other@example.com",
+                From = "sender@example.com", To = "recipient@example.com", DateSent = new DateTime(2024, 3, 2)
+            });
+        await _context.SaveChangesAsync();
+        _context.ChangeTracker.Clear();
+
+        // Act
+        var result = await _emailService.GetThreadAsync(1);
+
+        // Assert
+        await Assert.That(result.Count).IsEqualTo(3);
+        await Assert.That(result[0].Id).IsEqualTo(2);
+        await Assert.That(result[1].Id).IsEqualTo(1);
+        await Assert.That(result[2].Id).IsEqualTo(3);
+    }
+
+    [Test]
+    public async Task GetThreadAsync_WithInvalidId_ShouldReturnEmptyList()
+    {
+        // Act
+        var result = await _emailService.GetThreadAsync(999);
+
+        // Assert
+        await Assert.That(result).IsEmpty();
+    }
+
+    #endregion
+
     #region MarkAsReadAsync Tests
 
     [Test]
@@ -186,6 +246,63 @@ public class EmailServiceTests : IAsyncDisposable
 
     #endregion
 
+    #region CopyEmailAsync Tests
+
+    [Test]
+    public async Task CopyEmailAsync_WithValidId_ShouldCreateCopyInTargetFolder()
+    {
+        // Arrange
+        var account = new EmailAccount
+        {
+            Id = 1,
+            Email = "test@example.com",
+            DisplayName = "Test User"
+        };
+
+        var email = new EmailMessage
+        {
+            Id = 1,
+            AccountId = 1,
+            Subject = "Test",
+            MessageId = "test@example.com",
+            From = "sender@example.com",
+            To = "recipient@example.com",
+            Account = account
+        };
+
+        await _context.EmailAccounts.AddAsync(account);
+        await _context.EmailMessages.AddAsync(email);
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _emailService.CopyEmailAsync(1, "Projects");
+        var secondResult = await _emailService.CopyEmailAsync(1, "Projects");
+
+        // Assert
+        _context.ChangeTracker.Clear();
+        var messages = await _context.EmailMessages.ToListAsync();
+        await Assert.That(result).IsTrue();
+        await Assert.That(secondResult).IsTrue();
+        await Assert.That(messages.Count).IsEqualTo(2);
+        await Assert.That(messages.Single(m => m.Id == 1).Folder).IsEqualTo("INBOX");
+
+        var copy = messages.Single(m => m.Id != 1);
+        await Assert.That(copy.Folder).IsEqualTo("Projects");
+        await Assert.That(copy.Subject).IsEqualTo("Test");
+    }
+
+    [Test]
+    public async Task CopyEmailAsync_WithInvalidId_ShouldReturnFalse()
+    {
+        // Act
+        var result = await _emailService.CopyEmailAsync(999, "Projects");
+
+        // Assert
+        await Assert.That(result).IsFalse();
+    }
+
+    #endregion
+
     #region TestConnectionAsync Tests
 
     [Test]
@@ -71,6 +71,13 @@ public class UserSettingsServiceTests : IAsyncDisposable
         await Assert.That(result.MarkAsReadOnOpen).IsTrue();
         await Assert.That(result.ShowEmailPreview).IsTrue();
         await Assert.That(result.EnableKeyboardNavigation).IsTrue();
+        await Assert.That(result.EnableReminderNotifications).IsTrue();
+        await Assert.That(result.EnableNewMailNotifications).IsTrue();
+        await Assert.That(result.UndoSendDelaySeconds).IsEqualTo(10);
+        await Assert.That(result.SidebarWidth).IsEqualTo(250);
+        await Assert.That(result.IsSidebarCollapsed).IsFalse();
+        await Assert.That(result.SwipeLeftAction).IsEqualTo(EmailSwipeAction.Archive);
+        await Assert.That(result.SwipeRightAction).IsEqualTo(EmailSwipeAction.ToggleRead);
 
         // Should be saved to database
         var savedSettings = await _context.UserSettings.FirstOrDefaultAsync();
@@ -118,6 +125,179 @@ public class UserSettingsServiceTests : IAsyncDisposable
         await Assert.That(savedSettings.EmailsPerPage).IsEqualTo(100);
     }
 
+    [Test]
+    public async Task UpdateUserSettingsAsync_WithKeyboardShortcuts_ShouldPersistCustomBindings()
+    {
+        // Arrange
+        await _context.UserSettings.AddAsync(new UserSettings { Id = 1 });
+        await _context.SaveChangesAsync();
+
+        var updatedSettings = new UserSettings
+        {
+            Id = 1,
+            KeyboardShortcuts = "{\"reader.next\":\"n\"}"
+        };
+
+        // Act
+        var result = await _userSettingsService.UpdateUserSettingsAsync(updatedSettings);
+
+        // Assert
+        await Assert.That(result).IsTrue();
+
+        var savedSettings = await _context.UserSettings.FindAsync(1);
+        await Assert.That(savedSettings).IsNotNull();
+        await Assert.That(savedSettings!.KeyboardShortcuts).IsEqualTo("{\"reader.next\":\"n\"}");
+    }
+
+    [Test]
+    public async Task UpdateUserSettingsAsync_WithSplitPaneRatios_ShouldPersistPaneSizes()
+    {
+        // Arrange
+        await _context.UserSettings.AddAsync(new UserSettings { Id = 1 });
+        await _context.SaveChangesAsync();
+
+        var updatedSettings = new UserSettings
+        {
+            Id = 1,
+            SplitPaneRatios = "{\"SplitRight\":0.35}"
+        };
+
+        // Act
+        var result = await _userSettingsService.UpdateUserSettingsAsync(updatedSettings);
+
+        // Assert
+        await Assert.That(result).IsTrue();
+
+        var savedSettings = await _context.UserSettings.FindAsync(1);
+        await Assert.That(savedSettings).IsNotNull();
+        await Assert.That(savedSettings!.SplitPaneRatios).IsEqualTo("{\"SplitRight\":0.35}");
+    }
+
+    [Test]
+    public async Task UpdateUserSettingsAsync_WithSwipeActions_ShouldPersistBothDirections()
+    {
+        // Arrange
+        await _context.UserSettings.AddAsync(new UserSettings { Id = 1 });
+        await _context.SaveChangesAsync();
+
+        var updatedSettings = new UserSettings
+        {
+            Id = 1,
+            SwipeLeftAction = EmailSwipeAction.Delete,
+            SwipeRightAction = EmailSwipeAction.None
+        };
+
+        // Act
+        var result = await _userSettingsService.UpdateUserSettingsAsync(updatedSettings);
+
+        // Assert
+        await Assert.That(result).IsTrue();
+
+        var savedSettings = await _context.UserSettings.FindAsync(1);
+        await Assert.That(savedSettings).IsNotNull();
+        await Assert.That(savedSettings!.SwipeLeftAction).IsEqualTo(EmailSwipeAction.Delete);
+        await Assert.That(savedSettings.SwipeRightAction).IsEqualTo(EmailSwipeAction.None);
+    }
+
+    [Test]
+    [Arguments(" en-GB ", "Europe/Lisbon", "en-GB", "Europe/Lisbon")]
+    [Arguments("", "  ", null, null)]
+    [Arguments(null, null, null, null)]
+    public async Task UpdateUserSettingsAsync_WithLocaleAndTimeZone_ShouldPersistTrimmedOrNull(
+        string? locale, string? timeZone, string? expectedLocale, string? expectedTimeZone)
+    {
+        // Arrange
+        await _context.UserSettings.AddAsync(new UserSettings { Id = 1, Locale = "de-DE", TimeZone = "Asia/Tokyo" });
+        await _context.SaveChangesAsync();
+
+        var updatedSettings = new UserSettings { Id = 1, Locale = locale, TimeZone = timeZone };
+
+        // Act
+        var result = await _userSettingsService.UpdateUserSettingsAsync(updatedSettings);
+
+        // Assert
+        await Assert.That(result).IsTrue();
+
+        var savedSettings = await _context.UserSettings.FindAsync(1);
+        await Assert.That(savedSettings).IsNotNull();
+        await Assert.That(savedSettings!.Locale).IsEqualTo(expectedLocale);
+        await Assert.That(savedSettings.TimeZone).IsEqualTo(expectedTimeZone);
+    }
+
+    [Test]
+    public async Task UpdateUserSettingsAsync_WithNotificationsDisabled_ShouldPersistPreferences()
+    {
+        // Arrange
+        await _context.UserSettings.AddAsync(new UserSettings { Id = 1 });
+        await _context.SaveChangesAsync();
+
+        var updatedSettings = new UserSettings
+        {
+            Id = 1,
+            EnableReminderNotifications = false,
+            EnableNewMailNotifications = false
+        };
+
+        // Act
+        var result = await _userSettingsService.UpdateUserSettingsAsync(updatedSettings);
+
+        // Assert
+        await Assert.That(result).IsTrue();
+
+        var savedSettings = await _context.UserSettings.FindAsync(1);
+        await Assert.That(savedSettings).IsNotNull();
+        await Assert.That(savedSettings!.EnableReminderNotifications).IsFalse();
+        await Assert.That(savedSettings.EnableNewMailNotifications).IsFalse();
+    }
+
+    [Test]
+    [Arguments(1, 5)]
+    [Arguments(20, 20)]
+    [Arguments(120, 30)]
+    public async Task UpdateUserSettingsAsync_WithUndoSendDelay_ShouldKeepItWithinAllowedRange(int requested, int expected)
+    {
+        // Arrange
+        await _context.UserSettings.AddAsync(new UserSettings { Id = 1 });
+        await _context.SaveChangesAsync();
+
+        var updatedSettings = new UserSettings { Id = 1, UndoSendDelaySeconds = requested };
+
+        // Act
+        var result = await _userSettingsService.UpdateUserSettingsAsync(updatedSettings);
+
+        // Assert
+        await Assert.That(result).IsTrue();
+
+        var savedSettings = await _context.UserSettings.FindAsync(1);
+        await Assert.That(savedSettings).IsNotNull();
+        await Assert.That(savedSettings!.UndoSendDelaySeconds).IsEqualTo(expected);
+    }
+
+    [Test]
+    [Arguments(100, true, 180)]
+    [Arguments(320, false, 320)]
+    [Arguments(2000, true, 480)]
+    public async Task UpdateUserSettingsAsync_WithSidebarLayout_ShouldPersistItWithinAllowedWidths(int requested,
+        bool collapsed, int expected)
+    {
+        // Arrange
+        await _context.UserSettings.AddAsync(new UserSettings { Id = 1 });
+        await _context.SaveChangesAsync();
+
+        var updatedSettings = new UserSettings { Id = 1, SidebarWidth = requested, IsSidebarCollapsed = collapsed };
+
+        // Act
+        var result = await _userSettingsService.UpdateUserSettingsAsync(updatedSettings);
+
+        // Assert
+        await Assert.That(result).IsTrue();
+
+        var savedSettings = await _context.UserSettings.FindAsync(1);
+        await Assert.That(savedSettings).IsNotNull();
+        await Assert.That(savedSettings!.SidebarWidth).IsEqualTo(expected);
+        await Assert.That(savedSettings.IsSidebarCollapsed).IsEqualTo(collapsed);
+    }
+
     [Test]
     public async Task UpdateUserSettingsAsync_WithNonExistentSettings_ShouldCreateNewSettings()
     {
@@ -288,7 +468,18 @@ public class UserSettingsServiceTests : IAsyncDisposable
             EmailsPerPage = 25,
             MarkAsReadOnOpen = false,
             ShowEmailPreview = false,
-            EnableKeyboardNavigation = false
+            EnableKeyboardNavigation = false,
+            KeyboardShortcuts = "{\"global.goInbox\":\"g h\"}",
+            EnableReminderNotifications = false,
+            EnableNewMailNotifications = false,
+            UndoSendDelaySeconds = 30,
+            SplitPaneRatios = "{\"SplitBottom\":0.6}",
+            SidebarWidth = 400,
+            IsSidebarCollapsed = true,
+            SwipeLeftAction = EmailSwipeAction.Delete,
+            SwipeRightAction = EmailSwipeAction.None,
+            Locale = "fr-FR",
+            TimeZone = "Europe/Paris"
         };
 
         await _context.UserSettings.AddAsync(settings);
@@ -310,6 +501,17 @@ public class UserSettingsServiceTests : IAsyncDisposable
         await Assert.That(resetSettings.MarkAsReadOnOpen).IsTrue();
         await Assert.That(resetSettings.ShowEmailPreview).IsTrue();
         await Assert.That(resetSettings.EnableKeyboardNavigation).IsTrue();
+        await Assert.That(resetSettings.KeyboardShortcuts).IsNull();
+        await Assert.That(resetSettings.EnableReminderNotifications).IsTrue();
+        await Assert.That(resetSettings.EnableNewMailNotifications).IsTrue();
+        await Assert.That(resetSettings.UndoSendDelaySeconds).IsEqualTo(10);
+        await Assert.That(resetSettings.SplitPaneRatios).IsNull();
+        await Assert.That(resetSettings.SidebarWidth).IsEqualTo(250);
+        await Assert.That(resetSettings.IsSidebarCollapsed).IsFalse();
+        await Assert.That(resetSettings.SwipeLeftAction).IsEqualTo(EmailSwipeAction.Archive);
+        await Assert.That(resetSettings.SwipeRightAction).IsEqualTo(EmailSwipeAction.ToggleRead);
+        await Assert.That(resetSettings.Locale).IsNull();
+        await Assert.That(resetSettings.TimeZone).IsNull();
     }
 
     [Test]
@@ -0,0 +1,91 @@
+using Microsoft.JSInterop;
+using Microsoft.JSInterop.Infrastructure;
+using NSubstitute;
+using Seu.Mail.Core.Models;
+using Seu.Mail.Web.Previews;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for opening attachments in the client-side previewer and serving their content
+/// </summary>
+public class AttachmentPreviewServiceTests
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly AttachmentPreviewService _previewService;
+    private object?[]? _openArgs;
+
+    public AttachmentPreviewServiceTests()
+    {
+        _jsRuntime = Substitute.For<IJSRuntime>();
+        _jsRuntime.InvokeAsync<IJSVoidResult>("attachmentPreview.open", Arg.Any<object?[]?>())
+            .Returns(callInfo =>
+            {
+                _openArgs = callInfo.ArgAt<object?[]?>(1);
+                return new ValueTask<IJSVoidResult>(Substitute.For<IJSVoidResult>());
+            });
+        _previewService = new AttachmentPreviewService(_jsRuntime);
+    }
+
+    private static List<EmailAttachment> CreateAttachments()
+    {
+        return
+        [
+            new() { FileName = "photo.jpg", ContentType = "image/jpeg", Size = 3, Content = [1, 2, 3] },
+            new() { FileName = "setup.exe", ContentType = "application/octet-stream", Size = 10 }
+        ];
+    }
+
+    private static object? GetItemValue(object item, string name)
+    {
+        return item.GetType().GetProperty(name)!.GetValue(item);
+    }
+
+    [Test]
+    public async Task OpenAsync_ShouldSendKindAndAvailabilityOfEachAttachment()
+    {
+        // Act
+        await _previewService.OpenAsync(CreateAttachments(), 1);
+
+        // Assert
+        await Assert.That(_openArgs).IsNotNull();
+        await Assert.That(_openArgs![1]).IsTypeOf<string>();
+        await Assert.That(_openArgs[3]).IsEqualTo(1);
+
+        var items = ((System.Collections.IEnumerable)_openArgs[2]!).Cast<object>().ToList();
+        await Assert.That(GetItemValue(items[0], "kind")).IsEqualTo("image");
+        await Assert.That(GetItemValue(items[0], "isAvailable")).IsEqualTo(true);
+        await Assert.That(GetItemValue(items[1], "kind")).IsEqualTo("none");
+        await Assert.That(GetItemValue(items[1], "isAvailable")).IsEqualTo(false);
+    }
+
+    [Test]
+    public async Task OpenPreviewItem_ShouldServeContentUntilClosed()
+    {
+        // Arrange
+        await _previewService.OpenAsync(CreateAttachments(), 0);
+        var previewId = (string)_openArgs![1]!;
+
+        // Act
+        using var reference = await _previewService.OpenPreviewItem(previewId, 0);
+        var missing = await _previewService.OpenPreviewItem(previewId, 1);
+        _previewService.OnPreviewClosed(previewId);
+        var afterClose = await _previewService.OpenPreviewItem(previewId, 0);
+
+        // Assert
+        await Assert.That(reference).IsNotNull();
+        await Assert.That(reference!.Stream.Length).IsEqualTo(3);
+        await Assert.That(missing).IsNull();
+        await Assert.That(afterClose).IsNull();
+    }
+
+    [Test]
+    public async Task OpenAsync_WithIndexOutOfRange_ShouldNotCallClient()
+    {
+        // Act
+        await _previewService.OpenAsync(CreateAttachments(), 5);
+
+        // Assert
+        await Assert.That(_openArgs).IsNull();
+    }
+}
@@ -0,0 +1,43 @@
+using Seu.Mail.Web.Previews;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for deciding which attachments the previewer can show
+/// </summary>
+public class AttachmentPreviewTypesTests
+{
+    [Test]
+    [Arguments("image/png", "screenshot.png", AttachmentPreviewKind.Image)]
+    [Arguments("IMAGE/JPEG; name=photo.jpg", "photo.jpg", AttachmentPreviewKind.Image)]
+    [Arguments("application/pdf", "invoice.pdf", AttachmentPreviewKind.Pdf)]
+    [Arguments("text/plain; charset=utf-8", "notes.txt", AttachmentPreviewKind.Text)]
+    [Arguments("text/csv", "export.csv", AttachmentPreviewKind.Csv)]
+    [Arguments("text/calendar; method=REQUEST", "invite.ics", AttachmentPreviewKind.Calendar)]
+    [Arguments("application/octet-stream", "scan.PDF", AttachmentPreviewKind.Pdf)]
+    [Arguments("", "photo.webp", AttachmentPreviewKind.Image)]
+    public async Task GetKind_ShouldUseContentTypeOrExtensionOfGenericTypes(
+        string contentType, string fileName, AttachmentPreviewKind expected)
+    {
+        // Act
+        var result = AttachmentPreviewTypes.GetKind(contentType, fileName);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(expected);
+    }
+
+    [Test]
+    [Arguments("text/html", "page.html")]
+    [Arguments("application/zip", "photos.zip")]
+    [Arguments("application/msword", "letter.doc")]
+    [Arguments("application/octet-stream", "setup.exe")]
+    [Arguments(null, null)]
+    public async Task CanPreview_WithUnsupportedFile_ShouldBeFalse(string? contentType, string? fileName)
+    {
+        // Act
+        var result = AttachmentPreviewTypes.CanPreview(contentType, fileName);
+
+        // Assert
+        await Assert.That(result).IsFalse();
+    }
+}
@@ -0,0 +1,196 @@
+using Seu.Mail.Core.Models.Calendar;
+using Seu.Mail.Web.Importing;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for turning events confirmed in the client-side import preview into calendar events
+/// </summary>
+public class CalendarImportEventTests
+{
+    private static CalendarImportEvent CreateEvent(
+        string title = "Planning",
+        DateTime? start = null,
+        DateTime? end = null,
+        bool isAllDay = false,
+        CalendarImportRecurrence? recurrence = null)
+    {
+        return new CalendarImportEvent(
+            "uid-1@example.com",
+            title,
+            start ?? new DateTime(2024, 3, 5, 9, 0, 0),
+            end ?? new DateTime(2024, 3, 5, 10, 30, 0),
+            isAllDay,
+            " Room 2 ",
+            "Quarterly goals",
+            "TENTATIVE",
+            "lead@example.com",
+            null,
+            recurrence,
+            new List<CalendarImportReminder> { new(15, false), new(1440, true) },
+            new List<CalendarImportAttendee>
+            {
+                new("ana@example.com", "Ana", false),
+                new("bo@example.com", null, true),
+                new(" ", "No address", false)
+            });
+    }
+
+    [Test]
+    public async Task ToCalendarEvent_ShouldCopyDetailsRemindersAndAttendees()
+    {
+        // Arrange
+        var importEvent = CreateEvent();
+
+        // Act
+        var result = importEvent.ToCalendarEvent(7);
+
+        // Assert
+        await Assert.That(result.AccountId).IsEqualTo(7);
+        await Assert.That(result.Title).IsEqualTo("Planning");
+        await Assert.That(result.StartDateTime).IsEqualTo(new DateTime(2024, 3, 5, 9, 0, 0));
+        await Assert.That(result.EndDateTime).IsEqualTo(new DateTime(2024, 3, 5, 10, 30, 0));
+        await Assert.That(result.Location).IsEqualTo("Room 2");
+        await Assert.That(result.Status).IsEqualTo(EventStatus.Tentative);
+        await Assert.That(result.Organizer).IsEqualTo("lead@example.com");
+        await Assert.That(result.ICalUid).IsEqualTo("uid-1@example.com");
+        await Assert.That(result.Recurrence).IsNull();
+
+        var reminders = result.Reminders.ToList();
+        await Assert.That(reminders.Count).IsEqualTo(2);
+        await Assert.That(reminders[0].MinutesBefore).IsEqualTo(15);
+        await Assert.That(reminders[0].Type).IsEqualTo(ReminderType.Notification);
+        await Assert.That(reminders[1].Type).IsEqualTo(ReminderType.Email);
+
+        var attendees = result.Attendees.ToList();
+        await Assert.That(attendees.Count).IsEqualTo(2); // the one without an address is left out
+        await Assert.That(attendees[0].DisplayName).IsEqualTo("Ana");
+        await Assert.That(attendees[0].Role).IsEqualTo(AttendeeRole.Required);
+        await Assert.That(attendees[1].Role).IsEqualTo(AttendeeRole.Optional);
+    }
+
+    [Test]
+    public async Task ToCalendarEvent_WithBlankTitleAndNoEnd_ShouldUsePlaceholderAndAnHour()
+    {
+        // Arrange
+        var start = new DateTime(2024, 3, 5, 9, 0, 0);
+        var importEvent = CreateEvent(title: "  ", start: start, end: start);
+
+        // Act
+        var result = importEvent.ToCalendarEvent(1);
+
+        // Assert
+        await Assert.That(result.Title).IsEqualTo("(No title)");
+        await Assert.That(result.EndDateTime).IsEqualTo(start.AddHours(1));
+        await Assert.That(result.IsValid()).IsTrue();
+    }
+
+    [Test]
+    public async Task ToCalendarEvent_AllDayWithNoEnd_ShouldLastTheWholeDay()
+    {
+        // Arrange
+        var start = new DateTime(2024, 12, 24);
+        var importEvent = CreateEvent(start: start, end: start, isAllDay: true);
+
+        // Act
+        var result = importEvent.ToCalendarEvent(1);
+
+        // Assert
+        await Assert.That(result.IsAllDay).IsTrue();
+        await Assert.That(result.EndDateTime).IsEqualTo(new DateTime(2024, 12, 24, 23, 59, 0));
+    }
+
+    [Test]
+    public async Task ToCalendarEvent_WithUnknownStatus_ShouldBeConfirmed()
+    {
+        // Arrange
+        var importEvent = CreateEvent() with { Status = "X-DRAFT" };
+
+        // Act
+        var result = importEvent.ToCalendarEvent(1);
+
+        // Assert
+        await Assert.That(result.Status).IsEqualTo(EventStatus.Confirmed);
+    }
+
+    [Test]
+    public async Task ToRecurrenceRule_Weekly_ShouldKeepDaysUntilAndExceptionDates()
+    {
+        // Arrange
+        var recurrence = new CalendarImportRecurrence(
+            "Weekly", 2, null, new DateTime(2024, 12, 31),
+            new List<DayOfWeek> { DayOfWeek.Monday, DayOfWeek.Wednesday, DayOfWeek.Monday },
+            null, null, null,
+            new List<DateOnly> { new(2024, 7, 15) });
+
+        // Act
+        var result = recurrence.ToRecurrenceRule();
+
+        // Assert
+        await Assert.That(result).IsNotNull();
+        await Assert.That(result!.Frequency).IsEqualTo(RecurrenceFrequency.Weekly);
+        await Assert.That(result.Interval).IsEqualTo(2);
+        await Assert.That(result.Until).IsEqualTo(new DateTime(2024, 12, 31));
+        await Assert.That(result.ByDayOfWeek).IsEqualTo("Monday,Wednesday");
+        await Assert.That(result.ExceptionDates).IsEqualTo("[\"2024-07-15\"]");
+    }
+
+    [Test]
+    public async Task ToRecurrenceRule_Monthly_ShouldKeepWeekOfMonthAndIgnoreWeekdays()
+    {
+        // Arrange
+        var recurrence = new CalendarImportRecurrence(
+            "Monthly", 0, 6, null, new List<DayOfWeek> { DayOfWeek.Tuesday }, 2, null, null, null);
+
+        // Act
+        var result = recurrence.ToRecurrenceRule();
+
+        // Assert
+        await Assert.That(result).IsNotNull();
+        await Assert.That(result!.Interval).IsEqualTo(1);
+        await Assert.That(result.Count).IsEqualTo(6);
+        await Assert.That(result.ByWeekOfMonth).IsEqualTo(2);
+        await Assert.That(result.ByDayOfWeek).IsNull();
+        await Assert.That(result.ExceptionDates).IsNull();
+    }
+
+    [Test]
+    [Arguments("Hourly")]
+    [Arguments("")]
+    [Arguments("7")]
+    public async Task ToRecurrenceRule_WithUnsupportedFrequency_ShouldReturnNull(string frequency)
+    {
+        // Arrange
+        var recurrence = new CalendarImportRecurrence(frequency, 1, null, null, null, null, null, null, null);
+
+        // Act
+        var result = recurrence.ToRecurrenceRule();
+
+        // Assert
+        await Assert.That(result).IsNull();
+    }
+
+    [Test]
+    public async Task FromEvent_ShouldCopyIdentityAndTimes()
+    {
+        // Arrange
+        var calendarEvent = new CalendarEvent
+        {
+            Id = 12,
+            Title = "",
+            ICalUid = " ",
+            StartDateTime = new DateTime(2024, 3, 5, 9, 0, 0),
+            EndDateTime = new DateTime(2024, 3, 5, 10, 0, 0)
+        };
+
+        // Act
+        var result = CalendarImportExistingEvent.FromEvent(calendarEvent);
+
+        // Assert
+        await Assert.That(result.Id).IsEqualTo(12);
+        await Assert.That(result.Uid).IsNull();
+        await Assert.That(result.Title).IsEqualTo("(No title)");
+        await Assert.That(result.Start).IsEqualTo(new DateTime(2024, 3, 5, 9, 0, 0));
+        await Assert.That(result.IsAllDay).IsFalse();
+    }
+}
@@ -0,0 +1,60 @@
+using Seu.Mail.Core.Models.Calendar;
+using Seu.Mail.Web.Printing;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for building the events sent to the client-side calendar print module
+/// </summary>
+public class CalendarPrintEventTests
+{
+    [Test]
+    public async Task FromEvent_ShouldCopyDetailsAndFormatAttendees()
+    {
+        // Arrange
+        var calendarEvent = new CalendarEvent
+        {
+            Title = "Planning",
+            StartDateTime = new DateTime(2024, 3, 5, 9, 0, 0),
+            EndDateTime = new DateTime(2024, 3, 5, 10, 30, 0),
+            Location = "Room 2",
+            Description = "Quarterly goals",
+            Color = "#28a745",
+            Attendees = new List<EventAttendee>
+            {
+                new() { Email = "ana@example.com", DisplayName = "Ana" },
+                new() { Email = "bo@example.com" }
+            }
+        };
+
+        // Act
+        var result = CalendarPrintEvent.FromEvent(calendarEvent);
+
+        // Assert
+        await Assert.That(result.Title).IsEqualTo("Planning");
+        await Assert.That(result.Start).IsEqualTo(new DateTime(2024, 3, 5, 9, 0, 0));
+        await Assert.That(result.End).IsEqualTo(new DateTime(2024, 3, 5, 10, 30, 0));
+        await Assert.That(result.Location).IsEqualTo("Room 2");
+        await Assert.That(result.Description).IsEqualTo("Quarterly goals");
+        await Assert.That(result.Color).IsEqualTo("#28a745");
+        await Assert.That(result.Attendees.Count).IsEqualTo(2);
+        await Assert.That(result.Attendees[0]).IsEqualTo("Ana <ana@example.com>");
+        await Assert.That(result.Attendees[1]).IsEqualTo("bo@example.com");
+    }
+
+    [Test]
+    public async Task FromEvent_WithBlankFields_ShouldUsePlaceholderTitleAndLeaveOthersOut()
+    {
+        // Arrange
+        var calendarEvent = new CalendarEvent { Title = " ", Location = "", Description = "  " };
+
+        // Act
+        var result = CalendarPrintEvent.FromEvent(calendarEvent);
+
+        // Assert
+        await Assert.That(result.Title).IsEqualTo("(No title)");
+        await Assert.That(result.Location).IsNull();
+        await Assert.That(result.Description).IsNull();
+        await Assert.That(result.Attendees.Count).IsEqualTo(0);
+    }
+}
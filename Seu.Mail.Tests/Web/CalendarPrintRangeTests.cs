@@ -0,0 +1,64 @@
+using Seu.Mail.Core.Models.Calendar;
+using Seu.Mail.Web.Printing;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for the date ranges offered and accepted by the calendar print dialog
+/// </summary>
+public class CalendarPrintRangeTests
+{
+    [Test]
+    public async Task ForView_WithMonthView_ShouldCoverTheWholeMonth()
+    {
+        // Act
+        var (start, end, layout) = CalendarPrintRange.ForView(
+            CalendarViewType.Month, new DateTime(2024, 2, 14), DayOfWeek.Monday);
+
+        // Assert
+        await Assert.That(start).IsEqualTo(new DateOnly(2024, 2, 1));
+        await Assert.That(end).IsEqualTo(new DateOnly(2024, 2, 29));
+        await Assert.That(layout).IsEqualTo(CalendarPrintLayout.Month);
+    }
+
+    [Test]
+    [Arguments(DayOfWeek.Monday, 11)]
+    [Arguments(DayOfWeek.Sunday, 10)]
+    public async Task ForView_WithWeekView_ShouldStartOnFirstDayOfWeek(DayOfWeek firstDayOfWeek, int expectedStartDay)
+    {
+        // Act
+        var (start, end, layout) = CalendarPrintRange.ForView(
+            CalendarViewType.Week, new DateTime(2024, 3, 14), firstDayOfWeek); // a Thursday
+
+        // Assert
+        await Assert.That(start).IsEqualTo(new DateOnly(2024, 3, expectedStartDay));
+        await Assert.That(end).IsEqualTo(new DateOnly(2024, 3, expectedStartDay + 6));
+        await Assert.That(layout).IsEqualTo(CalendarPrintLayout.Week);
+    }
+
+    [Test]
+    public async Task ForView_WithDayView_ShouldPrintThatDayAsAnAgenda()
+    {
+        // Act
+        var (start, end, layout) = CalendarPrintRange.ForView(
+            CalendarViewType.Day, new DateTime(2024, 3, 14, 15, 0, 0), DayOfWeek.Monday);
+
+        // Assert
+        await Assert.That(start).IsEqualTo(new DateOnly(2024, 3, 14));
+        await Assert.That(end).IsEqualTo(new DateOnly(2024, 3, 14));
+        await Assert.That(layout).IsEqualTo(CalendarPrintLayout.Agenda);
+    }
+
+    [Test]
+    public async Task Validate_ShouldRejectReversedAndOverlongRanges()
+    {
+        // Arrange
+        var start = new DateOnly(2024, 1, 1);
+
+        // Act & Assert
+        await Assert.That(CalendarPrintRange.Validate(start, start)).IsNull();
+        await Assert.That(CalendarPrintRange.Validate(start, start.AddDays(CalendarPrintRange.MaxDays - 1))).IsNull();
+        await Assert.That(CalendarPrintRange.Validate(start, start.AddDays(-1))).IsNotNull();
+        await Assert.That(CalendarPrintRange.Validate(start, start.AddDays(CalendarPrintRange.MaxDays))).IsNotNull();
+    }
+}
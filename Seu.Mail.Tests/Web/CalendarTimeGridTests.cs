@@ -0,0 +1,50 @@
+using Seu.Mail.Web.Components.Calendar;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for CalendarTimeGrid date/time formatting shared with calendar-time-grid.js
+/// </summary>
+public class CalendarTimeGridTests
+{
+    [Test]
+    public async Task FormatDateTime_ShouldUseMinutePrecisionLocalFormat()
+    {
+        // Arrange
+        var dateTime = new DateTime(2024, 3, 5, 9, 30, 45);
+
+        // Act
+        var result = CalendarTimeGrid.FormatDateTime(dateTime);
+
+        // Assert
+        await Assert.That(result).IsEqualTo("2024-03-05T09:30");
+    }
+
+    [Test]
+    public async Task TryParseDateTime_WithFormattedValue_ShouldRoundTrip()
+    {
+        // Arrange
+        var dateTime = new DateTime(2024, 12, 31, 23, 15, 0);
+
+        // Act
+        var success = CalendarTimeGrid.TryParseDateTime(CalendarTimeGrid.FormatDateTime(dateTime), out var result);
+
+        // Assert
+        await Assert.That(success).IsTrue();
+        await Assert.That(result).IsEqualTo(dateTime);
+    }
+
+    [Test]
+    [Arguments(null)]
+    [Arguments("")]
+    [Arguments("2024-03-05")]
+    [Arguments("2024-03-05T9:30")]
+    public async Task TryParseDateTime_WithInvalidValue_ShouldReturnFalse(string? value)
+    {
+        // Act
+        var success = CalendarTimeGrid.TryParseDateTime(value, out _);
+
+        // Assert
+        await Assert.That(success).IsFalse();
+    }
+}
@@ -0,0 +1,55 @@
+using Seu.Mail.Core.Models;
+using Seu.Mail.Core.Models.Calendar;
+using Seu.Mail.Web.Dates;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for the options date-format.js is configured with
+/// </summary>
+public class DateFormatOptionsTests
+{
+    [Test]
+    public async Task Create_WithoutCalendarSettings_ShouldLeaveClockToLocale()
+    {
+        // Arrange
+        var settings = new UserSettings { Locale = "en-GB", TimeZone = "Europe/London" };
+
+        // Act
+        var result = DateFormatOptions.Create(settings, null);
+
+        // Assert
+        await Assert.That(result.Locale).IsEqualTo("en-GB");
+        await Assert.That(result.TimeZone).IsEqualTo("Europe/London");
+        await Assert.That(result.Hour12).IsNull();
+    }
+
+    [Test]
+    [Arguments(true, false)]
+    [Arguments(false, true)]
+    public async Task Create_WithCalendarSettings_ShouldFollowTheirClock(bool use24HourFormat, bool expectedHour12)
+    {
+        // Arrange
+        var calendarSettings = new CalendarSettings { Use24HourFormat = use24HourFormat };
+
+        // Act
+        var result = DateFormatOptions.Create(new UserSettings(), calendarSettings);
+
+        // Assert
+        await Assert.That(result.Hour12).IsEqualTo(expectedHour12);
+    }
+
+    [Test]
+    public async Task Create_WithUnknownLocaleAndTimeZone_ShouldUseBrowserDefaults()
+    {
+        // Arrange
+        var settings = new UserSettings { Locale = "xx-nope", TimeZone = "Mars/Olympus_Mons" };
+
+        // Act
+        var result = DateFormatOptions.Create(settings, null);
+
+        // Assert
+        await Assert.That(result.Locale).IsNull();
+        await Assert.That(result.TimeZone).IsNull();
+    }
+}
@@ -0,0 +1,95 @@
+using Seu.Mail.Web.Dates;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for the helpers behind timestamps formatted in the browser
+/// </summary>
+public class DateFormattingTests
+{
+    [Test]
+    [Arguments(DateTimeKind.Unspecified)]
+    [Arguments(DateTimeKind.Utc)]
+    public async Task ToUtcIso_WithStoredDate_ShouldTreatItAsUtc(DateTimeKind kind)
+    {
+        // Arrange
+        var value = new DateTime(2026, 10, 19, 23, 30, 15, kind);
+
+        // Act
+        var result = DateFormatting.ToUtcIso(value);
+
+        // Assert
+        await Assert.That(result).IsEqualTo("2026-10-19T23:30:15Z");
+    }
+
+    [Test]
+    public async Task ToUtcIso_WithLocalDate_ShouldConvertToUtc()
+    {
+        // Arrange
+        var utc = new DateTime(2026, 3, 1, 8, 0, 0, DateTimeKind.Utc);
+
+        // Act
+        var result = DateFormatting.ToUtcIso(utc.ToLocalTime());
+
+        // Assert
+        await Assert.That(result).IsEqualTo("2026-03-01T08:00:00Z");
+    }
+
+    [Test]
+    [Arguments(DateFormatting.DateStyle, "2026-10-19")]
+    [Arguments(DateFormatting.RelativeStyle, "2026-10-19 14:05 UTC")]
+    [Arguments(DateFormatting.DateTimeStyle, "2026-10-19 14:05 UTC")]
+    public async Task FormatFallback_ShouldShowUtcDateAndTimeUnlessDateOnly(string format, string expected)
+    {
+        // Act
+        var result = DateFormatting.FormatFallback(new DateTime(2026, 10, 19, 14, 5, 0), format);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(expected);
+    }
+
+    [Test]
+    [Arguments("en-gb", "en-GB")]
+    [Arguments(" pt-PT ", "pt-PT")]
+    [Arguments("not a locale", null)]
+    [Arguments("", null)]
+    [Arguments(null, null)]
+    public async Task NormalizeLocale_ShouldReturnKnownCultureNamesOnly(string? locale, string? expected)
+    {
+        // Act
+        var result = DateFormatting.NormalizeLocale(locale);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(expected);
+    }
+
+    [Test]
+    [Arguments("Europe/Lisbon", "Europe/Lisbon")]
+    [Arguments("W. Europe Standard Time", "Europe/Berlin")]
+    [Arguments("Not/A_Zone", null)]
+    [Arguments(" ", null)]
+    [Arguments(null, null)]
+    public async Task NormalizeTimeZone_ShouldReturnIanaIds(string? timeZone, string? expected)
+    {
+        // Act
+        var result = DateFormatting.NormalizeTimeZone(timeZone);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(expected);
+    }
+
+    [Test]
+    public async Task GetTimeZoneChoices_ShouldListEachIanaIdOnceFromWestToEast()
+    {
+        // Act
+        var result = DateFormatting.GetTimeZoneChoices();
+
+        // Assert
+        await Assert.That(result.Count).IsGreaterThan(0);
+        await Assert.That(result.Select(c => c.Key).Distinct().Count()).IsEqualTo(result.Count);
+        await Assert.That(result.All(c => DateFormatting.NormalizeTimeZone(c.Key) == c.Key)).IsTrue();
+
+        var offsets = result.Select(c => TimeZoneInfo.FindSystemTimeZoneById(c.Key).BaseUtcOffset).ToList();
+        await Assert.That(offsets.SequenceEqual(offsets.Order())).IsTrue();
+    }
+}
@@ -0,0 +1,92 @@
+using Seu.Mail.Core.Models;
+using Seu.Mail.Core.Models.Calendar;
+using Seu.Mail.Web.Notifications;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for building the notifications sent to the client-side notification module
+/// </summary>
+public class DesktopNotificationTests
+{
+    [Test]
+    public async Task ForReminder_ShouldLinkToEventDayAndOfferSnoozeAndDismiss()
+    {
+        // Arrange
+        var reminder = new EventReminder
+        {
+            Id = 7,
+            MinutesBefore = 15,
+            CalendarEvent = new CalendarEvent
+            {
+                Id = 42,
+                Title = "Design review",
+                Location = "Room 2",
+                StartDateTime = new DateTime(2025, 3, 14, 9, 30, 0)
+            }
+        };
+
+        // Act
+        var result = DesktopNotification.ForReminder(reminder, 5);
+
+        // Assert
+        await Assert.That(result.Kind).IsEqualTo(DesktopNotification.ReminderKind);
+        await Assert.That(result.Id).IsEqualTo(7);
+        await Assert.That(result.Title).IsEqualTo("Design review");
+        await Assert.That(result.Body).Contains("09:30");
+        await Assert.That(result.Body).Contains("Room 2");
+        await Assert.That(result.Url).IsEqualTo("/calendar/day/2025/3/14?eventId=42");
+        await Assert.That(result.RequireInteraction).IsTrue();
+        await Assert.That(result.Actions.Count).IsEqualTo(2);
+        await Assert.That(result.Actions[0].Action).IsEqualTo(DesktopNotification.SnoozeAction);
+        await Assert.That(result.Actions[1].Action).IsEqualTo(DesktopNotification.DismissAction);
+    }
+
+    [Test]
+    public async Task ForReminder_WithCustomMessage_ShouldShowMessageBeforeTime()
+    {
+        // Arrange
+        var reminder = new EventReminder
+        {
+            Id = 3,
+            CustomMessage = "Bring the slides",
+            CalendarEvent = new CalendarEvent
+            {
+                Id = 9,
+                Title = "Offsite",
+                IsAllDay = true,
+                StartDateTime = new DateTime(2025, 6, 2)
+            }
+        };
+
+        // Act
+        var result = DesktopNotification.ForReminder(reminder, 10);
+
+        // Assert
+        await Assert.That(result.Body).StartsWith("Bring the slides\n");
+        await Assert.That(result.Body).Contains("All day");
+        await Assert.That(result.Actions[0].Title).IsEqualTo("Snooze 10 min");
+    }
+
+    [Test]
+    public async Task ForEmail_ShouldUseSenderNameAndLinkToMessage()
+    {
+        // Arrange
+        var email = new EmailMessage
+        {
+            Id = 128,
+            From = "\"Jane Doe\" <jane@example.com>",
+            Subject = ""
+        };
+
+        // Act
+        var result = DesktopNotification.ForEmail(email);
+
+        // Assert
+        await Assert.That(result.Kind).IsEqualTo(DesktopNotification.MailKind);
+        await Assert.That(result.Title).IsEqualTo("Jane Doe");
+        await Assert.That(result.Body).IsEqualTo("(No subject)");
+        await Assert.That(result.Url).IsEqualTo("/email/128");
+        await Assert.That(result.Actions).IsEmpty();
+    }
+}
@@ -0,0 +1,77 @@
+using Seu.Mail.Core.Models;
+using Seu.Mail.Web.Downloads;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for building safe and unique file names for downloads
+/// </summary>
+public class DownloadFileNamesTests
+{
+    [Test]
+    [Arguments("report.pdf", "report.pdf")]
+    [Arguments("Q1: plan/notes?.txt", "Q1_ plan_notes_.txt")]
+    [Arguments("  draft.docx. ", "draft.docx")]
+    [Arguments("line\nbreak.txt", "line_break.txt")]
+    [Arguments("", "download")]
+    [Arguments("???", "download")]
+    public async Task Sanitize_ShouldReplaceCharactersNotAllowedInFileNames(string fileName, string expected)
+    {
+        // Act
+        var result = DownloadFileNames.Sanitize(fileName);
+
+        // Assert
+        await Assert.That(result).IsEqualTo(expected);
+    }
+
+    [Test]
+    public async Task Sanitize_WithLongName_ShouldShortenAndKeepExtension()
+    {
+        // Arrange
+        var fileName = new string('a', 300) + ".pdf";
+
+        // Act
+        var result = DownloadFileNames.Sanitize(fileName);
+
+        // Assert
+        await Assert.That(result.Length).IsEqualTo(120);
+        await Assert.That(result).EndsWith("a.pdf");
+    }
+
+    [Test]
+    public async Task MakeUnique_ShouldNumberRepeatsIgnoringCase()
+    {
+        // Act
+        var result = DownloadFileNames.MakeUnique(["scan.jpg", "Scan.jpg", "notes", "scan.jpg", "notes", "scan (2).jpg"]);
+
+        // Assert
+        await Assert.That(string.Join("|", result))
+            .IsEqualTo("scan.jpg|Scan (2).jpg|notes|scan (3).jpg|notes (2)|scan (2) (2).jpg");
+    }
+
+    [Test]
+    public async Task ForEmail_ShouldUseDateAndSubject()
+    {
+        // Arrange
+        var email = new EmailMessage { Subject = "Re: Budget <draft>", DateSent = new DateTime(2024, 3, 5, 9, 30, 0) };
+
+        // Act
+        var result = DownloadFileNames.ForEmail(email);
+
+        // Assert
+        await Assert.That(result).IsEqualTo("2024-03-05 0930 Re_ Budget _draft_.eml");
+    }
+
+    [Test]
+    public async Task ForAttachments_WithoutSubject_ShouldUsePlaceholder()
+    {
+        // Arrange
+        var email = new EmailMessage { Subject = " " };
+
+        // Act
+        var result = DownloadFileNames.ForAttachments(email);
+
+        // Assert
+        await Assert.That(result).IsEqualTo("(No subject) - attachments.zip");
+    }
+}
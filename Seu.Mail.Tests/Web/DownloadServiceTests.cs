@@ -0,0 +1,99 @@
+using Microsoft.JSInterop;
+using Microsoft.JSInterop.Infrastructure;
+using NSubstitute;
+using Seu.Mail.Web.Downloads;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for streaming downloads and ZIP contents to the client-side download manager
+/// </summary>
+public class DownloadServiceTests
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly DownloadService _downloadService;
+
+    public DownloadServiceTests()
+    {
+        _jsRuntime = Substitute.For<IJSRuntime>();
+        _downloadService = new DownloadService(_jsRuntime);
+    }
+
+    [Test]
+    public async Task DownloadAsync_ShouldSendSanitizedNameAndSize()
+    {
+        // Arrange
+        object?[]? args = null;
+        _jsRuntime.InvokeAsync<IJSVoidResult>("downloadManager.save", Arg.Any<CancellationToken>(),
+                Arg.Any<object?[]?>())
+            .Returns(callInfo =>
+            {
+                args = callInfo.ArgAt<object?[]?>(2);
+                return new ValueTask<IJSVoidResult>(Substitute.For<IJSVoidResult>());
+            });
+
+        // Act
+        await _downloadService.DownloadAsync("notes: march.txt", "text/plain", [1, 2, 3, 4]);
+
+        // Assert
+        await Assert.That(args).IsNotNull();
+        await Assert.That(args![0]).IsEqualTo("notes_ march.txt");
+        await Assert.That(args[1]).IsEqualTo("text/plain");
+        await Assert.That(args[2]).IsTypeOf<DotNetStreamReference>();
+        await Assert.That(args[3]!.GetType().GetProperty("size")!.GetValue(args[3])).IsEqualTo(4L);
+    }
+
+    [Test]
+    public async Task DownloadZipAsync_ShouldServeEntriesOnlyWhileTheZipIsBuilt()
+    {
+        // Arrange
+        var names = new List<string>();
+        var contents = new List<byte[]>();
+        string? archiveId = null;
+
+        // Reads every file back the way the browser does while building the ZIP.
+        async Task<IJSVoidResult> BuildZipAsync(object?[] args)
+        {
+            archiveId = (string)args[2]!;
+            foreach (var entry in (System.Collections.IEnumerable)args[3]!)
+                names.Add((string)entry.GetType().GetProperty("fileName")!.GetValue(entry)!);
+
+            for (var index = 0; index < names.Count; index++)
+            {
+                using var reference = await _downloadService.OpenDownloadEntry(archiveId, index);
+                var content = new MemoryStream();
+                await reference!.Stream.CopyToAsync(content);
+                contents.Add(content.ToArray());
+            }
+
+            return Substitute.For<IJSVoidResult>();
+        }
+
+        _jsRuntime.InvokeAsync<IJSVoidResult>("downloadManager.saveZip", Arg.Any<CancellationToken>(),
+                Arg.Any<object?[]?>())
+            .Returns(callInfo => new ValueTask<IJSVoidResult>(BuildZipAsync(callInfo.ArgAt<object?[]?>(2)!)));
+
+        // Act
+        await _downloadService.DownloadZipAsync("all.zip", [
+            DownloadEntry.FromBytes("photo.jpg", [1]),
+            DownloadEntry.FromBytes("photo.jpg", [2, 3])
+        ]);
+        var afterwards = await _downloadService.OpenDownloadEntry(archiveId!, 0);
+
+        // Assert
+        await Assert.That(string.Join("|", names)).IsEqualTo("photo.jpg|photo (2).jpg");
+        await Assert.That(contents[1].Length).IsEqualTo(2);
+        await Assert.That(afterwards).IsNull();
+    }
+
+    [Test]
+    public async Task DownloadZipAsync_WithNoEntries_ShouldNotCallClient()
+    {
+        // Act
+        await _downloadService.DownloadZipAsync("all.zip", []);
+
+        // Assert
+        _ = _jsRuntime.DidNotReceiveWithAnyArgs()
+            .InvokeAsync<IJSVoidResult>(default!, default(CancellationToken), default);
+    }
+}
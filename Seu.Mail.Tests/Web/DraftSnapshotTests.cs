@@ -0,0 +1,55 @@
+using Seu.Mail.Web.Autosave;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for keying and comparing autosaved compose snapshots
+/// </summary>
+public class DraftSnapshotTests
+{
+    [Test]
+    [Arguments(null, null, null, null, "3:new")]
+    [Arguments(12, null, null, null, "3:draft-12")]
+    [Arguments(null, 5, null, null, "3:reply-5")]
+    [Arguments(null, null, 5, null, "3:reply-all-5")]
+    [Arguments(null, null, null, 5, "3:forward-5")]
+    public async Task GetKey_ShouldIdentifyAccountAndDraft(int? draftId, int? replyTo, int? replyAllTo,
+        int? forwarded, string expected)
+    {
+        // Act
+        var key = DraftSnapshot.GetKey(3, draftId, replyTo, replyAllTo, forwarded);
+
+        // Assert
+        await Assert.That(key).IsEqualTo(expected);
+    }
+
+    [Test]
+    public async Task IsNewerThan_WithoutServerDraft_ShouldBeTrue()
+    {
+        // Arrange
+        var snapshot = new DraftSnapshot { SavedAt = 0 };
+
+        // Act
+        var isNewer = snapshot.IsNewerThan(null);
+
+        // Assert
+        await Assert.That(isNewer).IsTrue();
+    }
+
+    [Test]
+    [Arguments(-1, true)]
+    [Arguments(1, false)]
+    public async Task IsNewerThan_ShouldCompareWithServerDraftTime(int serverOffsetMinutes, bool expected)
+    {
+        // Arrange
+        var savedAt = new DateTimeOffset(2024, 3, 1, 12, 0, 0, TimeSpan.Zero);
+        var snapshot = new DraftSnapshot { SavedAt = savedAt.ToUnixTimeMilliseconds() };
+        var serverSavedAt = savedAt.UtcDateTime.AddMinutes(serverOffsetMinutes);
+
+        // Act
+        var isNewer = snapshot.IsNewerThan(serverSavedAt);
+
+        // Assert
+        await Assert.That(isNewer).IsEqualTo(expected);
+    }
+}
@@ -0,0 +1,79 @@
+using MimeKit;
+using Seu.Mail.Core.Models;
+using Seu.Mail.Web.Downloads;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for writing stored emails as .eml files
+/// </summary>
+public class EmailMessageExportTests
+{
+    private static EmailMessage CreateEmail()
+    {
+        return new EmailMessage
+        {
+            MessageId = "<abc@example.com>",
+            From = "Ana Silva <ana@example.com>",
+            To = "bo@example.com; Cy <cy@example.com>",
+            Subject = "Quarterly report",
+            TextBody = "See attached.",
+            HtmlBody = "<p>See attached.</p>",
+            InReplyTo = "<parent@example.com>",
+            References = "<root@example.com> <parent@example.com>",
+            DateSent = new DateTime(2024, 3, 5, 9, 30, 0, DateTimeKind.Utc),
+            Attachments = new List<EmailAttachment>
+            {
+                new() { FileName = "report.pdf", ContentType = "application/pdf", Content = [1, 2, 3] },
+                new() { FileName = "missing.zip", ContentType = "application/zip" }
+            }
+        };
+    }
+
+    [Test]
+    public async Task ToEml_ShouldKeepHeadersBodiesAndAvailableAttachments()
+    {
+        // Arrange
+        var email = CreateEmail();
+
+        // Act
+        var eml = EmailMessageExport.ToEml(email);
+        var message = MimeMessage.Load(new MemoryStream(eml));
+
+        // Assert
+        await Assert.That(message.MessageId).IsEqualTo("abc@example.com");
+        await Assert.That(message.From.Mailboxes.Single().Address).IsEqualTo("ana@example.com");
+        await Assert.That(message.To.Mailboxes.Count()).IsEqualTo(2);
+        await Assert.That(message.Subject).IsEqualTo("Quarterly report");
+        await Assert.That(message.Date).IsEqualTo(new DateTimeOffset(2024, 3, 5, 9, 30, 0, TimeSpan.Zero));
+        await Assert.That(message.InReplyTo).IsEqualTo("parent@example.com");
+        await Assert.That(message.References.Count).IsEqualTo(2);
+        await Assert.That(message.TextBody.Trim()).IsEqualTo("See attached.");
+        await Assert.That(message.HtmlBody).Contains("<p>See attached.</p>");
+
+        var attachments = message.Attachments.OfType<MimePart>().ToList();
+        await Assert.That(attachments.Count).IsEqualTo(1); // the one without content is left out
+        await Assert.That(attachments[0].FileName).IsEqualTo("report.pdf");
+    }
+
+    [Test]
+    public async Task ToDownloadEntries_ShouldListOldestFirstAndWriteOnOpen()
+    {
+        // Arrange
+        var newer = CreateEmail();
+        var older = CreateEmail();
+        older.Subject = "Kickoff";
+        older.DateSent = new DateTime(2024, 1, 2, 8, 0, 0);
+
+        // Act
+        var entries = EmailMessageExport.ToDownloadEntries([newer, older]);
+        await using var stream = await entries[0].OpenAsync();
+        var message = await MimeMessage.LoadAsync(stream);
+
+        // Assert
+        await Assert.That(entries.Count).IsEqualTo(2);
+        await Assert.That(entries[0].FileName).IsEqualTo("2024-01-02 0800 Kickoff.eml");
+        await Assert.That(entries[0].Size).IsNull();
+        await Assert.That(message.Subject).IsEqualTo("Kickoff");
+    }
+}
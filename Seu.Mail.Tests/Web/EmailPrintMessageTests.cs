@@ -0,0 +1,75 @@
+using NSubstitute;
+using Seu.Mail.Contracts.Services;
+using Seu.Mail.Core.Models;
+using Seu.Mail.Web.Printing;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for building the messages sent to the client-side print pipeline
+/// </summary>
+public class EmailPrintMessageTests
+{
+    private readonly IHtmlUtilityService _mockHtmlUtility = Substitute.For<IHtmlUtilityService>();
+
+    [Test]
+    public async Task FromEmail_WithHtmlShown_ShouldUseHtmlBodyAndListNonInlineAttachments()
+    {
+        // Arrange
+        var email = new EmailMessage
+        {
+            Subject = "Report",
+            From = "sender@example.com",
+            To = "recipient@example.com",
+            Cc = "cc@example.com",
+            HtmlBody = "<p>Hello</p>",
+            Attachments = new List<EmailAttachment>
+            {
+                new() { FileName = "report.pdf", Size = 2048 },
+                new() { FileName = "logo.png", Size = 512, IsInline = true }
+            }
+        };
+
+        // Act
+        var result = EmailPrintMessage.FromEmail(email, _mockHtmlUtility, true);
+
+        // Assert
+        await Assert.That(result.IsHtml).IsTrue();
+        await Assert.That(result.Body).IsEqualTo("<p>Hello</p>");
+        await Assert.That(result.Cc).IsEqualTo("cc@example.com");
+        await Assert.That(result.Bcc).IsNull();
+        await Assert.That(result.Attachments.Count).IsEqualTo(1);
+        await Assert.That(result.Attachments[0].FileName).IsEqualTo("report.pdf");
+    }
+
+    [Test]
+    public async Task FromEmail_WithHtmlHidden_ShouldConvertHtmlToText()
+    {
+        // Arrange
+        var email = new EmailMessage { Subject = "Report", HtmlBody = "<p>Hello</p>" };
+        _mockHtmlUtility.ConvertHtmlToText("<p>Hello</p>", true).Returns("Hello");
+
+        // Act
+        var result = EmailPrintMessage.FromEmail(email, _mockHtmlUtility, false);
+
+        // Assert
+        await Assert.That(result.IsHtml).IsFalse();
+        await Assert.That(result.Body).IsEqualTo("Hello");
+    }
+
+    [Test]
+    public async Task FromEmail_WithoutContent_ShouldUsePlaceholders()
+    {
+        // Arrange
+        var email = new EmailMessage();
+
+        // Act
+        var result = EmailPrintMessage.FromEmail(email, _mockHtmlUtility, true);
+
+        // Assert
+        await Assert.That(result.Subject).IsEqualTo("No Subject");
+        await Assert.That(result.From).IsEqualTo("Unknown Sender");
+        await Assert.That(result.Body).IsEqualTo("This email has no content to display.");
+        await Assert.That(result.IsHtml).IsFalse();
+    }
+}
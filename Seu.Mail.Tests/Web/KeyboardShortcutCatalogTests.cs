@@ -0,0 +1,124 @@
+using Seu.Mail.Core.Models;
+using Seu.Mail.Web.Shortcuts;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for KeyboardShortcutCatalog default bindings and user overrides
+/// </summary>
+public class KeyboardShortcutCatalogTests
+{
+    [Test]
+    public async Task Defaults_ShouldHaveUniqueIds()
+    {
+        // Act
+        var ids = KeyboardShortcutCatalog.Defaults.Select(s => s.Id).ToList();
+
+        // Assert
+        await Assert.That(ids.Distinct().Count()).IsEqualTo(ids.Count);
+    }
+
+    [Test]
+    public async Task GetBindings_WithoutOverrides_ShouldReturnDefaultsForScope()
+    {
+        // Arrange
+        var settings = new UserSettings();
+
+        // Act
+        var bindings = KeyboardShortcutCatalog.GetBindings(KeyboardShortcutCatalog.ReaderScope, settings);
+
+        // Assert
+        await Assert.That(bindings).IsNotEmpty();
+        await Assert.That(bindings.All(b => b.Scope == KeyboardShortcutCatalog.ReaderScope)).IsTrue();
+        await Assert.That(bindings.First(b => b.Id == "reader.next").Keys).IsEqualTo("j, ArrowDown, ArrowRight");
+    }
+
+    [Test]
+    public async Task GetBindings_ListScope_ShouldIncludeSelectionShortcuts()
+    {
+        // Arrange
+        var settings = new UserSettings();
+
+        // Act
+        var bindings = KeyboardShortcutCatalog.GetBindings(KeyboardShortcutCatalog.ListScope, settings);
+
+        // Assert
+        await Assert.That(bindings.First(b => b.Id == "list.extendDown").Keys).IsEqualTo("Shift+ArrowDown, Shift+j");
+        await Assert.That(bindings.First(b => b.Id == "list.toggleSelection").Keys).IsEqualTo("x");
+        await Assert.That(bindings.First(b => b.Id == "list.selectAll").Keys).IsEqualTo("Mod+a");
+        await Assert.That(bindings.First(b => b.Id == "list.contextMenu").Keys).IsEqualTo("Shift+F10, ContextMenu");
+    }
+
+    [Test]
+    public async Task GetBindings_WithOverride_ShouldReplaceKeys()
+    {
+        // Arrange
+        var settings = new UserSettings
+        {
+            KeyboardShortcuts = "{\"global.goInbox\":\"g h\"}"
+        };
+
+        // Act
+        var bindings = KeyboardShortcutCatalog.GetBindings(KeyboardShortcutCatalog.GlobalScope, settings);
+
+        // Assert
+        await Assert.That(bindings.First(b => b.Id == "global.goInbox").Keys).IsEqualTo("g h");
+        await Assert.That(bindings.First(b => b.Id == "global.goSent").Keys).IsEqualTo("g s");
+    }
+
+    [Test]
+    [Arguments(null)]
+    [Arguments("")]
+    [Arguments("not json")]
+    public async Task ParseOverrides_WithMissingOrInvalidJson_ShouldReturnEmpty(string? json)
+    {
+        // Act
+        var overrides = KeyboardShortcutCatalog.ParseOverrides(json);
+
+        // Assert
+        await Assert.That(overrides).IsEmpty();
+    }
+
+    [Test]
+    public async Task ParseOverrides_ShouldIgnoreUnknownIdsAndBlankKeys()
+    {
+        // Arrange
+        var json = "{\"unknown.shortcut\":\"x\",\"reader.back\":\"  \",\"reader.next\":\" n \"}";
+
+        // Act
+        var overrides = KeyboardShortcutCatalog.ParseOverrides(json);
+
+        // Assert
+        await Assert.That(overrides.Count).IsEqualTo(1);
+        await Assert.That(overrides["reader.next"]).IsEqualTo("n");
+    }
+
+    [Test]
+    public async Task SerializeOverrides_WithOnlyDefaults_ShouldReturnNull()
+    {
+        // Arrange
+        var keys = KeyboardShortcutCatalog.Defaults.ToDictionary(s => s.Id, s => s.Keys);
+
+        // Act
+        var json = KeyboardShortcutCatalog.SerializeOverrides(keys);
+
+        // Assert
+        await Assert.That(json).IsNull();
+    }
+
+    [Test]
+    public async Task SerializeOverrides_ShouldRoundTripChangedBindings()
+    {
+        // Arrange
+        var keys = KeyboardShortcutCatalog.Defaults.ToDictionary(s => s.Id, s => s.Keys);
+        keys["calendar.today"] = "Shift+t";
+
+        // Act
+        var json = KeyboardShortcutCatalog.SerializeOverrides(keys);
+        var parsed = KeyboardShortcutCatalog.ParseOverrides(json);
+
+        // Assert
+        await Assert.That(parsed.Count).IsEqualTo(1);
+        await Assert.That(parsed["calendar.today"]).IsEqualTo("Shift+t");
+    }
+}
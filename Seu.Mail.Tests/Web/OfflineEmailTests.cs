@@ -0,0 +1,83 @@
+using Seu.Mail.Core.Models;
+using Seu.Mail.Core.Models.Calendar;
+using Seu.Mail.Web.Offline;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for the copies of emails and events saved for offline use
+/// </summary>
+public class OfflineEmailTests
+{
+    private static EmailMessage CreateEmail(string? textBody, string? htmlBody)
+    {
+        return new EmailMessage
+        {
+            Id = 7,
+            AccountId = 2,
+            Folder = "INBOX",
+            From = "Jane <jane@example.com>",
+            To = "me@example.com",
+            Subject = "Quarterly report",
+            DateReceived = new DateTime(2024, 3, 1, 9, 30, 0),
+            HasAttachments = true,
+            TextBody = textBody,
+            HtmlBody = htmlBody
+        };
+    }
+
+    [Test]
+    public async Task HeaderOf_ShouldLeaveBodiesEmpty()
+    {
+        // Arrange
+        var email = CreateEmail("Hello", "<p>Hello</p>");
+
+        // Act
+        var offline = OfflineEmail.HeaderOf(email);
+
+        // Assert
+        await Assert.That(offline.Subject).IsEqualTo("Quarterly report");
+        await Assert.That(offline.Date).IsEqualTo(email.DateReceived);
+        await Assert.That(offline.HasAttachments).IsTrue();
+        await Assert.That(offline.TextBody).IsNull();
+        await Assert.That(offline.HtmlBody).IsNull();
+    }
+
+    [Test]
+    public async Task Of_ShouldSaveMissingBodiesAsEmpty()
+    {
+        // Arrange
+        var email = CreateEmail("Hello", null);
+
+        // Act
+        var offline = OfflineEmail.Of(email);
+
+        // Assert
+        await Assert.That(offline.TextBody).IsEqualTo("Hello");
+        await Assert.That(offline.HtmlBody).IsEqualTo(string.Empty);
+    }
+
+    [Test]
+    public async Task OfflineEvent_ShouldKeepLocalTimes()
+    {
+        // Arrange
+        var calendarEvent = new CalendarEvent
+        {
+            Id = 3,
+            AccountId = 2,
+            Title = "Standup",
+            Location = "Room 1",
+            StartDateTime = new DateTime(2024, 3, 1, 9, 0, 0),
+            EndDateTime = new DateTime(2024, 3, 1, 9, 15, 0)
+        };
+
+        // Act
+        var offline = OfflineEvent.Of(calendarEvent);
+
+        // Assert
+        await Assert.That(offline.Start).IsEqualTo(calendarEvent.StartDateTime);
+        await Assert.That(offline.End).IsEqualTo(calendarEvent.EndDateTime);
+        await Assert.That(offline.Color).IsEqualTo("#007bff");
+        await Assert.That(offline.IsAllDay).IsFalse();
+    }
+}
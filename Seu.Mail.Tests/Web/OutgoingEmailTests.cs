@@ -0,0 +1,77 @@
+using Seu.Mail.Core.Models;
+using Seu.Mail.Web.Undo;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for turning a held compose form into what is sent
+/// </summary>
+public class OutgoingEmailTests
+{
+    [Test]
+    [Arguments(true, "Hello<p>-- Me</p>")]
+    [Arguments(false, "Hello")]
+    public async Task GetBodyToSend_ShouldAddSignatureOnlyWhenIncluded(bool includeSignature, string expected)
+    {
+        // Arrange
+        var email = new OutgoingEmail
+        {
+            Body = "Hello",
+            Signature = "<p>-- Me</p>",
+            IncludeSignature = includeSignature
+        };
+
+        // Act
+        var body = email.GetBodyToSend();
+
+        // Assert
+        await Assert.That(body).IsEqualTo(expected);
+        await Assert.That(email.Body).IsEqualTo("Hello");
+    }
+
+    [Test]
+    public async Task Addresses_ShouldBeSplitOnSemicolonsAndTrimmed()
+    {
+        // Arrange
+        var email = new OutgoingEmail
+        {
+            To = " a@example.com; ;b@example.com ",
+            Cc = "c@example.com ; d@example.com",
+            Bcc = " ; "
+        };
+
+        // Act
+        var to = email.GetToAddresses();
+        var cc = email.GetCcToSend();
+        var bcc = email.GetBccToSend();
+
+        // Assert
+        await Assert.That(string.Join("|", to)).IsEqualTo("a@example.com|b@example.com");
+        await Assert.That(cc).IsEqualTo("c@example.com,d@example.com");
+        await Assert.That(bcc).IsNull();
+    }
+
+    [Test]
+    public async Task GetAttachmentsToSend_ShouldDropInlineImagesNoLongerInBody()
+    {
+        // Arrange
+        var email = new OutgoingEmail
+        {
+            Body = "<p><img src=\"cid:kept\"></p>",
+            IsHtml = true,
+            Attachments =
+            [
+                new EmailAttachment { FileName = "kept.png", ContentId = "kept", IsInline = true },
+                new EmailAttachment { FileName = "removed.png", ContentId = "removed", IsInline = true },
+                new EmailAttachment { FileName = "report.pdf" }
+            ]
+        };
+
+        // Act
+        var attachments = email.GetAttachmentsToSend();
+
+        // Assert
+        await Assert.That(string.Join(",", attachments.Select(a => a.FileName))).IsEqualTo("kept.png,report.pdf");
+        await Assert.That(email.Attachments.Count).IsEqualTo(3);
+    }
+}
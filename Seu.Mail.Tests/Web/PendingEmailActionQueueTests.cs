@@ -0,0 +1,123 @@
+using NSubstitute;
+using Seu.Mail.Contracts.Services;
+using Seu.Mail.Core.Models;
+using Seu.Mail.Web.Undo;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for holding email actions until they are committed or undone
+/// </summary>
+public class PendingEmailActionQueueTests
+{
+    private readonly IEmailService _emailService;
+    private readonly PendingEmailActionQueue _queue;
+
+    public PendingEmailActionQueueTests()
+    {
+        _emailService = Substitute.For<IEmailService>();
+        _emailService.DeleteEmailAsync(Arg.Any<int>(), Arg.Any<CancellationToken>()).Returns(true);
+        _queue = new PendingEmailActionQueue(_emailService);
+    }
+
+    [Test]
+    public async Task Add_ShouldRemoveEmailsFromListWithoutCallingService()
+    {
+        // Arrange
+        var emails = CreateEmails(1, 2, 3, 4);
+
+        // Act
+        var action = _queue.Add(PendingEmailActionType.Delete, emails, new[] { 2, 4 });
+
+        // Assert
+        await Assert.That(action).IsNotNull();
+        await Assert.That(action!.Description).IsEqualTo("Deleted 2 emails");
+        await Assert.That(string.Join(",", emails.Select(e => e.Id))).IsEqualTo("1,3");
+        _ = _emailService.DidNotReceive().DeleteEmailAsync(Arg.Any<int>(), Arg.Any<CancellationToken>());
+    }
+
+    [Test]
+    public async Task Undo_ShouldPutEmailsBackInTheirOriginalPositions()
+    {
+        // Arrange
+        var emails = CreateEmails(1, 2, 3, 4, 5);
+        var action = _queue.Add(PendingEmailActionType.Archive, emails, new[] { 1, 3, 5 })!;
+
+        // Act
+        var undone = _queue.Undo(action.Id, emails);
+        var committed = await _queue.CommitAsync(action.Id);
+
+        // Assert
+        await Assert.That(undone).IsTrue();
+        await Assert.That(committed).IsFalse();
+        await Assert.That(string.Join(",", emails.Select(e => e.Id))).IsEqualTo("1,2,3,4,5");
+        _ = _emailService.DidNotReceive().ArchiveEmailAsync(Arg.Any<int>(), Arg.Any<CancellationToken>());
+    }
+
+    [Test]
+    public async Task CommitAsync_ShouldCarryOutActionOnlyOnce()
+    {
+        // Arrange
+        var emails = CreateEmails(1, 2);
+        var action = _queue.Add(PendingEmailActionType.Delete, emails, new[] { 1, 2 })!;
+
+        // Act
+        var first = await _queue.CommitAsync(action.Id);
+        await _queue.CommitAllAsync();
+        var undone = _queue.Undo(action.Id, emails);
+
+        // Assert
+        await Assert.That(first).IsTrue();
+        await Assert.That(undone).IsFalse();
+        await Assert.That(emails).IsEmpty();
+        _ = _emailService.Received(1).DeleteEmailAsync(1, Arg.Any<CancellationToken>());
+        _ = _emailService.Received(1).DeleteEmailAsync(2, Arg.Any<CancellationToken>());
+    }
+
+    [Test]
+    public async Task CommitAsync_ShouldReportOnlyEmailsItWasCarriedOutFor()
+    {
+        // Arrange
+        _emailService.DeleteEmailAsync(2, Arg.Any<CancellationToken>()).Returns(false);
+        var reported = new List<int>();
+        var queue = new PendingEmailActionQueue(_emailService, ids =>
+        {
+            reported.AddRange(ids);
+            return Task.CompletedTask;
+        });
+        var emails = CreateEmails(1, 2, 3);
+        var action = queue.Add(PendingEmailActionType.Delete, emails, new[] { 1, 2, 3 })!;
+
+        // Act
+        var committed = await queue.CommitAsync(action.Id);
+
+        // Assert
+        await Assert.That(committed).IsFalse();
+        await Assert.That(string.Join(",", reported)).IsEqualTo("1,3");
+    }
+
+    [Test]
+    public async Task RemovePending_ShouldKeepEmailsHiddenInReloadedList()
+    {
+        // Arrange
+        var emails = CreateEmails(1, 2, 3, 4);
+        var deleted = _queue.Add(PendingEmailActionType.Delete, emails, new[] { 2 })!;
+        var archived = _queue.Add(PendingEmailActionType.Archive, emails, new[] { 4 })!;
+        await _queue.CommitAsync(archived.Id);
+        var reloaded = CreateEmails(1, 2, 3, 4);
+
+        // Act
+        var removed = _queue.RemovePending(reloaded);
+        var undone = _queue.Undo(deleted.Id, reloaded);
+
+        // Assert
+        await Assert.That(removed).IsEqualTo(1);
+        await Assert.That(undone).IsTrue();
+        await Assert.That(string.Join(",", reloaded.Select(e => e.Id))).IsEqualTo("1,2,3,4");
+    }
+
+    private static List<EmailMessage> CreateEmails(params int[] ids)
+    {
+        return ids.Select(id => new EmailMessage { Id = id, Subject = $"Email {id}" }).ToList();
+    }
+}
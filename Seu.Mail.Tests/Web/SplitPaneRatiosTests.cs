@@ -0,0 +1,55 @@
+using Seu.Mail.Core.Models;
+using Seu.Mail.Web.Panes;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for the split pane sizes kept in user settings
+/// </summary>
+public class SplitPaneRatiosTests
+{
+    [Test]
+    [Arguments(null)]
+    [Arguments("")]
+    [Arguments("not json")]
+    public async Task Get_WithoutStoredRatio_ShouldReturnLayoutDefault(string? json)
+    {
+        // Act
+        var right = SplitPaneRatios.Get(json, EmailLayoutMode.SplitRight);
+        var bottom = SplitPaneRatios.Get(json, EmailLayoutMode.SplitBottom);
+
+        // Assert
+        await Assert.That(right).IsEqualTo(0.3);
+        await Assert.That(bottom).IsEqualTo(0.4);
+    }
+
+    [Test]
+    public async Task Set_ShouldKeepOtherLayoutsAndRoundTrip()
+    {
+        // Arrange
+        var json = SplitPaneRatios.Set(null, EmailLayoutMode.SplitRight, 0.45678);
+
+        // Act
+        json = SplitPaneRatios.Set(json, EmailLayoutMode.SplitBottom, 0.6);
+
+        // Assert
+        await Assert.That(SplitPaneRatios.Get(json, EmailLayoutMode.SplitRight)).IsEqualTo(0.457);
+        await Assert.That(SplitPaneRatios.Get(json, EmailLayoutMode.SplitBottom)).IsEqualTo(0.6);
+    }
+
+    [Test]
+    [Arguments(0.01, SplitPaneRatios.MinRatio)]
+    [Arguments(0.99, SplitPaneRatios.MaxRatio)]
+    public async Task SetAndGet_ShouldClampOutOfRangeRatios(double ratio, double expected)
+    {
+        // Arrange
+        var outOfRange = $"{{\"SplitRight\":{ratio.ToString(System.Globalization.CultureInfo.InvariantCulture)}}}";
+
+        // Act
+        var stored = SplitPaneRatios.Set(null, EmailLayoutMode.SplitRight, ratio);
+
+        // Assert
+        await Assert.That(SplitPaneRatios.Get(stored, EmailLayoutMode.SplitRight)).IsEqualTo(expected);
+        await Assert.That(SplitPaneRatios.Get(outOfRange, EmailLayoutMode.SplitRight)).IsEqualTo(expected);
+    }
+}
@@ -0,0 +1,88 @@
+using Microsoft.JSInterop;
+using NSubstitute;
+using Seu.Mail.Web.Notifications;
+
+namespace Seu.Mail.Tests.Web;
+
+/// <summary>
+/// Tests for showing toasts through the client-side toast service and running their callbacks
+/// </summary>
+public class ToastServiceTests
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly ToastService _toastService;
+    private object? _lastPayload;
+
+    public ToastServiceTests()
+    {
+        _jsRuntime = Substitute.For<IJSRuntime>();
+        _jsRuntime.InvokeAsync<string>("toastService.show", Arg.Any<object?[]?>())
+            .Returns(callInfo =>
+            {
+                _lastPayload = callInfo.ArgAt<object?[]?>(1)![0];
+                return new ValueTask<string>((string)GetPayloadValue("id")!);
+            });
+        _toastService = new ToastService(_jsRuntime);
+    }
+
+    [Test]
+    public async Task ShowAsync_ShouldSendTypeAsLowercaseNameWithoutCallbackReference()
+    {
+        // Act
+        var toastId = await _toastService.ShowAsync("Folder synced", ToastType.Success, "Done");
+
+        // Assert
+        await Assert.That(toastId).StartsWith("toast-");
+        await Assert.That(GetPayloadValue("type")).IsEqualTo("success");
+        await Assert.That(GetPayloadValue("title")).IsEqualTo("Done");
+        await Assert.That(GetPayloadValue("message")).IsEqualTo("Folder synced");
+        await Assert.That(GetPayloadValue("dotNetRef")).IsNull();
+    }
+
+    [Test]
+    public async Task OnToastClosed_WithAction_ShouldRunActionThenClosedCallback()
+    {
+        // Arrange
+        var calls = new List<string>();
+        var toastId = await _toastService.ShowAsync(new ToastOptions
+        {
+            Message = "Email deleted",
+            Actions = [new ToastAction("Undo", () => { calls.Add("undo"); return Task.CompletedTask; })],
+            OnClosed = reason => { calls.Add(reason.ToString()); return Task.CompletedTask; }
+        });
+
+        // Act
+        await _toastService.OnToastClosed(toastId, "action", "0");
+        await _toastService.OnToastClosed(toastId, "timeout", null);
+
+        // Assert
+        await Assert.That(GetPayloadValue("dotNetRef")).IsNotNull();
+        await Assert.That(string.Join(",", calls)).IsEqualTo("undo,Action");
+    }
+
+    [Test]
+    public async Task OnToastClosed_ByTimeout_ShouldNotRunActions()
+    {
+        // Arrange
+        var undone = false;
+        ToastCloseReason? closedBy = null;
+        var toastId = await _toastService.ShowAsync(new ToastOptions
+        {
+            Message = "Email archived",
+            Actions = [new ToastAction("Undo", () => { undone = true; return Task.CompletedTask; })],
+            OnClosed = reason => { closedBy = reason; return Task.CompletedTask; }
+        });
+
+        // Act
+        await _toastService.OnToastClosed(toastId, "timeout", null);
+
+        // Assert
+        await Assert.That(undone).IsFalse();
+        await Assert.That(closedBy).IsEqualTo(ToastCloseReason.Timeout);
+    }
+
+    private object? GetPayloadValue(string name)
+    {
+        return _lastPayload!.GetType().GetProperty(name)!.GetValue(_lastPayload);
+    }
+}
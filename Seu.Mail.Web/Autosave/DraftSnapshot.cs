@@ -0,0 +1,87 @@
+namespace Seu.Mail.Web.Autosave;
+
+/// <summary>
+/// A copy of the compose form saved in the browser by compose-autosave.js, offered back when Compose is opened
+/// for the same draft after the page was closed or the connection lost before the email was sent or discarded.
+/// </summary>
+public record DraftSnapshot
+{
+    /// <summary>Gets the key the snapshot is stored under (see <see cref="GetKey"/>).</summary>
+    public string Key { get; init; } = string.Empty;
+
+    /// <summary>Gets the ID of the account selected in the form.</summary>
+    public int AccountId { get; init; }
+
+    /// <summary>Gets the To field.</summary>
+    public string To { get; init; } = string.Empty;
+
+    /// <summary>Gets the CC field, if it was shown.</summary>
+    public string? Cc { get; init; }
+
+    /// <summary>Gets the BCC field, if it was shown.</summary>
+    public string? Bcc { get; init; }
+
+    /// <summary>Gets the subject.</summary>
+    public string Subject { get; init; } = string.Empty;
+
+    /// <summary>Gets the body, without the signature.</summary>
+    public string Body { get; init; } = string.Empty;
+
+    /// <summary>Gets whether the body is HTML.</summary>
+    public bool IsHtml { get; init; }
+
+    /// <summary>Gets whether the signature was to be included.</summary>
+    public bool IncludeSignature { get; init; }
+
+    /// <summary>Gets the attachments in the form. Only their details are kept, not their contents.</summary>
+    public IReadOnlyList<DraftAttachmentInfo> Attachments { get; init; } = [];
+
+    /// <summary>Gets when the snapshot was taken, in milliseconds since the Unix epoch.</summary>
+    public long SavedAt { get; init; }
+
+    /// <summary>Gets when the snapshot was taken.</summary>
+    public DateTimeOffset SavedAtTime => DateTimeOffset.FromUnixTimeMilliseconds(SavedAt);
+
+    /// <summary>
+    /// Gets the key for the compose form opened for an account and a draft, reply or forward. A new email has one
+    /// key per account.
+    /// </summary>
+    /// <param name="accountId">The account the form was opened with.</param>
+    /// <param name="draftId">The server draft being edited, if any.</param>
+    /// <param name="replyTo">The email being replied to, if any.</param>
+    /// <param name="replyAllTo">The email being replied to all, if any.</param>
+    /// <param name="forwarded">The email being forwarded, if any.</param>
+    /// <returns>The key.</returns>
+    public static string GetKey(int accountId, int? draftId = null, int? replyTo = null, int? replyAllTo = null,
+        int? forwarded = null)
+    {
+        var draft = draftId.HasValue ? $"draft-{draftId}"
+            : replyTo.HasValue ? $"reply-{replyTo}"
+            : replyAllTo.HasValue ? $"reply-all-{replyAllTo}"
+            : forwarded.HasValue ? $"forward-{forwarded}"
+            : "new";
+        return $"{accountId}:{draft}";
+    }
+
+    /// <summary>
+    /// Gets whether the snapshot holds changes the server draft doesn't have.
+    /// </summary>
+    /// <param name="serverDraftSavedAt">When the server draft was last saved (UTC), or <c>null</c> if there is
+    /// none.</param>
+    /// <returns>True if the snapshot was taken after the server draft was saved.</returns>
+    public bool IsNewerThan(DateTime? serverDraftSavedAt)
+    {
+        if (!serverDraftSavedAt.HasValue) return true;
+
+        var savedAt = DateTime.SpecifyKind(serverDraftSavedAt.Value, DateTimeKind.Utc);
+        return SavedAtTime.UtcDateTime > savedAt;
+    }
+}
+
+/// <summary>
+/// An attachment listed in a <see cref="DraftSnapshot"/>.
+/// </summary>
+/// <param name="FileName">The file name.</param>
+/// <param name="ContentType">The MIME type.</param>
+/// <param name="Size">The size in bytes.</param>
+public record DraftAttachmentInfo(string FileName, string ContentType, long Size);
@@ -0,0 +1,52 @@
+using System.Globalization;
+
+namespace Seu.Mail.Web.Components.Calendar;
+
+/// <summary>
+/// Formats and parses the local date/time values exchanged with the client-side time grid
+/// (calendar-time-grid.js) through <c>data-datetime</c> attributes and drag callbacks.
+/// </summary>
+public static class CalendarTimeGrid
+{
+    /// <summary>
+    /// The date/time format used in slot attributes and drag callbacks (local time, minute precision).
+    /// </summary>
+    public const string DateTimeFormat = "yyyy-MM-ddTHH:mm";
+
+    /// <summary>
+    /// The date format used for day column attributes.
+    /// </summary>
+    public const string DateFormat = "yyyy-MM-dd";
+
+    /// <summary>
+    /// Formats a date/time for a <c>data-datetime</c> attribute.
+    /// </summary>
+    /// <param name="dateTime">The date/time to format.</param>
+    /// <returns>The formatted value, e.g. "2024-03-15T09:30".</returns>
+    public static string FormatDateTime(DateTime dateTime)
+    {
+        return dateTime.ToString(DateTimeFormat, CultureInfo.InvariantCulture);
+    }
+
+    /// <summary>
+    /// Formats a date for a <c>data-date</c> attribute.
+    /// </summary>
+    /// <param name="date">The date to format.</param>
+    /// <returns>The formatted value, e.g. "2024-03-15".</returns>
+    public static string FormatDate(DateTime date)
+    {
+        return date.ToString(DateFormat, CultureInfo.InvariantCulture);
+    }
+
+    /// <summary>
+    /// Parses a date/time sent back by the client-side time grid.
+    /// </summary>
+    /// <param name="value">The value in <see cref="DateTimeFormat"/>.</param>
+    /// <param name="dateTime">The parsed local date/time.</param>
+    /// <returns>True if the value was valid.</returns>
+    public static bool TryParseDateTime(string? value, out DateTime dateTime)
+    {
+        return DateTime.TryParseExact(value, DateTimeFormat, CultureInfo.InvariantCulture,
+            DateTimeStyles.None, out dateTime);
+    }
+}
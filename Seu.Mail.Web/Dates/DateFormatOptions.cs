@@ -0,0 +1,27 @@
+using Seu.Mail.Core.Models;
+using Seu.Mail.Core.Models.Calendar;
+
+namespace Seu.Mail.Web.Dates;
+
+/// <summary>
+/// The options passed to <c>dateFormat.configure</c> in date-format.js. Null values use the browser's own.
+/// </summary>
+/// <param name="Locale">The culture name to format dates with.</param>
+/// <param name="TimeZone">The IANA time zone to show dates in.</param>
+/// <param name="Hour12">Whether times use a 12-hour clock.</param>
+public record DateFormatOptions(string? Locale, string? TimeZone, bool? Hour12)
+{
+    /// <summary>
+    /// Builds the options from the user's settings and the 12/24-hour choice in their calendar settings.
+    /// </summary>
+    /// <param name="settings">The user's settings.</param>
+    /// <param name="calendarSettings">The default account's calendar settings, if it has any.</param>
+    /// <returns>The options, with unknown locales and time zones left to the browser.</returns>
+    public static DateFormatOptions Create(UserSettings settings, CalendarSettings? calendarSettings)
+    {
+        return new DateFormatOptions(
+            DateFormatting.NormalizeLocale(settings.Locale),
+            DateFormatting.NormalizeTimeZone(settings.TimeZone),
+            calendarSettings == null ? null : !calendarSettings.Use24HourFormat);
+    }
+}
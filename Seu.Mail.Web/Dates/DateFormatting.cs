@@ -0,0 +1,111 @@
+using System.Globalization;
+
+namespace Seu.Mail.Web.Dates;
+
+/// <summary>
+/// Helpers for timestamps formatted in the browser by date-format.js, in the user's locale and time zone.
+/// </summary>
+public static class DateFormatting
+{
+    /// <summary>"Now", "5 min. ago", the time today, "Yesterday", the weekday within a week, then the date.</summary>
+    public const string RelativeStyle = "relative";
+
+    /// <summary>The date alone, at medium length (e.g., "Oct 19, 2026").</summary>
+    public const string DateStyle = "medium";
+
+    /// <summary>The time alone, in the user's 12 or 24-hour clock.</summary>
+    public const string TimeStyle = "time";
+
+    /// <summary>A medium date and the time.</summary>
+    public const string DateTimeStyle = "datetime";
+
+    /// <summary>
+    /// Gets the value of a <c>datetime</c> attribute for a stored date. Dates are stored in UTC, and Entity
+    /// Framework reads them back with an unspecified kind, so only local dates are converted.
+    /// </summary>
+    /// <param name="value">The stored date and time.</param>
+    /// <returns>The date and time as an ISO 8601 UTC string (e.g., "2026-10-19T14:05:00Z").</returns>
+    public static string ToUtcIso(DateTime value)
+    {
+        var utc = value.Kind == DateTimeKind.Local
+            ? value.ToUniversalTime()
+            : DateTime.SpecifyKind(value, DateTimeKind.Utc);
+        return utc.ToString("yyyy-MM-dd'T'HH:mm:ss'Z'", CultureInfo.InvariantCulture);
+    }
+
+    /// <summary>
+    /// Gets the text shown until date-format.js formats a timestamp, such as while the page is prerendered.
+    /// </summary>
+    /// <param name="value">The stored date and time.</param>
+    /// <param name="format">The date-format.js style the timestamp is shown in.</param>
+    /// <returns>The date (and time, unless the style is a date alone) in UTC.</returns>
+    public static string FormatFallback(DateTime value, string format)
+    {
+        var iso = ToUtcIso(value);
+        return format == DateStyle ? iso[..10] : $"{iso[..10]} {iso[11..16]} UTC";
+    }
+
+    /// <summary>
+    /// Gets the culture name to format dates with, if the stored locale is one .NET knows.
+    /// </summary>
+    /// <param name="locale">The locale from the user's settings.</param>
+    /// <returns>The culture name in its usual casing, or null to use the browser's locale.</returns>
+    public static string? NormalizeLocale(string? locale)
+    {
+        if (string.IsNullOrWhiteSpace(locale)) return null;
+
+        try
+        {
+            var culture = CultureInfo.GetCultureInfo(locale.Trim(), predefinedOnly: true);
+            return string.IsNullOrEmpty(culture.Name) ? null : culture.Name;
+        }
+        catch (CultureNotFoundException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Gets the IANA time zone to format dates in. Windows time zone IDs are converted, since browsers only
+    /// know IANA ones.
+    /// </summary>
+    /// <param name="timeZone">The time zone from the user's settings.</param>
+    /// <returns>The IANA time zone ID, or null to use the browser's time zone.</returns>
+    public static string? NormalizeTimeZone(string? timeZone)
+    {
+        if (string.IsNullOrWhiteSpace(timeZone)) return null;
+
+        timeZone = timeZone.Trim();
+        if (TimeZoneInfo.TryConvertWindowsIdToIanaId(timeZone, out var ianaId)) return ianaId;
+        return TimeZoneInfo.TryFindSystemTimeZoneById(timeZone, out var zone) && zone.HasIanaId ? zone.Id : null;
+    }
+
+    /// <summary>
+    /// Gets the locales the user can choose from, by their own name for themselves.
+    /// </summary>
+    /// <returns>Pairs of culture name and native display name, in display name order.</returns>
+    public static IReadOnlyList<KeyValuePair<string, string>> GetLocaleChoices()
+    {
+        return CultureInfo.GetCultures(CultureTypes.SpecificCultures)
+            .Where(c => !string.IsNullOrEmpty(c.Name))
+            .Select(c => new KeyValuePair<string, string>(c.Name, $"{c.NativeName} ({c.Name})"))
+            .OrderBy(c => c.Value, StringComparer.CurrentCultureIgnoreCase)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Gets the time zones the user can choose from, with the IDs browsers understand.
+    /// </summary>
+    /// <returns>Pairs of IANA ID and display name, from west to east.</returns>
+    public static IReadOnlyList<KeyValuePair<string, string>> GetTimeZoneChoices()
+    {
+        return TimeZoneInfo.GetSystemTimeZones()
+            .Select(zone => (Id: NormalizeTimeZone(zone.Id), Zone: zone))
+            .Where(z => z.Id != null)
+            .DistinctBy(z => z.Id)
+            .OrderBy(z => z.Zone.BaseUtcOffset)
+            .ThenBy(z => z.Zone.DisplayName, StringComparer.Ordinal)
+            .Select(z => new KeyValuePair<string, string>(z.Id!, z.Zone.DisplayName))
+            .ToList();
+    }
+}
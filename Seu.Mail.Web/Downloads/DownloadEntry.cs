@@ -0,0 +1,45 @@
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Downloads;
+
+/// <summary>
+/// A file to save through the client-side download manager (download-manager.js), on its own or inside a ZIP.
+/// The content is only opened when the browser asks for it, and is streamed rather than sent as one message.
+/// </summary>
+/// <param name="FileName">The file name to save under.</param>
+/// <param name="Size">The size in bytes, if known, for the progress bar.</param>
+/// <param name="LastModified">The date stored with the file in a ZIP, if any.</param>
+/// <param name="OpenAsync">Opens the content; the stream is closed once the browser has read it.</param>
+public record DownloadEntry(string FileName, long? Size, DateTime? LastModified, Func<Task<Stream>> OpenAsync)
+{
+    /// <summary>
+    /// Creates an entry for content already in memory.
+    /// </summary>
+    /// <param name="fileName">The file name to save under.</param>
+    /// <param name="content">The file content.</param>
+    /// <param name="lastModified">The date stored with the file in a ZIP, if any.</param>
+    /// <returns>The entry.</returns>
+    public static DownloadEntry FromBytes(string fileName, byte[] content, DateTime? lastModified = null)
+    {
+        return new DownloadEntry(fileName, content.Length, lastModified,
+            () => Task.FromResult<Stream>(new MemoryStream(content, false)));
+    }
+
+    /// <summary>
+    /// Creates an entry for an email attachment, read from memory or from the file it was saved to.
+    /// </summary>
+    /// <param name="attachment">The attachment.</param>
+    /// <param name="lastModified">The date stored with the file in a ZIP, if any.</param>
+    /// <returns>The entry, or <c>null</c> if the attachment's content isn't available.</returns>
+    public static DownloadEntry? FromAttachment(EmailAttachment attachment, DateTime? lastModified = null)
+    {
+        if (attachment.Content != null) return FromBytes(attachment.FileName, attachment.Content, lastModified);
+
+        var path = attachment.LocalPath;
+        if (string.IsNullOrEmpty(path) || !File.Exists(path)) return null;
+
+        return new DownloadEntry(attachment.FileName, attachment.Size > 0 ? attachment.Size : null, lastModified,
+            () => Task.FromResult<Stream>(new FileStream(path, FileMode.Open, FileAccess.Read, FileShare.Read,
+                81920, true)));
+    }
+}
@@ -0,0 +1,80 @@
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Downloads;
+
+/// <summary>
+/// Builds file names that are safe to save on any platform and unique within a ZIP.
+/// </summary>
+public static class DownloadFileNames
+{
+    private const int MaxLength = 120;
+    private static readonly char[] InvalidChars = ['\\', '/', ':', '*', '?', '"', '<', '>', '|'];
+
+    /// <summary>
+    /// Replaces characters that aren't allowed in file names and shortens long names, keeping the extension.
+    /// </summary>
+    /// <param name="fileName">The file name.</param>
+    /// <param name="fallback">The name to use when nothing is left.</param>
+    /// <returns>The safe file name.</returns>
+    public static string Sanitize(string? fileName, string fallback = "download")
+    {
+        var chars = (fileName ?? "")
+            .Select(c => char.IsControl(c) || InvalidChars.Contains(c) ? '_' : c)
+            .ToArray();
+        // Windows drops trailing dots and spaces, which would change the extension.
+        var name = new string(chars).Trim().TrimEnd('.', ' ');
+        if (name.Length == 0 || name.All(c => c == '_' || c == '.')) return fallback;
+        if (name.Length <= MaxLength) return name;
+
+        var extension = Path.GetExtension(name);
+        if (extension.Length > 16) extension = "";
+        return name[..(MaxLength - extension.Length)].TrimEnd('.', ' ') + extension;
+    }
+
+    /// <summary>
+    /// Sanitizes names and numbers repeats ("report (2).pdf"), ignoring case, so no file in a ZIP replaces another.
+    /// </summary>
+    /// <param name="fileNames">The file names, in order.</param>
+    /// <returns>The unique names, in the same order.</returns>
+    public static IReadOnlyList<string> MakeUnique(IEnumerable<string?> fileNames)
+    {
+        var used = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        var result = new List<string>();
+
+        foreach (var fileName in fileNames)
+        {
+            var name = Sanitize(fileName);
+            var baseName = Path.GetFileNameWithoutExtension(name);
+            var extension = Path.GetExtension(name);
+            for (var number = 2; !used.Add(name); number++) name = $"{baseName} ({number}){extension}";
+            result.Add(name);
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// The name of an email saved as an .eml file: the date sent and the subject.
+    /// </summary>
+    /// <param name="email">The email.</param>
+    /// <returns>For example "2024-03-05 0930 Quarterly report.eml".</returns>
+    public static string ForEmail(EmailMessage email)
+    {
+        return Sanitize($"{email.DateSent:yyyy-MM-dd HHmm} {SubjectOf(email)}") + ".eml";
+    }
+
+    /// <summary>
+    /// The name of the ZIP holding all of an email's attachments.
+    /// </summary>
+    /// <param name="email">The email.</param>
+    /// <returns>For example "Quarterly report - attachments.zip".</returns>
+    public static string ForAttachments(EmailMessage email)
+    {
+        return Sanitize($"{SubjectOf(email)} - attachments") + ".zip";
+    }
+
+    private static string SubjectOf(EmailMessage email)
+    {
+        return string.IsNullOrWhiteSpace(email.Subject) ? "(No subject)" : email.Subject.Trim();
+    }
+}
@@ -0,0 +1,93 @@
+using Microsoft.JSInterop;
+
+namespace Seu.Mail.Web.Downloads;
+
+/// <summary>
+/// Saves files through the client-side download manager. Content goes to the browser as a
+/// <see cref="DotNetStreamReference"/>, so large files aren't sent over the circuit as a single message.
+/// Registered per circuit, so the browser asks this circuit for the files in a ZIP.
+/// </summary>
+public sealed class DownloadService : IDownloadService, IDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly Dictionary<string, IReadOnlyList<DownloadEntry>> _archives = new();
+    private DotNetObjectReference<DownloadService>? _reference;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="DownloadService"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JS runtime of the current circuit.</param>
+    public DownloadService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <inheritdoc />
+    public Task DownloadAsync(string fileName, string contentType, byte[] content)
+    {
+        return DownloadAsync(DownloadEntry.FromBytes(fileName, content), contentType);
+    }
+
+    /// <inheritdoc />
+    public async Task DownloadAsync(DownloadEntry entry, string contentType)
+    {
+        var stream = await entry.OpenAsync();
+        using var streamReference = new DotNetStreamReference(stream);
+
+        // Large files take longer than the default interop timeout to read, so none is used; the user can
+        // cancel from the progress toast instead.
+        await _jsRuntime.InvokeVoidAsync("downloadManager.save", CancellationToken.None,
+            DownloadFileNames.Sanitize(entry.FileName), contentType, streamReference,
+            new { size = entry.Size ?? (stream.CanSeek ? (long?)stream.Length : null) });
+    }
+
+    /// <inheritdoc />
+    public async Task DownloadZipAsync(string zipName, IReadOnlyList<DownloadEntry> entries)
+    {
+        if (entries.Count == 0) return;
+
+        var archiveId = $"zip-{Guid.NewGuid():N}";
+        var names = DownloadFileNames.MakeUnique(entries.Select(entry => entry.FileName));
+        _reference ??= DotNetObjectReference.Create(this);
+        _archives[archiveId] = entries;
+
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("downloadManager.saveZip", CancellationToken.None,
+                DownloadFileNames.Sanitize(zipName, "download.zip"), _reference, archiveId,
+                entries.Select((entry, index) => new
+                {
+                    fileName = names[index],
+                    size = entry.Size,
+                    lastModified = entry.LastModified
+                }).ToList());
+        }
+        finally
+        {
+            _archives.Remove(archiveId);
+        }
+    }
+
+    /// <summary>
+    /// Called by the client for the content of each file in a ZIP it is building.
+    /// </summary>
+    /// <param name="archiveId">The ID passed to <c>downloadManager.saveZip</c>.</param>
+    /// <param name="index">The file's position in the ZIP.</param>
+    /// <returns>The content, or <c>null</c> if the ZIP is no longer being built or has no such file.</returns>
+    [JSInvokable]
+    public async Task<DotNetStreamReference?> OpenDownloadEntry(string archiveId, int index)
+    {
+        if (!_archives.TryGetValue(archiveId, out var entries) || index < 0 || index >= entries.Count) return null;
+
+        return new DotNetStreamReference(await entries[index].OpenAsync());
+    }
+
+    /// <summary>
+    /// Releases the reference the client uses to read the files in a ZIP.
+    /// </summary>
+    public void Dispose()
+    {
+        _archives.Clear();
+        _reference?.Dispose();
+    }
+}
@@ -0,0 +1,85 @@
+using MimeKit;
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Downloads;
+
+/// <summary>
+/// Writes stored emails as .eml files (RFC 5322), which other mail programs can open.
+/// </summary>
+public static class EmailMessageExport
+{
+    /// <summary>
+    /// Writes an email, with the attachments whose content is available, as an .eml file.
+    /// </summary>
+    /// <param name="email">The email.</param>
+    /// <returns>The file content.</returns>
+    public static byte[] ToEml(EmailMessage email)
+    {
+        var message = new MimeMessage { Subject = email.Subject ?? "" };
+        AddAddresses(message.From, email.From);
+        AddAddresses(message.To, email.To);
+        AddAddresses(message.Cc, email.Cc);
+        message.Date = new DateTimeOffset(email.DateSent);
+
+        var messageId = email.MessageId?.Trim().Trim('<', '>');
+        if (!string.IsNullOrEmpty(messageId)) message.MessageId = messageId;
+
+        var inReplyTo = email.InReplyTo?.Trim().Trim('<', '>');
+        if (!string.IsNullOrEmpty(inReplyTo)) message.InReplyTo = inReplyTo;
+
+        foreach (var reference in (email.References ?? "").Split([' ', '\t', '\r', '\n', ','],
+                     StringSplitOptions.RemoveEmptyEntries))
+            message.References.Add(reference.Trim('<', '>'));
+
+        var body = new BodyBuilder { TextBody = email.TextBody, HtmlBody = email.HtmlBody };
+        foreach (var attachment in email.Attachments)
+        {
+            var content = attachment.Content ?? ReadLocalFile(attachment.LocalPath);
+            if (content == null) continue;
+
+            var contentType = ContentType.TryParse(attachment.ContentType, out var parsed)
+                ? parsed
+                : new ContentType("application", "octet-stream");
+            var fileName = DownloadFileNames.Sanitize(attachment.FileName, "attachment");
+            var part = attachment.IsInline && !string.IsNullOrEmpty(attachment.ContentId)
+                ? body.LinkedResources.Add(fileName, content, contentType)
+                : body.Attachments.Add(fileName, content, contentType);
+            if (attachment.IsInline && !string.IsNullOrEmpty(attachment.ContentId))
+                part.ContentId = attachment.ContentId.Trim('<', '>');
+        }
+
+        message.Body = body.ToMessageBody();
+
+        using var stream = new MemoryStream();
+        message.WriteTo(stream);
+        return stream.ToArray();
+    }
+
+    /// <summary>
+    /// Lists emails as .eml files for a ZIP, oldest first. Each file is written when the browser asks for it, so
+    /// only one is in memory at a time.
+    /// </summary>
+    /// <param name="emails">The emails.</param>
+    /// <returns>The entries, named by date and subject.</returns>
+    public static IReadOnlyList<DownloadEntry> ToDownloadEntries(IEnumerable<EmailMessage> emails)
+    {
+        return emails
+            .OrderBy(email => email.DateSent)
+            .Select(email => new DownloadEntry(DownloadFileNames.ForEmail(email), null, email.DateSent,
+                () => Task.FromResult<Stream>(new MemoryStream(ToEml(email), false))))
+            .ToList();
+    }
+
+    private static void AddAddresses(InternetAddressList list, string? addresses)
+    {
+        if (string.IsNullOrWhiteSpace(addresses)) return;
+
+        // Stored lists may be separated with semicolons, as typed in the compose form.
+        if (InternetAddressList.TryParse(addresses.Replace(';', ','), out var parsed)) list.AddRange(parsed);
+    }
+
+    private static byte[]? ReadLocalFile(string? path)
+    {
+        return !string.IsNullOrEmpty(path) && File.Exists(path) ? File.ReadAllBytes(path) : null;
+    }
+}
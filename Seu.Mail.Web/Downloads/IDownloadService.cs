@@ -0,0 +1,31 @@
+namespace Seu.Mail.Web.Downloads;
+
+/// <summary>
+/// Saves files in the browser through the client-side download manager (<c>downloadManager</c> in
+/// download-manager.js). Content is streamed to the browser, which shows progress for large files.
+/// </summary>
+public interface IDownloadService
+{
+    /// <summary>
+    /// Saves content that is already in memory.
+    /// </summary>
+    /// <param name="fileName">The file name to save under.</param>
+    /// <param name="contentType">The MIME type.</param>
+    /// <param name="content">The file content.</param>
+    Task DownloadAsync(string fileName, string contentType, byte[] content);
+
+    /// <summary>
+    /// Saves a file, opening its content when the browser is ready to read it.
+    /// </summary>
+    /// <param name="entry">The file.</param>
+    /// <param name="contentType">The MIME type.</param>
+    Task DownloadAsync(DownloadEntry entry, string contentType);
+
+    /// <summary>
+    /// Saves several files as one ZIP, which the browser builds as it reads each file in turn. Repeated file
+    /// names are numbered.
+    /// </summary>
+    /// <param name="zipName">The ZIP's file name.</param>
+    /// <param name="entries">The files, in order.</param>
+    Task DownloadZipAsync(string zipName, IReadOnlyList<DownloadEntry> entries);
+}
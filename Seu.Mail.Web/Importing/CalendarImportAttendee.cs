@@ -0,0 +1,9 @@
+namespace Seu.Mail.Web.Importing;
+
+/// <summary>
+/// An attendee of an imported event, taken from one of its iCalendar ATTENDEE properties.
+/// </summary>
+/// <param name="Email">The attendee's address.</param>
+/// <param name="Name">The attendee's display name (CN), if any.</param>
+/// <param name="IsOptional">Whether the attendee is optional (ROLE=OPT-PARTICIPANT).</param>
+public record CalendarImportAttendee(string Email, string? Name, bool IsOptional);
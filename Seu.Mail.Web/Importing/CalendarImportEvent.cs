@@ -0,0 +1,79 @@
+using Seu.Mail.Core.Models.Calendar;
+
+namespace Seu.Mail.Web.Importing;
+
+/// <summary>
+/// An event the user confirmed in the client-side import preview (calendar-import.js), parsed from an
+/// iCalendar or CSV file in the browser.
+/// </summary>
+/// <param name="Uid">The iCalendar UID, if the file had one.</param>
+/// <param name="Title">The event title.</param>
+/// <param name="Start">When the event starts, in local time.</param>
+/// <param name="End">When the event ends, in local time. For all-day events, the end of the last day.</param>
+/// <param name="IsAllDay">Whether the event lasts all day.</param>
+/// <param name="Location">The location, if any.</param>
+/// <param name="Description">The description, if any.</param>
+/// <param name="Status">The iCalendar status ("CONFIRMED", "TENTATIVE" or "CANCELLED"), if any.</param>
+/// <param name="Organizer">The organizer's address, if any.</param>
+/// <param name="Url">The event's URL, if any.</param>
+/// <param name="Recurrence">How the event repeats, if it does.</param>
+/// <param name="Reminders">The event's alarms.</param>
+/// <param name="Attendees">The event's attendees.</param>
+public record CalendarImportEvent(
+    string? Uid,
+    string Title,
+    DateTime Start,
+    DateTime End,
+    bool IsAllDay,
+    string? Location,
+    string? Description,
+    string? Status,
+    string? Organizer,
+    string? Url,
+    CalendarImportRecurrence? Recurrence,
+    IReadOnlyList<CalendarImportReminder>? Reminders,
+    IReadOnlyList<CalendarImportAttendee>? Attendees)
+{
+    /// <summary>
+    /// Builds the calendar event to save.
+    /// </summary>
+    /// <param name="accountId">The account the event is imported into.</param>
+    /// <returns>The calendar event, always with a title and an end after its start.</returns>
+    public CalendarEvent ToCalendarEvent(int accountId)
+    {
+        var end = End > Start ? End : IsAllDay ? Start.Date.AddDays(1).AddMinutes(-1) : Start.AddHours(1);
+
+        return new CalendarEvent
+        {
+            AccountId = accountId,
+            Title = string.IsNullOrWhiteSpace(Title) ? "(No title)" : Title.Trim(),
+            Description = string.IsNullOrWhiteSpace(Description) ? null : Description,
+            StartDateTime = Start,
+            EndDateTime = end,
+            IsAllDay = IsAllDay,
+            Location = string.IsNullOrWhiteSpace(Location) ? null : Location.Trim(),
+            Status = Enum.TryParse<EventStatus>(Status, true, out var status) ? status : EventStatus.Confirmed,
+            Organizer = string.IsNullOrWhiteSpace(Organizer) ? null : Organizer.Trim(),
+            Url = string.IsNullOrWhiteSpace(Url) ? null : Url.Trim(),
+            ICalUid = string.IsNullOrWhiteSpace(Uid) ? null : Uid.Trim(),
+            Recurrence = Recurrence?.ToRecurrenceRule(),
+            Reminders = (Reminders ?? [])
+                .Where(r => r.MinutesBefore >= 0)
+                .Select(r => new EventReminder
+                {
+                    MinutesBefore = r.MinutesBefore,
+                    Type = r.ByEmail ? ReminderType.Email : ReminderType.Notification
+                })
+                .ToList(),
+            Attendees = (Attendees ?? [])
+                .Where(a => !string.IsNullOrWhiteSpace(a.Email))
+                .Select(a => new EventAttendee
+                {
+                    Email = a.Email.Trim(),
+                    DisplayName = string.IsNullOrWhiteSpace(a.Name) ? null : a.Name.Trim(),
+                    Role = a.IsOptional ? AttendeeRole.Optional : AttendeeRole.Required
+                })
+                .ToList()
+        };
+    }
+}
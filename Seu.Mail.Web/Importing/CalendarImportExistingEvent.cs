@@ -0,0 +1,38 @@
+using Seu.Mail.Core.Models.Calendar;
+
+namespace Seu.Mail.Web.Importing;
+
+/// <summary>
+/// An event already in the calendar, sent to the import preview (calendar-import.js) to find duplicates and
+/// time conflicts among the events in a file.
+/// </summary>
+/// <param name="Id">The event ID.</param>
+/// <param name="Uid">The iCalendar UID, if the event has one.</param>
+/// <param name="Title">The event title.</param>
+/// <param name="Start">When the event starts, in local time.</param>
+/// <param name="End">When the event ends, in local time.</param>
+/// <param name="IsAllDay">Whether the event lasts all day.</param>
+public record CalendarImportExistingEvent(
+    int Id,
+    string? Uid,
+    string Title,
+    DateTime Start,
+    DateTime End,
+    bool IsAllDay)
+{
+    /// <summary>
+    /// Builds the copy of a calendar event sent to the import preview.
+    /// </summary>
+    /// <param name="calendarEvent">The event.</param>
+    /// <returns>The existing event.</returns>
+    public static CalendarImportExistingEvent FromEvent(CalendarEvent calendarEvent)
+    {
+        return new CalendarImportExistingEvent(
+            calendarEvent.Id,
+            string.IsNullOrWhiteSpace(calendarEvent.ICalUid) ? null : calendarEvent.ICalUid,
+            string.IsNullOrWhiteSpace(calendarEvent.Title) ? "(No title)" : calendarEvent.Title,
+            calendarEvent.StartDateTime,
+            calendarEvent.EndDateTime,
+            calendarEvent.IsAllDay);
+    }
+}
@@ -0,0 +1,60 @@
+using System.Text.Json;
+using Seu.Mail.Core.Models.Calendar;
+
+namespace Seu.Mail.Web.Importing;
+
+/// <summary>
+/// How an imported event repeats, taken from its iCalendar RRULE and EXDATE properties.
+/// </summary>
+/// <param name="Frequency">"DAILY", "WEEKLY", "MONTHLY" or "YEARLY".</param>
+/// <param name="Interval">The number of days, weeks, months or years between occurrences.</param>
+/// <param name="Count">The number of occurrences, if limited.</param>
+/// <param name="Until">When the event stops repeating, if it does.</param>
+/// <param name="ByDay">For weekly events, the days they happen on.</param>
+/// <param name="ByWeekOfMonth">For monthly events on a weekday, the week of the month (-1 for the last).</param>
+/// <param name="ByMonthDay">For monthly events on a date, the day of the month.</param>
+/// <param name="ByMonth">For yearly events, the months they happen in.</param>
+/// <param name="ExceptionDates">Days an occurrence is skipped.</param>
+public record CalendarImportRecurrence(
+    string Frequency,
+    int Interval,
+    int? Count,
+    DateTime? Until,
+    IReadOnlyList<DayOfWeek>? ByDay,
+    int? ByWeekOfMonth,
+    IReadOnlyList<int>? ByMonthDay,
+    IReadOnlyList<int>? ByMonth,
+    IReadOnlyList<DateOnly>? ExceptionDates)
+{
+    /// <summary>
+    /// Builds the recurrence rule to save with the event.
+    /// </summary>
+    /// <returns>The rule, or null when the frequency isn't one the calendar supports.</returns>
+    public RecurrenceRule? ToRecurrenceRule()
+    {
+        if (!Enum.TryParse<RecurrenceFrequency>(Frequency, true, out var frequency) ||
+            !Enum.IsDefined(frequency))
+            return null;
+
+        return new RecurrenceRule
+        {
+            Frequency = frequency,
+            Interval = Math.Max(1, Interval),
+            Count = Count > 0 ? Count : null,
+            Until = Until,
+            ByDayOfWeek = frequency == RecurrenceFrequency.Weekly && ByDay is { Count: > 0 }
+                ? string.Join(",", ByDay.Distinct())
+                : null,
+            ByWeekOfMonth = frequency == RecurrenceFrequency.Monthly ? ByWeekOfMonth : null,
+            ByDayOfMonth = frequency == RecurrenceFrequency.Monthly && ByMonthDay is { Count: > 0 }
+                ? string.Join(",", ByMonthDay)
+                : null,
+            ByMonth = frequency == RecurrenceFrequency.Yearly && ByMonth is { Count: > 0 }
+                ? string.Join(",", ByMonth)
+                : null,
+            ExceptionDates = ExceptionDates is { Count: > 0 }
+                ? JsonSerializer.Serialize(ExceptionDates.Select(d => d.ToString("yyyy-MM-dd")).ToList())
+                : null
+        };
+    }
+}
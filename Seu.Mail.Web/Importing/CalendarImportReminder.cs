@@ -0,0 +1,8 @@
+namespace Seu.Mail.Web.Importing;
+
+/// <summary>
+/// A reminder on an imported event, taken from one of its iCalendar VALARM components.
+/// </summary>
+/// <param name="MinutesBefore">How long before the event starts the reminder goes off.</param>
+/// <param name="ByEmail">Whether the alarm sends an email (ACTION:EMAIL) rather than showing a notification.</param>
+public record CalendarImportReminder(int MinutesBefore, bool ByEmail);
@@ -76,9 +76,10 @@ public class SecurityMiddleware
             "default-src 'self'; " +
             "script-src 'self' 'unsafe-inline' 'unsafe-eval' https://cdn.jsdelivr.net https://cdnjs.cloudflare.com; " +
             "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net https://cdnjs.cloudflare.com; " +
-            "img-src 'self' data: https:; " +
+            "img-src 'self' data: blob: https:; " +
             "font-src 'self' https://cdnjs.cloudflare.com; " +
-            "connect-src 'self'; " +
+            // The service worker fetches Bootstrap to cache it for offline use.
+            "connect-src 'self' https://cdn.jsdelivr.net; " +
             "frame-ancestors 'none';";
 
         // Strict Transport Security (if HTTPS)
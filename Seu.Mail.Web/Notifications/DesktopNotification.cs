@@ -0,0 +1,125 @@
+using System.Text.RegularExpressions;
+using Seu.Mail.Core.Models;
+using Seu.Mail.Core.Models.Calendar;
+
+namespace Seu.Mail.Web.Notifications;
+
+/// <summary>
+/// A notification passed to the client-side notification module (<c>desktopNotifications.show</c> in
+/// desktop-notifications.js).
+/// </summary>
+/// <param name="Kind">What the notification is about: <see cref="ReminderKind"/> or <see cref="MailKind"/>.</param>
+/// <param name="Id">The reminder or email ID, reported back with the user's action.</param>
+/// <param name="Title">The notification title.</param>
+/// <param name="Body">The notification text.</param>
+/// <param name="Url">The app URL to open when the notification is clicked.</param>
+/// <param name="RequireInteraction">Whether the notification should stay until the user acts on it.</param>
+/// <param name="Actions">Buttons shown on the notification, where the browser supports them.</param>
+public record DesktopNotification(
+    string Kind,
+    int Id,
+    string Title,
+    string Body,
+    string Url,
+    bool RequireInteraction,
+    IReadOnlyList<DesktopNotificationAction> Actions)
+{
+    /// <summary>Kind of notifications for calendar event reminders.</summary>
+    public const string ReminderKind = "reminder";
+
+    /// <summary>Kind of notifications for newly arrived mail.</summary>
+    public const string MailKind = "mail";
+
+    /// <summary>Reported when the notification itself is clicked.</summary>
+    public const string OpenAction = "open";
+
+    /// <summary>Reported when the notification is closed without using it.</summary>
+    public const string CloseAction = "close";
+
+    /// <summary>The reminder's "Snooze" button.</summary>
+    public const string SnoozeAction = "snooze";
+
+    /// <summary>The reminder's "Dismiss" button.</summary>
+    public const string DismissAction = "dismiss";
+
+    private static readonly Regex DisplayNameRegex = new(@"^\s*""?(.+?)""?\s*<", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Builds the notification for a due reminder, linking to the event in the calendar's day view.
+    /// </summary>
+    /// <param name="reminder">The reminder, with its calendar event loaded.</param>
+    /// <param name="snoozeMinutes">How long the "Snooze" button postpones the reminder.</param>
+    /// <returns>The notification.</returns>
+    public static DesktopNotification ForReminder(EventReminder reminder, int snoozeMinutes)
+    {
+        var calendarEvent = reminder.CalendarEvent;
+        var start = calendarEvent.StartDateTime;
+
+        var when = calendarEvent.IsAllDay
+            ? $"All day, {start:ddd, MMM d}"
+            : $"{start:ddd, MMM d 'at' HH:mm}";
+        if (!string.IsNullOrWhiteSpace(calendarEvent.Location))
+            when += $" · {calendarEvent.Location}";
+
+        var body = string.IsNullOrWhiteSpace(reminder.CustomMessage)
+            ? when
+            : $"{reminder.CustomMessage}\n{when}";
+
+        return new DesktopNotification(
+            ReminderKind,
+            reminder.Id,
+            string.IsNullOrWhiteSpace(calendarEvent.Title) ? "Untitled event" : calendarEvent.Title,
+            body,
+            $"/calendar/day/{start.Year}/{start.Month}/{start.Day}?eventId={calendarEvent.Id}",
+            true,
+            new List<DesktopNotificationAction>
+            {
+                new(SnoozeAction, $"Snooze {snoozeMinutes} min"),
+                new(DismissAction, "Dismiss")
+            });
+    }
+
+    /// <summary>
+    /// Builds the notification for a newly arrived email, linking to the message.
+    /// </summary>
+    /// <param name="email">The new email.</param>
+    /// <returns>The notification.</returns>
+    public static DesktopNotification ForEmail(EmailMessage email)
+    {
+        var match = DisplayNameRegex.Match(email.From);
+        var sender = match.Success ? match.Groups[1].Value : email.From;
+
+        return new DesktopNotification(
+            MailKind,
+            email.Id,
+            string.IsNullOrWhiteSpace(sender) ? "New message" : sender,
+            string.IsNullOrWhiteSpace(email.Subject) ? "(No subject)" : email.Subject,
+            $"/email/{email.Id}",
+            false,
+            new List<DesktopNotificationAction>());
+    }
+
+    /// <summary>
+    /// Builds a single notification standing in for several new emails, linking to the inbox.
+    /// </summary>
+    /// <param name="count">The number of new emails.</param>
+    /// <returns>The notification.</returns>
+    public static DesktopNotification ForNewMailSummary(int count)
+    {
+        return new DesktopNotification(
+            MailKind,
+            0,
+            "New mail",
+            $"You have {count} new messages",
+            "/",
+            false,
+            new List<DesktopNotificationAction>());
+    }
+}
+
+/// <summary>
+/// A button on a desktop notification.
+/// </summary>
+/// <param name="Action">The action reported back when the button is used.</param>
+/// <param name="Title">The button label.</param>
+public record DesktopNotificationAction(string Action, string Title);
@@ -0,0 +1,40 @@
+namespace Seu.Mail.Web.Notifications;
+
+/// <summary>
+/// Shows in-page toasts through the client-side toast service (<c>toastService</c> in toast-service.js).
+/// </summary>
+public interface IToastService
+{
+    /// <summary>
+    /// Shows a toast.
+    /// </summary>
+    /// <param name="options">What to show.</param>
+    /// <returns>
+    /// The toast ID, for <see cref="UpdateAsync"/> and <see cref="DismissAsync"/>. When an identical toast is already
+    /// showing, its ID is returned and the new toast's callbacks are not used.
+    /// </returns>
+    Task<string> ShowAsync(ToastOptions options);
+
+    /// <summary>
+    /// Shows a toast with a message.
+    /// </summary>
+    /// <param name="message">The toast text.</param>
+    /// <param name="type">The toast type.</param>
+    /// <param name="title">The toast title, or <c>null</c> for the type's name.</param>
+    /// <returns>The toast ID.</returns>
+    Task<string> ShowAsync(string message, ToastType type = ToastType.Info, string? title = null);
+
+    /// <summary>
+    /// Changes a toast that is showing, for example to advance its progress bar.
+    /// </summary>
+    /// <param name="toastId">The toast ID.</param>
+    /// <param name="update">The changes.</param>
+    /// <returns>False if the toast is no longer showing; otherwise, true.</returns>
+    Task<bool> UpdateAsync(string toastId, ToastUpdate update);
+
+    /// <summary>
+    /// Closes a toast.
+    /// </summary>
+    /// <param name="toastId">The toast ID.</param>
+    Task DismissAsync(string toastId);
+}
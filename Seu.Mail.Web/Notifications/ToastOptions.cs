@@ -0,0 +1,96 @@
+namespace Seu.Mail.Web.Notifications;
+
+/// <summary>
+/// How a toast is styled and announced. Warnings and errors are announced to screen readers immediately.
+/// </summary>
+public enum ToastType
+{
+    /// <summary>Neutral information.</summary>
+    Info,
+
+    /// <summary>An operation succeeded.</summary>
+    Success,
+
+    /// <summary>An operation partly failed or needs attention.</summary>
+    Warning,
+
+    /// <summary>An operation failed.</summary>
+    Error
+}
+
+/// <summary>
+/// Why a toast went away.
+/// </summary>
+public enum ToastCloseReason
+{
+    /// <summary>One of the toast's actions was used.</summary>
+    Action,
+
+    /// <summary>The user closed the toast.</summary>
+    Closed,
+
+    /// <summary>The toast timed out.</summary>
+    Timeout,
+
+    /// <summary>The toast was closed by code, or pushed out by newer toasts.</summary>
+    Dismissed
+}
+
+/// <summary>
+/// What to show in a toast.
+/// </summary>
+public record ToastOptions
+{
+    /// <summary>The toast text.</summary>
+    public string Message { get; init; } = string.Empty;
+
+    /// <summary>The toast title. Defaults to the type's name, such as "Error".</summary>
+    public string? Title { get; init; }
+
+    /// <summary>The toast type.</summary>
+    public ToastType Type { get; init; } = ToastType.Info;
+
+    /// <summary>
+    /// How long the toast stays, or <see cref="TimeSpan.Zero"/> to keep it until it is closed. Defaults to a few
+    /// seconds depending on the type, longer when the toast has actions; progress toasts stay until completed.
+    /// </summary>
+    public TimeSpan? Duration { get; init; }
+
+    /// <summary>Shows a progress bar at this percentage (0-100), or -1 while the progress isn't known.</summary>
+    public int? Progress { get; init; }
+
+    /// <summary>
+    /// Counts down for this long, showing the time left and replacing <c>{seconds}</c> in <see cref="Message"/>,
+    /// then times out. Hovering over the toast doesn't pause a countdown.
+    /// </summary>
+    public TimeSpan? Countdown { get; init; }
+
+    /// <summary>
+    /// Toasts with the same key are merged into one with a repeat count. Defaults to the type, title and message.
+    /// </summary>
+    public string? Key { get; init; }
+
+    /// <summary>Buttons shown on the toast. Using one closes the toast.</summary>
+    public IReadOnlyList<ToastAction> Actions { get; init; } = [];
+
+    /// <summary>Called once when the toast goes away, after any action that closed it.</summary>
+    public Func<ToastCloseReason, Task>? OnClosed { get; init; }
+}
+
+/// <summary>
+/// A button on a toast, such as "Undo".
+/// </summary>
+/// <param name="Label">The button label.</param>
+/// <param name="OnClick">Called when the button is used.</param>
+public record ToastAction(string Label, Func<Task> OnClick);
+
+/// <summary>
+/// Changes to a toast that is showing. Properties left <c>null</c> are kept.
+/// </summary>
+/// <param name="Message">The new toast text.</param>
+/// <param name="Progress">The new progress percentage, or -1 while it isn't known.</param>
+/// <param name="Type">The new toast type.</param>
+/// <param name="Complete">
+/// Removes the progress bar and lets the toast time out like any other, for example once an operation finished.
+/// </param>
+public record ToastUpdate(string? Message = null, int? Progress = null, ToastType? Type = null, bool Complete = false);
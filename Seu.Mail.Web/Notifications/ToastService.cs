@@ -0,0 +1,113 @@
+using Microsoft.JSInterop;
+
+namespace Seu.Mail.Web.Notifications;
+
+/// <summary>
+/// Shows in-page toasts through the client-side toast service and runs their action and close callbacks.
+/// Registered per circuit, so callbacks run on the circuit that showed the toast.
+/// </summary>
+public sealed class ToastService : IToastService, IDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly Dictionary<string, ToastOptions> _callbacks = new();
+    private DotNetObjectReference<ToastService>? _reference;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ToastService"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JS runtime of the current circuit.</param>
+    public ToastService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <inheritdoc />
+    public async Task<string> ShowAsync(ToastOptions options)
+    {
+        var requestedId = $"toast-{Guid.NewGuid():N}";
+        var hasCallbacks = options.Actions.Count > 0 || options.OnClosed != null;
+        if (hasCallbacks) _reference ??= DotNetObjectReference.Create(this);
+
+        var toastId = await _jsRuntime.InvokeAsync<string>("toastService.show", new
+        {
+            id = requestedId,
+            title = options.Title,
+            message = options.Message,
+            type = ToJsType(options.Type),
+            duration = options.Duration.HasValue ? (int?)options.Duration.Value.TotalMilliseconds : null,
+            progress = options.Progress,
+            countdown = options.Countdown.HasValue ? (int?)options.Countdown.Value.TotalMilliseconds : null,
+            key = options.Key,
+            actions = options.Actions.Select((action, index) => new { id = index.ToString(), label = action.Label })
+                .ToList(),
+            dotNetRef = hasCallbacks ? _reference : null
+        });
+
+        // A different ID means an identical toast was already showing; that one keeps its own callbacks.
+        if (hasCallbacks && toastId == requestedId) _callbacks[toastId] = options;
+
+        return toastId;
+    }
+
+    /// <inheritdoc />
+    public Task<string> ShowAsync(string message, ToastType type = ToastType.Info, string? title = null)
+    {
+        return ShowAsync(new ToastOptions { Message = message, Type = type, Title = title });
+    }
+
+    /// <inheritdoc />
+    public async Task<bool> UpdateAsync(string toastId, ToastUpdate update)
+    {
+        return await _jsRuntime.InvokeAsync<bool>("toastService.update", toastId, new
+        {
+            message = update.Message,
+            progress = update.Progress,
+            type = update.Type.HasValue ? ToJsType(update.Type.Value) : null,
+            complete = update.Complete
+        });
+    }
+
+    /// <inheritdoc />
+    public async Task DismissAsync(string toastId)
+    {
+        await _jsRuntime.InvokeVoidAsync("toastService.dismiss", toastId);
+    }
+
+    /// <summary>
+    /// Called by the client when a toast shown with callbacks goes away.
+    /// </summary>
+    /// <param name="toastId">The toast ID.</param>
+    /// <param name="reason">"action", "closed", "timeout" or "dismissed".</param>
+    /// <param name="actionId">The index of the action used, when <paramref name="reason"/> is "action".</param>
+    [JSInvokable]
+    public async Task OnToastClosed(string toastId, string reason, string? actionId)
+    {
+        if (!_callbacks.Remove(toastId, out var options)) return;
+
+        if (!Enum.TryParse<ToastCloseReason>(reason, true, out var closeReason))
+            closeReason = ToastCloseReason.Dismissed;
+
+        if (closeReason == ToastCloseReason.Action &&
+            int.TryParse(actionId, out var index) &&
+            index >= 0 && index < options.Actions.Count)
+        {
+            await options.Actions[index].OnClick();
+        }
+
+        if (options.OnClosed != null) await options.OnClosed(closeReason);
+    }
+
+    /// <summary>
+    /// Releases the reference the client uses to report closed toasts.
+    /// </summary>
+    public void Dispose()
+    {
+        _callbacks.Clear();
+        _reference?.Dispose();
+    }
+
+    private static string ToJsType(ToastType type)
+    {
+        return type.ToString().ToLowerInvariant();
+    }
+}
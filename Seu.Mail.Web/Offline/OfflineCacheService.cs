@@ -0,0 +1,80 @@
+using Microsoft.JSInterop;
+using Seu.Mail.Core.Models;
+using Seu.Mail.Core.Models.Calendar;
+
+namespace Seu.Mail.Web.Offline;
+
+/// <summary>
+/// Saves mail and calendar events the user has seen to the browser's offline store, so the offline page can show
+/// them while the server can't be reached. Saving is best effort: failures (including calls made while
+/// prerendering, before the browser is connected) are logged and otherwise ignored.
+/// </summary>
+public sealed class OfflineCacheService
+{
+    /// <summary>How many days of upcoming events the calendar saves.</summary>
+    public const int UpcomingEventDays = 14;
+
+    private readonly IJSRuntime _jsRuntime;
+    private readonly ILogger<OfflineCacheService> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="OfflineCacheService"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JS runtime of the current circuit.</param>
+    /// <param name="logger">The logger.</param>
+    public OfflineCacheService(IJSRuntime jsRuntime, ILogger<OfflineCacheService> logger)
+    {
+        _jsRuntime = jsRuntime;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Saves the headers of the emails in a list, keeping any bodies already saved for them.
+    /// </summary>
+    /// <param name="emails">The emails.</param>
+    public Task SaveHeadersAsync(IEnumerable<EmailMessage> emails)
+    {
+        return SaveAsync("offlineStore.saveEmails", emails.Select(OfflineEmail.HeaderOf).ToList());
+    }
+
+    /// <summary>
+    /// Saves an email the user has opened, with its body.
+    /// </summary>
+    /// <param name="email">The email.</param>
+    public Task SaveEmailAsync(EmailMessage email)
+    {
+        return SaveAsync("offlineStore.saveEmails", new List<OfflineEmail> { OfflineEmail.Of(email) });
+    }
+
+    /// <summary>
+    /// Removes emails that were deleted or moved out of their folder.
+    /// </summary>
+    /// <param name="emailIds">The email IDs.</param>
+    public Task RemoveEmailsAsync(IEnumerable<int> emailIds)
+    {
+        return SaveAsync("offlineStore.removeEmails", emailIds.ToList());
+    }
+
+    /// <summary>
+    /// Replaces the saved events starting between <paramref name="from"/> and <paramref name="to"/>.
+    /// </summary>
+    /// <param name="events">Every event in the range.</param>
+    /// <param name="from">The start of the range.</param>
+    /// <param name="to">The end of the range (exclusive).</param>
+    public Task SaveEventsAsync(IEnumerable<CalendarEvent> events, DateTime from, DateTime to)
+    {
+        return SaveAsync("offlineStore.saveEvents", events.Select(OfflineEvent.Of).ToList(), from, to);
+    }
+
+    private async Task SaveAsync(string identifier, params object[] args)
+    {
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync(identifier, args);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogDebug(ex, "Could not save to the offline store");
+        }
+    }
+}
@@ -0,0 +1,60 @@
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Offline;
+
+/// <summary>
+/// An email as saved for offline reading by the client-side store (<c>offlineStore.saveEmails</c> in
+/// offline-store.js). Bodies are <c>null</c> for headers saved from a list, which keeps any body already stored.
+/// </summary>
+/// <param name="Id">The email ID.</param>
+/// <param name="AccountId">The account the email belongs to.</param>
+/// <param name="Folder">The folder the email is in.</param>
+/// <param name="From">The From header.</param>
+/// <param name="To">The To header.</param>
+/// <param name="Cc">The CC header, if any.</param>
+/// <param name="Subject">The subject.</param>
+/// <param name="Date">When the email was received.</param>
+/// <param name="IsRead">Whether the email has been read.</param>
+/// <param name="HasAttachments">Whether the email has attachments (which are not saved).</param>
+/// <param name="TextBody">The plain text body, or <c>null</c> if not saved.</param>
+/// <param name="HtmlBody">The HTML body, or <c>null</c> if not saved.</param>
+public record OfflineEmail(
+    int Id,
+    int AccountId,
+    string Folder,
+    string From,
+    string To,
+    string? Cc,
+    string Subject,
+    DateTime Date,
+    bool IsRead,
+    bool HasAttachments,
+    string? TextBody,
+    string? HtmlBody)
+{
+    /// <summary>
+    /// Builds the offline copy of an email's headers, as shown in an email list.
+    /// </summary>
+    /// <param name="email">The email.</param>
+    /// <returns>The offline copy, without a body.</returns>
+    public static OfflineEmail HeaderOf(EmailMessage email)
+    {
+        return new OfflineEmail(email.Id, email.AccountId, email.Folder, email.From, email.To, email.Cc,
+            email.Subject, email.DateReceived, email.IsRead, email.HasAttachments, null, null);
+    }
+
+    /// <summary>
+    /// Builds the offline copy of an email the user has opened, including its body.
+    /// </summary>
+    /// <param name="email">The email.</param>
+    /// <returns>The offline copy.</returns>
+    public static OfflineEmail Of(EmailMessage email)
+    {
+        return HeaderOf(email) with
+        {
+            // An empty string rather than null, so a message without one of the bodies still counts as saved.
+            TextBody = email.TextBody ?? string.Empty,
+            HtmlBody = email.HtmlBody ?? string.Empty
+        };
+    }
+}
@@ -0,0 +1,38 @@
+using Seu.Mail.Core.Models.Calendar;
+
+namespace Seu.Mail.Web.Offline;
+
+/// <summary>
+/// A calendar event as saved for the offline agenda by the client-side store (<c>offlineStore.saveEvents</c> in
+/// offline-store.js).
+/// </summary>
+/// <param name="Id">The event ID.</param>
+/// <param name="AccountId">The account the event belongs to.</param>
+/// <param name="Title">The event title.</param>
+/// <param name="Location">The location, if any.</param>
+/// <param name="Start">When the event starts, in local time.</param>
+/// <param name="End">When the event ends, in local time.</param>
+/// <param name="IsAllDay">Whether the event lasts all day.</param>
+/// <param name="Color">The event color.</param>
+public record OfflineEvent(
+    int Id,
+    int AccountId,
+    string Title,
+    string? Location,
+    DateTime Start,
+    DateTime End,
+    bool IsAllDay,
+    string Color)
+{
+    /// <summary>
+    /// Builds the offline copy of a calendar event.
+    /// </summary>
+    /// <param name="calendarEvent">The event.</param>
+    /// <returns>The offline copy.</returns>
+    public static OfflineEvent Of(CalendarEvent calendarEvent)
+    {
+        return new OfflineEvent(calendarEvent.Id, calendarEvent.AccountId, calendarEvent.Title,
+            calendarEvent.Location, calendarEvent.StartDateTime, calendarEvent.EndDateTime, calendarEvent.IsAllDay,
+            calendarEvent.Color);
+    }
+}
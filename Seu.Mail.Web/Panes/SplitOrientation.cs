@@ -0,0 +1,13 @@
+namespace Seu.Mail.Web.Panes;
+
+/// <summary>
+/// How the two panes of a <c>SplitPane</c> are arranged.
+/// </summary>
+public enum SplitOrientation
+{
+    /// <summary>Side by side, with a vertical handle between them.</summary>
+    Horizontal,
+
+    /// <summary>One above the other, with a horizontal handle between them.</summary>
+    Vertical
+}
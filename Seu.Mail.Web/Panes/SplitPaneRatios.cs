@@ -0,0 +1,69 @@
+using System.Text.Json;
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Panes;
+
+/// <summary>
+/// Reads and updates the list pane sizes stored in <see cref="UserSettings.SplitPaneRatios"/>, one per split
+/// layout mode.
+/// </summary>
+public static class SplitPaneRatios
+{
+    /// <summary>The smallest share of the window either pane can be given.</summary>
+    public const double MinRatio = 0.15;
+
+    /// <summary>The largest share of the window the list pane can be given.</summary>
+    public const double MaxRatio = 0.85;
+
+    /// <summary>
+    /// Gets the list pane's share of the window a layout starts with, and returns to on double-click.
+    /// </summary>
+    /// <param name="layoutMode">The split layout.</param>
+    /// <returns>The default ratio.</returns>
+    public static double GetDefault(EmailLayoutMode layoutMode)
+    {
+        return layoutMode == EmailLayoutMode.SplitBottom ? 0.4 : 0.3;
+    }
+
+    /// <summary>
+    /// Gets the list pane's share of the window for a layout.
+    /// </summary>
+    /// <param name="json">The stored JSON, or null if the user has not resized any pane.</param>
+    /// <param name="layoutMode">The split layout.</param>
+    /// <returns>The stored ratio, or the layout's default.</returns>
+    public static double Get(string? json, EmailLayoutMode layoutMode)
+    {
+        return Parse(json).TryGetValue(layoutMode.ToString(), out var ratio)
+            ? Math.Clamp(ratio, MinRatio, MaxRatio)
+            : GetDefault(layoutMode);
+    }
+
+    /// <summary>
+    /// Stores the list pane's share of the window for a layout, keeping the other layouts' ratios.
+    /// </summary>
+    /// <param name="json">The stored JSON, or null if the user has not resized any pane.</param>
+    /// <param name="layoutMode">The split layout.</param>
+    /// <param name="ratio">The new ratio, clamped between <see cref="MinRatio"/> and <see cref="MaxRatio"/>.</param>
+    /// <returns>The JSON to store.</returns>
+    public static string Set(string? json, EmailLayoutMode layoutMode, double ratio)
+    {
+        var ratios = Parse(json);
+        ratios[layoutMode.ToString()] = Math.Round(Math.Clamp(ratio, MinRatio, MaxRatio), 3);
+        return JsonSerializer.Serialize(ratios);
+    }
+
+    private static Dictionary<string, double> Parse(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json)) return new Dictionary<string, double>();
+
+        try
+        {
+            return JsonSerializer.Deserialize<Dictionary<string, double>>(json) ?? new Dictionary<string, double>();
+        }
+        catch (JsonException)
+        {
+            // Corrupt settings fall back to the defaults
+            return new Dictionary<string, double>();
+        }
+    }
+}
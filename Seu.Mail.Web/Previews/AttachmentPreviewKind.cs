@@ -0,0 +1,25 @@
+namespace Seu.Mail.Web.Previews;
+
+/// <summary>
+/// How the attachment previewer (attachment-preview.js) shows a file.
+/// </summary>
+public enum AttachmentPreviewKind
+{
+    /// <summary>Not previewed; the file is offered for download instead.</summary>
+    None,
+
+    /// <summary>An image the browser can decode, shown with zoom and pan.</summary>
+    Image,
+
+    /// <summary>A PDF, shown in the browser's own viewer in a sandboxed frame.</summary>
+    Pdf,
+
+    /// <summary>Plain text, shown as text.</summary>
+    Text,
+
+    /// <summary>Comma- or semicolon-separated values, shown as a table.</summary>
+    Csv,
+
+    /// <summary>An iCalendar file, shown as a list of its events.</summary>
+    Calendar
+}
@@ -0,0 +1,86 @@
+using Microsoft.JSInterop;
+using Seu.Mail.Core.Models;
+using Seu.Mail.Web.Downloads;
+
+namespace Seu.Mail.Web.Previews;
+
+/// <summary>
+/// Opens attachments in the client-side previewer. Each attachment's content is streamed to the browser only when
+/// the previewer shows it, as a <see cref="DotNetStreamReference"/>. Registered per circuit, so the previewer asks
+/// this circuit for the files.
+/// </summary>
+public sealed class AttachmentPreviewService : IAttachmentPreviewService, IDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly Dictionary<string, IReadOnlyList<DownloadEntry?>> _previews = new();
+    private DotNetObjectReference<AttachmentPreviewService>? _reference;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="AttachmentPreviewService"/> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JS runtime of the current circuit.</param>
+    public AttachmentPreviewService(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    /// <inheritdoc />
+    public async Task OpenAsync(IReadOnlyList<EmailAttachment> attachments, int index)
+    {
+        if (index < 0 || index >= attachments.Count) return;
+
+        // The previewer shows one message at a time, and one that wasn't closed (the page was left) is gone.
+        _previews.Clear();
+
+        var previewId = $"preview-{Guid.NewGuid():N}";
+        var entries = attachments.Select(attachment => DownloadEntry.FromAttachment(attachment)).ToList();
+        _previews[previewId] = entries;
+        _reference ??= DotNetObjectReference.Create(this);
+
+        await _jsRuntime.InvokeVoidAsync("attachmentPreview.open", _reference, previewId,
+            attachments.Select((attachment, i) => new
+            {
+                fileName = DownloadFileNames.Sanitize(attachment.FileName, "attachment"),
+                contentType = attachment.ContentType,
+                size = attachment.Size,
+                kind = AttachmentPreviewTypes.GetKind(attachment.ContentType, attachment.FileName).ToString()
+                    .ToLowerInvariant(),
+                isAvailable = entries[i] != null
+            }).ToList(),
+            index);
+    }
+
+    /// <summary>
+    /// Called by the client for the content of the attachment it is about to show or save.
+    /// </summary>
+    /// <param name="previewId">The ID passed to <c>attachmentPreview.open</c>.</param>
+    /// <param name="index">The attachment's position in the message.</param>
+    /// <returns>The content, or <c>null</c> if the previewer was closed or the content isn't available.</returns>
+    [JSInvokable]
+    public async Task<DotNetStreamReference?> OpenPreviewItem(string previewId, int index)
+    {
+        if (!_previews.TryGetValue(previewId, out var entries) || index < 0 || index >= entries.Count) return null;
+
+        var entry = entries[index];
+        return entry == null ? null : new DotNetStreamReference(await entry.OpenAsync());
+    }
+
+    /// <summary>
+    /// Called by the client when the previewer closes, so the attachments it could show are let go.
+    /// </summary>
+    /// <param name="previewId">The ID passed to <c>attachmentPreview.open</c>.</param>
+    [JSInvokable]
+    public void OnPreviewClosed(string previewId)
+    {
+        _previews.Remove(previewId);
+    }
+
+    /// <summary>
+    /// Releases the reference the client uses to read attachments.
+    /// </summary>
+    public void Dispose()
+    {
+        _previews.Clear();
+        _reference?.Dispose();
+    }
+}
@@ -0,0 +1,87 @@
+namespace Seu.Mail.Web.Previews;
+
+/// <summary>
+/// Decides which attachments the previewer can show, from their MIME type or, for generic types such as
+/// application/octet-stream, their file extension.
+/// </summary>
+public static class AttachmentPreviewTypes
+{
+    // HTML is left out on purpose: it would need the email body renderer's sanitizing to show safely.
+    private static readonly Dictionary<string, AttachmentPreviewKind> ContentTypes =
+        new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["image/png"] = AttachmentPreviewKind.Image,
+            ["image/jpeg"] = AttachmentPreviewKind.Image,
+            ["image/jpg"] = AttachmentPreviewKind.Image,
+            ["image/pjpeg"] = AttachmentPreviewKind.Image,
+            ["image/gif"] = AttachmentPreviewKind.Image,
+            ["image/webp"] = AttachmentPreviewKind.Image,
+            ["image/bmp"] = AttachmentPreviewKind.Image,
+            ["image/avif"] = AttachmentPreviewKind.Image,
+            ["image/svg+xml"] = AttachmentPreviewKind.Image,
+            ["image/x-icon"] = AttachmentPreviewKind.Image,
+            ["image/vnd.microsoft.icon"] = AttachmentPreviewKind.Image,
+            ["application/pdf"] = AttachmentPreviewKind.Pdf,
+            ["text/plain"] = AttachmentPreviewKind.Text,
+            ["text/markdown"] = AttachmentPreviewKind.Text,
+            ["text/xml"] = AttachmentPreviewKind.Text,
+            ["application/xml"] = AttachmentPreviewKind.Text,
+            ["application/json"] = AttachmentPreviewKind.Text,
+            ["text/csv"] = AttachmentPreviewKind.Csv,
+            ["text/comma-separated-values"] = AttachmentPreviewKind.Csv,
+            ["text/calendar"] = AttachmentPreviewKind.Calendar,
+            ["application/ics"] = AttachmentPreviewKind.Calendar
+        };
+
+    private static readonly Dictionary<string, AttachmentPreviewKind> Extensions =
+        new(StringComparer.OrdinalIgnoreCase)
+        {
+            [".png"] = AttachmentPreviewKind.Image,
+            [".jpg"] = AttachmentPreviewKind.Image,
+            [".jpeg"] = AttachmentPreviewKind.Image,
+            [".gif"] = AttachmentPreviewKind.Image,
+            [".webp"] = AttachmentPreviewKind.Image,
+            [".bmp"] = AttachmentPreviewKind.Image,
+            [".avif"] = AttachmentPreviewKind.Image,
+            [".svg"] = AttachmentPreviewKind.Image,
+            [".ico"] = AttachmentPreviewKind.Image,
+            [".pdf"] = AttachmentPreviewKind.Pdf,
+            [".txt"] = AttachmentPreviewKind.Text,
+            [".log"] = AttachmentPreviewKind.Text,
+            [".md"] = AttachmentPreviewKind.Text,
+            [".json"] = AttachmentPreviewKind.Text,
+            [".xml"] = AttachmentPreviewKind.Text,
+            [".csv"] = AttachmentPreviewKind.Csv,
+            [".ics"] = AttachmentPreviewKind.Calendar
+        };
+
+    /// <summary>
+    /// Gets how an attachment would be previewed.
+    /// </summary>
+    /// <param name="contentType">The attachment's MIME type, possibly with parameters.</param>
+    /// <param name="fileName">The attachment's file name.</param>
+    /// <returns>The preview kind, or <see cref="AttachmentPreviewKind.None"/> if it can only be downloaded.</returns>
+    public static AttachmentPreviewKind GetKind(string? contentType, string? fileName)
+    {
+        var mediaType = (contentType ?? "").Split(';')[0].Trim();
+        if (ContentTypes.TryGetValue(mediaType, out var kind)) return kind;
+
+        // Mail programs often send files they don't recognise as a generic binary type.
+        var isGeneric = mediaType.Length == 0 ||
+                        mediaType.Equals("application/octet-stream", StringComparison.OrdinalIgnoreCase);
+        if (!isGeneric) return AttachmentPreviewKind.None;
+
+        return Extensions.TryGetValue(Path.GetExtension(fileName ?? ""), out kind) ? kind : AttachmentPreviewKind.None;
+    }
+
+    /// <summary>
+    /// Whether an attachment can be previewed.
+    /// </summary>
+    /// <param name="contentType">The attachment's MIME type.</param>
+    /// <param name="fileName">The attachment's file name.</param>
+    /// <returns>True if the previewer can show it.</returns>
+    public static bool CanPreview(string? contentType, string? fileName)
+    {
+        return GetKind(contentType, fileName) != AttachmentPreviewKind.None;
+    }
+}
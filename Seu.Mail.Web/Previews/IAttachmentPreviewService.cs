@@ -0,0 +1,17 @@
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Previews;
+
+/// <summary>
+/// Opens attachments in the in-page previewer (<c>attachmentPreview</c> in attachment-preview.js).
+/// </summary>
+public interface IAttachmentPreviewService
+{
+    /// <summary>
+    /// Opens the previewer on one of a message's attachments. The others can be reached with the arrow keys;
+    /// those that can't be previewed are offered for download.
+    /// </summary>
+    /// <param name="attachments">The message's attachments, in order.</param>
+    /// <param name="index">The attachment to show first.</param>
+    Task OpenAsync(IReadOnlyList<EmailAttachment> attachments, int index);
+}
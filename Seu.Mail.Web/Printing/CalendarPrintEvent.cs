@@ -0,0 +1,51 @@
+using Seu.Mail.Core.Models.Calendar;
+
+namespace Seu.Mail.Web.Printing;
+
+/// <summary>
+/// A calendar event passed to the client-side calendar print module (<c>calendarPrint.print</c> in
+/// calendar-print.js).
+/// </summary>
+/// <param name="Title">The event title.</param>
+/// <param name="Start">When the event starts, in local time.</param>
+/// <param name="End">When the event ends, in local time.</param>
+/// <param name="IsAllDay">Whether the event lasts all day.</param>
+/// <param name="Location">The location, if any.</param>
+/// <param name="Description">The description as plain text, if any.</param>
+/// <param name="Color">The event color.</param>
+/// <param name="Attendees">The attendees, as "Name &lt;address&gt;" when they have a display name.</param>
+public record CalendarPrintEvent(
+    string Title,
+    DateTime Start,
+    DateTime End,
+    bool IsAllDay,
+    string? Location,
+    string? Description,
+    string Color,
+    IReadOnlyList<string> Attendees)
+{
+    /// <summary>
+    /// Builds the printed copy of a calendar event.
+    /// </summary>
+    /// <param name="calendarEvent">The event, with its attendees loaded.</param>
+    /// <returns>The print event.</returns>
+    public static CalendarPrintEvent FromEvent(CalendarEvent calendarEvent)
+    {
+        var attendees = calendarEvent.Attendees
+            .Where(a => !string.IsNullOrWhiteSpace(a.Email) || !string.IsNullOrWhiteSpace(a.DisplayName))
+            .Select(a => string.IsNullOrWhiteSpace(a.DisplayName)
+                ? a.Email
+                : string.IsNullOrWhiteSpace(a.Email) ? a.DisplayName! : $"{a.DisplayName} <{a.Email}>")
+            .ToList();
+
+        return new CalendarPrintEvent(
+            string.IsNullOrWhiteSpace(calendarEvent.Title) ? "(No title)" : calendarEvent.Title,
+            calendarEvent.StartDateTime,
+            calendarEvent.EndDateTime,
+            calendarEvent.IsAllDay,
+            string.IsNullOrWhiteSpace(calendarEvent.Location) ? null : calendarEvent.Location,
+            string.IsNullOrWhiteSpace(calendarEvent.Description) ? null : calendarEvent.Description,
+            calendarEvent.Color,
+            attendees);
+    }
+}
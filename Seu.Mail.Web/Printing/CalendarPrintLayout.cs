@@ -0,0 +1,16 @@
+namespace Seu.Mail.Web.Printing;
+
+/// <summary>
+/// How a printed calendar lays out its events.
+/// </summary>
+public enum CalendarPrintLayout
+{
+    /// <summary>A grid per month, one cell per day.</summary>
+    Month,
+
+    /// <summary>A page per week, one column per day.</summary>
+    Week,
+
+    /// <summary>A list of the days with events, with each event's description, location and attendees.</summary>
+    Agenda
+}
@@ -0,0 +1,64 @@
+using Seu.Mail.Core.Models.Calendar;
+
+namespace Seu.Mail.Web.Printing;
+
+/// <summary>
+/// Works out which days a printed calendar covers.
+/// </summary>
+public static class CalendarPrintRange
+{
+    /// <summary>The most days a single print can cover.</summary>
+    public const int MaxDays = 366;
+
+    /// <summary>
+    /// Gets the range and layout the print dialog starts with: the month, week or day on screen.
+    /// </summary>
+    /// <param name="viewType">The calendar view on screen.</param>
+    /// <param name="currentDate">The date the view shows.</param>
+    /// <param name="firstDayOfWeek">The day weeks start on.</param>
+    /// <returns>The first and last day to print, both included, and the layout.</returns>
+    public static (DateOnly Start, DateOnly End, CalendarPrintLayout Layout) ForView(
+        CalendarViewType viewType, DateTime currentDate, DayOfWeek firstDayOfWeek)
+    {
+        var date = DateOnly.FromDateTime(currentDate);
+
+        switch (viewType)
+        {
+            case CalendarViewType.Week:
+                var start = GetWeekStart(date, firstDayOfWeek);
+                return (start, start.AddDays(6), CalendarPrintLayout.Week);
+            case CalendarViewType.Day:
+                return (date, date, CalendarPrintLayout.Agenda);
+            case CalendarViewType.Agenda:
+                return (date, date.AddDays(29), CalendarPrintLayout.Agenda);
+            default:
+                var firstOfMonth = new DateOnly(date.Year, date.Month, 1);
+                return (firstOfMonth, firstOfMonth.AddMonths(1).AddDays(-1), CalendarPrintLayout.Month);
+        }
+    }
+
+    /// <summary>
+    /// Checks a range chosen in the print dialog.
+    /// </summary>
+    /// <param name="start">The first day to print.</param>
+    /// <param name="end">The last day to print.</param>
+    /// <returns>Why the range can't be printed, or null if it can.</returns>
+    public static string? Validate(DateOnly start, DateOnly end)
+    {
+        if (end < start) return "The end date must be on or after the start date.";
+        if (end.DayNumber - start.DayNumber + 1 > MaxDays) return $"Print at most {MaxDays} days at a time.";
+        return null;
+    }
+
+    /// <summary>
+    /// Gets the day the week containing a date starts on.
+    /// </summary>
+    /// <param name="date">The date.</param>
+    /// <param name="firstDayOfWeek">The day weeks start on.</param>
+    /// <returns>The start of the week.</returns>
+    public static DateOnly GetWeekStart(DateOnly date, DayOfWeek firstDayOfWeek)
+    {
+        var offset = ((int)date.DayOfWeek - (int)firstDayOfWeek + 7) % 7;
+        return date.AddDays(-offset);
+    }
+}
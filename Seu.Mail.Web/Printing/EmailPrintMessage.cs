@@ -0,0 +1,86 @@
+using Seu.Mail.Contracts.Services;
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Printing;
+
+/// <summary>
+/// A message passed to the client-side print pipeline (<c>printEmails</c> in email-navigation.js).
+/// </summary>
+/// <param name="Subject">The message subject.</param>
+/// <param name="From">The sender.</param>
+/// <param name="To">The recipients.</param>
+/// <param name="Cc">The CC recipients, if any.</param>
+/// <param name="Bcc">The BCC recipients, if any.</param>
+/// <param name="Date">The received date, formatted for display.</param>
+/// <param name="Body">The body to print: untrusted HTML when <paramref name="IsHtml"/> is true, otherwise plain text.</param>
+/// <param name="IsHtml">Whether <paramref name="Body"/> is HTML.</param>
+/// <param name="Attachments">The message's non-inline attachments.</param>
+public record EmailPrintMessage(
+    string Subject,
+    string From,
+    string To,
+    string? Cc,
+    string? Bcc,
+    string Date,
+    string Body,
+    bool IsHtml,
+    IReadOnlyList<EmailPrintAttachment> Attachments)
+{
+    /// <summary>
+    /// Builds a print message for an email, choosing HTML or text the same way the reading pane does.
+    /// </summary>
+    /// <param name="email">The email to print, with its attachments loaded.</param>
+    /// <param name="htmlUtility">Used to convert HTML bodies to text when HTML is not shown.</param>
+    /// <param name="showHtml">Whether the user is viewing the HTML version of the email.</param>
+    /// <returns>The print message.</returns>
+    public static EmailPrintMessage FromEmail(EmailMessage email, IHtmlUtilityService htmlUtility, bool showHtml)
+    {
+        var hasHtmlContent = !string.IsNullOrEmpty(email.HtmlBody);
+        var body = "";
+        var isHtml = false;
+
+        if (hasHtmlContent && showHtml)
+        {
+            body = email.HtmlBody!;
+            isHtml = true;
+        }
+        else if (hasHtmlContent)
+        {
+            body = htmlUtility.ConvertHtmlToText(email.HtmlBody!, true);
+            if (string.IsNullOrWhiteSpace(body)) body = htmlUtility.StripHtml(email.HtmlBody!);
+        }
+        else if (!string.IsNullOrEmpty(email.TextBody))
+        {
+            body = email.TextBody;
+        }
+
+        if (string.IsNullOrWhiteSpace(body))
+        {
+            body = "This email has no content to display.";
+            isHtml = false;
+        }
+
+        var attachments = email.Attachments
+            .Where(a => !a.IsInline)
+            .Select(a => new EmailPrintAttachment(a.FileName, a.Size))
+            .ToList();
+
+        return new EmailPrintMessage(
+            string.IsNullOrWhiteSpace(email.Subject) ? "No Subject" : email.Subject,
+            string.IsNullOrWhiteSpace(email.From) ? "Unknown Sender" : email.From,
+            string.IsNullOrWhiteSpace(email.To) ? "Unknown Recipient" : email.To,
+            string.IsNullOrWhiteSpace(email.Cc) ? null : email.Cc,
+            string.IsNullOrWhiteSpace(email.Bcc) ? null : email.Bcc,
+            email.DateReceived.ToString("MMM dd, yyyy 'at' HH:mm"),
+            body,
+            isHtml,
+            attachments);
+    }
+}
+
+/// <summary>
+/// An attachment listed under a printed message.
+/// </summary>
+/// <param name="FileName">The attachment file name.</param>
+/// <param name="Size">The attachment size in bytes.</param>
+public record EmailPrintAttachment(string FileName, long Size);
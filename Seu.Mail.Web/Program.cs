@@ -1,7 +1,12 @@
 using Microsoft.EntityFrameworkCore;
 using Seu.Mail.Data.Context;
 using Seu.Mail.Services.Extensions;
+using Seu.Mail.Web.Downloads;
 using Seu.Mail.Web.Middleware;
+using Seu.Mail.Web.Notifications;
+using Seu.Mail.Web.Offline;
+using Seu.Mail.Web.Previews;
+using Seu.Mail.Web.Undo;
 
 var builder = WebApplication.CreateBuilder(args);
 
@@ -19,6 +24,21 @@ builder.Services.AddEmailServices(builder.Configuration);
 // Add calendar module
 builder.Services.AddCalendarModule();
 
+// Add in-page toasts
+builder.Services.AddScoped<IToastService, ToastService>();
+
+// Add streamed downloads
+builder.Services.AddScoped<IDownloadService, DownloadService>();
+
+// Add the attachment previewer
+builder.Services.AddScoped<IAttachmentPreviewService, AttachmentPreviewService>();
+
+// Add undo send
+builder.Services.AddScoped<UndoSendService>();
+
+// Add offline cache
+builder.Services.AddScoped<OfflineCacheService>();
+
 // Add logging
 builder.Services.AddLogging();
 
@@ -45,11 +65,12 @@ app.MapRazorPages();
 app.MapBlazorHub();
 app.MapFallbackToPage("/_Host");
 
-// Ensure database is created
+// Ensure database is created, and add columns introduced since it was
 using (var scope = app.Services.CreateScope())
 {
     var context = scope.ServiceProvider.GetRequiredService<EmailDbContext>();
     context.Database.EnsureCreated();
+    DatabaseSchemaUpdater.EnsureColumns(context);
 }
 
 app.Run();
\ No newline at end of file
@@ -0,0 +1,10 @@
+namespace Seu.Mail.Web.Shortcuts;
+
+/// <summary>
+/// A keyboard shortcut binding registered with the client-side shortcut manager (keyboard-shortcuts.js).
+/// </summary>
+/// <param name="Id">Unique shortcut identifier passed back to the .NET callback when the shortcut fires (e.g., "reader.next").</param>
+/// <param name="Scope">The page scope the shortcut belongs to (e.g., "global", "email-reader").</param>
+/// <param name="Keys">Comma-separated alternatives; each alternative is a space-separated key sequence such as "g i" or "Mod+ArrowLeft".</param>
+/// <param name="Description">Human-readable description shown in the shortcut help overlay and settings page.</param>
+public record KeyboardShortcut(string Id, string Scope, string Keys, string Description);
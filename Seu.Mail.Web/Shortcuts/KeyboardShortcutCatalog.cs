@@ -0,0 +1,152 @@
+using System.Text.Json;
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Shortcuts;
+
+/// <summary>
+/// Defines the default keyboard shortcuts for each page scope and applies the user's custom bindings.
+/// </summary>
+public static class KeyboardShortcutCatalog
+{
+    /// <summary>
+    /// Scope for shortcuts available on every page.
+    /// </summary>
+    public const string GlobalScope = "global";
+
+    /// <summary>
+    /// Scope for shortcuts on the email reading pages (separate page and split layouts).
+    /// </summary>
+    public const string ReaderScope = "email-reader";
+
+    /// <summary>
+    /// Scope for shortcuts on the email list (inbox).
+    /// </summary>
+    public const string ListScope = "email-list";
+
+    /// <summary>
+    /// Scope for shortcuts on the calendar page.
+    /// </summary>
+    public const string CalendarScope = "calendar";
+
+    private static readonly Dictionary<string, string> ScopeTitles = new()
+    {
+        [GlobalScope] = "General",
+        [ListScope] = "Email list",
+        [ReaderScope] = "Reading email",
+        [CalendarScope] = "Calendar"
+    };
+
+    /// <summary>
+    /// Gets the default shortcuts for all scopes.
+    /// </summary>
+    public static IReadOnlyList<KeyboardShortcut> Defaults { get; } = new List<KeyboardShortcut>
+    {
+        new("global.help", GlobalScope, "?", "Show keyboard shortcuts"),
+        new("global.compose", GlobalScope, "c", "Compose new email"),
+        new("global.search", GlobalScope, "/", "Search emails"),
+        new("global.goInbox", GlobalScope, "g i", "Go to inbox"),
+        new("global.goSent", GlobalScope, "g s", "Go to sent"),
+        new("global.goDrafts", GlobalScope, "g d", "Go to drafts"),
+        new("global.goTrash", GlobalScope, "g t", "Go to trash"),
+        new("global.goCalendar", GlobalScope, "g c", "Go to calendar"),
+        new("global.toggleSidebar", GlobalScope, "[", "Collapse or expand the sidebar"),
+
+        new("list.next", ListScope, "j, ArrowDown", "Move to next email"),
+        new("list.previous", ListScope, "k, ArrowUp", "Move to previous email"),
+        new("list.extendDown", ListScope, "Shift+ArrowDown, Shift+j", "Extend selection down"),
+        new("list.extendUp", ListScope, "Shift+ArrowUp, Shift+k", "Extend selection up"),
+        new("list.toggleSelection", ListScope, "x", "Select or deselect email"),
+        new("list.selectAll", ListScope, "Mod+a", "Select all emails"),
+        new("list.clearSelection", ListScope, "Escape", "Clear selection"),
+        new("list.open", ListScope, "Enter, o", "Open email"),
+        new("list.delete", ListScope, "Delete, #", "Delete selected emails"),
+        new("list.undo", ListScope, "z", "Undo delete, move, archive or spam"),
+        new("list.contextMenu", ListScope, "Shift+F10, ContextMenu", "Open the email's menu"),
+
+        new("reader.next", ReaderScope, "j, ArrowDown, ArrowRight", "Next email"),
+        new("reader.previous", ReaderScope, "k, ArrowUp, ArrowLeft", "Previous email"),
+        new("reader.back", ReaderScope, "Escape", "Back to inbox"),
+
+        new("calendar.newEvent", CalendarScope, "Mod+n", "New event"),
+        new("calendar.today", CalendarScope, "t", "Go to today"),
+        new("calendar.previous", CalendarScope, "Mod+ArrowLeft", "Previous period"),
+        new("calendar.next", CalendarScope, "Mod+ArrowRight", "Next period"),
+        new("calendar.monthView", CalendarScope, "Mod+1", "Month view"),
+        new("calendar.weekView", CalendarScope, "Mod+2", "Week view"),
+        new("calendar.dayView", CalendarScope, "Mod+3", "Day view"),
+        new("calendar.print", CalendarScope, "Mod+p", "Print the calendar")
+    };
+
+    /// <summary>
+    /// Gets the display title for a shortcut scope.
+    /// </summary>
+    /// <param name="scope">The scope identifier.</param>
+    /// <returns>The display title, or the scope identifier if it is unknown.</returns>
+    public static string GetScopeTitle(string scope)
+    {
+        return ScopeTitles.TryGetValue(scope, out var title) ? title : scope;
+    }
+
+    /// <summary>
+    /// Gets the effective shortcuts for a scope, applying the user's custom bindings over the defaults.
+    /// </summary>
+    /// <param name="scope">The scope to get shortcuts for.</param>
+    /// <param name="settings">The user settings holding custom bindings.</param>
+    /// <returns>The shortcuts for the scope with custom keys applied.</returns>
+    public static List<KeyboardShortcut> GetBindings(string scope, UserSettings settings)
+    {
+        var overrides = ParseOverrides(settings.KeyboardShortcuts);
+
+        return Defaults
+            .Where(s => s.Scope == scope)
+            .Select(s => overrides.TryGetValue(s.Id, out var keys) ? s with { Keys = keys } : s)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Parses the custom bindings stored in <see cref="UserSettings.KeyboardShortcuts"/>.
+    /// Unknown shortcut IDs and blank key sequences are ignored.
+    /// </summary>
+    /// <param name="json">The stored JSON, or null if the user has no custom bindings.</param>
+    /// <returns>A dictionary mapping shortcut IDs to custom key sequences.</returns>
+    public static Dictionary<string, string> ParseOverrides(string? json)
+    {
+        var result = new Dictionary<string, string>();
+        if (string.IsNullOrWhiteSpace(json)) return result;
+
+        try
+        {
+            var parsed = JsonSerializer.Deserialize<Dictionary<string, string>>(json);
+            if (parsed == null) return result;
+
+            foreach (var (id, keys) in parsed)
+            {
+                if (!string.IsNullOrWhiteSpace(keys) && Defaults.Any(s => s.Id == id))
+                {
+                    result[id] = keys.Trim();
+                }
+            }
+        }
+        catch (JsonException)
+        {
+            // Corrupt settings fall back to the defaults
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Serializes custom bindings for storage, dropping entries that match the defaults.
+    /// </summary>
+    /// <param name="overrides">A dictionary mapping shortcut IDs to key sequences.</param>
+    /// <returns>The JSON to store, or null if no binding differs from its default.</returns>
+    public static string? SerializeOverrides(IDictionary<string, string> overrides)
+    {
+        var changed = overrides
+            .Where(o => !string.IsNullOrWhiteSpace(o.Value))
+            .Where(o => Defaults.Any(s => s.Id == o.Key && s.Keys != o.Value.Trim()))
+            .ToDictionary(o => o.Key, o => o.Value.Trim());
+
+        return changed.Count == 0 ? null : JsonSerializer.Serialize(changed);
+    }
+}
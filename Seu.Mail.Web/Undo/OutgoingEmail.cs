@@ -0,0 +1,103 @@
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Undo;
+
+/// <summary>
+/// An email as written in the compose form, held by <see cref="UndoSendService"/> until it is sent, so a cancelled
+/// send can be put back into the form unchanged.
+/// </summary>
+public record OutgoingEmail
+{
+    /// <summary>Gets the ID of the account to send from.</summary>
+    public int AccountId { get; init; }
+
+    /// <summary>Gets the To field, with addresses separated by semicolons.</summary>
+    public string To { get; init; } = string.Empty;
+
+    /// <summary>Gets the CC field, with addresses separated by semicolons.</summary>
+    public string? Cc { get; init; }
+
+    /// <summary>Gets the BCC field, with addresses separated by semicolons.</summary>
+    public string? Bcc { get; init; }
+
+    /// <summary>Gets the subject.</summary>
+    public string Subject { get; init; } = string.Empty;
+
+    /// <summary>Gets the body as written, without the signature.</summary>
+    public string Body { get; init; } = string.Empty;
+
+    /// <summary>Gets whether the body is HTML.</summary>
+    public bool IsHtml { get; init; }
+
+    /// <summary>Gets whether <see cref="Signature"/> is added to the body.</summary>
+    public bool IncludeSignature { get; init; }
+
+    /// <summary>Gets the account's signature.</summary>
+    public string Signature { get; init; } = string.Empty;
+
+    /// <summary>Gets every attachment in the form, including inline images no longer used in the body.</summary>
+    public IReadOnlyList<EmailAttachment> Attachments { get; init; } = [];
+
+    /// <summary>Gets the key the compose form was autosaved under, removed once the email is sent.</summary>
+    public string? DraftKey { get; init; }
+
+    /// <summary>
+    /// Gets the body to send, with the signature added if it is included.
+    /// </summary>
+    /// <returns>The body.</returns>
+    public string GetBodyToSend()
+    {
+        return IncludeSignature && !string.IsNullOrEmpty(Signature) ? Body + Signature : Body;
+    }
+
+    /// <summary>
+    /// Gets the To addresses.
+    /// </summary>
+    /// <returns>The addresses, in the order they were entered.</returns>
+    public List<string> GetToAddresses()
+    {
+        return SplitAddresses(To).ToList();
+    }
+
+    /// <summary>
+    /// Gets the CC addresses in the comma-separated form used for sending.
+    /// </summary>
+    /// <returns>The addresses, or <c>null</c> if there are none.</returns>
+    public string? GetCcToSend()
+    {
+        return JoinAddresses(Cc);
+    }
+
+    /// <summary>
+    /// Gets the BCC addresses in the comma-separated form used for sending.
+    /// </summary>
+    /// <returns>The addresses, or <c>null</c> if there are none.</returns>
+    public string? GetBccToSend()
+    {
+        return JoinAddresses(Bcc);
+    }
+
+    /// <summary>
+    /// Gets the attachments to send. Inline images deleted from the body are dropped rather than sent as
+    /// attachments.
+    /// </summary>
+    /// <returns>The attachments.</returns>
+    public List<EmailAttachment> GetAttachmentsToSend()
+    {
+        var body = GetBodyToSend();
+        return Attachments
+            .Where(a => !a.IsInline || (IsHtml && body.Contains($"cid:{a.ContentId}")))
+            .ToList();
+    }
+
+    private static IEnumerable<string> SplitAddresses(string? addresses)
+    {
+        return (addresses ?? string.Empty).Split(';').Select(e => e.Trim()).Where(e => !string.IsNullOrEmpty(e));
+    }
+
+    private static string? JoinAddresses(string? addresses)
+    {
+        var joined = string.Join(",", SplitAddresses(addresses));
+        return joined.Length > 0 ? joined : null;
+    }
+}
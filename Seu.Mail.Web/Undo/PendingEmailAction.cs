@@ -0,0 +1,55 @@
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Undo;
+
+/// <summary>
+/// The destructive email actions that wait in a <see cref="PendingEmailActionQueue"/> before they are carried out.
+/// </summary>
+public enum PendingEmailActionType
+{
+    /// <summary>Move the emails to the trash.</summary>
+    Delete,
+
+    /// <summary>Move the emails to the archive.</summary>
+    Archive,
+
+    /// <summary>Move the emails to the spam folder.</summary>
+    Spam,
+
+    /// <summary>Move the emails to <see cref="PendingEmailAction.TargetFolder"/>.</summary>
+    Move
+}
+
+/// <summary>
+/// An email action that has been taken off the list but not yet carried out, so it can still be undone.
+/// </summary>
+public class PendingEmailAction
+{
+    /// <summary>Gets the ID used to commit or undo the action.</summary>
+    public string Id { get; init; } = string.Empty;
+
+    /// <summary>Gets what the action does.</summary>
+    public PendingEmailActionType Type { get; init; }
+
+    /// <summary>Gets the folder the emails are moved to, for <see cref="PendingEmailActionType.Move"/>.</summary>
+    public string? TargetFolder { get; init; }
+
+    /// <summary>Gets the emails the action applies to, with the list positions they were taken from.</summary>
+    public IReadOnlyList<(EmailMessage Email, int Index)> Emails { get; init; } = [];
+
+    /// <summary>Gets a short description of the action for the undo toast, such as "Deleted 3 emails".</summary>
+    public string Description
+    {
+        get
+        {
+            var count = Emails.Count == 1 ? "1 email" : $"{Emails.Count} emails";
+            return Type switch
+            {
+                PendingEmailActionType.Delete => $"Deleted {count}",
+                PendingEmailActionType.Archive => $"Archived {count}",
+                PendingEmailActionType.Spam => $"Marked {count} as spam",
+                _ => $"Moved {count} to {TargetFolder}"
+            };
+        }
+    }
+}
@@ -0,0 +1,141 @@
+using Seu.Mail.Contracts.Services;
+using Seu.Mail.Core.Models;
+
+namespace Seu.Mail.Web.Undo;
+
+/// <summary>
+/// Holds email actions that have been hidden from a list but not yet carried out. The client-side queue
+/// (<c>emailUndoQueue</c> in email-undo-queue.js) decides when each one is committed or undone.
+/// </summary>
+public class PendingEmailActionQueue
+{
+    private readonly IEmailService _emailService;
+    private readonly Func<IReadOnlyList<int>, Task>? _onCommitted;
+    private readonly Dictionary<string, PendingEmailAction> _pending = new();
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="PendingEmailActionQueue"/> class.
+    /// </summary>
+    /// <param name="emailService">The service used to carry out committed actions.</param>
+    /// <param name="onCommitted">Called with the IDs of the emails each committed action was carried out for, for
+    /// example to drop them from the offline store. Emails the action failed for are left out.</param>
+    public PendingEmailActionQueue(IEmailService emailService, Func<IReadOnlyList<int>, Task>? onCommitted = null)
+    {
+        _emailService = emailService;
+        _onCommitted = onCommitted;
+    }
+
+    /// <summary>
+    /// Gets the IDs of the actions still waiting.
+    /// </summary>
+    public IReadOnlyCollection<string> PendingIds => _pending.Keys;
+
+    /// <summary>
+    /// Removes the emails that a pending action has taken from <paramref name="emails"/>, so a list freshly loaded
+    /// from the database keeps them hidden until the action is committed or undone.
+    /// </summary>
+    /// <param name="emails">The loaded emails.</param>
+    /// <returns>The number of emails removed.</returns>
+    public int RemovePending(List<EmailMessage> emails)
+    {
+        if (_pending.Count == 0) return 0;
+
+        var ids = _pending.Values
+            .SelectMany(action => action.Emails)
+            .Select(entry => entry.Email.Id)
+            .ToHashSet();
+        return emails.RemoveAll(email => ids.Contains(email.Id));
+    }
+
+    /// <summary>
+    /// Removes the emails from <paramref name="emails"/> and holds the action until it is committed or undone.
+    /// </summary>
+    /// <param name="type">What the action does.</param>
+    /// <param name="emails">The list the emails are shown in.</param>
+    /// <param name="emailIds">The emails the action applies to.</param>
+    /// <param name="targetFolder">The target folder, for <see cref="PendingEmailActionType.Move"/>.</param>
+    /// <returns>The pending action, or <c>null</c> if none of the emails are in the list.</returns>
+    public PendingEmailAction? Add(PendingEmailActionType type, List<EmailMessage> emails,
+        IEnumerable<int> emailIds, string? targetFolder = null)
+    {
+        var ids = emailIds.ToHashSet();
+        var taken = emails
+            .Select((email, index) => (Email: email, Index: index))
+            .Where(entry => ids.Contains(entry.Email.Id))
+            .ToList();
+        if (taken.Count == 0) return null;
+
+        emails.RemoveAll(email => ids.Contains(email.Id));
+
+        var action = new PendingEmailAction
+        {
+            Id = Guid.NewGuid().ToString("N"),
+            Type = type,
+            TargetFolder = targetFolder,
+            Emails = taken
+        };
+        _pending[action.Id] = action;
+        return action;
+    }
+
+    /// <summary>
+    /// Drops a pending action and puts its emails back where they were in <paramref name="emails"/>.
+    /// </summary>
+    /// <param name="actionId">The action ID.</param>
+    /// <param name="emails">The list the emails were taken from.</param>
+    /// <returns>False if the action was already committed or undone; otherwise, true.</returns>
+    public bool Undo(string actionId, List<EmailMessage> emails)
+    {
+        if (!_pending.Remove(actionId, out var action)) return false;
+
+        // Ascending order, so each email lands in front of the ones that were after it.
+        foreach (var (email, index) in action.Emails.OrderBy(entry => entry.Index))
+        {
+            if (emails.Any(e => e.Id == email.Id)) continue;
+            emails.Insert(Math.Min(index, emails.Count), email);
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Carries out a pending action.
+    /// </summary>
+    /// <param name="actionId">The action ID.</param>
+    /// <returns>False if the action was already committed or undone, or failed for any email; otherwise, true.</returns>
+    public async Task<bool> CommitAsync(string actionId)
+    {
+        if (!_pending.Remove(actionId, out var action)) return false;
+
+        var committed = new List<int>();
+        foreach (var (email, _) in action.Emails)
+        {
+            var succeeded = action.Type switch
+            {
+                PendingEmailActionType.Delete => await _emailService.DeleteEmailAsync(email.Id),
+                PendingEmailActionType.Archive => await _emailService.ArchiveEmailAsync(email.Id),
+                PendingEmailActionType.Spam => await _emailService.MarkAsSpamAsync(email.Id),
+                _ => await _emailService.MoveEmailAsync(email.Id, action.TargetFolder ?? string.Empty)
+            };
+            if (succeeded) committed.Add(email.Id);
+        }
+
+        if (committed.Count > 0 && _onCommitted != null)
+        {
+            await _onCommitted(committed);
+        }
+
+        return committed.Count == action.Emails.Count;
+    }
+
+    /// <summary>
+    /// Carries out every pending action, for example when the list is closed.
+    /// </summary>
+    public async Task CommitAllAsync()
+    {
+        foreach (var actionId in _pending.Keys.ToList())
+        {
+            await CommitAsync(actionId);
+        }
+    }
+}
@@ -0,0 +1,252 @@
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+using Seu.Mail.Contracts.Services;
+using Seu.Mail.Web.Notifications;
+
+namespace Seu.Mail.Web.Undo;
+
+/// <summary>
+/// Holds sent emails back for the user's undo-send window, showing the countdown in a toast with "Undo" and
+/// "Send now" buttons. Registered per circuit but independent of any page, so a pending send carries on when the
+/// user navigates away from Compose. When the circuit ends (the tab is closed), emails still waiting are sent
+/// straight away. Each email is sent in its own service scope, so it doesn't share the circuit's database context.
+/// </summary>
+public sealed class UndoSendService : IDisposable
+{
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly IToastService _toastService;
+    private readonly NavigationManager _navigation;
+    private readonly IJSRuntime _jsRuntime;
+    private readonly ILogger<UndoSendService> _logger;
+    private readonly Dictionary<string, PendingSend> _pending = new();
+    private readonly Dictionary<string, OutgoingEmail> _returned = new();
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="UndoSendService"/> class.
+    /// </summary>
+    /// <param name="scopeFactory">Creates the scope each email is sent in.</param>
+    /// <param name="toastService">Shows the countdown and the outcome.</param>
+    /// <param name="navigation">Opens Compose again when a send is undone.</param>
+    /// <param name="jsRuntime">Removes the autosaved copy of a sent email.</param>
+    /// <param name="logger">The logger.</param>
+    public UndoSendService(IServiceScopeFactory scopeFactory, IToastService toastService,
+        NavigationManager navigation, IJSRuntime jsRuntime, ILogger<UndoSendService> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _toastService = toastService;
+        _navigation = navigation;
+        _jsRuntime = jsRuntime;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Sends <paramref name="email"/> once <paramref name="delay"/> has passed, unless it is undone first.
+    /// </summary>
+    /// <param name="email">The email as written in the compose form.</param>
+    /// <param name="delay">The undo window.</param>
+    /// <returns>The ID of the pending send.</returns>
+    public async Task<string> ScheduleAsync(OutgoingEmail email, TimeSpan delay)
+    {
+        var pending = new PendingSend(Guid.NewGuid().ToString("N"), email);
+        lock (_pending)
+        {
+            _pending[pending.Id] = pending;
+        }
+
+        try
+        {
+            pending.ToastId = await _toastService.ShowAsync(new ToastOptions
+            {
+                Title = "Sending message",
+                Message = string.IsNullOrWhiteSpace(email.Subject)
+                    ? "Sending in {seconds}s"
+                    : $"Sending \"{email.Subject}\" in {{seconds}}s",
+                Key = $"undo-send-{pending.Id}",
+                Countdown = delay,
+                Actions =
+                [
+                    new ToastAction("Undo", () => UndoAsync(pending.Id)),
+                    new ToastAction("Send now", () => SendNowAsync(pending.Id))
+                ]
+            });
+        }
+        catch (Exception ex)
+        {
+            // Still sent on time; there is just no way to undo it.
+            _logger.LogWarning(ex, "Could not show the undo-send toast");
+        }
+
+        _ = SendWhenDueAsync(pending, delay);
+        return pending.Id;
+    }
+
+    /// <summary>
+    /// Cancels a pending send and opens Compose with the email, if it hasn't gone out yet.
+    /// </summary>
+    /// <param name="sendId">The ID returned by <see cref="ScheduleAsync"/>.</param>
+    /// <returns>False if the email was already being sent; otherwise, true.</returns>
+    public async Task<bool> UndoAsync(string sendId)
+    {
+        PendingSend? pending;
+        lock (_pending)
+        {
+            if (!_pending.Remove(sendId, out pending))
+            {
+                pending = null;
+            }
+            else
+            {
+                _returned[sendId] = pending.Email;
+            }
+        }
+
+        if (pending == null)
+        {
+            await _toastService.ShowAsync("The message has already been sent.", ToastType.Warning, "Too late to undo");
+            return false;
+        }
+
+        pending.Delay.Cancel();
+        _navigation.NavigateTo($"/compose?restore={sendId}");
+        return true;
+    }
+
+    /// <summary>
+    /// Sends a pending email without waiting for the rest of the undo window.
+    /// </summary>
+    /// <param name="sendId">The ID returned by <see cref="ScheduleAsync"/>.</param>
+    public Task SendNowAsync(string sendId)
+    {
+        lock (_pending)
+        {
+            if (_pending.TryGetValue(sendId, out var pending)) pending.Delay.Cancel();
+        }
+
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Takes back an email whose send was undone, or that failed to send, to put it into the compose form.
+    /// </summary>
+    /// <param name="sendId">The ID returned by <see cref="ScheduleAsync"/>.</param>
+    /// <returns>The email, or <c>null</c> if there is none under that ID (or it was already taken).</returns>
+    public OutgoingEmail? TakeReturned(string sendId)
+    {
+        lock (_pending)
+        {
+            return _returned.Remove(sendId, out var email) ? email : null;
+        }
+    }
+
+    /// <summary>
+    /// Sends every email still waiting, since nothing can undo them once the circuit has ended.
+    /// </summary>
+    public void Dispose()
+    {
+        lock (_pending)
+        {
+            foreach (var pending in _pending.Values)
+            {
+                pending.Delay.Cancel();
+            }
+        }
+    }
+
+    private async Task SendWhenDueAsync(PendingSend pending, TimeSpan delay)
+    {
+        try
+        {
+            await Task.Delay(delay, pending.Delay.Token);
+        }
+        catch (OperationCanceledException)
+        {
+            // Undone, sent early, or the circuit ended; only an undo takes it out of the queue.
+        }
+
+        lock (_pending)
+        {
+            if (!_pending.Remove(pending.Id)) return;
+        }
+
+        var sent = await SendAsync(pending.Email);
+        await ReportAsync(pending, sent);
+    }
+
+    private async Task<bool> SendAsync(OutgoingEmail email)
+    {
+        try
+        {
+            using var scope = _scopeFactory.CreateScope();
+            var accountService = scope.ServiceProvider.GetRequiredService<IAccountService>();
+            var emailService = scope.ServiceProvider.GetRequiredService<IEmailService>();
+
+            var account = await accountService.GetAccountByIdAsync(email.AccountId);
+            if (account == null) return false;
+
+            return await emailService.SendEmailAsync(
+                account,
+                email.GetToAddresses().First(),
+                email.Subject,
+                email.GetBodyToSend(),
+                email.IsHtml,
+                email.GetCcToSend(),
+                email.GetBccToSend(),
+                email.GetAttachmentsToSend());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error sending email held for undo");
+            return false;
+        }
+    }
+
+    private async Task ReportAsync(PendingSend pending, bool sent)
+    {
+        try
+        {
+            if (pending.ToastId != null) await _toastService.DismissAsync(pending.ToastId);
+
+            if (sent)
+            {
+                if (pending.Email.DraftKey != null)
+                {
+                    await _jsRuntime.InvokeVoidAsync("composeAutosave.remove", pending.Email.DraftKey);
+                }
+
+                await _toastService.ShowAsync("Message sent.", ToastType.Success);
+                return;
+            }
+
+            lock (_pending)
+            {
+                _returned[pending.Id] = pending.Email;
+            }
+
+            await _toastService.ShowAsync(new ToastOptions
+            {
+                Title = "Message not sent",
+                Message = "Failed to send email. Please check your account settings.",
+                Type = ToastType.Error,
+                Duration = TimeSpan.Zero,
+                Actions = [new ToastAction("Edit message", () =>
+                {
+                    _navigation.NavigateTo($"/compose?restore={pending.Id}");
+                    return Task.CompletedTask;
+                })]
+            });
+        }
+        catch (Exception ex)
+        {
+            // The circuit is gone; the outcome is in the log.
+            _logger.LogInformation(ex, "Could not report send result for {SendId}: {Sent}", pending.Id, sent);
+        }
+    }
+
+    private sealed class PendingSend(string id, OutgoingEmail email)
+    {
+        public string Id { get; } = id;
+        public OutgoingEmail Email { get; } = email;
+        public CancellationTokenSource Delay { get; } = new();
+        public string? ToastId { get; set; }
+    }
+}
@@ -0,0 +1,727 @@
+// Attachment Preview
+//
+// A lightbox for a message's attachments, opened by AttachmentPreviewService.
+// Each attachment is fetched from .NET (OpenPreviewItem) the first time it is
+// shown and kept as a Blob behind an object URL while the previewer is open;
+// closing revokes the URLs and tells .NET to let go (OnPreviewClosed).
+//
+// - images can be zoomed (wheel, pinch, double-click, + and -) and dragged
+//   around once zoomed in;
+// - PDFs open in the browser's own viewer in a sandboxed frame;
+// - text, CSV and iCalendar files are shown with textContent only: CSV as a
+//   table and iCalendar as a list of its events, parsed with calendarImport;
+// - anything else, or anything larger than `maxPreviewBytes`, is offered for
+//   download instead.
+//
+// Left and Right (or the buttons at the sides) move between the message's
+// attachments, and Escape closes. Download saves the copy already loaded.
+
+window.attachmentPreview = {
+    maxPreviewBytes: 50 * 1024 * 1024,
+    maxTextBytes: 1024 * 1024,
+    maxCsvRows: 500,
+    minScale: 1,
+    maxScale: 8,
+    zoomStep: 1.25,
+    current: null,
+
+    // `items`: [{ fileName, contentType, size, kind ("image", "pdf", "text",
+    // "csv", "calendar" or "none"), isAvailable }], in the message's order.
+    open: function (dotNetRef, previewId, items, index) {
+        this.close();
+
+        const instance = {
+            dotNetRef: dotNetRef,
+            previewId: previewId,
+            items: Array.isArray(items) ? items : [],
+            index: -1,
+            files: new Map(),
+            view: null,
+            closed: false,
+            returnFocus: document.activeElement,
+        };
+        if (instance.items.length === 0) return;
+
+        this.render(instance);
+        this.current = instance;
+        instance.dialog.focus();
+        this.show(instance, index);
+    },
+
+    close: function () {
+        const instance = this.current;
+        if (!instance) return;
+
+        this.current = null;
+        instance.closed = true;
+        instance.overlay.remove();
+        instance.files.forEach((file) => {
+            file.then((loaded) => loaded && URL.revokeObjectURL(loaded.url)).catch(() => {});
+        });
+
+        instance.dotNetRef
+            .invokeMethodAsync("OnPreviewClosed", instance.previewId)
+            .catch((error) => console.error("Error closing attachment preview:", error));
+
+        if (instance.returnFocus && instance.returnFocus.isConnected) {
+            instance.returnFocus.focus({ preventScroll: true });
+        }
+    },
+
+    // Layout
+
+    render: function (instance) {
+        const overlay = document.createElement("div");
+        overlay.className = "attachment-preview-overlay";
+
+        const dialog = document.createElement("div");
+        dialog.className = "attachment-preview-dialog";
+        dialog.tabIndex = -1;
+        dialog.setAttribute("role", "dialog");
+        dialog.setAttribute("aria-modal", "true");
+        dialog.setAttribute("aria-labelledby", "attachment-preview-title");
+
+        const toolbar = document.createElement("div");
+        toolbar.className = "attachment-preview-toolbar";
+        const heading = document.createElement("div");
+        heading.className = "attachment-preview-heading";
+        const title = document.createElement("h5");
+        title.id = "attachment-preview-title";
+        title.className = "attachment-preview-title";
+        const meta = document.createElement("div");
+        meta.className = "attachment-preview-meta";
+        heading.append(title, meta);
+
+        const zoomOut = this.createButton("fa-search-minus", "Zoom out", () => this.zoomBy(instance, 1 / this.zoomStep));
+        const zoomLevel = this.createButton(null, "Reset zoom", () => this.zoomTo(instance, 1, null));
+        zoomLevel.classList.add("attachment-preview-zoom-level");
+        const zoomIn = this.createButton("fa-search-plus", "Zoom in", () => this.zoomBy(instance, this.zoomStep));
+        const zoom = document.createElement("div");
+        zoom.className = "attachment-preview-zoom";
+        zoom.append(zoomOut, zoomLevel, zoomIn);
+
+        const download = this.createButton("fa-download", "Download", () => this.download(instance));
+        const print = this.createButton("fa-print", "Print", () => this.print(instance));
+        const close = this.createButton("fa-times", "Close", () => this.close());
+
+        const actions = document.createElement("div");
+        actions.className = "attachment-preview-actions";
+        actions.append(zoom, download, print, close);
+        toolbar.append(heading, actions);
+
+        const previous = this.createButton("fa-chevron-left", "Previous attachment", () => this.show(instance, instance.index - 1));
+        previous.classList.add("attachment-preview-nav", "attachment-preview-previous");
+        const next = this.createButton("fa-chevron-right", "Next attachment", () => this.show(instance, instance.index + 1));
+        next.classList.add("attachment-preview-nav", "attachment-preview-next");
+
+        const stage = document.createElement("div");
+        stage.className = "attachment-preview-stage";
+
+        const main = document.createElement("div");
+        main.className = "attachment-preview-main";
+        main.append(previous, stage, next);
+
+        dialog.append(toolbar, main);
+        overlay.appendChild(dialog);
+
+        overlay.addEventListener("keydown", (event) => this.handleKey(instance, event));
+        // Clicking the dark area around the file closes, as in most lightboxes;
+        // around an image it doesn't, since that is where a drag may end.
+        main.addEventListener("click", (event) => {
+            const isImage = instance.view && instance.view.image;
+            if (event.target === main || (event.target === stage && !isImage)) this.close();
+        });
+        this.attachZoomHandlers(instance, stage);
+
+        document.body.appendChild(overlay);
+        instance.overlay = overlay;
+        instance.dialog = dialog;
+        instance.elements = {
+            title: title,
+            meta: meta,
+            zoom: zoom,
+            zoomLevel: zoomLevel,
+            download: download,
+            print: print,
+            previous: previous,
+            next: next,
+            stage: stage,
+        };
+    },
+
+    createButton: function (icon, label, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-sm attachment-preview-button";
+        button.title = label;
+        button.setAttribute("aria-label", label);
+        if (icon) {
+            const glyph = document.createElement("i");
+            glyph.className = `fas ${icon}`;
+            glyph.setAttribute("aria-hidden", "true");
+            button.appendChild(glyph);
+        }
+        button.addEventListener("click", onClick);
+        return button;
+    },
+
+    // Showing an attachment
+
+    show: async function (instance, index) {
+        if (index < 0 || index >= instance.items.length || index === instance.index) return;
+
+        const item = instance.items[index];
+        const el = instance.elements;
+        instance.index = index;
+        instance.view = null;
+
+        el.title.textContent = item.fileName;
+        el.meta.textContent = [
+            instance.items.length > 1 ? `${index + 1} of ${instance.items.length}` : null,
+            item.size > 0 ? this.formatSize(item.size) : null,
+        ].filter(Boolean).join(" · ");
+        el.previous.disabled = index === 0;
+        el.next.disabled = index === instance.items.length - 1;
+        el.previous.hidden = el.next.hidden = instance.items.length < 2;
+        el.download.disabled = !item.isAvailable;
+        el.print.disabled = true;
+        el.zoom.hidden = true;
+        el.stage.className = "attachment-preview-stage";
+        el.stage.replaceChildren(this.createSpinner());
+        if (instance.dialog.contains(document.activeElement) && document.activeElement.disabled) {
+            instance.dialog.focus();
+        }
+
+        if (!item.isAvailable) {
+            this.showFallback(instance, item, "This attachment hasn't been downloaded from the server.");
+            return;
+        }
+        if (item.kind === "none" || !item.kind) {
+            this.showFallback(instance, item, "There's no preview for this type of file.");
+            return;
+        }
+        if (item.size > this.maxPreviewBytes) {
+            this.showFallback(instance, item, "This file is too large to preview.");
+            return;
+        }
+
+        let file;
+        try {
+            file = await this.load(instance, index);
+        } catch (error) {
+            console.error("Error loading attachment preview:", error);
+            file = null;
+        }
+        if (instance.closed || instance.index !== index) return;
+        if (!file) {
+            this.showFallback(instance, item, "This attachment couldn't be loaded.");
+            return;
+        }
+
+        try {
+            const renderers = {
+                image: () => this.showImage(instance, item, file),
+                pdf: () => this.showPdf(instance, item, file),
+                text: () => this.showText(instance, item, file),
+                csv: () => this.showCsv(instance, item, file),
+                calendar: () => this.showCalendar(instance, item, file),
+            };
+            await renderers[item.kind]();
+        } catch (error) {
+            console.error("Error showing attachment preview:", error);
+            if (!instance.closed && instance.index === index) {
+                this.showFallback(instance, item, "This file couldn't be shown.");
+            }
+        }
+    },
+
+    // Fetches an attachment once; a failed fetch can be tried again.
+    load: function (instance, index) {
+        if (!instance.files.has(index)) {
+            const item = instance.items[index];
+            const file = instance.dotNetRef
+                .invokeMethodAsync("OpenPreviewItem", instance.previewId, index)
+                .then(async (streamRef) => {
+                    if (!streamRef) return null;
+                    const blob = new Blob([await streamRef.arrayBuffer()], { type: this.getBlobType(item) });
+                    return { blob: blob, url: URL.createObjectURL(blob) };
+                });
+            file.catch(() => instance.files.delete(index));
+            instance.files.set(index, file);
+        }
+        return instance.files.get(index);
+    },
+
+    // The type the Blob is given, whatever the message said. PDFs are always
+    // typed as PDFs so the frame can only ever show them in the PDF viewer.
+    getBlobType: function (item) {
+        if (item.kind === "pdf") return "application/pdf";
+        if (item.kind === "image") {
+            const type = String(item.contentType || "").split(";")[0].trim().toLowerCase();
+            if (type.startsWith("image/")) return type;
+            return /\.svg$/i.test(item.fileName) ? "image/svg+xml" : "";
+        }
+        return "text/plain;charset=utf-8";
+    },
+
+    showImage: async function (instance, item, file) {
+        const image = document.createElement("img");
+        image.className = "attachment-preview-image";
+        image.alt = item.fileName;
+        image.draggable = false;
+        image.src = file.url;
+        await image.decode();
+        if (instance.closed || instance.items[instance.index] !== item) return;
+
+        instance.view = { file: file, element: image, image: image, scale: 1, x: 0, y: 0, pointers: new Map(), pinch: null };
+        instance.elements.stage.classList.add("attachment-preview-stage-image");
+        instance.elements.stage.replaceChildren(image);
+        instance.elements.zoom.hidden = false;
+        instance.elements.print.disabled = false;
+        this.applyTransform(instance);
+    },
+
+    // The viewer needs scripts to run, but without allow-same-origin nothing
+    // in the frame can reach the app. Some browsers won't show their viewer
+    // in a sandboxed frame at all, so the PDF can be downloaded from below it.
+    showPdf: function (instance, item, file) {
+        const frame = document.createElement("iframe");
+        frame.className = "attachment-preview-frame";
+        frame.title = item.fileName;
+        frame.setAttribute("sandbox", "allow-scripts allow-downloads");
+        frame.src = file.url;
+
+        const note = document.createElement("div");
+        note.className = "attachment-preview-pdf-note";
+        note.textContent = "PDF not showing?";
+        const download = document.createElement("button");
+        download.type = "button";
+        download.className = "btn btn-sm btn-outline-light ms-2";
+        download.textContent = "Download";
+        download.addEventListener("click", () => this.download(instance));
+        note.appendChild(download);
+
+        const page = document.createElement("div");
+        page.className = "attachment-preview-pdf";
+        page.append(frame, note);
+
+        instance.view = { file: file, element: frame, image: null };
+        instance.elements.stage.classList.add("attachment-preview-stage-document");
+        instance.elements.stage.replaceChildren(page);
+        instance.elements.print.disabled = false;
+    },
+
+    showText: async function (instance, item, file) {
+        const { text, isTruncated } = await this.readText(file.blob);
+        const pre = document.createElement("pre");
+        pre.className = "attachment-preview-text";
+        pre.textContent = text;
+        this.showDocument(instance, file, pre, isTruncated ? "Showing the first 1 MB of this file." : null);
+    },
+
+    showCsv: async function (instance, item, file) {
+        const { text, isTruncated } = await this.readText(file.blob);
+        const csv = window.calendarImport;
+        const rows = csv && typeof csv.parseCsv === "function" ? csv.parseCsv(text) : [];
+        if (rows.length === 0) {
+            await this.showText(instance, item, file);
+            return;
+        }
+
+        const table = document.createElement("table");
+        table.className = "table table-sm table-bordered table-striped attachment-preview-table";
+        const columns = Math.max(...rows.slice(0, this.maxCsvRows + 1).map((row) => row.length));
+        const addRow = (parent, cells, tag) => {
+            const tr = document.createElement("tr");
+            for (let i = 0; i < columns; i++) {
+                const cell = document.createElement(tag);
+                if (tag === "th") cell.scope = "col";
+                cell.textContent = cells[i] || "";
+                tr.appendChild(cell);
+            }
+            parent.appendChild(tr);
+        };
+
+        const head = document.createElement("thead");
+        addRow(head, rows[0], "th");
+        const body = document.createElement("tbody");
+        rows.slice(1, this.maxCsvRows + 1).forEach((row) => addRow(body, row, "td"));
+        table.append(head, body);
+
+        const hiddenRows = rows.length - 1 - this.maxCsvRows;
+        const note = hiddenRows > 0
+            ? `Showing the first ${this.maxCsvRows} rows.`
+            : isTruncated ? "Showing the first 1 MB of this file." : null;
+        this.showDocument(instance, file, table, note);
+    },
+
+    showCalendar: async function (instance, item, file) {
+        const { text } = await this.readText(file.blob);
+        const parser = window.calendarImport;
+        let rows = [];
+        try {
+            rows = parser && typeof parser.parseIcs === "function" ? parser.parseIcs(text) : [];
+        } catch (error) {
+            console.error("Error reading calendar attachment:", error);
+        }
+
+        const events = rows.filter((row) => !row.error && row.event.start);
+        if (events.length === 0) {
+            await this.showText(instance, item, file);
+            return;
+        }
+
+        const list = document.createElement("ul");
+        list.className = "list-group attachment-preview-events";
+        events
+            .sort((a, b) => a.event.start - b.event.start)
+            .forEach((row) => {
+                const entry = document.createElement("li");
+                entry.className = "list-group-item";
+                const title = document.createElement("div");
+                title.className = "fw-bold";
+                title.textContent = row.event.title || "(No title)";
+                const when = document.createElement("div");
+                when.className = "small";
+                when.textContent = parser.formatWhen(row.event);
+                entry.append(title, when);
+                if (row.event.location) {
+                    const location = document.createElement("div");
+                    location.className = "small text-muted";
+                    location.textContent = row.event.location;
+                    entry.appendChild(location);
+                }
+                list.appendChild(entry);
+            });
+
+        this.showDocument(instance, file, list, `${events.length} ${events.length === 1 ? "event" : "events"}`);
+    },
+
+    showDocument: function (instance, file, element, note) {
+        const page = document.createElement("div");
+        page.className = "attachment-preview-document";
+        if (note) {
+            const notice = document.createElement("div");
+            notice.className = "attachment-preview-note";
+            notice.textContent = note;
+            page.appendChild(notice);
+        }
+        page.appendChild(element);
+
+        instance.view = { file: file, element: element, image: null };
+        instance.elements.stage.classList.add("attachment-preview-stage-document");
+        instance.elements.stage.replaceChildren(page);
+        instance.elements.print.disabled = false;
+    },
+
+    showFallback: function (instance, item, message) {
+        const card = document.createElement("div");
+        card.className = "attachment-preview-fallback";
+        const icon = document.createElement("i");
+        icon.className = "fas fa-file fa-3x mb-3";
+        icon.setAttribute("aria-hidden", "true");
+        const name = document.createElement("div");
+        name.className = "fw-bold";
+        name.textContent = item.fileName;
+        const text = document.createElement("p");
+        text.className = "mb-3";
+        text.textContent = message;
+        card.append(icon, name, text);
+
+        if (item.isAvailable) {
+            const download = document.createElement("button");
+            download.type = "button";
+            download.className = "btn btn-primary";
+            download.textContent = "Download";
+            download.addEventListener("click", () => this.download(instance));
+            card.appendChild(download);
+        }
+
+        instance.view = null;
+        instance.elements.stage.replaceChildren(card);
+    },
+
+    createSpinner: function () {
+        const spinner = document.createElement("div");
+        spinner.className = "spinner-border text-light";
+        spinner.setAttribute("role", "status");
+        const label = document.createElement("span");
+        label.className = "visually-hidden";
+        label.textContent = "Loading…";
+        spinner.appendChild(label);
+        return spinner;
+    },
+
+    readText: async function (blob) {
+        const isTruncated = blob.size > this.maxTextBytes;
+        // A cut can land inside a multi-byte character; the decoder shows
+        // that as a replacement character at the very end.
+        const text = await (isTruncated ? blob.slice(0, this.maxTextBytes) : blob).text();
+        return { text: text.replace(/^\uFEFF/, ""), isTruncated: isTruncated };
+    },
+
+    // Download and print
+
+    // Saves the copy already loaded for the preview, or streams the file
+    // through the download manager when it wasn't previewed.
+    download: async function (instance) {
+        const index = instance.index;
+        const item = instance.items[index];
+        if (!item || !item.isAvailable) return;
+
+        const cached = instance.files.get(index);
+        const file = cached ? await cached.catch(() => null) : null;
+        if (file) {
+            window.downloadManager.saveBlob(file.blob, item.fileName);
+            return;
+        }
+
+        try {
+            const streamRef = await instance.dotNetRef.invokeMethodAsync("OpenPreviewItem", instance.previewId, index);
+            if (!streamRef) throw new Error("The attachment is no longer available.");
+            await window.downloadManager.save(item.fileName, item.contentType, streamRef, { size: item.size });
+        } catch (error) {
+            console.error("Error downloading attachment:", error);
+            window.downloadManager.showError(`Couldn't download ${item.fileName}.`);
+        }
+    },
+
+    print: function (instance) {
+        const item = instance.items[instance.index];
+        const view = instance.view;
+        if (!item || !view) return;
+
+        // The sandboxed frame can't be printed from here; a tab of its own
+        // gets the viewer's full toolbar, print included.
+        if (item.kind === "pdf") {
+            if (!window.open(view.file.url, "_blank")) {
+                window.toastService.show({
+                    type: "warning",
+                    message: "Allow pop-ups to print the PDF, or use the print button in the PDF viewer.",
+                });
+            }
+            return;
+        }
+
+        // Everything else was built with textContent, so its markup is safe
+        // to copy into the print document.
+        const content = view.image
+            ? `<img src="${this.escape(view.file.url)}" alt="${this.escape(item.fileName)}">`
+            : view.element.outerHTML;
+        this.printDocument(item.fileName, content);
+    },
+
+    printDocument: function (title, content) {
+        const frame = document.createElement("iframe");
+        frame.setAttribute("aria-hidden", "true");
+        frame.style.cssText = "position: fixed; left: -10000px; top: 0; width: 210mm; height: 297mm; border: 0;";
+        document.body.appendChild(frame);
+
+        const frameWindow = frame.contentWindow;
+        const doc = frameWindow.document;
+        doc.open();
+        doc.write(`<!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="UTF-8">
+                <title>${this.escape(title)}</title>
+                <style>
+                    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-size: 11pt; }
+                    img { display: block; max-width: 100%; max-height: 100vh; margin: 0 auto; object-fit: contain; }
+                    pre { white-space: pre-wrap; word-break: break-word; font-size: 9pt; }
+                    table { border-collapse: collapse; width: 100%; font-size: 9pt; }
+                    th, td { border: 1px solid #999; padding: 2px 4px; text-align: left; vertical-align: top; }
+                    ul { list-style: none; padding: 0; }
+                    li { padding: 6px 0; border-bottom: 1px solid #ccc; }
+                    .text-muted { color: #555; }
+                    .fw-bold { font-weight: bold; }
+                </style>
+            </head>
+            <body>${content}</body>
+            </html>`);
+        doc.close();
+
+        const images = Array.from(doc.images).map((image) => (image.complete
+            ? Promise.resolve()
+            : new Promise((resolve) => {
+                image.onload = resolve;
+                image.onerror = resolve;
+            })));
+        Promise.all(images).then(() => {
+            frameWindow.addEventListener("afterprint", () => setTimeout(() => frame.remove(), 0));
+            frameWindow.focus();
+            frameWindow.print();
+        });
+    },
+
+    // Zoom and pan
+
+    attachZoomHandlers: function (instance, stage) {
+        stage.addEventListener("wheel", (event) => {
+            if (!instance.view || !instance.view.image) return;
+            event.preventDefault();
+            const factor = event.deltaY < 0 ? this.zoomStep : 1 / this.zoomStep;
+            this.zoomTo(instance, instance.view.scale * factor, this.getPoint(stage, event));
+        }, { passive: false });
+
+        stage.addEventListener("dblclick", (event) => {
+            if (!instance.view || !instance.view.image) return;
+            const zoomedIn = instance.view.scale > this.minScale;
+            this.zoomTo(instance, zoomedIn ? this.minScale : 2, zoomedIn ? null : this.getPoint(stage, event));
+        });
+
+        stage.addEventListener("pointerdown", (event) => {
+            const view = instance.view;
+            if (!view || !view.image || event.button > 0) return;
+            view.pointers.set(event.pointerId, this.getPoint(stage, event));
+            stage.setPointerCapture(event.pointerId);
+            if (view.pointers.size === 2) {
+                const [a, b] = Array.from(view.pointers.values());
+                view.pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y), scale: view.scale };
+            }
+        });
+
+        stage.addEventListener("pointermove", (event) => {
+            const view = instance.view;
+            if (!view || !view.pointers || !view.pointers.has(event.pointerId)) return;
+
+            const previous = view.pointers.get(event.pointerId);
+            const point = this.getPoint(stage, event);
+            view.pointers.set(event.pointerId, point);
+
+            if (view.pinch && view.pointers.size === 2) {
+                const [a, b] = Array.from(view.pointers.values());
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                if (view.pinch.distance > 0) {
+                    const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+                    this.zoomTo(instance, view.pinch.scale * (distance / view.pinch.distance), middle);
+                }
+            } else if (view.pointers.size === 1 && view.scale > this.minScale) {
+                view.x += point.x - previous.x;
+                view.y += point.y - previous.y;
+                this.applyTransform(instance);
+            }
+        });
+
+        const release = (event) => {
+            const view = instance.view;
+            if (!view || !view.pointers) return;
+            view.pointers.delete(event.pointerId);
+            if (view.pointers.size < 2) view.pinch = null;
+        };
+        stage.addEventListener("pointerup", release);
+        stage.addEventListener("pointercancel", release);
+    },
+
+    // Relative to the middle of the stage, where the image's centre sits
+    // before it is moved.
+    getPoint: function (stage, event) {
+        const rect = stage.getBoundingClientRect();
+        return { x: event.clientX - rect.left - rect.width / 2, y: event.clientY - rect.top - rect.height / 2 };
+    },
+
+    zoomBy: function (instance, factor) {
+        if (instance.view && instance.view.image) this.zoomTo(instance, instance.view.scale * factor, null);
+    },
+
+    // Zooms keeping `point` (or the middle of the stage) where it is.
+    zoomTo: function (instance, scale, point) {
+        const view = instance.view;
+        if (!view || !view.image) return;
+
+        scale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+        const origin = point || { x: 0, y: 0 };
+        const ratio = scale / view.scale;
+        view.x = origin.x - (origin.x - view.x) * ratio;
+        view.y = origin.y - (origin.y - view.y) * ratio;
+        view.scale = scale;
+        this.applyTransform(instance);
+    },
+
+    // Keeps the image covering the stage while zoomed in, and centred when
+    // it is smaller than the stage.
+    applyTransform: function (instance) {
+        const view = instance.view;
+        const stage = instance.elements.stage;
+        const maxX = Math.max(0, (view.image.offsetWidth * view.scale - stage.clientWidth) / 2);
+        const maxY = Math.max(0, (view.image.offsetHeight * view.scale - stage.clientHeight) / 2);
+        view.x = Math.min(maxX, Math.max(-maxX, view.x));
+        view.y = Math.min(maxY, Math.max(-maxY, view.y));
+
+        view.image.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        stage.classList.toggle("attachment-preview-zoomed", view.scale > this.minScale);
+        instance.elements.zoomLevel.textContent = `${Math.round(view.scale * 100)}%`;
+    },
+
+    // Keys
+
+    handleKey: function (instance, event) {
+        // Keys pressed in the previewer are for the previewer, not the
+        // page's shortcuts or the list behind it.
+        event.stopPropagation();
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        switch (event.key) {
+            case "Escape":
+                this.close();
+                break;
+            case "ArrowLeft":
+                this.show(instance, instance.index - 1);
+                break;
+            case "ArrowRight":
+                this.show(instance, instance.index + 1);
+                break;
+            case "+":
+            case "=":
+                this.zoomBy(instance, this.zoomStep);
+                break;
+            case "-":
+                this.zoomBy(instance, 1 / this.zoomStep);
+                break;
+            case "0":
+                this.zoomTo(instance, this.minScale, null);
+                break;
+            case "Tab":
+                this.trapFocus(instance, event);
+                return;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+    },
+
+    // Keeps Tab inside the dialog while it is open.
+    trapFocus: function (instance, event) {
+        const focusable = Array.from(instance.dialog.querySelectorAll("button, iframe, [tabindex]:not([tabindex='-1'])"))
+            .filter((element) => !element.disabled && !element.hidden && !element.closest("[hidden]"));
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        if (event.shiftKey && (active === first || active === instance.dialog)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && active === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    },
+
+    formatSize: function (bytes) {
+        const units = ["B", "KB", "MB", "GB"];
+        const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        const value = bytes / Math.pow(1024, index);
+        return `${index === 0 ? value : value.toFixed(1)} ${units[index]}`;
+    },
+
+    escape: function (text) {
+        return String(text == null ? "" : text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    },
+};
@@ -0,0 +1,1383 @@
+// Calendar Import
+//
+// Imports iCalendar (.ics) and CSV files in the browser, so nothing reaches
+// the calendar until the user has seen it:
+//
+// - a file dropped anywhere on the calendar, or on a drop zone marked
+//   data-calendar-import-drop, or chosen in an input marked
+//   data-calendar-import, is read and parsed here. For iCalendar that is
+//   every VEVENT with its RRULE, EXDATE, VALARMs and attendees, with times
+//   given in a VTIMEZONE (or an IANA zone) converted to local time. A CSV
+//   file first goes through a column-mapping step;
+// - the events already in the calendar over the file's dates
+//   (GetEventsForImport) are used to flag duplicates (same UID, or same
+//   title and times) and events that overlap existing ones;
+// - a preview lists every event with a checkbox; duplicates start unticked
+//   and events that can't be imported can't be ticked;
+// - only the ticked events are sent to .NET (ImportEvents), in batches that
+//   stay under the circuit's message size limit, followed by
+//   OnImportCompleted.
+//
+// Titles, descriptions and the like come from the file, so the dialogs are
+// built with textContent only.
+
+window.calendarImport = {
+    maxFileSize: 10 * 1024 * 1024,
+    // Blazor Server drops the circuit on incoming messages over 32 KB.
+    maxBatchBytes: 24 * 1024,
+    // The lengths CalendarEvent allows.
+    maxTitleLength: 200,
+    maxDescriptionLength: 4000,
+    maxLocationLength: 500,
+    maxAttendees: 100,
+    defaultDurationMs: 60 * 60 * 1000,
+    dayCodes: { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 },
+    // RecurrenceFrequency names.
+    frequencies: { DAILY: "Daily", WEEKLY: "Weekly", MONTHLY: "Monthly", YEARLY: "Yearly" },
+    // The columns a CSV file can be mapped to, with the headers each one is
+    // guessed from (Outlook's and Google Calendar's exports, and ours).
+    csvFields: [
+        { key: "title", label: "Title", required: true, names: ["title", "subject", "summary", "event", "event title", "name"] },
+        { key: "start", label: "Start date", required: true, names: ["start", "start date", "startdate", "start date/time", "start datetime", "begin", "date"] },
+        { key: "startTime", label: "Start time", names: ["start time", "starttime", "time"] },
+        { key: "end", label: "End date", names: ["end", "end date", "enddate", "end date/time", "end datetime", "finish"] },
+        { key: "endTime", label: "End time", names: ["end time", "endtime"] },
+        { key: "allDay", label: "All day", names: ["all day event", "all day", "allday", "all-day"] },
+        { key: "location", label: "Location", names: ["location", "where", "place", "venue"] },
+        { key: "description", label: "Description", names: ["description", "notes", "details", "body", "note"] },
+    ],
+    current: null,
+    dialog: null,
+    zoneFormats: new Map(),
+
+    attach: function (container, dotNetRef) {
+        if (!container) return;
+        if (this.current) this.detach(this.current.container);
+
+        const instance = {
+            container: container,
+            dotNetRef: dotNetRef,
+            dropZone: null,
+            handlers: {},
+        };
+        const h = instance.handlers;
+
+        h.dragover = (event) => this.handleDragOver(instance, event);
+        h.dragleave = (event) => {
+            if (!event.relatedTarget) this.setDropZone(instance, null);
+        };
+        h.drop = (event) => this.handleDrop(instance, event);
+
+        document.addEventListener("dragover", h.dragover);
+        document.addEventListener("dragleave", h.dragleave);
+        document.addEventListener("drop", h.drop);
+        this.current = instance;
+    },
+
+    detach: function (container) {
+        const instance = this.current;
+        if (!instance || instance.container !== container) return;
+
+        this.closeDialog();
+        this.setDropZone(instance, null);
+        document.removeEventListener("dragover", instance.handlers.dragover);
+        document.removeEventListener("dragleave", instance.handlers.dragleave);
+        document.removeEventListener("drop", instance.handlers.drop);
+        this.current = null;
+    },
+
+    hasFiles: function (event) {
+        return !!event.dataTransfer && Array.from(event.dataTransfer.types).includes("Files");
+    },
+
+    // The element a file dropped on `target` would be imported through: a
+    // drop zone, or the calendar itself. Nothing while a dialog is open.
+    getDropZone: function (instance, target) {
+        if (this.dialog || !(target instanceof Element)) return null;
+
+        const zone = target.closest("[data-calendar-import-drop]");
+        if (zone) return zone;
+        return instance.container.contains(target) ? instance.container : null;
+    },
+
+    setDropZone: function (instance, zone) {
+        if (instance.dropZone === zone) return;
+        if (instance.dropZone) instance.dropZone.classList.remove("calendar-import-dragover");
+        if (zone) zone.classList.add("calendar-import-dragover");
+        instance.dropZone = zone;
+    },
+
+    // Files dragged over the calendar page never open in the tab, wherever
+    // they are let go.
+    handleDragOver: function (instance, event) {
+        if (!this.hasFiles(event)) return;
+
+        event.preventDefault();
+        const zone = this.getDropZone(instance, event.target);
+        event.dataTransfer.dropEffect = zone ? "copy" : "none";
+        this.setDropZone(instance, zone);
+    },
+
+    handleDrop: function (instance, event) {
+        if (!this.hasFiles(event)) return;
+
+        event.preventDefault();
+        const zone = this.getDropZone(instance, event.target);
+        this.setDropZone(instance, null);
+        if (!zone) return;
+
+        const files = event.dataTransfer.files;
+        if (files.length > 1) {
+            this.notify("Drop one file at a time.", "warning");
+            return;
+        }
+        this.importFile(instance, files[0]);
+    },
+
+    handleInputChange: function (event) {
+        const input = event.target;
+        if (!(input instanceof HTMLInputElement) || !input.matches("[data-calendar-import]")) return;
+
+        const file = input.files && input.files[0];
+        // Choosing the same file again still fires a change.
+        input.value = "";
+        if (file && this.current) this.importFile(this.current, file);
+    },
+
+    importFile: async function (instance, file) {
+        if (!file) return;
+
+        if (file.size > this.maxFileSize) {
+            this.notify(`${file.name} is larger than 10 MB.`, "error");
+            return;
+        }
+
+        let text;
+        try {
+            text = (await file.text()).replace(/^\uFEFF/, "");
+        } catch (error) {
+            console.error("Error reading import file:", error);
+            this.notify(`${file.name} could not be read.`, "error");
+            return;
+        }
+
+        const format = this.getFormat(file, text);
+        if (format === "ics") {
+            const rows = this.parseIcs(text);
+            if (rows.length === 0) {
+                this.notify(`No events were found in ${file.name}.`, "warning");
+                return;
+            }
+            await this.showPreview(instance, file.name, rows, null);
+        } else if (format === "csv") {
+            const table = this.parseCsv(text);
+            if (table.length < 2) {
+                this.notify(`No events were found in ${file.name}.`, "warning");
+                return;
+            }
+            this.showMapping(instance, file.name, table, null);
+        } else {
+            this.notify(`${file.name} isn't an iCalendar (.ics) or CSV (.csv) file.`, "error");
+        }
+    },
+
+    getFormat: function (file, text) {
+        const name = file.name.toLowerCase();
+        if (/\.(ics|ical|ifb)$/.test(name) || file.type === "text/calendar") return "ics";
+        if (name.endsWith(".csv") || file.type === "text/csv") return "csv";
+        return /^\s*BEGIN:VCALENDAR/i.test(text) ? "ics" : null;
+    },
+
+    notify: function (message, type) {
+        window.toastService.show({ title: "Calendar import", message: message, type: type });
+    },
+
+    // iCalendar ---------------------------------------------------------
+
+    // Returns preview rows: { event, error, notes }.
+    parseIcs: function (text) {
+        const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r\n|\n|\r/);
+        const root = { name: "ROOT", properties: [], children: [] };
+        const stack = [root];
+
+        lines.forEach((line) => {
+            const property = this.parseContentLine(line);
+            if (!property) return;
+
+            const parent = stack[stack.length - 1];
+            if (property.name === "BEGIN") {
+                const component = { name: property.value.trim().toUpperCase(), properties: [], children: [] };
+                parent.children.push(component);
+                stack.push(component);
+            } else if (property.name === "END") {
+                if (stack.length > 1 && parent.name === property.value.trim().toUpperCase()) stack.pop();
+            } else {
+                parent.properties.push(property);
+            }
+        });
+
+        const components = this.flatten(root);
+        const zones = new Map();
+        components.filter((c) => c.name === "VTIMEZONE").forEach((c) => {
+            const zone = this.parseTimeZone(c);
+            if (zone) zones.set(zone.id, zone);
+        });
+
+        const rows = components
+            .filter((c) => c.name === "VEVENT")
+            .map((c) => this.readEvent(c, zones));
+        this.applyOverrides(rows);
+        return rows;
+    },
+
+    flatten: function (component) {
+        return component.children.reduce(
+            (all, child) => all.concat(child, this.flatten(child)), []);
+    },
+
+    // "NAME;PARAM=value;PARAM="quoted:value":value"
+    parseContentLine: function (line) {
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            else if (line[i] === ":" && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon <= 0) return null;
+
+        const head = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [];
+        const params = {};
+        head.slice(1).forEach((part) => {
+            const equals = part.indexOf("=");
+            if (equals > 0) {
+                params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, "");
+            }
+        });
+
+        return { name: head[0].toUpperCase(), params: params, value: line.slice(colon + 1) };
+    },
+
+    getProperty: function (component, name) {
+        return component.properties.find((p) => p.name === name) || null;
+    },
+
+    getText: function (component, name) {
+        const property = this.getProperty(component, name);
+        if (!property) return "";
+        return property.value
+            .replace(/\\([nN,;\\])/g, (match, c) => (c === "n" || c === "N" ? "\n" : c))
+            .trim();
+    },
+
+    readEvent: function (component, zones) {
+        const notes = [];
+        const title = this.getText(component, "SUMMARY");
+        const event = {
+            uid: this.getText(component, "UID") || null,
+            title: title,
+            start: null,
+            end: null,
+            isAllDay: false,
+            location: this.getText(component, "LOCATION") || null,
+            description: this.getText(component, "DESCRIPTION") || null,
+            status: this.getText(component, "STATUS").toUpperCase() || null,
+            organizer: this.getAddress(this.getProperty(component, "ORGANIZER")),
+            url: this.getText(component, "URL") || null,
+            recurrence: null,
+            reminders: [],
+            attendees: [],
+        };
+        const row = { event: event, error: null, notes: notes, recurrenceId: null };
+
+        const start = this.parseDateProperty(this.getProperty(component, "DTSTART"), zones);
+        if (!start) {
+            row.error = "Has no start date";
+            return row;
+        }
+        event.isAllDay = start.isDate;
+        event.start = start.date;
+        event.end = this.readEnd(component, start, zones);
+
+        const recurrenceId = this.parseDateProperty(this.getProperty(component, "RECURRENCE-ID"), zones);
+        if (recurrenceId) {
+            row.recurrenceId = recurrenceId.date;
+        } else {
+            const rrule = this.getProperty(component, "RRULE");
+            if (rrule) event.recurrence = this.readRecurrence(rrule.value, component, zones, notes);
+        }
+
+        event.reminders = component.children
+            .filter((c) => c.name === "VALARM")
+            .map((alarm) => this.readAlarm(alarm, event, notes))
+            .filter((reminder) => reminder);
+
+        event.attendees = component.properties
+            .filter((p) => p.name === "ATTENDEE")
+            .map((p) => ({
+                email: this.getAddress(p),
+                name: p.params.CN || null,
+                isOptional: p.params.ROLE === "OPT-PARTICIPANT",
+            }))
+            .filter((attendee) => attendee.email);
+
+        this.fitToLimits(event, notes);
+        return row;
+    },
+
+    // Events without an end last an hour, or their whole day. All-day events
+    // end on the last moment of their last day, as the calendar shows them.
+    readEnd: function (component, start, zones) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const end = this.parseDateProperty(this.getProperty(component, "DTEND"), zones);
+        const duration = this.getProperty(component, "DURATION");
+
+        let endDate;
+        if (end) {
+            endDate = end.date;
+        } else if (duration) {
+            endDate = this.addDuration(start.date, this.parseDuration(duration.value));
+        } else {
+            endDate = new Date(start.date.getTime() + (start.isDate ? dayMs : this.defaultDurationMs));
+        }
+
+        if (start.isDate) {
+            // DTEND of an all-day event is the day after it.
+            if (endDate <= start.date) endDate = new Date(start.date.getTime() + dayMs);
+            const lastDay = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - 1);
+            return new Date(Math.max(lastDay.getTime(), start.date.getTime()) + dayMs - 60 * 1000);
+        }
+        return endDate > start.date ? endDate : new Date(start.date.getTime() + this.defaultDurationMs);
+    },
+
+    // Parses a DATE or DATE-TIME property into { date (local), isDate }.
+    parseDateProperty: function (property, zones) {
+        if (!property) return null;
+        return this.parseDateValue(property.value.split(",")[0], property.params, zones);
+    },
+
+    parseDateValue: function (value, params, zones) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec(value.trim());
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute, second, utc] = match;
+        if (hour === undefined || (params && params.VALUE === "DATE")) {
+            return { date: new Date(+year, +month - 1, +day), isDate: true };
+        }
+
+        const wall = Date.UTC(+year, +month - 1, +day, +hour, +minute, +(second || 0));
+        if (utc) return { date: new Date(wall), isDate: false };
+
+        const offset = params && params.TZID ? this.getZoneOffset(params.TZID, wall, zones) : null;
+        if (offset === null) {
+            // Floating time, or a zone we know nothing about: taken as local.
+            return { date: new Date(+year, +month - 1, +day, +hour, +minute, +(second || 0)), isDate: false };
+        }
+        return { date: new Date(wall - offset * 60 * 1000), isDate: false };
+    },
+
+    // "-P1DT2H30M" in milliseconds.
+    parseDuration: function (value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(value.trim());
+        if (!match) return null;
+
+        const [, sign, weeks, days, hours, minutes, seconds] = match;
+        const ms = ((((+(weeks || 0) * 7 + +(days || 0)) * 24 + +(hours || 0)) * 60 + +(minutes || 0)) * 60 +
+            +(seconds || 0)) * 1000;
+        return sign === "-" ? -ms : ms;
+    },
+
+    // Whole days are added on the calendar, so they stay whole across a
+    // daylight saving change.
+    addDuration: function (date, ms) {
+        if (ms === null) return new Date(date.getTime() + this.defaultDurationMs);
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const days = Math.trunc(ms / dayMs);
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return new Date(result.getTime() + (ms - days * dayMs));
+    },
+
+    getAddress: function (property) {
+        if (!property) return null;
+        const value = property.value.trim().replace(/^mailto:/i, "");
+        return value.includes("@") ? value : null;
+    },
+
+    // Keeps the event within what CalendarEvent stores, and small enough to
+    // send to .NET.
+    fitToLimits: function (event, notes) {
+        event.title = event.title.slice(0, this.maxTitleLength);
+        if (event.location) event.location = event.location.slice(0, this.maxLocationLength);
+        if (event.description && event.description.length > this.maxDescriptionLength) {
+            event.description = event.description.slice(0, this.maxDescriptionLength);
+            notes.push("Description shortened");
+        }
+        if (event.attendees.length > this.maxAttendees) {
+            notes.push(`Only the first ${this.maxAttendees} of ${event.attendees.length} attendees kept`);
+            event.attendees = event.attendees.slice(0, this.maxAttendees);
+        }
+    },
+
+    readRecurrence: function (value, component, zones, notes) {
+        const rule = {};
+        value.split(";").forEach((part) => {
+            const equals = part.indexOf("=");
+            if (equals > 0) rule[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).toUpperCase();
+        });
+
+        const frequency = this.frequencies[rule.FREQ];
+        if (!frequency) {
+            notes.push("Repeats more often than daily, which the calendar can't do; only the first time is imported");
+            return null;
+        }
+
+        const recurrence = {
+            frequency: frequency,
+            interval: Math.max(1, parseInt(rule.INTERVAL, 10) || 1),
+            count: parseInt(rule.COUNT, 10) || null,
+            until: null,
+            byDay: null,
+            byWeekOfMonth: null,
+            byMonthDay: null,
+            byMonth: null,
+            exceptionDates: [],
+        };
+        let isComplete = true;
+
+        if (rule.UNTIL) {
+            const until = this.parseDateValue(rule.UNTIL, null, zones);
+            if (until) recurrence.until = until.date;
+        }
+
+        const days = (rule.BYDAY || "").split(",").filter((d) => d)
+            .map((d) => /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(d))
+            .filter((d) => d);
+        if (days.length > 0) {
+            if (frequency === "Weekly" && days.every((d) => !d[1])) {
+                recurrence.byDay = days.map((d) => this.dayCodes[d[2]]);
+            } else if (frequency === "Monthly" && days.length === 1) {
+                // "2TU", or "TU" with BYSETPOS=2. The editor takes the day from
+                // the start date.
+                const week = parseInt(days[0][1] || rule.BYSETPOS, 10);
+                if (week >= 1 && week <= 4) recurrence.byWeekOfMonth = week;
+                else if (week < 0) recurrence.byWeekOfMonth = -1;
+                else isComplete = false;
+            } else {
+                isComplete = false;
+            }
+        }
+
+        if (rule.BYMONTHDAY) {
+            const monthDays = rule.BYMONTHDAY.split(",").map((d) => parseInt(d, 10));
+            recurrence.byMonthDay = monthDays.filter((d) => d >= 1 && d <= 31);
+            if (recurrence.byMonthDay.length !== monthDays.length) isComplete = false;
+        }
+        if (rule.BYMONTH) {
+            recurrence.byMonth = rule.BYMONTH.split(",").map((m) => parseInt(m, 10)).filter((m) => m >= 1 && m <= 12);
+        }
+
+        const supported = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "BYDAY", "BYMONTHDAY", "BYMONTH", "WKST", "BYSETPOS"];
+        if (!isComplete || Object.keys(rule).some((key) => !supported.includes(key))) {
+            notes.push("Part of the repeat pattern isn't supported and was left out");
+        }
+
+        component.properties
+            .filter((p) => p.name === "EXDATE")
+            .forEach((p) => p.value.split(",").forEach((item) => {
+                const date = this.parseDateValue(item, p.params, zones);
+                if (date) recurrence.exceptionDates.push(this.formatDate(date.date));
+            }));
+
+        return recurrence;
+    },
+
+    // VALARM TRIGGER: a duration from the start (or the end, RELATED=END) or
+    // a moment. Alarms after the event has started are left out.
+    readAlarm: function (alarm, event, notes) {
+        const trigger = this.getProperty(alarm, "TRIGGER");
+        if (!trigger) return null;
+
+        let at;
+        if (trigger.params.VALUE === "DATE-TIME") {
+            const date = this.parseDateValue(trigger.value, null, null);
+            at = date ? date.date.getTime() : null;
+        } else {
+            const ms = this.parseDuration(trigger.value);
+            const from = trigger.params.RELATED === "END" ? event.end : event.start;
+            at = ms === null ? null : from.getTime() + ms;
+        }
+        if (at === null) return null;
+
+        const minutesBefore = Math.round((event.start.getTime() - at) / 60000);
+        if (minutesBefore < 0) {
+            notes.push("A reminder after the start was left out");
+            return null;
+        }
+
+        const action = this.getText(alarm, "ACTION").toUpperCase();
+        return { minutesBefore: minutesBefore, byEmail: action === "EMAIL" };
+    },
+
+    // A VEVENT with a RECURRENCE-ID changes one occurrence of a repeating
+    // event: that day is skipped in the repeating event, and the changed
+    // occurrence is imported on its own.
+    applyOverrides: function (rows) {
+        rows.filter((row) => row.recurrenceId).forEach((row) => {
+            const master = row.event.uid && rows.find((r) =>
+                r !== row && !r.recurrenceId && r.event.recurrence && r.event.uid === row.event.uid);
+            if (master) master.event.recurrence.exceptionDates.push(this.formatDate(row.recurrenceId));
+            row.event.uid = null;
+            row.notes.push("Changed occurrence of a repeating event");
+        });
+    },
+
+    // VTIMEZONE: its STANDARD and DAYLIGHT observances, each with the wall
+    // time it starts, the offset it switches to and its yearly rule.
+    parseTimeZone: function (component) {
+        const id = this.getText(component, "TZID");
+        if (!id) return null;
+
+        const observances = component.children
+            .filter((c) => c.name === "STANDARD" || c.name === "DAYLIGHT")
+            .map((c) => {
+                const start = this.getProperty(c, "DTSTART");
+                const match = start && /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?/.exec(start.value);
+                const rule = {};
+                const rrule = this.getProperty(c, "RRULE");
+                if (rrule) {
+                    rrule.value.split(";").forEach((part) => {
+                        const [key, value] = part.split("=");
+                        if (value) rule[key.toUpperCase()] = value.toUpperCase();
+                    });
+                }
+
+                return {
+                    start: match ? Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +(match[6] || 0)) : 0,
+                    hour: match ? [+match[4], +match[5], +(match[6] || 0)] : [0, 0, 0],
+                    offset: this.parseOffset(this.getText(c, "TZOFFSETTO")),
+                    rule: rrule ? rule : null,
+                };
+            })
+            .filter((o) => o.offset !== null);
+
+        return observances.length > 0 ? { id: id, observances: observances } : null;
+    },
+
+    // "+0530" or "-050000" in minutes.
+    parseOffset: function (value) {
+        const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(value);
+        if (!match) return null;
+        const minutes = +match[2] * 60 + +match[3];
+        return match[1] === "-" ? -minutes : minutes;
+    },
+
+    // The offset from UTC, in minutes, in force at `wall` (a wall-clock time
+    // in the zone, written as if it were UTC), from the file's VTIMEZONE or
+    // else from the browser's own zone data.
+    getZoneOffset: function (tzid, wall, zones) {
+        const zone = zones && zones.get(tzid);
+        if (zone) return this.getObservedOffset(zone, wall);
+        return this.getIntlOffset(tzid.replace(/^\//, ""), wall);
+    },
+
+    // The observance that most recently started before `wall` wins.
+    getObservedOffset: function (zone, wall) {
+        const year = new Date(wall).getUTCFullYear();
+        let latest = null;
+
+        zone.observances.forEach((observance) => {
+            const onsets = observance.rule
+                ? [year - 1, year].map((y) => this.getRuleOnset(observance, y))
+                : [observance.start];
+
+            onsets.forEach((onset) => {
+                if (onset === null || onset > wall || onset < observance.start) return;
+                if (!latest || onset > latest.onset) latest = { onset: onset, offset: observance.offset };
+            });
+        });
+
+        if (latest) return latest.offset;
+        // Before the first observance: the earliest one.
+        const earliest = zone.observances.reduce((a, b) => (b.start < a.start ? b : a));
+        return earliest.offset;
+    },
+
+    // When a yearly rule (BYMONTH with BYDAY, e.g. "2SU", or BYDAY with
+    // BYMONTHDAY) starts the observance in `year`.
+    getRuleOnset: function (observance, year) {
+        const rule = observance.rule;
+        const month = parseInt(rule.BYMONTH, 10);
+        if (!month) return null;
+
+        const day = /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(rule.BYDAY || "");
+        let date = null;
+        if (day && day[1]) {
+            date = this.getNthWeekday(year, month, this.dayCodes[day[2]], parseInt(day[1], 10));
+        } else if (day && rule.BYMONTHDAY) {
+            const weekday = this.dayCodes[day[2]];
+            date = rule.BYMONTHDAY.split(",").map((d) => parseInt(d, 10))
+                .find((d) => new Date(Date.UTC(year, month - 1, d)).getUTCDay() === weekday) || null;
+        } else if (rule.BYMONTHDAY) {
+            date = parseInt(rule.BYMONTHDAY, 10);
+        }
+        if (!date) return null;
+
+        const onset = Date.UTC(year, month - 1, date, ...observance.hour);
+        if (rule.UNTIL) {
+            const until = this.parseDateValue(rule.UNTIL, null, null);
+            if (until && onset > until.date.getTime() + 24 * 60 * 60 * 1000) return null;
+        }
+        return onset;
+    },
+
+    // The day of the month of the `n`th `weekday` (-1 for the last).
+    getNthWeekday: function (year, month, weekday, n) {
+        if (n > 0) {
+            const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+            return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+        }
+        const lastDay = new Date(Date.UTC(year, month, 0));
+        const last = lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7);
+        return last + (n + 1) * 7;
+    },
+
+    getIntlOffset: function (timeZone, wall) {
+        let format = this.zoneFormats.get(timeZone);
+        if (format === undefined) {
+            try {
+                format = new Intl.DateTimeFormat("en-US", {
+                    timeZone: timeZone,
+                    hourCycle: "h23",
+                    year: "numeric",
+                    month: "numeric",
+                    day: "numeric",
+                    hour: "numeric",
+                    minute: "numeric",
+                    second: "numeric",
+                });
+            } catch (error) {
+                // Not a zone this browser knows.
+                format = null;
+            }
+            this.zoneFormats.set(timeZone, format);
+        }
+        if (!format) return null;
+
+        const offsetAt = (instant) => {
+            const parts = {};
+            format.formatToParts(new Date(instant)).forEach((part) => (parts[part.type] = part.value));
+            const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+            return Math.round((asUtc - instant) / 60000);
+        };
+        // Taking the wall time as UTC gives an offset that can be an hour
+        // out near a daylight saving change; the second pass settles it.
+        const guess = offsetAt(wall);
+        return offsetAt(wall - guess * 60 * 1000);
+    },
+
+    // CSV ---------------------------------------------------------------
+
+    // Returns the rows, each an array of fields, without blank lines.
+    parseCsv: function (text) {
+        const delimiter = this.detectDelimiter(text);
+        const rows = [];
+        let row = [];
+        let field = "";
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (inQuotes) {
+                if (c !== '"') field += c;
+                else if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else inQuotes = false;
+            } else if (c === '"' && field.trim() === "") {
+                field = "";
+                inQuotes = true;
+            } else if (c === delimiter) {
+                row.push(field.trim());
+                field = "";
+            } else if (c === "\n" || c === "\r") {
+                if (c === "\r" && text[i + 1] === "\n") i++;
+                row.push(field.trim());
+                rows.push(row);
+                row = [];
+                field = "";
+            } else {
+                field += c;
+            }
+        }
+        if (field !== "" || row.length > 0) {
+            row.push(field.trim());
+            rows.push(row);
+        }
+
+        return rows.filter((r) => r.some((f) => f !== ""));
+    },
+
+    // Comma, semicolon (spreadsheets in many European locales) or tab,
+    // whichever the header line has most of.
+    detectDelimiter: function (text) {
+        const header = text.split(/\r?\n/, 1)[0];
+        return [",", ";", "\t"]
+            .map((d) => ({ delimiter: d, count: header.split(d).length }))
+            .reduce((a, b) => (b.count > a.count ? b : a)).delimiter;
+    },
+
+    normalizeHeader: function (header) {
+        return header.toLowerCase().replace(/[_\s]+/g, " ").trim();
+    },
+
+    // Guesses which column each field comes from, and the date order.
+    guessMapping: function (table) {
+        const headers = table[0].map((h) => this.normalizeHeader(h));
+        const used = new Set();
+        const mapping = { columns: {}, dateOrder: "ymd" };
+
+        this.csvFields.forEach((field) => {
+            const index = field.names
+                .map((name) => headers.indexOf(name))
+                .find((i) => i >= 0 && !used.has(i));
+            if (index !== undefined) {
+                mapping.columns[field.key] = index;
+                used.add(index);
+            }
+        });
+
+        mapping.dateOrder = this.guessDateOrder(table, mapping.columns.start);
+        return mapping;
+    },
+
+    // "03/04/2024" is ambiguous; a day over 12 in any row settles it,
+    // otherwise the browser's language does.
+    guessDateOrder: function (table, column) {
+        if (column !== undefined) {
+            for (const row of table.slice(1)) {
+                const match = /^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}/.exec(row[column] || "");
+                if (!match) continue;
+                if (+match[1] > 12) return "dmy";
+                if (+match[2] > 12) return "mdy";
+            }
+        }
+        return /^en-(US|CA|PH)$/i.test(navigator.language) ? "mdy" : "dmy";
+    },
+
+    // Builds preview rows from the CSV table with the chosen mapping.
+    readCsvRows: function (table, mapping) {
+        const columns = mapping.columns;
+        const cell = (row, key) => (columns[key] === undefined ? "" : row[columns[key]] || "");
+
+        return table.slice(1).map((cells) => {
+            const notes = [];
+            const event = {
+                uid: null,
+                title: cell(cells, "title"),
+                start: null,
+                end: null,
+                isAllDay: false,
+                location: cell(cells, "location") || null,
+                description: cell(cells, "description") || null,
+                status: null,
+                organizer: null,
+                url: null,
+                recurrence: null,
+                reminders: [],
+                attendees: [],
+            };
+            const row = { event: event, error: null, notes: notes, recurrenceId: null };
+
+            const startText = cell(cells, "start");
+            const start = this.parseCsvDateTime(startText, cell(cells, "startTime"), mapping.dateOrder);
+            if (!start) {
+                row.error = startText ? `Can't read the start "${startText}"` : "Has no start date";
+                return row;
+            }
+
+            const allDayText = cell(cells, "allDay").toLowerCase();
+            event.isAllDay = ["true", "yes", "y", "1", "x"].includes(allDayText) || !start.hasTime;
+            event.start = event.isAllDay
+                ? new Date(start.date.getFullYear(), start.date.getMonth(), start.date.getDate())
+                : start.date;
+
+            const endText = cell(cells, "end");
+            const endTimeText = cell(cells, "endTime");
+            const end = endText || endTimeText
+                ? this.parseCsvDateTime(endText || this.formatDate(event.start), endTimeText, endText ? mapping.dateOrder : "ymd")
+                : null;
+            if ((endText || endTimeText) && !end) notes.push(`Can't read the end "${endText || endTimeText}"`);
+            event.end = this.getCsvEnd(event, end);
+
+            this.fitToLimits(event, notes);
+            return row;
+        });
+    },
+
+    // All-day events run to the end of their last day; timed events without
+    // a usable end last an hour.
+    getCsvEnd: function (event, end) {
+        if (event.isAllDay) {
+            const last = end && end.date >= event.start ? end.date : event.start;
+            return new Date(last.getFullYear(), last.getMonth(), last.getDate(), 23, 59);
+        }
+        return end && end.date > event.start
+            ? end.date
+            : new Date(event.start.getTime() + this.defaultDurationMs);
+    },
+
+    // A date, optionally followed by a time, plus an optional separate time.
+    // Returns { date, hasTime } or null.
+    parseCsvDateTime: function (dateText, timeText, order) {
+        let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s]+(.*))?$/.exec(dateText.trim());
+        let year, month, day, rest;
+        if (match) {
+            [, year, month, day, rest] = match;
+        } else {
+            match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:[T\s]+(.*))?$/.exec(dateText.trim());
+            if (!match) return null;
+            [month, day] = order === "dmy" ? [match[2], match[1]] : [match[1], match[2]];
+            year = match[3].length === 2 ? 2000 + +match[3] : match[3];
+            rest = match[4];
+        }
+
+        const date = new Date(+year, +month - 1, +day);
+        if (date.getMonth() !== +month - 1 || date.getDate() !== +day) return null;
+
+        const timeSource = (timeText || rest || "").trim();
+        if (!timeSource) return { date: date, hasTime: false };
+
+        const time = /^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?(?:\.\d+)?\s*([ap])?\.?m?\.?$/i.exec(timeSource);
+        if (!time || (time[2] === undefined && !time[4])) return null;
+
+        let hour = +time[1];
+        if (time[4]) hour = (hour % 12) + (time[4].toLowerCase() === "p" ? 12 : 0);
+        if (hour > 23 || +(time[2] || 0) > 59) return null;
+        date.setHours(hour, +(time[2] || 0), +(time[3] || 0));
+        return { date: date, hasTime: true };
+    },
+
+    // Duplicates and conflicts -------------------------------------------
+
+    // Flags rows whose event is already in the calendar (same UID, or same
+    // title and times), is repeated earlier in the file, or overlaps
+    // existing timed events.
+    findMatches: function (rows, existing) {
+        const others = existing.map((e) => ({
+            uid: e.uid,
+            title: e.title,
+            isAllDay: e.isAllDay,
+            start: new Date(e.start),
+            end: new Date(e.end),
+        }));
+        const seen = new Map();
+
+        rows.forEach((row) => {
+            if (row.error) return;
+            const event = row.event;
+
+            row.duplicate = others.find((other) =>
+                (event.uid && other.uid === event.uid) || this.getMatchKey(other) === this.getMatchKey(event)) || null;
+
+            const key = event.uid || this.getMatchKey(event);
+            if (!row.duplicate && seen.has(key)) row.repeated = true;
+            else seen.set(key, row);
+
+            row.conflicts = row.duplicate || event.isAllDay
+                ? []
+                : others.filter((other) => !other.isAllDay && other.start < event.end && other.end > event.start);
+        });
+    },
+
+    // All-day events match on their days; timed ones to the minute.
+    getMatchKey: function (event) {
+        const format = (date) => (event.isAllDay ? this.formatDate(date) : this.formatDateTime(date).slice(0, 16));
+        return `${event.title.trim().toLowerCase()}|${event.isAllDay}|${format(event.start)}|${format(event.end)}`;
+    },
+
+    // Preview and mapping dialogs ----------------------------------------
+
+    showPreview: async function (instance, fileName, rows, mapping) {
+        const valid = rows.filter((row) => !row.error);
+        let existing = [];
+        if (valid.length > 0) {
+            const from = new Date(Math.min(...valid.map((row) => row.event.start.getTime())));
+            const to = new Date(Math.max(...valid.map((row) => row.event.end.getTime())));
+            try {
+                existing = await instance.dotNetRef.invokeMethodAsync("GetEventsForImport",
+                    this.formatDateTime(from), this.formatDateTime(to));
+            } catch (error) {
+                console.error("Error loading events to compare:", error);
+                this.notify("Existing events could not be loaded, so duplicates aren't marked.", "warning");
+            }
+        }
+        if (this.current !== instance) return;
+
+        this.findMatches(rows, existing);
+        rows.forEach((row) => {
+            row.selected = !row.error && !row.duplicate && !row.repeated;
+            row.imported = false;
+        });
+
+        const dialog = this.openDialog(`Import events from ${fileName}`);
+        const summary = document.createElement("p");
+        summary.className = "calendar-import-summary";
+        summary.textContent = this.describeRows(rows);
+
+        const wrapper = document.createElement("div");
+        wrapper.className = "calendar-import-table-wrapper";
+        const table = document.createElement("table");
+        table.className = "table table-sm align-middle mb-0";
+        wrapper.appendChild(table);
+
+        const head = table.createTHead().insertRow();
+        const selectAll = document.createElement("input");
+        selectAll.type = "checkbox";
+        selectAll.className = "form-check-input";
+        selectAll.setAttribute("aria-label", "Select all events");
+        const selectAllCell = document.createElement("th");
+        selectAllCell.scope = "col";
+        selectAllCell.appendChild(selectAll);
+        head.appendChild(selectAllCell);
+        ["Event", "When", "Details", "Status"].forEach((text) => {
+            const th = document.createElement("th");
+            th.scope = "col";
+            th.textContent = text;
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        const checkboxes = rows.map((row) => this.renderRow(body, row));
+
+        const footer = dialog.footer;
+        const status = document.createElement("span");
+        status.className = "calendar-import-status me-auto";
+        status.setAttribute("role", "status");
+        const back = this.createButton("Back", "btn btn-outline-secondary");
+        const cancel = this.createButton("Cancel", "btn btn-secondary");
+        const confirm = this.createButton("", "btn btn-primary");
+        if (mapping) footer.append(status, back, cancel, confirm);
+        else footer.append(status, cancel, confirm);
+
+        const update = () => {
+            const selectable = rows.filter((row) => !row.error && !row.imported);
+            const count = selectable.filter((row) => row.selected).length;
+            confirm.textContent = count === 1 ? "Import 1 event" : `Import ${count} events`;
+            confirm.disabled = count === 0;
+            selectAll.checked = count > 0 && count === selectable.length;
+            selectAll.indeterminate = count > 0 && count < selectable.length;
+            selectAll.disabled = selectable.length === 0;
+        };
+
+        checkboxes.forEach((checkbox, index) => {
+            if (!checkbox) return;
+            checkbox.addEventListener("change", () => {
+                rows[index].selected = checkbox.checked;
+                update();
+            });
+        });
+        selectAll.addEventListener("change", () => {
+            rows.forEach((row, index) => {
+                if (row.error || row.imported) return;
+                row.selected = selectAll.checked;
+                checkboxes[index].checked = selectAll.checked;
+            });
+            update();
+        });
+        cancel.addEventListener("click", () => this.closeDialog());
+        back.addEventListener("click", () => this.showMapping(instance, fileName, mapping.table, mapping));
+        confirm.addEventListener("click", () =>
+            this.importRows(instance, fileName, rows, checkboxes, { status, confirm, back, cancel, selectAll }));
+
+        dialog.body.append(summary, wrapper);
+        update();
+        (checkboxes.find((c) => c && !c.disabled) || cancel).focus();
+    },
+
+    renderRow: function (body, row) {
+        const event = row.event;
+        const tr = body.insertRow();
+        if (row.error) tr.classList.add("calendar-import-invalid");
+
+        let checkbox = null;
+        const selectCell = tr.insertCell();
+        if (!row.error) {
+            checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.className = "form-check-input";
+            checkbox.checked = row.selected;
+            checkbox.setAttribute("aria-label", `Import ${event.title || "(No title)"}`);
+            selectCell.appendChild(checkbox);
+        }
+
+        const titleCell = tr.insertCell();
+        const title = document.createElement("div");
+        title.className = "fw-semibold";
+        title.textContent = event.title || "(No title)";
+        titleCell.appendChild(title);
+        if (event.location) {
+            const location = document.createElement("div");
+            location.className = "small text-muted";
+            location.textContent = event.location;
+            titleCell.appendChild(location);
+        }
+
+        tr.insertCell().textContent = row.error ? "" : this.formatWhen(event);
+        tr.insertCell().textContent = this.describeDetails(event, row.notes);
+
+        const statusCell = tr.insertCell();
+        row.statusCell = statusCell;
+        this.renderStatus(row);
+        return checkbox;
+    },
+
+    renderStatus: function (row) {
+        const cell = row.statusCell;
+        cell.replaceChildren();
+        const badge = (text, className, detail) => {
+            const span = document.createElement("span");
+            span.className = `badge ${className}`;
+            span.textContent = text;
+            if (detail) span.title = detail;
+            cell.appendChild(span);
+        };
+
+        if (row.imported) badge("Imported", "bg-success");
+        else if (row.error) badge(row.error, "bg-danger");
+        else if (row.duplicate) badge("Already in calendar", "bg-secondary", row.duplicate.title);
+        else if (row.repeated) badge("Repeated in file", "bg-secondary");
+        else if (row.conflicts.length > 0) {
+            const names = row.conflicts.slice(0, 3)
+                .map((c) => `${c.title} (${this.formatTime(c.start)}–${this.formatTime(c.end)})`);
+            if (row.conflicts.length > 3) names.push(`and ${row.conflicts.length - 3} more`);
+            badge("Overlaps", "bg-warning text-dark");
+            const detail = document.createElement("div");
+            detail.className = "small text-muted";
+            detail.textContent = names.join(", ");
+            cell.appendChild(detail);
+        } else badge("New", "bg-light text-dark border");
+    },
+
+    describeRows: function (rows) {
+        const count = (predicate) => rows.filter(predicate).length;
+        const parts = [rows.length === 1 ? "1 event" : `${rows.length} events`];
+        const duplicates = count((row) => row.duplicate || row.repeated);
+        const conflicts = count((row) => row.conflicts && row.conflicts.length > 0);
+        const invalid = count((row) => row.error);
+        if (duplicates) parts.push(`${duplicates} already in your calendar or repeated`);
+        if (conflicts) parts.push(`${conflicts} overlapping existing events`);
+        if (invalid) parts.push(`${invalid} that can't be imported`);
+        return `${parts.join(", ")}. Duplicates aren't ticked.`;
+    },
+
+    describeDetails: function (event, notes) {
+        const details = [];
+        if (event.recurrence) details.push(this.describeRecurrence(event.recurrence));
+        if (event.reminders.length > 0) {
+            details.push(event.reminders.length === 1 ? "1 reminder" : `${event.reminders.length} reminders`);
+        }
+        if (event.attendees.length > 0) {
+            details.push(event.attendees.length === 1 ? "1 attendee" : `${event.attendees.length} attendees`);
+        }
+        return details.concat(notes).join(" · ");
+    },
+
+    describeRecurrence: function (recurrence) {
+        const units = { Daily: "day", Weekly: "week", Monthly: "month", Yearly: "year" };
+        const unit = units[recurrence.frequency];
+        let text = recurrence.interval === 1
+            ? `Repeats ${recurrence.frequency.toLowerCase()}`
+            : `Repeats every ${recurrence.interval} ${unit}s`;
+        if (recurrence.count) text += `, ${recurrence.count} times`;
+        else if (recurrence.until) text += ` until ${recurrence.until.toLocaleDateString()}`;
+        return text;
+    },
+
+    formatWhen: function (event) {
+        const date = (d) => d.toLocaleDateString(undefined, { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+        const sameDay = this.formatDate(event.start) === this.formatDate(event.end);
+
+        if (event.isAllDay) {
+            return sameDay ? `${date(event.start)}, all day` : `${date(event.start)} – ${date(event.end)}, all day`;
+        }
+        return sameDay
+            ? `${date(event.start)}, ${this.formatTime(event.start)}–${this.formatTime(event.end)}`
+            : `${date(event.start)} ${this.formatTime(event.start)} – ${date(event.end)} ${this.formatTime(event.end)}`;
+    },
+
+    formatTime: function (date) {
+        return date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+    },
+
+    showMapping: function (instance, fileName, table, previous) {
+        const headers = table[0];
+        const sample = table[1] || [];
+        const mapping = previous || { ...this.guessMapping(table), table: table };
+
+        const dialog = this.openDialog(`Import events from ${fileName}`);
+        const intro = document.createElement("p");
+        intro.textContent = "Choose which column holds each detail of the events.";
+        dialog.body.appendChild(intro);
+
+        const grid = document.createElement("div");
+        grid.className = "calendar-import-mapping";
+        const selects = {};
+
+        this.csvFields.forEach((field) => {
+            const id = `calendar-import-${field.key}`;
+            const label = document.createElement("label");
+            label.className = "form-label mb-0";
+            label.htmlFor = id;
+            label.textContent = field.required ? `${field.label} *` : field.label;
+
+            const select = document.createElement("select");
+            select.className = "form-select form-select-sm";
+            select.id = id;
+            select.appendChild(new Option(field.required ? "Choose a column" : "(None)", ""));
+            headers.forEach((header, index) => {
+                const example = sample[index] ? ` (e.g. ${sample[index].slice(0, 30)})` : "";
+                select.appendChild(new Option(`${header || `Column ${index + 1}`}${example}`, String(index)));
+            });
+            select.value = mapping.columns[field.key] === undefined ? "" : String(mapping.columns[field.key]);
+
+            selects[field.key] = select;
+            grid.append(label, select);
+        });
+
+        const orderLabel = document.createElement("label");
+        orderLabel.className = "form-label mb-0";
+        orderLabel.htmlFor = "calendar-import-date-order";
+        orderLabel.textContent = "Dates are written";
+        const order = document.createElement("select");
+        order.className = "form-select form-select-sm";
+        order.id = "calendar-import-date-order";
+        order.append(
+            new Option("Month/day/year (12/31/2024)", "mdy"),
+            new Option("Day/month/year (31/12/2024)", "dmy"));
+        order.value = mapping.dateOrder === "mdy" ? "mdy" : "dmy";
+        grid.append(orderLabel, order);
+        dialog.body.appendChild(grid);
+
+        const error = document.createElement("div");
+        error.className = "text-danger small mt-2";
+        error.setAttribute("role", "alert");
+        dialog.body.appendChild(error);
+
+        const cancel = this.createButton("Cancel", "btn btn-secondary");
+        const next = this.createButton("Preview", "btn btn-primary");
+        dialog.footer.append(cancel, next);
+
+        cancel.addEventListener("click", () => this.closeDialog());
+        next.addEventListener("click", () => {
+            const columns = {};
+            Object.keys(selects).forEach((key) => {
+                if (selects[key].value !== "") columns[key] = Number(selects[key].value);
+            });
+
+            const missing = this.csvFields.filter((f) => f.required && columns[f.key] === undefined);
+            if (missing.length > 0) {
+                error.textContent = `Choose a column for ${missing.map((f) => f.label.toLowerCase()).join(" and ")}.`;
+                selects[missing[0].key].focus();
+                return;
+            }
+
+            const chosen = { columns: columns, dateOrder: order.value, table: table };
+            this.showPreview(instance, fileName, this.readCsvRows(table, chosen), chosen);
+        });
+
+        (selects.title.value === "" ? selects.title : next).focus();
+    },
+
+    // Builds an empty dialog, replacing any open one. Returns its body and
+    // footer to fill in.
+    openDialog: function (titleText) {
+        const returnFocus = this.dialog ? this.dialog.returnFocus : document.activeElement;
+        this.closeDialog(false);
+
+        const overlay = document.createElement("div");
+        overlay.className = "calendar-import-overlay";
+
+        const dialog = document.createElement("div");
+        dialog.className = "calendar-import-dialog";
+        dialog.setAttribute("role", "dialog");
+        dialog.setAttribute("aria-modal", "true");
+        dialog.setAttribute("aria-labelledby", "calendar-import-title");
+
+        const header = document.createElement("div");
+        header.className = "calendar-import-header";
+        const heading = document.createElement("h5");
+        heading.id = "calendar-import-title";
+        heading.className = "mb-0";
+        heading.textContent = titleText;
+        const close = document.createElement("button");
+        close.type = "button";
+        close.className = "btn-close";
+        close.setAttribute("aria-label", "Close");
+        close.addEventListener("click", () => this.closeDialog());
+        header.append(heading, close);
+
+        const body = document.createElement("div");
+        body.className = "calendar-import-body";
+        const footer = document.createElement("div");
+        footer.className = "calendar-import-footer";
+
+        dialog.append(header, body, footer);
+        overlay.appendChild(dialog);
+        overlay.addEventListener("keydown", (event) => {
+            // Keep the calendar's shortcuts out of the dialog.
+            event.stopPropagation();
+            if (event.key === "Escape" && !this.dialog.isBusy) this.closeDialog();
+        });
+        document.body.appendChild(overlay);
+
+        this.dialog = { overlay: overlay, body: body, footer: footer, returnFocus: returnFocus, isBusy: false };
+        return this.dialog;
+    },
+
+    closeDialog: function (restoreFocus) {
+        const dialog = this.dialog;
+        if (!dialog) return;
+
+        dialog.overlay.remove();
+        this.dialog = null;
+        if (restoreFocus !== false && dialog.returnFocus && dialog.returnFocus.isConnected) {
+            dialog.returnFocus.focus();
+        }
+    },
+
+    createButton: function (text, className) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = className;
+        button.textContent = text;
+        return button;
+    },
+
+    // Import -------------------------------------------------------------
+
+    // Sends the ticked rows in batches. Rows from batches that went through
+    // are marked imported, so a retry after a failure doesn't repeat them.
+    importRows: async function (instance, fileName, rows, checkboxes, controls) {
+        const selected = rows.filter((row) => row.selected && !row.error && !row.imported);
+        if (selected.length === 0) return;
+
+        const dialog = this.dialog;
+        dialog.isBusy = true;
+        [controls.confirm, controls.back, controls.cancel, controls.selectAll]
+            .forEach((control) => (control.disabled = true));
+        checkboxes.forEach((checkbox) => checkbox && (checkbox.disabled = true));
+
+        let imported = 0;
+        let failed = false;
+        for (const batch of this.getBatches(selected)) {
+            controls.status.textContent = `Importing ${imported + 1}–${imported + batch.length} of ${selected.length}…`;
+            try {
+                await instance.dotNetRef.invokeMethodAsync("ImportEvents", batch.map((row) => this.toDotNet(row.event)));
+            } catch (error) {
+                console.error("Error importing events:", error);
+                failed = true;
+                break;
+            }
+
+            imported += batch.length;
+            batch.forEach((row) => {
+                row.imported = true;
+                row.selected = false;
+                this.renderStatus(row);
+            });
+        }
+
+        if (imported > 0) {
+            await instance.dotNetRef
+                .invokeMethodAsync("OnImportCompleted")
+                .catch((error) => console.error("Error refreshing the calendar:", error));
+        }
+
+        if (!failed) {
+            this.closeDialog();
+            this.notify(imported === 1 ? `Imported 1 event from ${fileName}.` : `Imported ${imported} events from ${fileName}.`,
+                "success");
+            return;
+        }
+
+        if (this.dialog !== dialog) return;
+        dialog.isBusy = false;
+        controls.status.textContent = imported > 0
+            ? `Imported ${imported} of ${selected.length} events. The rest could not be imported.`
+            : "The events could not be imported.";
+        controls.back.disabled = false;
+        controls.cancel.disabled = false;
+        controls.selectAll.disabled = false;
+        rows.forEach((row, index) => {
+            if (checkboxes[index] && !row.imported) checkboxes[index].disabled = false;
+        });
+        controls.confirm.disabled = false;
+        controls.confirm.textContent = "Try again";
+    },
+
+    getBatches: function (rows) {
+        const encoder = new TextEncoder();
+        const batches = [];
+        let batch = [];
+        let size = 0;
+
+        rows.forEach((row) => {
+            const rowSize = encoder.encode(JSON.stringify(this.toDotNet(row.event))).length + 1;
+            if (batch.length > 0 && size + rowSize > this.maxBatchBytes) {
+                batches.push(batch);
+                batch = [];
+                size = 0;
+            }
+            batch.push(row);
+            size += rowSize;
+        });
+        if (batch.length > 0) batches.push(batch);
+        return batches;
+    },
+
+    // CalendarImportEvent, with local times as DateTime strings.
+    toDotNet: function (event) {
+        const recurrence = event.recurrence;
+        return {
+            uid: event.uid,
+            title: event.title,
+            start: this.formatDateTime(event.start),
+            end: this.formatDateTime(event.end),
+            isAllDay: event.isAllDay,
+            location: event.location,
+            description: event.description,
+            status: event.status,
+            organizer: event.organizer,
+            url: event.url,
+            recurrence: recurrence ? {
+                frequency: recurrence.frequency,
+                interval: recurrence.interval,
+                count: recurrence.count,
+                until: recurrence.until ? this.formatDateTime(recurrence.until) : null,
+                byDay: recurrence.byDay,
+                byWeekOfMonth: recurrence.byWeekOfMonth,
+                byMonthDay: recurrence.byMonthDay,
+                byMonth: recurrence.byMonth,
+                exceptionDates: recurrence.exceptionDates,
+            } : null,
+            reminders: event.reminders,
+            attendees: event.attendees,
+        };
+    },
+
+    formatDate: function (date) {
+        const pad = (n) => String(n).padStart(2, "0");
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    formatDateTime: function (date) {
+        const pad = (n) => String(n).padStart(2, "0");
+        return `${this.formatDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    },
+};
+
+document.addEventListener("change", (event) => window.calendarImport.handleInputChange(event));
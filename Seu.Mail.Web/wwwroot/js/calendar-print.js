@@ -0,0 +1,351 @@
+// Calendar Print
+//
+// Prints a range of calendar events as its own document, in a hidden frame,
+// so the live page (and the Blazor circuit behind it) is left alone. Three
+// layouts:
+//
+// - "month": a grid per month, one cell per day;
+// - "week": a page per week, one column per day;
+// - "agenda": the days that have events, each event with its description,
+//   location and attendees.
+//
+// Events are CalendarPrintEvent records: { title, start, end, isAllDay,
+// location, description, color, attendees }, with local start and end times.
+
+window.calendarPrint = {
+    // `options`: { title, start, end ("yyyy-MM-dd", both included), layout,
+    // includeColors, showWeekNumbers, firstDayOfWeek (0 = Sunday) }.
+    print: function (events, options) {
+        try {
+            const range = {
+                start: this.parseDay(options.start),
+                end: this.parseDay(options.end),
+            };
+            const items = (events || []).map((e) => ({ ...e, start: new Date(e.start), end: new Date(e.end) }));
+
+            this.printDocument(this.buildDocument(items, range, options));
+        } catch (error) {
+            console.error("Error printing calendar:", error);
+            toastService.show({ title: "Error", message: "Failed to print the calendar", type: "error" });
+        }
+    },
+
+    printDocument: function (documentHtml) {
+        const frame = document.createElement("iframe");
+        frame.setAttribute("aria-hidden", "true");
+        frame.style.cssText = "position: fixed; left: -10000px; top: 0; width: 297mm; height: 210mm; border: 0;";
+        document.body.appendChild(frame);
+
+        const frameWindow = frame.contentWindow;
+        const doc = frameWindow.document;
+        doc.open();
+        doc.write(documentHtml);
+        doc.close();
+
+        frameWindow.addEventListener("afterprint", () => setTimeout(() => frame.remove(), 0));
+        frameWindow.focus();
+        frameWindow.print();
+    },
+
+    buildDocument: function (events, range, options) {
+        const layouts = {
+            month: () => this.buildMonths(events, range, options),
+            week: () => this.buildWeeks(events, range, options),
+            agenda: () => this.buildAgenda(events, range, options),
+        };
+        const layout = layouts[options.layout] ? options.layout : "month";
+        const printedAt = `${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}`;
+        const title = options.title || "Calendar";
+
+        return `<!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="UTF-8">
+                <title>${this.escape(title)}</title>
+                <style>${this.getStyles(layout, options.includeColors)}</style>
+            </head>
+            <body class="layout-${layout}">
+                <header class="print-title">
+                    <h1>${this.escape(title)}</h1>
+                    <div class="print-range">${this.escape(this.formatRange(range.start, range.end))}</div>
+                </header>
+                ${layouts[layout]()}
+                <footer class="print-footer">Printed from Seu Email on ${this.escape(printedAt)}</footer>
+            </body>
+            </html>`;
+    },
+
+    buildMonths: function (events, range, options) {
+        const sections = [];
+        let month = new Date(range.start.getFullYear(), range.start.getMonth(), 1);
+
+        while (month <= range.end) {
+            const nextMonth = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+            const rows = [];
+            let day = this.getWeekStart(month, options.firstDayOfWeek);
+
+            while (day < nextMonth) {
+                const cells = [];
+                if (options.showWeekNumbers) {
+                    cells.push(`<th class="week-number" scope="row">${this.getWeekNumber(day)}</th>`);
+                }
+                for (let i = 0; i < 7; i++) {
+                    const isShown = day.getMonth() === month.getMonth() && this.isInRange(day, range);
+                    cells.push(`<td class="${isShown ? "" : "outside"}">
+                            <div class="day-number">${day.getDate()}</div>
+                            ${isShown ? this.eventsOn(events, day).map((e) => this.buildChip(e, day, options)).join("") : ""}
+                        </td>`);
+                    day = this.addDays(day, 1);
+                }
+                rows.push(`<tr>${cells.join("")}</tr>`);
+            }
+
+            sections.push(`<section class="print-page">
+                    <h2>${this.escape(month.toLocaleDateString(undefined, { month: "long", year: "numeric" }))}</h2>
+                    <table class="month-grid">
+                        <thead><tr>${this.buildWeekdayHeaders(options)}</tr></thead>
+                        <tbody>${rows.join("")}</tbody>
+                    </table>
+                </section>`);
+            month = nextMonth;
+        }
+
+        return sections.join("");
+    },
+
+    buildWeeks: function (events, range, options) {
+        const sections = [];
+        let weekStart = this.getWeekStart(range.start, options.firstDayOfWeek);
+
+        while (weekStart <= range.end) {
+            const headers = [];
+            const cells = [];
+            for (let i = 0; i < 7; i++) {
+                const day = this.addDays(weekStart, i);
+                const isShown = this.isInRange(day, range);
+                headers.push(`<th scope="col">${this.escape(day.toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short" }))}</th>`);
+                cells.push(`<td class="${isShown ? "" : "outside"}">
+                        ${isShown ? this.eventsOn(events, day).map((e) => this.buildChip(e, day, options, true)).join("") : ""}
+                    </td>`);
+            }
+
+            const weekEnd = this.addDays(weekStart, 6);
+            const heading = (options.showWeekNumbers ? `Week ${this.getWeekNumber(weekStart)} · ` : "") +
+                this.formatRange(weekStart, weekEnd);
+
+            sections.push(`<section class="print-page">
+                    <h2>${this.escape(heading)}</h2>
+                    <table class="week-grid">
+                        <thead><tr>${headers.join("")}</tr></thead>
+                        <tbody><tr>${cells.join("")}</tr></tbody>
+                    </table>
+                </section>`);
+            weekStart = this.addDays(weekStart, 7);
+        }
+
+        return sections.join("");
+    },
+
+    buildAgenda: function (events, range, options) {
+        const days = [];
+        let lastWeek = null;
+
+        for (let day = range.start; day <= range.end; day = this.addDays(day, 1)) {
+            const dayEvents = this.eventsOn(events, day);
+            if (dayEvents.length === 0) continue;
+
+            const week = this.getWeekNumber(day, options.firstDayOfWeek);
+            if (options.showWeekNumbers && week !== lastWeek) {
+                days.push(`<div class="agenda-week">Week ${week}</div>`);
+                lastWeek = week;
+            }
+
+            days.push(`<section class="agenda-day">
+                    <h2>${this.escape(day.toLocaleDateString(undefined, { weekday: "long", day: "numeric", month: "long", year: "numeric" }))}</h2>
+                    ${dayEvents.map((e) => this.buildAgendaEvent(e, day, options)).join("")}
+                </section>`);
+        }
+
+        return days.length > 0 ? days.join("") : '<p class="print-empty">No events in this period.</p>';
+    },
+
+    buildAgendaEvent: function (calendarEvent, day, options) {
+        const details = [];
+        if (calendarEvent.location) {
+            details.push(`<div class="agenda-location">${this.escape(calendarEvent.location)}</div>`);
+        }
+        if (calendarEvent.description) {
+            details.push(`<div class="agenda-description">${this.escape(calendarEvent.description)}</div>`);
+        }
+        if (calendarEvent.attendees && calendarEvent.attendees.length > 0) {
+            details.push(`<div class="agenda-attendees"><span>Attendees:</span> ${calendarEvent.attendees.map((a) => this.escape(a)).join(", ")}</div>`);
+        }
+
+        return `<div class="agenda-event" ${this.getColorStyle(calendarEvent, options)}>
+                <div class="agenda-time">${this.escape(this.formatEventTime(calendarEvent, day, true))}</div>
+                <div class="agenda-details">
+                    <div class="agenda-event-title">${this.escape(calendarEvent.title)}</div>
+                    ${details.join("")}
+                </div>
+            </div>`;
+    },
+
+    // One event in a month or week cell. Week cells have room for the end
+    // time and the location.
+    buildChip: function (calendarEvent, day, options, isDetailed) {
+        const time = this.formatEventTime(calendarEvent, day, isDetailed);
+        const location = isDetailed && calendarEvent.location
+            ? `<div class="event-location">${this.escape(calendarEvent.location)}</div>`
+            : "";
+
+        return `<div class="event-chip" ${this.getColorStyle(calendarEvent, options)}>
+                ${time ? `<span class="event-time">${this.escape(time)}</span>` : ""}
+                <span class="event-title">${this.escape(calendarEvent.title)}</span>
+                ${location}
+            </div>`;
+    },
+
+    buildWeekdayHeaders: function (options) {
+        const headers = options.showWeekNumbers ? ['<th class="week-number" scope="col">Wk</th>'] : [];
+        const weekStart = this.getWeekStart(new Date(), options.firstDayOfWeek);
+        for (let i = 0; i < 7; i++) {
+            const name = this.addDays(weekStart, i).toLocaleDateString(undefined, { weekday: "short" });
+            headers.push(`<th scope="col">${this.escape(name)}</th>`);
+        }
+        return headers.join("");
+    },
+
+    // Events overlapping a day: all-day ones first, then by start time.
+    eventsOn: function (events, day) {
+        const dayEnd = this.addDays(day, 1);
+        return events
+            .filter((e) => e.start < dayEnd && (e.end > day || (e.end <= e.start && e.start >= day)))
+            .sort((a, b) => (b.isAllDay - a.isAllDay) || (a.start - b.start));
+    },
+
+    // Empty for all-day events. An event that started on an earlier day shows
+    // when it ends instead of when it starts.
+    formatEventTime: function (calendarEvent, day, withEnd) {
+        if (calendarEvent.isAllDay) return withEnd ? "All day" : "";
+
+        const dayEnd = this.addDays(day, 1);
+        const startsToday = calendarEvent.start >= day;
+        const endsToday = calendarEvent.end <= dayEnd;
+        if (!startsToday) return endsToday ? `until ${this.formatTime(calendarEvent.end)}` : "All day";
+        if (!withEnd) return this.formatTime(calendarEvent.start);
+
+        return endsToday
+            ? `${this.formatTime(calendarEvent.start)} – ${this.formatTime(calendarEvent.end)}`
+            : `from ${this.formatTime(calendarEvent.start)}`;
+    },
+
+    getColorStyle: function (calendarEvent, options) {
+        if (!options.includeColors) return "";
+        const color = /^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(calendarEvent.color || "") ? calendarEvent.color : "";
+        return color ? `style="--event-color: ${color}"` : "";
+    },
+
+    // ISO week number of the week containing `day`, counted from its Monday
+    // when weeks start on another day. Without `firstDayOfWeek`, `day` is
+    // taken to be the start of its week. getWeekNumber works in UTC, so it is
+    // given the UTC midnight of that Monday.
+    getWeekNumber: function (day, firstDayOfWeek) {
+        const weekStart = firstDayOfWeek === undefined ? day : this.getWeekStart(day, firstDayOfWeek);
+        const monday = this.addDays(weekStart, (8 - weekStart.getDay()) % 7);
+        return window.getWeekNumber(Date.UTC(monday.getFullYear(), monday.getMonth(), monday.getDate()));
+    },
+
+    getWeekStart: function (date, firstDayOfWeek) {
+        const offset = (date.getDay() - (firstDayOfWeek || 0) + 7) % 7;
+        return this.addDays(new Date(date.getFullYear(), date.getMonth(), date.getDate()), -offset);
+    },
+
+    isInRange: function (day, range) {
+        return day >= range.start && day <= range.end;
+    },
+
+    parseDay: function (value) {
+        const [year, month, day] = String(value).split("-").map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    addDays: function (date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    },
+
+    formatTime: function (date) {
+        return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    },
+
+    formatRange: function (start, end) {
+        const format = { day: "numeric", month: "short", year: "numeric" };
+        if (start.getTime() === end.getTime()) return start.toLocaleDateString(undefined, format);
+        return `${start.toLocaleDateString(undefined, format)} – ${end.toLocaleDateString(undefined, format)}`;
+    },
+
+    escape: function (text) {
+        const element = document.createElement("div");
+        element.textContent = text == null ? "" : String(text);
+        return element.innerHTML;
+    },
+
+    getStyles: function (layout, includeColors) {
+        const isLandscape = layout !== "agenda";
+        return `
+            * { box-sizing: border-box; }
+            body {
+                font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+                font-size: 10pt;
+                color: #222;
+                margin: 0;
+                ${includeColors ? "print-color-adjust: exact; -webkit-print-color-adjust: exact;" : ""}
+            }
+            .print-title { display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 8mm; }
+            .print-title h1 { font-size: 16pt; margin: 0; }
+            .print-range, .print-footer, .print-empty { color: #666; }
+            h2 { font-size: 13pt; margin: 0 0 4mm; }
+            .print-page { break-after: page; }
+            .print-page:last-of-type { break-after: auto; }
+            table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+            th { font-weight: 600; text-align: left; padding: 1mm 2mm; border-bottom: 1px solid #999; }
+            td { border: 1px solid #bbb; vertical-align: top; padding: 1mm 1.5mm; overflow: hidden; }
+            td.outside { background: #f4f4f4; color: #aaa; }
+            .month-grid td { height: 24mm; }
+            .week-grid td { height: 140mm; }
+            .week-number { width: 9mm; color: #666; font-weight: normal; text-align: center; }
+            .day-number { font-weight: 600; margin-bottom: 1mm; }
+            .event-chip {
+                border-left: 3px solid var(--event-color, #999);
+                padding: 0.3mm 1.5mm;
+                margin-bottom: 0.8mm;
+                font-size: 8.5pt;
+                line-height: 1.25;
+                break-inside: avoid;
+                ${includeColors ? "background: color-mix(in srgb, var(--event-color, #999) 12%, white);" : ""}
+            }
+            .month-grid .event-chip { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+            .week-grid .event-chip { margin-bottom: 1.5mm; }
+            .event-time { color: #555; margin-right: 1mm; }
+            .week-grid .event-time { display: block; }
+            .event-title { font-weight: 500; }
+            .event-location { color: #555; }
+            .agenda-week { font-weight: 600; color: #666; text-transform: uppercase; font-size: 8.5pt; margin: 6mm 0 2mm; }
+            .agenda-day { margin-bottom: 6mm; break-inside: avoid-page; }
+            .agenda-day h2 { border-bottom: 1px solid #999; padding-bottom: 1mm; }
+            .agenda-event {
+                display: flex;
+                gap: 4mm;
+                padding: 1.5mm 0 1.5mm 2mm;
+                border-left: 3px solid var(--event-color, transparent);
+                break-inside: avoid;
+            }
+            .agenda-time { width: 32mm; flex-shrink: 0; color: #555; }
+            .agenda-event-title { font-weight: 600; }
+            .agenda-location, .agenda-attendees { color: #555; }
+            .agenda-attendees span { font-weight: 600; }
+            .agenda-description { white-space: pre-wrap; margin: 1mm 0; }
+            .print-footer { margin-top: 8mm; font-size: 8pt; text-align: center; }
+            @page { size: A4 ${isLandscape ? "landscape" : "portrait"}; margin: 12mm; }
+        `;
+    },
+};
@@ -0,0 +1,480 @@
+// Calendar Time Grid Interactions
+//
+// Pointer-based move and resize of `.event-item` blocks in the Day and Week
+// views, and drag-to-create on empty time slots. The view component attaches
+// once with a DotNetObjectReference; all listeners are delegated from the grid
+// container, so Blazor re-renders do not need to re-attach anything.
+//
+// Markup contract:
+//   .day-column[data-date="yyyy-MM-dd"]       one per day
+//   .time-slot[data-datetime="yyyy-MM-ddTHH:mm"] hourly slots inside a column
+//   .event-item[data-event-id][data-start][data-end]
+//   .event-resize-handle.top / .bottom         optional edges inside an event
+//
+// Results are reported through MoveEvent(id, start), ResizeEvent(id, start,
+// end) and CreateEvent(start, end), all as "yyyy-MM-ddTHH:mm" local times.
+
+window.calendarTimeGrid = {
+    instances: new Map(),
+
+    defaults: {
+        slotMinutes: 30,
+        dragThreshold: 4,
+        edgeSize: 6,
+    },
+
+    attach: function (container, dotNetRef, options = {}) {
+        if (!container) return;
+        this.detach(container);
+
+        const instance = {
+            container: container,
+            dotNetRef: dotNetRef,
+            settings: Object.assign({}, this.defaults, options),
+            drag: null,
+            suppressClick: false,
+        };
+
+        instance.handlers = {
+            pointerdown: (event) => this.handlePointerDown(instance, event),
+            pointermove: (event) => this.handlePointerMove(instance, event),
+            pointerup: (event) => this.handlePointerUp(instance, event),
+            pointercancel: () => this.cancelDrag(instance),
+            keydown: (event) => {
+                if (instance.drag && event.key === "Escape") {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.cancelDrag(instance);
+                }
+            },
+            // Swallow the click that follows a drag so the editor does not open.
+            click: (event) => {
+                if (instance.suppressClick) {
+                    instance.suppressClick = false;
+                    event.stopPropagation();
+                    event.preventDefault();
+                }
+            },
+        };
+
+        container.addEventListener("pointerdown", instance.handlers.pointerdown);
+        container.addEventListener("pointermove", instance.handlers.pointermove);
+        container.addEventListener("pointerup", instance.handlers.pointerup);
+        container.addEventListener("pointercancel", instance.handlers.pointercancel);
+        container.addEventListener("click", instance.handlers.click, true);
+        document.addEventListener("keydown", instance.handlers.keydown, true);
+
+        this.instances.set(container, instance);
+    },
+
+    // Update options such as slotMinutes after settings change.
+    update: function (container, options = {}) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+        Object.assign(instance.settings, options);
+    },
+
+    detach: function (container) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+
+        this.cancelDrag(instance);
+        container.removeEventListener("pointerdown", instance.handlers.pointerdown);
+        container.removeEventListener("pointermove", instance.handlers.pointermove);
+        container.removeEventListener("pointerup", instance.handlers.pointerup);
+        container.removeEventListener("pointercancel", instance.handlers.pointercancel);
+        container.removeEventListener("click", instance.handlers.click, true);
+        document.removeEventListener("keydown", instance.handlers.keydown, true);
+        this.instances.delete(container);
+    },
+
+    // "yyyy-MM-ddTHH:mm" in local time, matching the data attributes rendered by .NET.
+    parseDateTime: function (value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(value || "");
+        if (!match) return null;
+        return new Date(
+            parseInt(match[1], 10),
+            parseInt(match[2], 10) - 1,
+            parseInt(match[3], 10),
+            parseInt(match[4] || "0", 10),
+            parseInt(match[5] || "0", 10),
+        );
+    },
+
+    formatDateTime: function (date) {
+        const pad = (value) => value.toString().padStart(2, "0");
+        return (
+            `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+        );
+    },
+
+    formatTime: function (date) {
+        return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    },
+
+    addMinutes: function (date, minutes) {
+        return new Date(date.getTime() + minutes * 60000);
+    },
+
+    getColumns: function (instance) {
+        return Array.from(instance.container.querySelectorAll(".day-column[data-date]"));
+    },
+
+    // Geometry of a day column: where its first slot starts and how many
+    // pixels one hour takes.
+    getColumnMetrics: function (column) {
+        const slots = column.querySelectorAll(".time-slot[data-datetime]");
+        if (slots.length === 0) return null;
+
+        const first = slots[0];
+        const firstRect = first.getBoundingClientRect();
+        const lastRect = slots[slots.length - 1].getBoundingClientRect();
+        const gridStart = this.parseDateTime(first.dataset.datetime);
+
+        return {
+            column: column,
+            top: firstRect.top,
+            bottom: lastRect.bottom,
+            offsetTop: first.offsetTop,
+            hourHeight: firstRect.height,
+            gridStart: gridStart,
+            gridMinutes: slots.length * 60,
+        };
+    },
+
+    // The column under the pointer horizontally; the nearest one when the
+    // pointer is outside the grid.
+    findColumn: function (instance, clientX) {
+        const columns = this.getColumns(instance);
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        columns.forEach((column) => {
+            const rect = column.getBoundingClientRect();
+            const distance =
+                clientX < rect.left ? rect.left - clientX : clientX > rect.right ? clientX - rect.right : 0;
+            if (distance < nearestDistance) {
+                nearest = column;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    },
+
+    // Minutes from the start of the column's grid at the pointer, clamped to the grid.
+    getPointerMinutes: function (metrics, clientY) {
+        const minutes = ((clientY - metrics.top) / metrics.hourHeight) * 60;
+        return Math.max(0, Math.min(metrics.gridMinutes, minutes));
+    },
+
+    snap: function (instance, minutes) {
+        const step = this.getStep(instance);
+        return Math.round(minutes / step) * step;
+    },
+
+    getResizeEdge: function (instance, item, event) {
+        const handle = event.target.closest(".event-resize-handle");
+        if (handle) {
+            return handle.classList.contains("top") ? "start" : "end";
+        }
+
+        const rect = item.getBoundingClientRect();
+        const edge = instance.settings.edgeSize;
+        if (event.clientY - rect.top <= edge) return "start";
+        if (rect.bottom - event.clientY <= edge) return "end";
+        return null;
+    },
+
+    handlePointerDown: function (instance, event) {
+        if (event.button !== 0 || instance.drag) return;
+
+        const item = event.target.closest(".event-item[data-event-id]");
+        if (!item) {
+            this.startCreate(instance, event);
+            return;
+        }
+        if (!instance.container.contains(item)) return;
+
+        const start = this.parseDateTime(item.dataset.start);
+        const end = this.parseDateTime(item.dataset.end);
+        const column = item.closest(".day-column[data-date]");
+        const metrics = column ? this.getColumnMetrics(column) : null;
+        if (!start || !end || !metrics) return;
+
+        const edge = this.getResizeEdge(instance, item, event);
+        const pointerTime = this.addMinutes(
+            metrics.gridStart,
+            this.getPointerMinutes(metrics, event.clientY),
+        );
+
+        instance.drag = {
+            pointerId: event.pointerId,
+            item: item,
+            eventId: parseInt(item.dataset.eventId, 10),
+            mode: edge ? `resize-${edge}` : "move",
+            originX: event.clientX,
+            originY: event.clientY,
+            originalStart: start,
+            originalEnd: end,
+            grabOffset: (pointerTime - start) / 60000,
+            start: start,
+            end: end,
+            started: false,
+            ghost: null,
+        };
+
+        if (edge) {
+            // Resizing should not select text or start a native drag.
+            event.preventDefault();
+        }
+    },
+
+    // Pressing on an empty slot starts a new-event selection anchored at the
+    // slot interval under the pointer.
+    startCreate: function (instance, event) {
+        const slot = event.target.closest(".time-slot[data-datetime]");
+        const column = slot && slot.closest(".day-column[data-date]");
+        if (!column || !instance.container.contains(column)) return;
+
+        const metrics = this.getColumnMetrics(column);
+        if (!metrics) return;
+
+        const step = this.getStep(instance);
+        const pointerMinutes = this.getPointerMinutes(metrics, event.clientY);
+        const anchorMinutes = Math.min(
+            Math.floor(pointerMinutes / step) * step,
+            metrics.gridMinutes - step,
+        );
+        const anchor = this.addMinutes(metrics.gridStart, anchorMinutes);
+
+        instance.drag = {
+            pointerId: event.pointerId,
+            item: null,
+            mode: "create",
+            originX: event.clientX,
+            originY: event.clientY,
+            anchor: anchor,
+            start: anchor,
+            end: this.addMinutes(anchor, step),
+            started: false,
+            segments: new Map(),
+        };
+    },
+
+    getStep: function (instance) {
+        return instance.settings.slotMinutes > 0 ? instance.settings.slotMinutes : 30;
+    },
+
+    handlePointerMove: function (instance, event) {
+        const drag = instance.drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        if (!drag.started) {
+            const distance = Math.hypot(event.clientX - drag.originX, event.clientY - drag.originY);
+            if (distance < instance.settings.dragThreshold) return;
+
+            drag.started = true;
+            instance.container.setPointerCapture(event.pointerId);
+            instance.container.classList.add("calendar-dragging");
+            if (drag.item) drag.item.classList.add("dragging");
+        }
+
+        event.preventDefault();
+        if (drag.mode === "create") {
+            this.updateSelection(instance, event);
+            this.renderSelection(instance);
+            return;
+        }
+
+        this.updateDragTimes(instance, event);
+        this.renderGhost(instance);
+    },
+
+    // The selection runs from the anchor slot to the slot under the pointer,
+    // in either direction and across days in Week view.
+    updateSelection: function (instance, event) {
+        const drag = instance.drag;
+        const step = this.getStep(instance);
+        const column = this.findColumn(instance, event.clientX);
+        const metrics = column ? this.getColumnMetrics(column) : null;
+        if (!metrics) return;
+
+        const pointerMinutes = this.getPointerMinutes(metrics, event.clientY);
+        const pointerTime = this.addMinutes(metrics.gridStart, pointerMinutes);
+
+        if (pointerTime >= drag.anchor) {
+            const endMinutes = Math.ceil(pointerMinutes / step) * step;
+            const end = this.addMinutes(metrics.gridStart, endMinutes);
+            const minimumEnd = this.addMinutes(drag.anchor, step);
+            drag.start = drag.anchor;
+            drag.end = end < minimumEnd ? minimumEnd : end;
+        } else {
+            const startMinutes = Math.floor(pointerMinutes / step) * step;
+            drag.start = this.addMinutes(metrics.gridStart, startMinutes);
+            drag.end = this.addMinutes(drag.anchor, step);
+        }
+    },
+
+    // One highlighted segment per day column covered by the selection.
+    renderSelection: function (instance) {
+        const drag = instance.drag;
+        let labelled = false;
+
+        this.getColumns(instance).forEach((column) => {
+            const metrics = this.getColumnMetrics(column);
+            let segment = drag.segments.get(column);
+            if (!metrics) return;
+
+            const gridEnd = this.addMinutes(metrics.gridStart, metrics.gridMinutes);
+            const from = drag.start > metrics.gridStart ? drag.start : metrics.gridStart;
+            const to = drag.end < gridEnd ? drag.end : gridEnd;
+
+            if (from >= to) {
+                if (segment) {
+                    segment.remove();
+                    drag.segments.delete(column);
+                }
+                return;
+            }
+
+            if (!segment) {
+                segment = document.createElement("div");
+                segment.className = "time-grid-selection";
+                column.appendChild(segment);
+                drag.segments.set(column, segment);
+            }
+
+            const fromMinutes = (from - metrics.gridStart) / 60000;
+            const minutes = (to - from) / 60000;
+            segment.style.top = `${metrics.offsetTop + (fromMinutes / 60) * metrics.hourHeight}px`;
+            segment.style.height = `${(minutes / 60) * metrics.hourHeight}px`;
+            segment.textContent = labelled
+                ? ""
+                : `${this.formatTime(drag.start)} – ${this.formatTime(drag.end)}`;
+            labelled = true;
+        });
+    },
+
+    updateDragTimes: function (instance, event) {
+        const drag = instance.drag;
+        const step = this.getStep(instance);
+        const duration = (drag.originalEnd - drag.originalStart) / 60000;
+
+        // Resizing stays within the event's own day; moving follows the pointer
+        // across days in Week view.
+        const column =
+            drag.mode === "move"
+                ? this.findColumn(instance, event.clientX)
+                : drag.item.closest(".day-column[data-date]");
+        const metrics = column ? this.getColumnMetrics(column) : null;
+        if (!metrics) return;
+
+        drag.metrics = metrics;
+        const pointerMinutes = this.getPointerMinutes(metrics, event.clientY);
+
+        if (drag.mode === "move") {
+            const startMinutes = this.snap(instance, pointerMinutes - drag.grabOffset);
+            drag.start = this.addMinutes(metrics.gridStart, startMinutes);
+            drag.end = this.addMinutes(drag.start, duration);
+        } else if (drag.mode === "resize-end") {
+            const endMinutes = this.snap(instance, pointerMinutes);
+            const end = this.addMinutes(metrics.gridStart, endMinutes);
+            const minimumEnd = this.addMinutes(drag.originalStart, step);
+            drag.start = drag.originalStart;
+            drag.end = end < minimumEnd ? minimumEnd : end;
+        } else {
+            const startMinutes = this.snap(instance, pointerMinutes);
+            const start = this.addMinutes(metrics.gridStart, startMinutes);
+            const maximumStart = this.addMinutes(drag.originalEnd, -step);
+            drag.start = start > maximumStart ? maximumStart : start;
+            drag.end = drag.originalEnd;
+        }
+    },
+
+    renderGhost: function (instance) {
+        const drag = instance.drag;
+        const metrics = drag.metrics;
+        if (!metrics) return;
+
+        if (!drag.ghost) {
+            drag.ghost = document.createElement("div");
+            drag.ghost.className = "event-item event-ghost";
+            drag.ghost.style.backgroundColor = getComputedStyle(drag.item).backgroundColor;
+            const label = document.createElement("div");
+            label.className = "event-time";
+            drag.ghost.appendChild(label);
+        }
+
+        if (drag.ghost.parentElement !== metrics.column) {
+            metrics.column.appendChild(drag.ghost);
+        }
+
+        const startMinutes = (drag.start - metrics.gridStart) / 60000;
+        const minutes = (drag.end - drag.start) / 60000;
+        drag.ghost.style.top = `${metrics.offsetTop + (startMinutes / 60) * metrics.hourHeight}px`;
+        drag.ghost.style.height = `${Math.max(12, (minutes / 60) * metrics.hourHeight)}px`;
+        drag.ghost.firstChild.textContent =
+            `${this.formatTime(drag.start)} – ${this.formatTime(drag.end)}`;
+    },
+
+    handlePointerUp: function (instance, event) {
+        const drag = instance.drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        if (!drag.started) {
+            instance.drag = null;
+            return;
+        }
+
+        const { eventId, mode, start, end } = drag;
+        const changed =
+            mode === "create" ||
+            start.getTime() !== drag.originalStart.getTime() ||
+            end.getTime() !== drag.originalEnd.getTime();
+
+        this.cancelDrag(instance);
+        instance.suppressClick = true;
+        // The click may not follow (pointer released outside the item).
+        setTimeout(() => (instance.suppressClick = false), 0);
+
+        if (!changed || !instance.dotNetRef) return;
+
+        if (mode === "create") {
+            instance.dotNetRef.invokeMethodAsync(
+                "CreateEvent",
+                this.formatDateTime(start),
+                this.formatDateTime(end),
+            );
+            return;
+        }
+
+        if (isNaN(eventId)) return;
+
+        if (mode === "move") {
+            instance.dotNetRef.invokeMethodAsync("MoveEvent", eventId, this.formatDateTime(start));
+        } else {
+            instance.dotNetRef.invokeMethodAsync(
+                "ResizeEvent",
+                eventId,
+                this.formatDateTime(start),
+                this.formatDateTime(end),
+            );
+        }
+    },
+
+    cancelDrag: function (instance) {
+        const drag = instance.drag;
+        if (!drag) return;
+
+        if (drag.ghost) drag.ghost.remove();
+        if (drag.segments) drag.segments.forEach((segment) => segment.remove());
+        if (drag.item) drag.item.classList.remove("dragging");
+        instance.container.classList.remove("calendar-dragging");
+        if (drag.started && instance.container.hasPointerCapture(drag.pointerId)) {
+            instance.container.releasePointerCapture(drag.pointerId);
+        }
+        instance.drag = null;
+    },
+};
@@ -0,0 +1,167 @@
+// Compose Attachments
+//
+// Files dropped anywhere on the compose window become regular attachments,
+// and images pasted or dropped into the rich text editor are handed over
+// here as inline (cid:) images. Either way the bytes are parked in `files`
+// under a numeric id and .NET is told about them; it then pulls each one
+// through `take` as a stream, so large files don't have to fit in a single
+// interop message and the attachment list can show upload progress.
+//
+// Oversized images are downscaled on a canvas before they are handed over.
+
+window.composeAttachments = {
+    zones: new Map(),
+    files: new Map(),
+    nextFileId: 1,
+    contentIdCounter: 0,
+    // Formats that can't be redrawn without losing something (animation, vectors).
+    preservedImageTypes: ["image/gif", "image/svg+xml"],
+
+    // Makes `zone` accept dropped files. Drops the editor has already handled
+    // (it calls preventDefault) are left alone.
+    attach: function (zone, dotNetRef) {
+        if (!zone) return;
+        this.detach(zone);
+        this.detachDisconnected();
+
+        const instance = { zone: zone, dotNetRef: dotNetRef, dragDepth: 0, handlers: {} };
+        const h = instance.handlers;
+
+        h.dragenter = (event) => {
+            if (!this.hasFiles(event)) return;
+            instance.dragDepth++;
+            zone.classList.add("compose-drop-active");
+        };
+        h.dragover = (event) => {
+            if (!this.hasFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "copy";
+        };
+        h.dragleave = (event) => {
+            if (!this.hasFiles(event)) return;
+            instance.dragDepth = Math.max(0, instance.dragDepth - 1);
+            if (instance.dragDepth === 0) zone.classList.remove("compose-drop-active");
+        };
+        h.drop = (event) => {
+            instance.dragDepth = 0;
+            zone.classList.remove("compose-drop-active");
+            if (!this.hasFiles(event) || event.defaultPrevented) return;
+            event.preventDefault();
+            this.addFiles(dotNetRef, Array.from(event.dataTransfer.files));
+        };
+
+        zone.addEventListener("dragenter", h.dragenter);
+        zone.addEventListener("dragover", h.dragover);
+        zone.addEventListener("dragleave", h.dragleave);
+        zone.addEventListener("drop", h.drop);
+        this.zones.set(zone, instance);
+    },
+
+    detach: function (zone) {
+        const instance = this.zones.get(zone);
+        if (!instance) return;
+
+        const h = instance.handlers;
+        zone.removeEventListener("dragenter", h.dragenter);
+        zone.removeEventListener("dragover", h.dragover);
+        zone.removeEventListener("dragleave", h.dragleave);
+        zone.removeEventListener("drop", h.drop);
+        zone.classList.remove("compose-drop-active");
+        this.zones.delete(zone);
+    },
+
+    detachDisconnected: function () {
+        for (const zone of Array.from(this.zones.keys())) {
+            if (!zone.isConnected) this.detach(zone);
+        }
+    },
+
+    hasFiles: function (event) {
+        return !!event.dataTransfer && Array.from(event.dataTransfer.types || []).includes("Files");
+    },
+
+    isImage: function (file) {
+        return !!file && /^image\//i.test(file.type || "");
+    },
+
+    // Offers files to .NET as regular attachments.
+    addFiles: function (dotNetRef, files) {
+        files.forEach((file) => {
+            const id = this.register(file);
+            dotNetRef
+                .invokeMethodAsync("OnFileDropped", id, file.name || "attachment",
+                    file.type || "application/octet-stream", file.size)
+                .catch((error) => {
+                    this.discard(id);
+                    console.error("Error adding dropped file:", error);
+                });
+        });
+    },
+
+    register: function (blob) {
+        const id = this.nextFileId++;
+        this.files.set(id, blob);
+        return id;
+    },
+
+    // Called from .NET as IJSStreamReference: hands over the bytes once.
+    take: function (id) {
+        const blob = this.files.get(id);
+        this.files.delete(id);
+        if (!blob) throw new Error(`Unknown file ${id}`);
+        return blob;
+    },
+
+    discard: function (id) {
+        this.files.delete(id);
+    },
+
+    createContentId: function () {
+        this.contentIdCounter++;
+        const random = Math.random().toString(36).slice(2, 10);
+        return `image-${Date.now().toString(36)}-${this.contentIdCounter}-${random}@seu-mail`;
+    },
+
+    // Scales an image down so neither side exceeds `maxDimension`, encoding
+    // with `quality` (0-1). PNGs stay PNG to keep transparency and crisp
+    // screenshots; other formats become JPEG. Images already small enough,
+    // and formats a canvas would flatten, are returned unchanged.
+    // Resolves to { blob, fileName, contentType }.
+    resizeImage: async function (file, maxDimension, quality) {
+        const fileName = file.name || "image";
+        const original = { blob: file, fileName: fileName, contentType: file.type || "application/octet-stream" };
+        if (this.preservedImageTypes.includes(file.type) || !window.createImageBitmap) return original;
+
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file);
+        } catch (error) {
+            return original;
+        }
+
+        const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+        if (scale >= 1) {
+            bitmap.close();
+            return original;
+        }
+
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        const context = canvas.getContext("2d");
+        context.imageSmoothingQuality = "high";
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        const contentType = file.type === "image/png" ? "image/png" : "image/jpeg";
+        const blob = await new Promise((resolve) => canvas.toBlob(resolve, contentType, quality));
+        if (!blob) return original;
+
+        const baseName = fileName.replace(/\.[^.]*$/, "");
+        return {
+            blob: blob,
+            fileName: contentType === "image/png" ? `${baseName}.png` : `${baseName}.jpg`,
+            contentType: contentType,
+        };
+    },
+};
@@ -0,0 +1,179 @@
+// Compose Autosave
+//
+// Snapshots the compose form into IndexedDB every few seconds, so a draft
+// survives a dropped connection or a crashed tab. Everything is read from
+// the page itself (fields marked with data-autosave, and attachment rows
+// marked with data-autosave-attachment), so snapshots keep being taken while
+// the Blazor circuit is down.
+//
+// A snapshot is only written once the user has changed something since the
+// form was opened, and only when it differs from the last one written.
+// Attachment contents are not kept, only their names, types and sizes.
+//
+// Snapshots are keyed per account and per draft (see DraftSnapshot.GetKey).
+// `attach` returns the stored snapshot, for Compose to offer restoring it;
+// `remove` deletes it after a successful send or an explicit discard.
+
+window.composeAutosave = {
+    dbName: "seu-mail-compose",
+    dbVersion: 1,
+    storeName: "snapshots",
+    // Snapshots nobody came back for are dropped after this long.
+    maxAgeMs: 30 * 24 * 60 * 60 * 1000,
+    instances: new Map(),
+
+    // Starts autosaving the form in `container` under `options.key`, every
+    // `options.intervalMs`. Resolves to the snapshot already stored under
+    // that key, or null.
+    attach: async function (container, options) {
+        if (!container) return null;
+        this.detach(container);
+
+        const instance = {
+            container: container,
+            key: options.key,
+            isDirty: false,
+            lastWritten: null,
+            timer: null,
+            handlers: {},
+        };
+        const h = instance.handlers;
+
+        h.changed = () => {
+            instance.isDirty = true;
+        };
+        h.pagehide = () => this.save(instance);
+        h.visibilitychange = () => {
+            if (document.visibilityState === "hidden") this.save(instance);
+        };
+
+        container.addEventListener("input", h.changed);
+        container.addEventListener("change", h.changed);
+        window.addEventListener("pagehide", h.pagehide);
+        document.addEventListener("visibilitychange", h.visibilitychange);
+        instance.timer = setInterval(() => this.save(instance), options.intervalMs || 5000);
+        this.instances.set(container, instance);
+
+        await this.removeExpired();
+        return this.get(options.key);
+    },
+
+    // Stops autosaving, saving any change not written yet.
+    detach: function (container) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+
+        this.save(instance);
+        clearInterval(instance.timer);
+        instance.container.removeEventListener("input", instance.handlers.changed);
+        instance.container.removeEventListener("change", instance.handlers.changed);
+        window.removeEventListener("pagehide", instance.handlers.pagehide);
+        document.removeEventListener("visibilitychange", instance.handlers.visibilitychange);
+        this.instances.delete(container);
+    },
+
+    // For changes that don't come from typing, such as attachments added or
+    // removed.
+    markChanged: function (container) {
+        const instance = this.instances.get(container);
+        if (instance) instance.isDirty = true;
+    },
+
+    // Deletes the snapshot under `key`. A form still open under that key
+    // starts over, as if freshly opened.
+    remove: async function (key) {
+        this.instances.forEach((instance) => {
+            if (instance.key !== key) return;
+            instance.isDirty = false;
+            instance.lastWritten = null;
+        });
+
+        const db = await this.open();
+        if (!db) return;
+        await this.run(db, "readwrite", (store) => store.delete(key));
+    },
+
+    get: async function (key) {
+        const db = await this.open();
+        if (!db) return null;
+
+        let snapshot = null;
+        await this.run(db, "readonly", (store) => {
+            store.get(key).onsuccess = (event) => {
+                snapshot = event.target.result || null;
+            };
+        });
+        return snapshot;
+    },
+
+    save: function (instance) {
+        if (!instance.isDirty || !instance.container.isConnected) return;
+
+        const snapshot = this.read(instance.container);
+        const content = JSON.stringify(snapshot);
+        if (content === instance.lastWritten) return;
+
+        instance.lastWritten = content;
+        this.open().then((db) => {
+            if (!db) return;
+            return this.run(db, "readwrite", (store) =>
+                store.put({ ...snapshot, key: instance.key, savedAt: Date.now() }));
+        });
+    },
+
+    read: function (container) {
+        const field = (name) => container.querySelector(`[data-autosave="${name}"]`);
+        const value = (name) => {
+            const element = field(name);
+            return element ? element.value : null;
+        };
+
+        const body = field("body");
+        const isHtml = !!body && body.isContentEditable;
+        const signature = field("signature");
+
+        return {
+            accountId: Number(value("account")) || 0,
+            to: value("to") || "",
+            cc: value("cc"),
+            bcc: value("bcc"),
+            subject: value("subject") || "",
+            body: isHtml ? window.richTextEditor.getHtml(body) : (body ? body.value : ""),
+            isHtml: isHtml,
+            includeSignature: signature ? signature.checked : false,
+            attachments: Array.from(container.querySelectorAll("[data-autosave-attachment]")).map((row) => ({
+                fileName: row.dataset.fileName,
+                contentType: row.dataset.contentType,
+                size: Number(row.dataset.size) || 0,
+            })),
+        };
+    },
+
+    removeExpired: async function () {
+        const db = await this.open();
+        if (!db) return;
+
+        const cutoff = Date.now() - this.maxAgeMs;
+        await this.run(db, "readwrite", (store) => {
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (!(cursor.value.savedAt > cutoff)) cursor.delete();
+                cursor.continue();
+            };
+        });
+    },
+
+    open: function () {
+        return window.indexedDbStore.open(this.dbName, this.dbVersion, (db) => {
+            if (!db.objectStoreNames.contains(this.storeName)) {
+                db.createObjectStore(this.storeName, { keyPath: "key" });
+            }
+        }, "Draft autosave");
+    },
+
+    // A lost snapshot is logged rather than reported.
+    run: function (db, mode, work) {
+        return window.indexedDbStore.run(db, this.storeName, mode, work, "Draft autosave");
+    },
+};
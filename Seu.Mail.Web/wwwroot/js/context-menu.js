@@ -0,0 +1,306 @@
+// Context Menu
+//
+// Keyboard and focus handling for menus rendered by Blazor, following the
+// WAI-ARIA menu pattern. The component renders the menu hidden (class
+// `context-menu-pending`) at the pointer, then calls `open`, which:
+//
+// - measures the menu and flips it left of or above the point when it would
+//   leave the viewport, then shows it and focuses the first item;
+// - moves between items with the arrow keys, Home/End and type-ahead;
+// - opens submenus (an item with aria-haspopup="menu" followed by its
+//   role="menu" list) with Right, Enter, Space or hovering, and closes them
+//   with Left or Escape;
+// - closes on Escape or Tab through the component (CloseContextMenuFromJs)
+//   and returns focus to where it was, or to the row's list.
+//
+// `openSubmenuNext` asks for the menu the row opens next to start with one of
+// its submenus (a `data-submenu` wrapper) open, as the Move swipe does.
+//
+// `openForRow` opens a row's menu from the keyboard (the list.contextMenu
+// shortcut, Shift+F10 or the Menu key) by dispatching a contextmenu event at
+// the row for the component to handle.
+
+window.contextMenu = {
+    margin: 8,
+    typeAheadResetMs: 500,
+    current: null,
+    pendingSubmenu: null,
+
+    // `options`: { x, y, returnFocus }. `returnFocus` is the row the menu
+    // belongs to.
+    open: function (wrapper, dotNetRef, options) {
+        if (!wrapper) return;
+        if (this.current && this.current.wrapper !== wrapper) this.close(true);
+
+        const menu = wrapper.querySelector('[role="menu"]');
+        if (!menu) return;
+
+        const instance = {
+            wrapper: wrapper,
+            menu: menu,
+            dotNetRef: dotNetRef,
+            returnFocus: this.getFocusTarget(options.returnFocus),
+            typeAhead: "",
+            typeAheadTimer: null,
+            handlers: {},
+        };
+        const h = instance.handlers;
+
+        h.keydown = (event) => this.handleKey(instance, event);
+        h.pointerover = (event) => this.handlePointerOver(instance, event);
+        h.click = (event) => this.handleClick(instance, event);
+        h.resize = () => this.close(true);
+
+        wrapper.addEventListener("keydown", h.keydown);
+        wrapper.addEventListener("pointerover", h.pointerover);
+        wrapper.addEventListener("click", h.click);
+        window.addEventListener("resize", h.resize);
+        this.current = instance;
+
+        this.position(wrapper, menu, options.x, options.y);
+        wrapper.classList.remove("context-menu-pending");
+
+        // Only for the row it was asked for; any other menu drops the request.
+        const pending = this.pendingSubmenu;
+        this.pendingSubmenu = null;
+        const submenuItem = pending && pending.row === options.returnFocus
+            ? menu.querySelector(`:scope > [data-submenu="${pending.name}"] > [role="menuitem"]`)
+            : null;
+        if (submenuItem) {
+            this.openSubmenu(submenuItem, true);
+        } else {
+            this.focusItem(this.getItems(menu)[0]);
+        }
+    },
+
+    // `name`: the `data-submenu` value of the submenu to open with the row's
+    // next menu. Left alone if the menu doesn't have it (no folders to move to).
+    openSubmenuNext: function (row, name) {
+        this.pendingSubmenu = { row: row, name: name };
+    },
+
+    // Called by the component when the menu goes away (an item was chosen or
+    // the backdrop clicked): stops listening and returns focus.
+    detach: function (wrapper) {
+        if (this.current && this.current.wrapper === wrapper) this.close(false);
+    },
+
+    close: function (notify) {
+        const instance = this.current;
+        if (!instance) return;
+
+        this.current = null;
+        clearTimeout(instance.typeAheadTimer);
+        instance.wrapper.removeEventListener("keydown", instance.handlers.keydown);
+        instance.wrapper.removeEventListener("pointerover", instance.handlers.pointerover);
+        instance.wrapper.removeEventListener("click", instance.handlers.click);
+        window.removeEventListener("resize", instance.handlers.resize);
+
+        if (instance.returnFocus && instance.returnFocus.isConnected) {
+            instance.returnFocus.focus({ preventScroll: true });
+        }
+
+        if (notify && instance.dotNetRef) {
+            instance.dotNetRef
+                .invokeMethodAsync("CloseContextMenuFromJs")
+                .catch((error) => console.error("Error closing context menu:", error));
+        }
+    },
+
+    // Rows in a list that tracks its focused row with aria-activedescendant
+    // aren't focusable themselves; the list is.
+    getFocusTarget: function (row) {
+        if (!row) return document.activeElement;
+
+        const list = row.closest("[aria-activedescendant], [role='listbox'][tabindex]");
+        if (list) return list;
+        return row.tabIndex >= 0 ? row : document.activeElement;
+    },
+
+    // The wrapper is the fixed-position anchor; the menu inside it is what
+    // has a size.
+    position: function (wrapper, menu, x, y) {
+        const rect = menu.getBoundingClientRect();
+        const maxX = window.innerWidth - this.margin;
+        const maxY = window.innerHeight - this.margin;
+
+        let left = x + rect.width > maxX ? x - rect.width : x;
+        let top = y + rect.height > maxY ? y - rect.height : y;
+
+        left = Math.max(this.margin, Math.min(left, maxX - rect.width));
+        top = Math.max(this.margin, Math.min(top, maxY - rect.height));
+
+        wrapper.style.left = `${left}px`;
+        wrapper.style.top = `${top}px`;
+    },
+
+    // The enabled items of `menu` itself, not of its submenus.
+    getItems: function (menu) {
+        return Array.from(menu.children)
+            .map((child) => (child.getAttribute("role") === "none"
+                ? child.querySelector(':scope > [role="menuitem"]')
+                : child))
+            .filter((item) => item && item.getAttribute("role") === "menuitem" && !item.disabled);
+    },
+
+    focusItem: function (item) {
+        if (item) item.focus({ preventScroll: true });
+    },
+
+    getSubmenu: function (item) {
+        if (!item || item.getAttribute("aria-haspopup") !== "menu") return null;
+        const submenu = item.nextElementSibling;
+        return submenu && submenu.getAttribute("role") === "menu" ? submenu : null;
+    },
+
+    openSubmenu: function (item, focusFirst) {
+        const submenu = this.getSubmenu(item);
+        if (!submenu) return;
+
+        this.closeSubmenus(item.closest('[role="menu"]'), submenu);
+        item.setAttribute("aria-expanded", "true");
+        submenu.hidden = false;
+
+        // Shown to the right of its item unless there is no room there.
+        submenu.classList.remove("context-submenu-left");
+        submenu.style.top = "";
+        const itemRect = item.getBoundingClientRect();
+        let rect = submenu.getBoundingClientRect();
+        if (itemRect.right + rect.width > window.innerWidth - this.margin) {
+            submenu.classList.add("context-submenu-left");
+        }
+        rect = submenu.getBoundingClientRect();
+        const overflow = rect.bottom - (window.innerHeight - this.margin);
+        if (overflow > 0) {
+            submenu.style.top = `${Math.max(this.margin - itemRect.top, -overflow)}px`;
+        }
+
+        if (focusFirst) this.focusItem(this.getItems(submenu)[0]);
+    },
+
+    closeSubmenus: function (menu, except) {
+        if (!menu) return;
+        menu.querySelectorAll(':scope > [role="none"] > [aria-haspopup="menu"][aria-expanded="true"]')
+            .forEach((item) => {
+                const submenu = this.getSubmenu(item);
+                if (submenu === except) return;
+                item.setAttribute("aria-expanded", "false");
+                submenu.hidden = true;
+                this.closeSubmenus(submenu, null);
+            });
+    },
+
+    handleKey: function (instance, event) {
+        const item = event.target.closest('[role="menuitem"]');
+        const menu = event.target.closest('[role="menu"]');
+        if (!menu) return;
+        // Keys pressed in the menu are for the menu, not the page's shortcuts
+        // or the list behind it.
+        event.stopPropagation();
+
+        const items = this.getItems(menu);
+        const index = items.indexOf(item);
+        const parentItem = menu === instance.menu ? null : menu.parentElement.querySelector(':scope > [role="menuitem"]');
+
+        switch (event.key) {
+            case "ArrowDown":
+                this.focusItem(items[(index + 1) % items.length]);
+                break;
+            case "ArrowUp":
+                this.focusItem(items[(index - 1 + items.length) % items.length]);
+                break;
+            case "Home":
+                this.focusItem(items[0]);
+                break;
+            case "End":
+                this.focusItem(items[items.length - 1]);
+                break;
+            case "ArrowRight":
+                if (!this.getSubmenu(item)) return;
+                this.openSubmenu(item, true);
+                break;
+            case "Enter":
+            case " ":
+                // Other items are buttons, which activate themselves.
+                if (!this.getSubmenu(item)) return;
+                this.openSubmenu(item, true);
+                break;
+            case "ArrowLeft":
+                if (!parentItem) return;
+                this.closeSubmenus(parentItem.closest('[role="menu"]'), null);
+                this.focusItem(parentItem);
+                break;
+            case "Escape":
+                if (parentItem) {
+                    this.closeSubmenus(parentItem.closest('[role="menu"]'), null);
+                    this.focusItem(parentItem);
+                } else {
+                    this.close(true);
+                }
+                break;
+            case "Tab":
+                this.close(true);
+                break;
+            default:
+                if (event.key.length !== 1 || event.ctrlKey || event.metaKey || event.altKey) return;
+                this.typeAhead(instance, items, index, event.key);
+                break;
+        }
+
+        event.preventDefault();
+    },
+
+    // Moves to the next item starting with what was typed in the last
+    // `typeAheadResetMs`.
+    typeAhead: function (instance, items, index, key) {
+        clearTimeout(instance.typeAheadTimer);
+        instance.typeAhead += key.toLowerCase();
+        instance.typeAheadTimer = setTimeout(() => (instance.typeAhead = ""), this.typeAheadResetMs);
+
+        // Typing the same letter again moves on to the next match.
+        const text = instance.typeAhead;
+        const isRepeat = text.split("").every((c) => c === text[0]);
+        const search = isRepeat ? text[0] : text;
+        const start = isRepeat || index < 0 ? index + 1 : index;
+
+        for (let i = 0; i < items.length; i++) {
+            const candidate = items[(start + i) % items.length];
+            if (candidate.textContent.trim().toLowerCase().startsWith(search)) {
+                this.focusItem(candidate);
+                return;
+            }
+        }
+    },
+
+    handlePointerOver: function (instance, event) {
+        const item = event.target.closest('[role="menuitem"]');
+        if (!item) return;
+
+        if (this.getSubmenu(item)) {
+            this.openSubmenu(item, false);
+        } else {
+            this.closeSubmenus(item.closest('[role="menu"]'), null);
+        }
+    },
+
+    handleClick: function (instance, event) {
+        const item = event.target.closest('[role="menuitem"]');
+        if (!this.getSubmenu(item)) return;
+
+        event.preventDefault();
+        this.openSubmenu(item, true);
+    },
+
+    // `row`: an element marked `data-context-menu-target`.
+    openForRow: function (row) {
+        if (!row || !row.matches("[data-context-menu-target]")) return;
+
+        const rect = row.getBoundingClientRect();
+        row.dispatchEvent(new MouseEvent("contextmenu", {
+            bubbles: true,
+            cancelable: true,
+            clientX: rect.left + Math.min(48, rect.width / 2),
+            clientY: rect.bottom,
+        }));
+    },
+};
@@ -0,0 +1,233 @@
+// Date Format
+//
+// The one place dates are formatted in the browser, in the user's locale and
+// time zone. MainLayout calls `configure` with the locale and time zone from
+// the user's settings and the 12/24-hour choice from their calendar
+// settings; anything not set falls back to the browser's own.
+//
+// Styles for `format`:
+// - "short", "medium", "long", "full": the date alone, as Intl names them.
+// - "time": the time alone.
+// - "datetime": a medium date and the time.
+// - "date-iso": YYYY-MM-DD, on the user's calendar day rather than UTC's.
+// - "relative": "Now", "5 min. ago", the time today, "Yesterday", the
+//   weekday within a week, then the date.
+//
+// .NET renders timestamps as <time datetime="(UTC ISO)" data-date-format=
+// "(style)"> with a plain fallback text (see the LocalTime component). They
+// are formatted when they appear and refreshed in place every minute, so
+// "5 min. ago" keeps counting without a Blazor render. Only the existing text
+// node is changed, which leaves Blazor's own references to it intact.
+
+window.dateFormat = {
+    refreshIntervalMs: 60000,
+    selector: "time[data-date-format]",
+    settings: { locale: undefined, timeZone: undefined, hour12: undefined },
+    formatters: new Map(),
+    timer: null,
+    observer: null,
+    refreshQueued: false,
+
+    // `options`: { locale (BCP 47), timeZone (IANA), hour12 }. Values that
+    // are missing, or that the browser doesn't know, use the browser's.
+    configure: function (options) {
+        options = options || {};
+        this.settings = {
+            locale: this.isSupportedLocale(options.locale) ? options.locale : undefined,
+            timeZone: this.isSupportedTimeZone(options.timeZone) ? options.timeZone : undefined,
+            hour12: typeof options.hour12 === "boolean" ? options.hour12 : undefined,
+        };
+        this.formatters.clear();
+        this.refresh(document);
+    },
+
+    format: function (value, style) {
+        const date = this.toDate(value);
+        if (!date) return "";
+
+        switch (style) {
+            case "short":
+            case "medium":
+            case "long":
+            case "full":
+                return this.getFormatter(style, { dateStyle: style }).format(date);
+            case "time":
+                return this.getFormatter("time", { timeStyle: "short" }).format(date);
+            case "datetime":
+                return this.getFormatter("datetime", { dateStyle: "medium", timeStyle: "short" }).format(date);
+            case "date-iso": {
+                const day = this.getDayParts(date);
+                return `${day.year}-${this.pad(day.month)}-${this.pad(day.day)}`;
+            }
+            case "relative":
+                return this.formatRelative(date, new Date());
+            default:
+                return this.getFormatter("medium", { dateStyle: "medium" }).format(date);
+        }
+    },
+
+    formatRelative: function (date, now) {
+        const seconds = (now - date) / 1000;
+        if (seconds > -60 && seconds < 45) return this.capitalize(this.getRelativeFormatter().format(0, "second"));
+        if (seconds > 0 && seconds < 3600) {
+            return this.getRelativeFormatter().format(-Math.max(1, Math.round(seconds / 60)), "minute");
+        }
+
+        const days = this.getDayNumber(now) - this.getDayNumber(date);
+        if (days === 0) return this.format(date, "time");
+        if (days === 1) return this.capitalize(this.getRelativeFormatter().format(-1, "day"));
+        if (days > 1 && days < 7) return this.getFormatter("weekday", { weekday: "long" }).format(date);
+        if (days > 0 && this.getDayParts(date).year === this.getDayParts(now).year) {
+            return this.getFormatter("month-day", { month: "short", day: "numeric" }).format(date);
+        }
+        return this.format(date, "medium");
+    },
+
+    // Formatters
+
+    getFormatter: function (key, options) {
+        let formatter = this.formatters.get(key);
+        if (!formatter) {
+            const settings = { ...options, timeZone: this.settings.timeZone };
+            if (this.settings.hour12 !== undefined && (options.timeStyle || options.hour)) {
+                settings.hour12 = this.settings.hour12;
+            }
+            formatter = new Intl.DateTimeFormat(this.settings.locale, settings);
+            this.formatters.set(key, formatter);
+        }
+        return formatter;
+    },
+
+    getRelativeFormatter: function () {
+        let formatter = this.formatters.get("relative");
+        if (!formatter) {
+            formatter = new Intl.RelativeTimeFormat(this.settings.locale, { numeric: "auto", style: "short" });
+            this.formatters.set("relative", formatter);
+        }
+        return formatter;
+    },
+
+    // The calendar day in the user's time zone, always as Gregorian numbers
+    // so it can be compared and written as YYYY-MM-DD in any locale.
+    getDayParts: function (date) {
+        let formatter = this.formatters.get("day-parts");
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat("en-US-u-ca-gregory-nu-latn", {
+                timeZone: this.settings.timeZone,
+                year: "numeric",
+                month: "numeric",
+                day: "numeric",
+            });
+            this.formatters.set("day-parts", formatter);
+        }
+
+        const parts = {};
+        for (const part of formatter.formatToParts(date)) {
+            if (part.type === "year" || part.type === "month" || part.type === "day") {
+                parts[part.type] = Number(part.value);
+            }
+        }
+        return parts;
+    },
+
+    getDayNumber: function (date) {
+        const day = this.getDayParts(date);
+        return Date.UTC(day.year, day.month - 1, day.day) / 86400000;
+    },
+
+    isSupportedLocale: function (locale) {
+        if (typeof locale !== "string" || !locale) return false;
+        try {
+            return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    isSupportedTimeZone: function (timeZone) {
+        if (typeof timeZone !== "string" || !timeZone) return false;
+        try {
+            new Intl.DateTimeFormat(undefined, { timeZone: timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    toDate: function (value) {
+        if (value == null || value === "") return null;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    capitalize: function (text) {
+        return text.charAt(0).toLocaleUpperCase(this.settings.locale) + text.slice(1);
+    },
+
+    pad: function (value) {
+        return String(value).padStart(2, "0");
+    },
+
+    // Live timestamps
+
+    start: function () {
+        if (this.observer) return;
+
+        // New and changed timestamps are formatted in one pass after Blazor
+        // finishes patching the page.
+        this.observer = new MutationObserver(() => this.queueRefresh());
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ["datetime", "data-date-format"],
+        });
+
+        this.refresh(document);
+        this.scheduleTick();
+        document.addEventListener("visibilitychange", () => {
+            if (!document.hidden) this.refresh(document);
+        });
+    },
+
+    // On the minute, so every timestamp on the page changes together.
+    scheduleTick: function () {
+        clearTimeout(this.timer);
+        const delay = this.refreshIntervalMs - (Date.now() % this.refreshIntervalMs);
+        this.timer = setTimeout(() => {
+            if (!document.hidden) this.refresh(document);
+            this.scheduleTick();
+        }, delay);
+    },
+
+    queueRefresh: function () {
+        if (this.refreshQueued) return;
+        this.refreshQueued = true;
+        requestAnimationFrame(() => {
+            this.refreshQueued = false;
+            this.refresh(document);
+        });
+    },
+
+    refresh: function (root) {
+        root.querySelectorAll(this.selector).forEach((element) => this.render(element));
+    },
+
+    render: function (element) {
+        const date = this.toDate(element.getAttribute("datetime"));
+        if (!date) return;
+
+        const text = this.format(date, element.dataset.dateFormat);
+        const node = element.firstChild;
+        if (node && node.nodeType === Node.TEXT_NODE) {
+            if (node.nodeValue !== text) node.nodeValue = text;
+        } else if (!node) {
+            element.textContent = text;
+        }
+
+        const title = this.getFormatter("full-datetime", { dateStyle: "full", timeStyle: "short" }).format(date);
+        if (element.title !== title) element.title = title;
+    },
+};
+
+window.dateFormat.start();
@@ -0,0 +1,126 @@
+// Desktop Notifications
+//
+// OS-level notifications for calendar reminders and new mail, so they are
+// seen while the tab is in the background. The .NET side decides what to
+// show and calls `show`; clicks and buttons come back through
+// OnNotificationAction(kind, id, action, url), where action is "open",
+// "close" or one of the notification's own actions ("snooze", "dismiss").
+//
+// Notifications go through the service worker when it is available: only
+// those can carry action buttons, and their clicks still reach the app after
+// the page that showed them has gone. Otherwise a plain Notification is
+// used, which supports clicking and closing only.
+
+window.desktopNotifications = {
+    dotNetRef: null,
+    workerUrl: "/service-worker.js",
+    workerReady: null,
+    messageHandler: null,
+    // Actions that arrived while no .NET handler was registered.
+    pendingActions: [],
+
+    isSupported: function () {
+        return "Notification" in window;
+    },
+
+    // "granted", "denied", "default" (not asked yet) or "unsupported".
+    getPermission: function () {
+        return this.isSupported() ? Notification.permission : "unsupported";
+    },
+
+    // Must be called from a click (or shortly after one), or browsers ignore it.
+    requestPermission: async function () {
+        if (!this.isSupported()) return "unsupported";
+        if (Notification.permission !== "default") return Notification.permission;
+        try {
+            return await Notification.requestPermission();
+        } catch (error) {
+            return Notification.permission;
+        }
+    },
+
+    register: function (dotNetRef) {
+        this.dotNetRef = dotNetRef;
+        this.startWorker();
+
+        const pending = this.pendingActions.splice(0);
+        pending.forEach((message) => this.report(message));
+        return this.getPermission();
+    },
+
+    unregister: function () {
+        this.dotNetRef = null;
+    },
+
+    startWorker: function () {
+        if (this.workerReady || !("serviceWorker" in navigator)) return;
+
+        this.messageHandler = (event) => {
+            if (event.data && event.data.type === "notification-action") this.report(event.data);
+        };
+        navigator.serviceWorker.addEventListener("message", this.messageHandler);
+
+        this.workerReady = navigator.serviceWorker
+            .register(this.workerUrl)
+            .then(() => navigator.serviceWorker.ready)
+            .catch((error) => {
+                console.warn("Service worker unavailable, notifications won't have actions:", error);
+                return null;
+            });
+    },
+
+    // Shows `notification` ({ kind, id, title, body, url, requireInteraction,
+    // actions: [{ action, title }] }). Resolves to whether it was shown.
+    show: async function (notification) {
+        if (this.getPermission() !== "granted") return false;
+
+        const options = {
+            body: notification.body,
+            tag: `${notification.kind}-${notification.id}`,
+            requireInteraction: !!notification.requireInteraction,
+            data: { kind: notification.kind, id: notification.id, url: notification.url },
+        };
+
+        const registration = this.workerReady ? await this.workerReady : null;
+        if (registration) {
+            try {
+                await registration.showNotification(notification.title, {
+                    ...options,
+                    actions: notification.actions || [],
+                });
+                return true;
+            } catch (error) {
+                console.warn("Falling back to a page notification:", error);
+            }
+        }
+
+        try {
+            const shown = new Notification(notification.title, options);
+            let handled = false;
+            shown.addEventListener("click", () => {
+                handled = true;
+                window.focus();
+                shown.close();
+                this.report({ ...options.data, action: "open" });
+            });
+            shown.addEventListener("close", () => {
+                if (!handled) this.report({ ...options.data, action: "close" });
+            });
+            return true;
+        } catch (error) {
+            // Some mobile browsers only allow notifications from a service worker.
+            console.warn("Unable to show notification:", error);
+            return false;
+        }
+    },
+
+    report: function (message) {
+        if (!this.dotNetRef) {
+            this.pendingActions.push(message);
+            return;
+        }
+        this.dotNetRef
+            .invokeMethodAsync("OnNotificationAction", message.kind, message.id, message.action, message.url || "/")
+            .catch((error) => console.error("Error handling notification action:", error));
+    },
+};
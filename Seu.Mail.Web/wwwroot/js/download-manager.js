@@ -0,0 +1,360 @@
+// Download Manager
+//
+// The one place files are saved from the app. .NET code uses DownloadService,
+// which sends content as a DotNetStreamReference so large attachments are
+// streamed in chunks instead of pushed over the circuit as one message.
+//
+// - `save` takes a stream reference (anything with `stream()`), bytes, a Blob
+//   or text. Files larger than `progressThreshold` show a progress toast with
+//   a Cancel button while they are read.
+// - `saveZip` builds a ZIP in the browser for "Download all" and multi-message
+//   exports, asking .NET for each file in turn through
+//   OpenDownloadEntry(archiveId, index). Files are deflated when the browser
+//   has CompressionStream and it makes them smaller, and stored otherwise.
+//   ZIP64 isn't written, so a ZIP holds at most 65535 files and 4 GB.
+//
+// Both resolve to whether the file was saved; failures are shown as toasts
+// rather than thrown, so callers don't have to handle them.
+
+window.downloadManager = {
+    progressThreshold: 1024 * 1024,
+    progressIntervalMs: 150,
+    // Some browsers start reading the blob URL after the click returns.
+    revokeDelayMs: 60000,
+    maxZipBytes: 0xffffffff,
+    maxZipEntries: 0xffff,
+    nextTaskId: 1,
+    crcTable: null,
+
+    // `options`: { size } in bytes, when known.
+    save: async function (fileName, contentType, content, options) {
+        options = options || {};
+        const task = this.createTask("Downloading", fileName, options.size);
+        if (task.total > this.progressThreshold) this.showProgress(task);
+
+        try {
+            const parts = await this.readContent(content, task, null);
+            if (!parts) {
+                this.endTask(task);
+                return false;
+            }
+
+            this.saveBlob(new Blob(parts, { type: contentType || "application/octet-stream" }), fileName);
+            this.endTask(task);
+            return true;
+        } catch (error) {
+            console.error("Error downloading file:", error);
+            this.endTask(task);
+            this.showError(`Couldn't download ${fileName}.`);
+            return false;
+        }
+    },
+
+    // `entries`: [{ fileName, size, lastModified }], with names already
+    // unique. Entries .NET no longer has (OpenDownloadEntry returns null) are
+    // left out.
+    saveZip: async function (zipName, dotNetRef, archiveId, entries) {
+        entries = Array.isArray(entries) ? entries : [];
+        const sizes = entries.map((entry) => entry.size);
+        const total = sizes.every((size) => this.isSize(size)) ? sizes.reduce((sum, size) => sum + size, 0) : null;
+        const task = this.createTask("Preparing download", zipName, total);
+        task.fileCount = entries.length;
+        this.showProgress(task);
+
+        try {
+            if (entries.length > this.maxZipEntries) {
+                throw new RangeError(`A ZIP can hold at most ${this.maxZipEntries} files.`);
+            }
+
+            const zip = { parts: [], directory: [], offset: 0, count: 0 };
+            for (let index = 0; index < entries.length; index++) {
+                if (task.cancelled) break;
+
+                task.fileIndex = index;
+                task.message = `${entries[index].fileName} (${index + 1} of ${entries.length})`;
+                this.updateProgress(task, true);
+
+                const streamRef = await dotNetRef.invokeMethodAsync("OpenDownloadEntry", archiveId, index);
+                if (!streamRef) continue;
+
+                if (!(await this.addZipEntry(zip, entries[index], streamRef, task))) break;
+            }
+
+            if (task.cancelled) {
+                this.endTask(task);
+                return false;
+            }
+
+            if (zip.count === 0) {
+                this.endTask(task);
+                this.showError(`There was nothing to put in ${zipName}.`);
+                return false;
+            }
+
+            this.saveBlob(this.finishZip(zip), zipName);
+            this.endTask(task);
+            window.toastService.show({
+                type: "success",
+                message: `${zipName} downloaded (${zip.count} ${zip.count === 1 ? "file" : "files"}).`,
+            });
+            return true;
+        } catch (error) {
+            console.error("Error building ZIP:", error);
+            this.endTask(task);
+            this.showError(error instanceof RangeError ? error.message : `Couldn't download ${zipName}.`);
+            return false;
+        }
+    },
+
+    // Tasks
+
+    createTask: function (title, fileName, size) {
+        return {
+            id: this.nextTaskId++,
+            title: title,
+            message: fileName,
+            total: this.isSize(size) ? size : null,
+            loaded: 0,
+            fileIndex: 0,
+            fileCount: 0,
+            toastId: null,
+            lastUpdate: 0,
+            cancelled: false,
+        };
+    },
+
+    isSize: function (value) {
+        return typeof value === "number" && value >= 0;
+    },
+
+    showProgress: function (task) {
+        if (task.toastId) return;
+
+        task.toastId = window.toastService.show({
+            title: task.title,
+            message: task.message,
+            progress: this.getPercent(task),
+            key: `download-${task.id}`,
+            actions: [{ id: "cancel", label: "Cancel", onClick: () => (task.cancelled = true) }],
+        });
+    },
+
+    // Throttled, since chunks arrive far more often than the toast needs
+    // redrawing.
+    updateProgress: function (task, force) {
+        if (!task.toastId && task.total == null && task.loaded > this.progressThreshold) {
+            this.showProgress(task);
+        }
+        if (!task.toastId) return;
+
+        const now = Date.now();
+        if (!force && now - task.lastUpdate < this.progressIntervalMs) return;
+        task.lastUpdate = now;
+
+        window.toastService.update(task.toastId, { message: task.message, progress: this.getPercent(task) });
+    },
+
+    // By bytes when every size is known, by file for a ZIP otherwise, or -1
+    // (an indeterminate bar).
+    getPercent: function (task) {
+        if (task.total > 0) return Math.min(100, (task.loaded / task.total) * 100);
+        if (task.fileCount > 0) return (task.fileIndex / task.fileCount) * 100;
+        return -1;
+    },
+
+    endTask: function (task) {
+        if (task.toastId) window.toastService.dismiss(task.toastId);
+        task.toastId = null;
+    },
+
+    showError: function (message) {
+        window.toastService.show({ type: "error", title: "Download failed", message: message });
+    },
+
+    // Reading
+
+    // Returns the content as Blob parts, or null if the task was cancelled.
+    // `onChunk` sees each chunk of a stream as it arrives.
+    readContent: async function (content, task, onChunk) {
+        if (content == null) return [];
+        if (typeof content.stream === "function" && !(content instanceof Blob)) {
+            return this.readStream(await content.stream(), task, onChunk);
+        }
+
+        let part;
+        if (typeof content === "string") part = new TextEncoder().encode(content);
+        else if (content instanceof Blob) part = new Uint8Array(await content.arrayBuffer());
+        else if (content instanceof ArrayBuffer) part = new Uint8Array(content);
+        else if (ArrayBuffer.isView(content)) part = new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+        else if (Array.isArray(content)) part = new Uint8Array(content);
+        else throw new TypeError("Unsupported download content.");
+
+        if (onChunk) onChunk(part);
+        task.loaded += part.byteLength;
+        return [part];
+    },
+
+    readStream: async function (stream, task, onChunk) {
+        const reader = stream.getReader();
+        const parts = [];
+
+        try {
+            for (;;) {
+                if (task.cancelled) {
+                    await reader.cancel().catch(() => {});
+                    return null;
+                }
+
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                parts.push(value);
+                if (onChunk) onChunk(value);
+                task.loaded += value.byteLength;
+                this.updateProgress(task, false);
+            }
+        } finally {
+            reader.releaseLock();
+        }
+
+        return parts;
+    },
+
+    saveBlob: function (blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        link.style.display = "none";
+
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), this.revokeDelayMs);
+    },
+
+    // ZIP
+
+    addZipEntry: async function (zip, entry, streamRef, task) {
+        let crc = 0xffffffff;
+        let size = 0;
+        const parts = await this.readContent(streamRef, task, (chunk) => {
+            crc = this.updateCrc(crc, chunk);
+            size += chunk.byteLength;
+        });
+        if (!parts) return false;
+        crc = (crc ^ 0xffffffff) >>> 0;
+
+        let data = new Blob(parts);
+        let method = 0;
+        const compressed = await this.deflate(data);
+        if (compressed && compressed.size < data.size) {
+            data = compressed;
+            method = 8;
+        }
+
+        const name = new TextEncoder().encode(entry.fileName);
+        const { time, date } = this.toDosDateTime(entry.lastModified ? new Date(entry.lastModified) : new Date());
+        const header = { name, method, time, date, crc, compressedSize: data.size, size, offset: zip.offset };
+
+        const local = this.writeHeader(header, false);
+        if (zip.offset + local.byteLength + data.size + 22 > this.maxZipBytes) {
+            throw new RangeError("The files are too large to download as one ZIP (more than 4 GB).");
+        }
+
+        zip.parts.push(local, data);
+        zip.directory.push(this.writeHeader(header, true));
+        zip.offset += local.byteLength + data.size;
+        zip.count++;
+        return true;
+    },
+
+    // Raw deflate, as ZIP expects; null when the browser can't do it.
+    deflate: async function (blob) {
+        if (typeof CompressionStream !== "function" || blob.size === 0) return null;
+
+        try {
+            const stream = blob.stream().pipeThrough(new CompressionStream("deflate-raw"));
+            return await new Response(stream).blob();
+        } catch (error) {
+            // Older browsers only know "gzip" and "deflate"; store instead.
+            return null;
+        }
+    },
+
+    // A local file header, or the central directory header when `central`.
+    // Names are flagged as UTF-8 (bit 11).
+    writeHeader: function (header, central) {
+        const fixed = central ? 46 : 30;
+        const bytes = new Uint8Array(fixed + header.name.byteLength);
+        const view = new DataView(bytes.buffer);
+        let at = 0;
+        const u16 = (value) => { view.setUint16(at, value, true); at += 2; };
+        const u32 = (value) => { view.setUint32(at, value, true); at += 4; };
+
+        u32(central ? 0x02014b50 : 0x04034b50);
+        if (central) u16(20); // version made by
+        u16(20); // version needed to extract
+        u16(0x0800);
+        u16(header.method);
+        u16(header.time);
+        u16(header.date);
+        u32(header.crc);
+        u32(header.compressedSize);
+        u32(header.size);
+        u16(header.name.byteLength);
+        u16(0); // extra field length
+        if (central) {
+            u16(0); // comment length
+            u16(0); // disk number
+            u16(0); // internal attributes
+            u32(0); // external attributes
+            u32(header.offset);
+        }
+
+        bytes.set(header.name, at);
+        return bytes;
+    },
+
+    finishZip: function (zip) {
+        const directorySize = zip.directory.reduce((sum, header) => sum + header.byteLength, 0);
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054b50, true);
+        view.setUint16(8, zip.count, true);
+        view.setUint16(10, zip.count, true);
+        view.setUint32(12, directorySize, true);
+        view.setUint32(16, zip.offset, true);
+
+        return new Blob([...zip.parts, ...zip.directory, end], { type: "application/zip" });
+    },
+
+    // MS-DOS dates run from 1980 to 2107 and count seconds in twos.
+    toDosDateTime: function (value) {
+        let date = isNaN(value.getTime()) || value.getFullYear() < 1980 ? new Date(1980, 0, 1) : value;
+        if (date.getFullYear() > 2107) date = new Date(2107, 11, 31, 23, 59, 58);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+        };
+    },
+
+    updateCrc: function (crc, bytes) {
+        const table = this.crcTable || (this.crcTable = this.createCrcTable());
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return crc;
+    },
+
+    createCrcTable: function () {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    },
+};
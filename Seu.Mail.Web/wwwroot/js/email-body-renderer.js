@@ -0,0 +1,413 @@
+// Email Body Renderer
+//
+// Renders untrusted HTML mail into a sandboxed iframe: scripts never run and
+// the frame gets an opaque origin, so it cannot reach the app's cookies, DOM
+// or storage. Remote images, stylesheets and fonts are blocked (and a CSP in
+// the frame backs that up) until the user loads them for the message or
+// always allows the sender. Links may only use http(s), mailto, cid or a
+// fragment, and open in a new tab with rel=noopener.
+//
+// Message markup never enters the app's document. The frame's document can't
+// be read from here, so its height is measured from a hidden, inert copy of
+// the same document in a frame that is sandboxed without scripts but keeps
+// our origin, and kept in sync when the host is resized or images in the
+// copy finish loading.
+
+window.emailBodyRenderer = {
+    instances: new Map(),
+    storageKey: "seu-mail.remoteContentSenders",
+    sandbox: "allow-popups allow-popups-to-escape-sandbox",
+    // Same origin is what lets us read the copy's layout; nothing can run in
+    // it, and it can't be focused or clicked.
+    measureSandbox: "allow-same-origin",
+    removedElements:
+        "script, iframe, frame, frameset, object, embed, applet, base, meta[http-equiv]",
+    urlAttributes: ["src", "srcset", "poster", "background"],
+    // Links are fine, but on SVG <image>, <use> and filters these load images.
+    svgUrlAttributes: ["href", "xlink:href"],
+    linkAttributes: ["href", "action", "formaction", "xlink:href"],
+    remoteUrlPattern: /^\s*(https?:)?\/\//i,
+    // URL parsers skip these, so "java\tscript:" would still be javascript:.
+    ignoredUrlCharacters: /[\u0000-\u0020\u007f]/g,
+    safeLinkPattern: /^(?:#|(?:https?|mailto|cid):)/i,
+    // Images may also be inline data, but not SVG documents. "//host/..."
+    // resolves to http(s) and is left to the remote content checks.
+    safeMediaPattern: /^(?:\/\/|(?:https?|cid|blob):|data:image\/(?!svg\+xml)[a-z0-9.+-]+[;,])/i,
+    cssRemoteUrlPattern: /url\(\s*(['"]?)\s*(?:https?:)?\/\/[^)]*?\1\s*\)/gi,
+    cssRemoteImportPattern: /@import\s+(?:url\()?\s*['"]?\s*(?:https?:)?\/\/[^;]*;?/gi,
+    // image-set() also takes bare strings: image-set("https://..." 1x).
+    cssImageSetPattern: /((?:-webkit-)?image-set\()([^)]*)/gi,
+    cssRemoteStringPattern: /(['"])\s*(?:https?:)?\/\/[^'"]*\1/g,
+
+    // Renders `html` into `host`, replacing whatever the renderer put there
+    // before. Resolves once the frame has loaded and been sized.
+    //   options.sender        - From header, used for the per-sender allow-list
+    //   options.allowRemote   - load remote content without asking
+    //   options.showRemoteBar - show the "Load remote content" bar (default true)
+    render: function (host, html, options) {
+        if (!host) return Promise.resolve();
+        this.dispose(host);
+        this.disposeDetached();
+        options = options || {};
+
+        const sender = this.normalizeSender(options.sender);
+        const instance = {
+            host: host,
+            html: html || "",
+            sender: sender,
+            showRemoteBar: options.showRemoteBar !== false,
+            remoteAllowed: !!options.allowRemote || this.isSenderAllowed(sender),
+            frame: null,
+            measureFrame: null,
+            measureBody: null,
+            // The host's window, which is a print window rather than this one
+            // when printing.
+            view: host.ownerDocument.defaultView,
+            resizeObserver: null,
+            clickHandler: null,
+        };
+
+        instance.clickHandler = (event) => this.handleClick(instance, event);
+        host.addEventListener("click", instance.clickHandler);
+
+        if (instance.view.ResizeObserver) {
+            instance.resizeObserver = new instance.view.ResizeObserver(() => this.measure(instance));
+            instance.resizeObserver.observe(host);
+        }
+
+        this.instances.set(host, instance);
+        return this.draw(instance);
+    },
+
+    dispose: function (host) {
+        const instance = this.instances.get(host);
+        if (!instance) return;
+
+        host.removeEventListener("click", instance.clickHandler);
+        if (instance.resizeObserver) instance.resizeObserver.disconnect();
+        host.replaceChildren();
+        this.instances.delete(host);
+    },
+
+    // Blazor can remove a host before its component's dispose call reaches
+    // us, and by then the element reference no longer resolves.
+    disposeDetached: function () {
+        for (const host of Array.from(this.instances.keys())) {
+            if (!host.isConnected) this.dispose(host);
+        }
+    },
+
+    draw: function (instance) {
+        const host = instance.host;
+        const doc = host.ownerDocument;
+        const prepared = this.prepare(instance.html, instance.remoteAllowed);
+
+        if (instance.resizeObserver && instance.measureBody) {
+            instance.resizeObserver.unobserve(instance.measureBody);
+        }
+        instance.measureBody = null;
+        host.replaceChildren();
+
+        if (prepared.blocked > 0 && instance.showRemoteBar) {
+            host.appendChild(this.createRemoteBar(doc, instance));
+        }
+
+        const frame = doc.createElement("iframe");
+        frame.className = "email-body-frame";
+        frame.title = "Message body";
+        frame.setAttribute("sandbox", this.sandbox);
+        frame.setAttribute("referrerpolicy", "no-referrer");
+        frame.style.cssText = "display: block; width: 100%; height: 0; border: 0;";
+        const srcdoc = this.buildDocument(prepared, instance.remoteAllowed);
+        frame.srcdoc = srcdoc;
+
+        // Same width as the frame, so the copy lays out the same way.
+        const measureFrame = doc.createElement("iframe");
+        measureFrame.className = "email-body-measure";
+        measureFrame.setAttribute("sandbox", this.measureSandbox);
+        measureFrame.setAttribute("referrerpolicy", "no-referrer");
+        measureFrame.setAttribute("aria-hidden", "true");
+        measureFrame.setAttribute("tabindex", "-1");
+        measureFrame.inert = true;
+        measureFrame.style.cssText =
+            "position: absolute; top: 0; left: 0; width: 100%; height: 0; border: 0; visibility: hidden; pointer-events: none;";
+        measureFrame.srcdoc = srcdoc;
+
+        instance.frame = frame;
+        instance.measureFrame = measureFrame;
+
+        const frameLoaded = this.whenLoaded(frame);
+        const measured = this.whenLoaded(measureFrame).then(() => this.watchMeasureFrame(instance, measureFrame));
+
+        host.appendChild(frame);
+        host.appendChild(measureFrame);
+        return Promise.all([frameLoaded, measured]).then(() => this.measure(instance));
+    },
+
+    whenLoaded: function (frame) {
+        return new Promise((resolve) => frame.addEventListener("load", () => resolve(), { once: true }));
+    },
+
+    // Everything here runs in our own window; the copy only holds markup.
+    // load/error don't bubble, but do reach the document when captured.
+    watchMeasureFrame: function (instance, measureFrame) {
+        const doc = measureFrame.contentDocument;
+        if (!doc || !doc.body || instance.measureFrame !== measureFrame) return;
+
+        // The copy is never on screen, so lazy images would never load in it.
+        doc.querySelectorAll("img[loading]").forEach((image) => image.removeAttribute("loading"));
+        doc.documentElement.style.setProperty("overflow", "hidden", "important");
+
+        const remeasure = () => this.measure(instance);
+        doc.addEventListener("load", remeasure, true);
+        doc.addEventListener("error", remeasure, true);
+        instance.measureBody = doc.body;
+        if (instance.resizeObserver) instance.resizeObserver.observe(doc.body);
+    },
+
+    // The body is a block formatting context (see baseStyles), so its box
+    // includes the content's margins.
+    measure: function (instance) {
+        const { frame, measureBody } = instance;
+        if (!frame || !frame.isConnected || !measureBody || !measureBody.isConnected) return;
+
+        const height = Math.ceil(measureBody.getBoundingClientRect().height) + 4;
+        frame.style.setProperty("height", `${height}px`, "important");
+    },
+
+    // Parses the message and strips anything active. Unless remote content is
+    // allowed, remote URLs are removed from attributes, inline styles and
+    // style sheets; `blocked` counts how many were found.
+    prepare: function (html, allowRemote) {
+        const parsed = new DOMParser().parseFromString(html, "text/html");
+        let blocked = 0;
+
+        parsed.querySelectorAll(this.removedElements).forEach((node) => node.remove());
+
+        parsed.querySelectorAll("link").forEach((link) => {
+            const isStyleSheet = /\bstylesheet\b/i.test(link.getAttribute("rel") || "");
+            if (!isStyleSheet || !allowRemote) {
+                if (isStyleSheet) blocked++;
+                link.remove();
+            }
+        });
+
+        parsed.querySelectorAll("*").forEach((element) => {
+            for (const attribute of Array.from(element.attributes)) {
+                const name = attribute.name.toLowerCase();
+                if (name.startsWith("on")) {
+                    element.removeAttribute(attribute.name);
+                } else if (
+                    (this.linkAttributes.includes(name) || this.urlAttributes.includes(name)) &&
+                    !this.isSafeUrl(element, name, attribute.value)
+                ) {
+                    element.removeAttribute(attribute.name);
+                }
+            }
+
+            if (allowRemote) return;
+
+            const isLink = element.localName === "a" || element.localName === "area";
+            const names = isLink ? this.urlAttributes : this.urlAttributes.concat(this.svgUrlAttributes);
+            for (const name of names) {
+                const value = element.getAttribute(name);
+                if (value && this.isRemote(name, value)) {
+                    element.removeAttribute(name);
+                    blocked++;
+                }
+            }
+
+            const style = element.getAttribute("style");
+            if (style) {
+                const cleaned = this.blockCssUrls(style);
+                if (cleaned.count > 0) {
+                    element.setAttribute("style", cleaned.css);
+                    blocked += cleaned.count;
+                }
+            }
+        });
+
+        if (!allowRemote) {
+            parsed.querySelectorAll("style").forEach((style) => {
+                const cleaned = this.blockCssUrls(style.textContent);
+                if (cleaned.count > 0) {
+                    style.textContent = cleaned.css;
+                    blocked += cleaned.count;
+                }
+            });
+        }
+
+        parsed.querySelectorAll("a[href], area[href]").forEach((link) => {
+            if (link.getAttribute("href").trim().startsWith("#")) {
+                link.setAttribute("target", "_self");
+            } else {
+                link.setAttribute("target", "_blank");
+                link.setAttribute("rel", "noopener noreferrer");
+            }
+        });
+
+        const headStyles = Array.from(parsed.head.querySelectorAll("style, link"))
+            .map((node) => node.outerHTML)
+            .join("");
+
+        return {
+            headStyles: headStyles,
+            body: parsed.body ? parsed.body.innerHTML : "",
+            blocked: blocked,
+        };
+    },
+
+    // Only schemes known to be harmless get through; anything else
+    // (javascript:, data:text/html, data:image/svg+xml, file: ...) is dropped,
+    // as are relative URLs, which would resolve against the app.
+    isSafeUrl: function (element, name, value) {
+        if (name === "srcset") {
+            return value.split(",").every((candidate) =>
+                this.safeMediaPattern.test(candidate.trim().split(/\s+/)[0].replace(this.ignoredUrlCharacters, "")));
+        }
+
+        const url = value.replace(this.ignoredUrlCharacters, "");
+        if (this.urlAttributes.includes(name)) return this.safeMediaPattern.test(url);
+        if (this.safeLinkPattern.test(url)) return true;
+
+        // On SVG <image> and <use> these load images rather than link.
+        const isLink = element.localName === "a" || element.localName === "area";
+        return !isLink && this.svgUrlAttributes.includes(name) && this.safeMediaPattern.test(url);
+    },
+
+    isRemote: function (name, value) {
+        if (name === "srcset") {
+            return value.split(",").some((candidate) => this.remoteUrlPattern.test(candidate));
+        }
+        return this.remoteUrlPattern.test(value);
+    },
+
+    blockCssUrls: function (css) {
+        let count = 0;
+        const result = css
+            .replace(this.cssRemoteImportPattern, () => {
+                count++;
+                return "";
+            })
+            .replace(this.cssRemoteUrlPattern, () => {
+                count++;
+                return "none";
+            })
+            .replace(this.cssImageSetPattern, (match, start, args) => {
+                return start + args.replace(this.cssRemoteStringPattern, () => {
+                    count++;
+                    return '""';
+                });
+            });
+        return { css: result, count: count };
+    },
+
+    buildDocument: function (prepared, allowRemote) {
+        const remote = allowRemote ? " http: https:" : "";
+        const policy = [
+            "default-src 'none'",
+            `style-src 'unsafe-inline'${remote}`,
+            `img-src data: cid: blob:${remote}`,
+            `font-src data:${remote}`,
+            `media-src data:${remote}`,
+            "form-action 'none'",
+        ].join("; ");
+
+        return (
+            "<!DOCTYPE html><html><head>" +
+            '<meta charset="utf-8">' +
+            `<meta http-equiv="Content-Security-Policy" content="${policy}">` +
+            '<base target="_blank">' +
+            `<style>${this.baseStyles("body")}</style>` +
+            prepared.headStyles +
+            "</head><body>" +
+            prepared.body +
+            "</body></html>"
+        );
+    },
+
+    baseStyles: function (bodySelector) {
+        return (
+            `${bodySelector} { display: flow-root; margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif; ` +
+            "font-size: 14px; line-height: 1.6; color: #212529; overflow-wrap: break-word; word-break: break-word; } " +
+            `${bodySelector} img { max-width: 100%; height: auto; } ` +
+            `${bodySelector} table { max-width: 100%; } ` +
+            `${bodySelector} pre { white-space: pre-wrap; }`
+        );
+    },
+
+    createRemoteBar: function (doc, instance) {
+        const bar = doc.createElement("div");
+        bar.className = "remote-content-bar alert alert-warning d-flex align-items-center flex-wrap gap-2 py-2 px-3 mb-2";
+        bar.setAttribute("role", "status");
+
+        const text = doc.createElement("span");
+        text.className = "me-auto small";
+        text.innerHTML = '<i class="fas fa-shield-alt me-2"></i>';
+        text.appendChild(
+            doc.createTextNode("Remote content in this message has been blocked to protect your privacy."),
+        );
+        bar.appendChild(text);
+
+        const load = doc.createElement("button");
+        load.type = "button";
+        load.className = "btn btn-sm btn-outline-secondary";
+        load.dataset.remoteAction = "load";
+        load.textContent = "Load remote content";
+        bar.appendChild(load);
+
+        if (instance.sender) {
+            const allow = doc.createElement("button");
+            allow.type = "button";
+            allow.className = "btn btn-sm btn-outline-secondary";
+            allow.dataset.remoteAction = "allow-sender";
+            allow.textContent = `Always load from ${instance.sender}`;
+            bar.appendChild(allow);
+        }
+
+        return bar;
+    },
+
+    handleClick: function (instance, event) {
+        const button = event.target.closest("[data-remote-action]");
+        if (!button || !instance.host.contains(button)) return;
+
+        if (button.dataset.remoteAction === "allow-sender") {
+            this.allowSender(instance.sender);
+        }
+
+        instance.remoteAllowed = true;
+        this.draw(instance);
+    },
+
+    // Reduces "Name <user@example.com>" to "user@example.com".
+    normalizeSender: function (from) {
+        if (!from) return "";
+        const match = /<([^>]+)>/.exec(from);
+        return (match ? match[1] : from).trim().toLowerCase();
+    },
+
+    getAllowedSenders: function () {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || "[]");
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    isSenderAllowed: function (sender) {
+        return !!sender && this.getAllowedSenders().includes(sender);
+    },
+
+    allowSender: function (sender) {
+        if (!sender || this.isSenderAllowed(sender)) return;
+        const senders = this.getAllowedSenders();
+        senders.push(sender);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(senders));
+        } catch (error) {
+            console.warn("Unable to save remote content allow-list:", error);
+        }
+    },
+};
@@ -0,0 +1,180 @@
+// Email Drag and Drop
+//
+// Lets `.email-item` rows (or the current emailSelection) be dragged onto
+// sidebar folders and tags marked with `data-drop-type` and `data-drop-id`.
+// On drop the source list's HandleEmailDrop is called with the message IDs,
+// the target and whether the user asked for a copy (Ctrl, or Option on macOS).
+
+window.emailDragDrop = {
+    instances: new Map(),
+    active: null,
+    documentHandlers: null,
+    dataType: "application/x-seu-mail-ids",
+    targetSelector: "[data-drop-type][data-drop-id]",
+
+    attach: function (container, dotNetRef) {
+        if (!container) return;
+        this.detach(container);
+
+        const instance = {
+            container: container,
+            dotNetRef: dotNetRef,
+            dragStartHandler: (event) => this.handleDragStart(instance, event),
+            dragEndHandler: () => this.endDrag(),
+        };
+
+        container.addEventListener("dragstart", instance.dragStartHandler);
+        container.addEventListener("dragend", instance.dragEndHandler);
+        this.instances.set(container, instance);
+        this.ensureDocumentHandlers();
+    },
+
+    detach: function (container) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+
+        container.removeEventListener("dragstart", instance.dragStartHandler);
+        container.removeEventListener("dragend", instance.dragEndHandler);
+        this.instances.delete(container);
+
+        if (this.active && this.active.instance === instance) {
+            this.endDrag();
+        }
+    },
+
+    // Drop targets live outside the list (sidebar), so they are handled once
+    // at document level and only react while one of our drags is active.
+    ensureDocumentHandlers: function () {
+        if (this.documentHandlers) return;
+
+        this.documentHandlers = {
+            dragover: (event) => this.handleDragOver(event),
+            dragleave: (event) => this.handleDragLeave(event),
+            drop: (event) => this.handleDrop(event),
+        };
+        Object.entries(this.documentHandlers).forEach(([type, handler]) =>
+            document.addEventListener(type, handler),
+        );
+    },
+
+    getRowKey: function (row) {
+        const key = parseInt(row.dataset.emailId, 10);
+        return isNaN(key) ? null : key;
+    },
+
+    // Dragging a selected row drags the whole selection; any other row is
+    // dragged on its own.
+    getDraggedIds: function (instance, key) {
+        const selection = window.emailSelection
+            ? window.emailSelection.getSelection(instance.container)
+            : [];
+        return selection.includes(key) ? selection : [key];
+    },
+
+    handleDragStart: function (instance, event) {
+        const row = event.target.closest && event.target.closest(".email-item");
+        if (!row) return;
+
+        const key = this.getRowKey(row);
+        if (key === null) return;
+
+        const ids = this.getDraggedIds(instance, key);
+        this.active = { instance: instance, ids: ids, target: null };
+
+        event.dataTransfer.effectAllowed = "copyMove";
+        event.dataTransfer.setData(this.dataType, JSON.stringify(ids));
+        event.dataTransfer.setData("text/plain", this.formatCount(ids.length));
+        this.setDragImage(event, ids.length);
+
+        document.body.classList.add("email-dragging");
+    },
+
+    formatCount: function (count) {
+        return count === 1 ? "1 message" : `${count} messages`;
+    },
+
+    setDragImage: function (event, count) {
+        if (!event.dataTransfer.setDragImage) return;
+
+        const image = document.createElement("div");
+        image.className = "email-drag-image";
+        const icon = document.createElement("i");
+        icon.className = "fas fa-envelope me-2";
+        image.append(icon, this.formatCount(count));
+        document.body.appendChild(image);
+
+        event.dataTransfer.setDragImage(image, 12, 12);
+        // The browser snapshots the image synchronously; remove it afterwards.
+        setTimeout(() => image.remove(), 0);
+    },
+
+    isCopy: function (event, target) {
+        // Tagging never removes the message from its folder.
+        if (target.dataset.dropType === "tag") return true;
+        return this.isMac() ? event.altKey : event.ctrlKey;
+    },
+
+    isMac: function () {
+        return /Mac|iPhone|iPad/.test(navigator.platform);
+    },
+
+    handleDragOver: function (event) {
+        if (!this.active) return;
+
+        const target = event.target.closest && event.target.closest(this.targetSelector);
+        this.setHoverTarget(target);
+        if (!target) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = this.isCopy(event, target) ? "copy" : "move";
+    },
+
+    handleDragLeave: function (event) {
+        if (!this.active || !this.active.target) return;
+
+        // Ignore leave events fired when moving between the target's children.
+        if (!this.active.target.contains(event.relatedTarget)) {
+            this.setHoverTarget(null);
+        }
+    },
+
+    setHoverTarget: function (target) {
+        const current = this.active.target;
+        if (current === target) return;
+
+        if (current) current.classList.remove("drop-hover");
+        if (target) target.classList.add("drop-hover");
+        this.active.target = target;
+    },
+
+    handleDrop: function (event) {
+        if (!this.active) return;
+
+        const target = event.target.closest && event.target.closest(this.targetSelector);
+        if (!target) return;
+
+        event.preventDefault();
+
+        const targetId = parseInt(target.dataset.dropId, 10);
+        const { instance, ids } = this.active;
+        const copy = this.isCopy(event, target);
+        this.endDrag();
+
+        if (isNaN(targetId) || !instance.dotNetRef) return;
+        instance.dotNetRef.invokeMethodAsync(
+            "HandleEmailDrop",
+            ids,
+            target.dataset.dropType,
+            targetId,
+            copy,
+        );
+    },
+
+    endDrag: function () {
+        if (this.active && this.active.target) {
+            this.active.target.classList.remove("drop-hover");
+        }
+        this.active = null;
+        document.body.classList.remove("email-dragging");
+    },
+};
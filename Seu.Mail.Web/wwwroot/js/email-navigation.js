@@ -1,85 +1,144 @@
-// Email Navigation and Print Functionality
-
-window.setupEmailKeyboardNavigation = (dotNetObjectReference) => {
-    // Remove any existing event listeners
-    document.removeEventListener("keydown", window.emailKeyboardHandler);
-
-    // Create new keyboard handler
-    window.emailKeyboardHandler = function (event) {
-        // Don't handle keys if user is typing in an input field
-        if (
-            event.target.tagName === "INPUT" ||
-            event.target.tagName === "TEXTAREA" ||
-            event.target.isContentEditable
-        ) {
-            return;
-        }
-
-        // Handle keyboard shortcuts
-        switch (event.key) {
-            case "j":
-            case "ArrowDown":
-                event.preventDefault();
-                dotNetObjectReference.invokeMethodAsync("HandleKeyPress", event.key);
-                break;
-            case "k":
-            case "ArrowUp":
-                event.preventDefault();
-                dotNetObjectReference.invokeMethodAsync("HandleKeyPress", event.key);
-                break;
-            case "ArrowLeft":
-            case "ArrowRight":
-                event.preventDefault();
-                dotNetObjectReference.invokeMethodAsync("HandleKeyPress", event.key);
-                break;
-            case "Escape":
-                event.preventDefault();
-                dotNetObjectReference.invokeMethodAsync("HandleKeyPress", event.key);
-                break;
-        }
-    };
-
-    // Add the event listener
-    document.addEventListener("keydown", window.emailKeyboardHandler);
-};
-
-window.printEmailContent = (subject, content, isHtml, from, to, date) => {
+// Email Print and Layout Functionality
+
+// Print one or more messages (a conversation or the current selection) as a
+// single document. Each message is { subject, from, to, cc, bcc, date, body,
+// isHtml, attachments: [{ fileName, size }] }. HTML bodies go through the
+// sandboxed email body renderer, and the layout doubles as a clean
+// "Save as PDF" archive copy: one message per page, a table of contents for
+// longer threads and no on-screen controls in the output.
+window.printEmails = (messages, options) => {
     try {
-        // Check if content is empty and provide fallback
-        if (!content || content.trim() === "") {
-            content = "No content available for this email.";
-            isHtml = false;
-        }
+        messages = (messages || []).filter(Boolean);
+        if (messages.length === 0) return;
+        options = options || {};
+
+        const title = options.title || getPrintTitle(messages);
+        const showContents = options.tableOfContents ?? messages.length >= 3;
+        const documentHtml = buildPrintDocument(messages, title, showContents);
 
-        // Create a new window for printing
         const printWindow = window.open(
             "",
             "_blank",
             "width=900,height=700,scrollbars=yes,resizable=yes,menubar=no,toolbar=no,location=no,status=no",
         );
 
-        if (!printWindow) {
-            // Fallback: try to print in current window if popup is blocked
-            if (
-                confirm(
-                    "Print window blocked. Would you like to print in the current tab instead?",
-                )
-            ) {
-                printInCurrentWindow(subject, content, isHtml, from, to, date);
-            }
-            return;
+        if (printWindow) {
+            writePrintDocument(printWindow, documentHtml, messages).then(() => {
+                printWindow.focus();
+                printWindow.print();
+            });
+        } else {
+            // Popup blocked: print from a hidden frame instead of replacing the page.
+            printInHiddenFrame(documentHtml, messages);
         }
+    } catch (error) {
+        console.error("Error printing emails:", error);
+        alert("Failed to print. Please try again.");
+    }
+};
+
+function getPrintTitle(messages) {
+    if (messages.length === 1) return messages[0].subject || "No Subject";
+
+    const subjects = new Set(messages.map((m) => normalizePrintSubject(m.subject)));
+    if (subjects.size === 1) {
+        return `${messages[0].subject || "No Subject"} (${messages.length} messages)`;
+    }
+    return `${messages.length} messages`;
+}
+
+function normalizePrintSubject(subject) {
+    return (subject || "")
+        .replace(/^\s*((re|fw|fwd|aw|sv)(\[\d+\])?\s*:\s*)+/i, "")
+        .trim()
+        .toLowerCase();
+}
 
-        const emailBody = isHtml
-            ? content
-            : `<pre style="white-space: pre-wrap; font-family: inherit;">${escapeHtml(content)}</pre>`;
+function formatFileSize(bytes) {
+    if (!bytes) return "0 B";
+    const units = ["B", "KB", "MB", "GB"];
+    const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, index);
+    return `${index === 0 ? value : value.toFixed(1)} ${units[index]}`;
+}
 
-        const printContent = `
+function buildPrintMessage(message, index) {
+    const metaRow = (label, value) =>
+        value
+            ? `<div class="email-meta-row">
+                    <div class="email-meta-label">${label}:</div>
+                    <div class="email-meta-value">${escapeHtml(value)}</div>
+                </div>`
+            : "";
+
+    const attachments = message.attachments || [];
+    const attachmentList = attachments.length
+        ? `<div class="email-attachments">
+                <div class="email-attachments-title">Attachments (${attachments.length})</div>
+                <ul>
+                    ${attachments
+                        .map(
+                            (a) =>
+                                `<li>${escapeHtml(a.fileName)} <span class="attachment-size">(${formatFileSize(a.size)})</span></li>`,
+                        )
+                        .join("")}
+                </ul>
+            </div>`
+        : "";
+
+    const body = message.isHtml
+        ? `<div id="print-email-body-${index}"></div>`
+        : `<pre>${escapeHtml(message.body || "No content available for this email.")}</pre>`;
+
+    return `
+        <article class="print-message" id="message-${index + 1}">
+            <div class="print-header">
+                <div class="email-subject">${escapeHtml(message.subject)}</div>
+            </div>
+            <div class="email-meta">
+                ${metaRow("From", message.from)}
+                ${metaRow("To", message.to)}
+                ${metaRow("Cc", message.cc)}
+                ${metaRow("Bcc", message.bcc)}
+                ${metaRow("Date", message.date)}
+            </div>
+            ${attachmentList}
+            <div class="email-body">${body}</div>
+        </article>`;
+}
+
+function buildTableOfContents(messages) {
+    return `
+        <nav class="print-toc">
+            <div class="print-toc-title">Contents</div>
+            <ol>
+                ${messages
+                    .map(
+                        (m, i) =>
+                            `<li><a href="#message-${i + 1}">${escapeHtml(m.subject)}</a>
+                                <span class="print-toc-meta">${escapeHtml(m.from)} &middot; ${escapeHtml(m.date)}</span></li>`,
+                    )
+                    .join("")}
+            </ol>
+        </nav>`;
+}
+
+function buildPrintDocument(messages, title, showContents) {
+    const printedAt = `${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}`;
+    const documentHeader =
+        messages.length > 1
+            ? `<header class="print-document-header">
+                    <div class="print-document-title">${escapeHtml(title)}</div>
+                    <div class="print-document-meta">${messages.length} messages</div>
+                </header>`
+            : "";
+
+    return `
         <!DOCTYPE html>
         <html>
         <head>
             <meta charset="UTF-8">
-            <title>Print: ${escapeHtml(subject)}</title>
+            <title>${escapeHtml(title)}</title>
             <style>
                 * {
                     box-sizing: border-box;
@@ -93,6 +152,42 @@ window.printEmailContent = (subject, content, isHtml, from, to, date) => {
                     padding: 20px;
                     background: white;
                 }
+                .print-document-header {
+                    margin-bottom: 30px;
+                }
+                .print-document-title {
+                    font-size: 24px;
+                    font-weight: bold;
+                    word-wrap: break-word;
+                }
+                .print-document-meta,
+                .print-toc-meta,
+                .attachment-size {
+                    color: #666;
+                    font-size: 12px;
+                }
+                .print-toc {
+                    margin-bottom: 30px;
+                }
+                .print-toc-title,
+                .email-attachments-title {
+                    font-weight: bold;
+                    margin-bottom: 8px;
+                }
+                .print-toc ol {
+                    padding-left: 20px;
+                }
+                .print-toc li {
+                    margin-bottom: 6px;
+                }
+                .print-toc a {
+                    color: #333;
+                    text-decoration: none;
+                    margin-right: 8px;
+                }
+                .print-message + .print-message {
+                    margin-top: 50px;
+                }
                 .print-header {
                     border-bottom: 3px solid #007bff;
                     padding-bottom: 20px;
@@ -126,28 +221,19 @@ window.printEmailContent = (subject, content, isHtml, from, to, date) => {
                     color: #333;
                     word-break: break-all;
                 }
+                .email-attachments {
+                    margin-bottom: 20px;
+                    font-size: 14px;
+                }
+                .email-attachments ul {
+                    margin: 0;
+                    padding-left: 20px;
+                }
                 .email-body {
                     font-size: 14px;
                     line-height: 1.8;
                     color: #333;
                 }
-                .email-body img {
-                    max-width: 100% !important;
-                    height: auto !important;
-                    display: block;
-                    margin: 10px 0;
-                }
-                .email-body table {
-                    width: 100%;
-                    border-collapse: collapse;
-                    margin: 15px 0;
-                }
-                .email-body table td,
-                .email-body table th {
-                    border: 1px solid #ddd;
-                    padding: 8px;
-                    word-wrap: break-word;
-                }
                 .email-body pre {
                     white-space: pre-wrap;
                     word-wrap: break-word;
@@ -187,15 +273,21 @@ window.printEmailContent = (subject, content, isHtml, from, to, date) => {
                 }
                 @media print {
                     body {
+                        max-width: none;
                         margin: 0;
-                        padding: 15mm;
+                        padding: 0;
                         font-size: 12pt;
                     }
                     .print-controls { display: none !important; }
+                    .print-toc { break-after: page; }
+                    .print-message + .print-message { margin-top: 0; break-before: page; }
                     .print-header { border-bottom-color: #333 !important; }
+                    .print-header,
+                    .email-meta,
+                    .email-attachments { break-inside: avoid; }
                     .email-meta { background: white !important; border: 1px solid #333 !important; }
                     .email-body pre { background: white !important; border: 1px solid #333 !important; }
-                    .print-footer { page-break-inside: avoid; }
+                    .print-footer { break-inside: avoid; }
                 }
                 @page {
                     margin: 15mm;
@@ -205,7 +297,7 @@ window.printEmailContent = (subject, content, isHtml, from, to, date) => {
         </head>
         <body>
             <div class="print-controls no-print">
-                <button onclick="window.print()" title="Print Email">
+                <button onclick="window.print()" title="Print">
                     🖨️ Print
                 </button>
                 <button onclick="window.close()" title="Close Window">
@@ -213,37 +305,16 @@ window.printEmailContent = (subject, content, isHtml, from, to, date) => {
                 </button>
             </div>
 
-            <div class="print-header">
-                <div class="email-subject">${escapeHtml(subject)}</div>
-            </div>
-
-            <div class="email-meta">
-                <div class="email-meta-row">
-                    <div class="email-meta-label">From:</div>
-                    <div class="email-meta-value">${escapeHtml(from)}</div>
-                </div>
-                <div class="email-meta-row">
-                    <div class="email-meta-label">To:</div>
-                    <div class="email-meta-value">${escapeHtml(to)}</div>
-                </div>
-                <div class="email-meta-row">
-                    <div class="email-meta-label">Date:</div>
-                    <div class="email-meta-value">${escapeHtml(date)}</div>
-                </div>
-            </div>
-
-            <div class="email-body">
-                ${emailBody}
-            </div>
+            ${documentHeader}
+            ${showContents ? buildTableOfContents(messages) : ""}
+            ${messages.map(buildPrintMessage).join("")}
 
             <div class="print-footer">
-                <p>Printed from Seu Email on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
+                <p>Printed from Seu Email on ${printedAt}</p>
             </div>
 
             <script>
-                // Focus the window and set up keyboard shortcuts
-                window.focus();
-
+                // Keyboard shortcuts for the print preview window
                 document.addEventListener('keydown', function(e) {
                     if (e.ctrlKey || e.metaKey) {
                         if (e.key === 'p') {
@@ -259,63 +330,58 @@ window.printEmailContent = (subject, content, isHtml, from, to, date) => {
                         window.close();
                     }
                 });
-
-                // Auto-focus for immediate printing if needed
-                setTimeout(() => {
-                    try {
-                        if (confirm('Would you like to print this email now?')) {
-                            window.print();
-                        }
-                    } catch (e) {
-                        console.error('Print error:', e);
-                    }
-                }, 500);
             </script>
         </body>
         </html>
     `;
+}
 
-        printWindow.document.write(printContent);
-        printWindow.document.close();
-    } catch (error) {
-        console.error("Error creating print window:", error);
-        alert(
-            "Failed to open print window. Please try again or check your popup settings.",
-        );
-    }
-};
+// Write the document into a window and render its HTML bodies. Resolves
+// once every body has loaded, so printing doesn't catch half-sized frames.
+function writePrintDocument(targetWindow, documentHtml, messages) {
+    const doc = targetWindow.document;
+    doc.open();
+    doc.write(documentHtml);
+    doc.close();
+
+    const hosts = [];
+    const rendering = messages.map((message, index) => {
+        const host = doc.getElementById(`print-email-body-${index}`);
+        if (!host) return Promise.resolve();
+        hosts.push(host);
+
+        // Remote content is only included for senders on the allow-list.
+        return window.emailBodyRenderer.render(host, message.body || "", {
+            sender: message.from,
+            showRemoteBar: false,
+        });
+    });
 
-// Fallback function to print in current window
-function printInCurrentWindow(subject, content, isHtml, from, to, date) {
-    try {
-        const originalContent = document.body.innerHTML;
-        const emailBody = isHtml
-            ? content
-            : `<pre style="white-space: pre-wrap; font-family: inherit;">${escapeHtml(content)}</pre>`;
+    targetWindow.addEventListener("pagehide", () => {
+        hosts.forEach((host) => window.emailBodyRenderer.dispose(host));
+    });
 
-        const printContent = `
-      <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 20px auto; padding: 20px;">
-        <div style="border-bottom: 3px solid #007bff; padding-bottom: 20px; margin-bottom: 30px;">
-          <h1 style="font-size: 28px; margin-bottom: 15px;">${escapeHtml(subject)}</h1>
-        </div>
-        <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin-bottom: 20px;">
-          <div><strong>From:</strong> ${escapeHtml(from)}</div>
-          <div><strong>To:</strong> ${escapeHtml(to)}</div>
-          <div><strong>Date:</strong> ${escapeHtml(date)}</div>
-        </div>
-        <div style="line-height: 1.8;">${emailBody}</div>
-        <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #ddd; text-align: center; font-size: 12px; color: #666;">
-          Printed from Seu Email on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}
-        </div>
-      </div>`;
+    return Promise.all(rendering);
+}
 
-        document.body.innerHTML = printContent;
-        window.print();
-        document.body.innerHTML = originalContent;
-    } catch (error) {
-        console.error("Error printing in current window:", error);
-        alert("Failed to print email. Please try again.");
-    }
+function printInHiddenFrame(documentHtml, messages) {
+    const frame = document.createElement("iframe");
+    frame.setAttribute("aria-hidden", "true");
+    frame.style.cssText = "position: fixed; left: -10000px; top: 0; width: 210mm; height: 297mm; border: 0;";
+    document.body.appendChild(frame);
+
+    const frameWindow = frame.contentWindow;
+    writePrintDocument(frameWindow, documentHtml, messages)
+        .then(() => {
+            frameWindow.addEventListener("afterprint", () => setTimeout(() => frame.remove(), 0));
+            frameWindow.focus();
+            frameWindow.print();
+        })
+        .catch((error) => {
+            console.error("Error printing emails:", error);
+            frame.remove();
+            alert("Failed to print. Please try again.");
+        });
 }
 
 // Helper function to escape HTML for safe insertion
@@ -332,71 +398,3 @@ function escapeHtml(text) {
         return map[m];
     });
 }
-
-// Initialize resizable panes
-window.initializeResizablePanes = () => {
-    const container = document.querySelector(".email-split-container");
-    const emailList = document.querySelector(".email-list-section");
-    const emailView = document.querySelector(".email-view-section");
-
-    if (!container || !emailList || !emailView) return;
-
-    let isResizing = false;
-    let startX = 0;
-    let startWidthList = 0;
-    let startWidthView = 0;
-
-    // Create resize handle
-    const resizeHandle = document.createElement("div");
-    resizeHandle.className = "resize-handle";
-    resizeHandle.innerHTML = '<div class="resize-handle-line"></div>';
-
-    // Insert resize handle between list and view
-    emailList.insertAdjacentElement("afterend", resizeHandle);
-
-    resizeHandle.addEventListener("mousedown", (e) => {
-        isResizing = true;
-        startX = e.clientX;
-        startWidthList = parseInt(window.getComputedStyle(emailList).width, 10);
-        startWidthView = parseInt(window.getComputedStyle(emailView).width, 10);
-
-        document.addEventListener("mousemove", handleResize);
-        document.addEventListener("mouseup", stopResize);
-        document.body.style.cursor = "col-resize";
-        e.preventDefault();
-    });
-
-    function handleResize(e) {
-        if (!isResizing) return;
-
-        const containerWidth = container.offsetWidth;
-        const deltaX = e.clientX - startX;
-        const newListWidth = startWidthList + deltaX;
-        const newViewWidth = startWidthView - deltaX;
-
-        // Ensure minimum widths
-        const minWidth = 250;
-        if (newListWidth >= minWidth && newViewWidth >= minWidth) {
-            const listPercent = (newListWidth / containerWidth) * 100;
-            const viewPercent = (newViewWidth / containerWidth) * 100;
-
-            emailList.style.width = `${listPercent}%`;
-            emailView.style.width = `${viewPercent}%`;
-        }
-    }
-
-    function stopResize() {
-        isResizing = false;
-        document.removeEventListener("mousemove", handleResize);
-        document.removeEventListener("mouseup", stopResize);
-        document.body.style.cursor = "default";
-    }
-};
-
-// Initialize when DOM is loaded
-document.addEventListener("DOMContentLoaded", () => {
-    // Small delay to ensure Blazor components are rendered
-    setTimeout(() => {
-        window.initializeResizablePanes();
-    }, 500);
-});
@@ -0,0 +1,344 @@
+// Email List Selection
+//
+// Client-side multi-select model for `.email-item` rows. Selection, anchor and
+// focus are tracked by message ID, so they survive Blazor re-renders and rows
+// scrolling out of a virtualized list. The component renders the `selected`
+// and `focused` classes from what OnClientSelectionChanged reports.
+
+window.emailSelection = {
+    instances: new Map(),
+    scope: "email-list",
+
+    attach: function (container, dotNetRef, bindings, title) {
+        if (!container) return;
+        this.detach(container);
+
+        const instance = {
+            container: container,
+            dotNetRef: dotNetRef,
+            keys: null,
+            selected: new Set(),
+            baseSelection: new Set(),
+            anchorKey: null,
+            focusKey: null,
+            clickHandler: null,
+            mouseDownHandler: null,
+            itemsChangedHandler: null,
+        };
+
+        instance.clickHandler = (event) => this.handleClick(instance, event);
+        instance.mouseDownHandler = (event) => {
+            // Stop shift-click from selecting text across rows.
+            if (event.shiftKey && event.target.closest(".email-item")) {
+                event.preventDefault();
+            }
+        };
+        instance.itemsChangedHandler = () => this.itemsChanged(instance);
+
+        container.addEventListener("click", instance.clickHandler);
+        container.addEventListener("mousedown", instance.mouseDownHandler);
+        container.addEventListener("email-items-changed", instance.itemsChangedHandler);
+
+        container.setAttribute("role", "listbox");
+        container.setAttribute("aria-multiselectable", "true");
+        if (!container.hasAttribute("tabindex")) {
+            container.setAttribute("tabindex", "0");
+        }
+
+        this.instances.set(container, instance);
+
+        if (window.keyboardShortcuts && bindings) {
+            window.keyboardShortcuts.register(
+                this.scope,
+                { handleShortcut: (id) => this.handleShortcut(instance, id) },
+                bindings,
+                title,
+            );
+        }
+    },
+
+    detach: function (container) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+
+        container.removeEventListener("click", instance.clickHandler);
+        container.removeEventListener("mousedown", instance.mouseDownHandler);
+        container.removeEventListener("email-items-changed", instance.itemsChangedHandler);
+        container.removeAttribute("aria-activedescendant");
+        this.instances.delete(container);
+
+        if (window.keyboardShortcuts) {
+            window.keyboardShortcuts.unregister(this.scope);
+        }
+    },
+
+    // Set the list order explicitly when no virtualizer is attached.
+    setItems: function (container, keys) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+        instance.keys = keys ? keys.slice() : null;
+        this.itemsChanged(instance);
+    },
+
+    // Replace the selection from .NET (select all, clear after bulk actions).
+    setSelection: function (container, selectedKeys) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+
+        instance.selected = new Set(selectedKeys || []);
+        instance.baseSelection = new Set(instance.selected);
+        this.updateActiveDescendant(instance);
+    },
+
+    getSelection: function (container) {
+        const instance = this.instances.get(container);
+        return instance ? Array.from(instance.selected) : [];
+    },
+
+    // List order: explicit keys, then the virtualizer's keys, then the DOM.
+    getKeys: function (instance) {
+        if (instance.keys) return instance.keys;
+
+        const virtualizer =
+            window.emailVirtualizer &&
+            window.emailVirtualizer.instances.get(instance.container);
+        if (virtualizer) return virtualizer.keys;
+
+        return Array.from(instance.container.querySelectorAll(".email-item"))
+            .map((row) => this.getRowKey(row))
+            .filter((key) => key !== null);
+    },
+
+    getRowKey: function (row) {
+        const key = parseInt(row.dataset.emailId, 10);
+        return isNaN(key) ? null : key;
+    },
+
+    indexOf: function (instance, key) {
+        return key === null ? -1 : this.getKeys(instance).indexOf(key);
+    },
+
+    // Drop selected IDs that are gone and keep focus at the same position
+    // when the focused row was removed.
+    itemsChanged: function (instance) {
+        const keys = this.getKeys(instance);
+        const present = new Set(keys);
+        let changed = false;
+
+        instance.selected.forEach((key) => {
+            if (!present.has(key)) {
+                instance.selected.delete(key);
+                changed = true;
+            }
+        });
+        instance.baseSelection.forEach((key) => {
+            if (!present.has(key)) instance.baseSelection.delete(key);
+        });
+
+        if (instance.anchorKey !== null && !present.has(instance.anchorKey)) {
+            instance.anchorKey = null;
+        }
+
+        if (instance.focusKey !== null && !present.has(instance.focusKey)) {
+            const previousIndex = instance.lastFocusIndex || 0;
+            instance.focusKey =
+                keys.length > 0 ? keys[Math.min(previousIndex, keys.length - 1)] : null;
+            changed = true;
+        }
+
+        if (changed) this.notify(instance);
+    },
+
+    handleClick: function (instance, event) {
+        const row = event.target.closest(".email-item");
+        if (!row || !instance.container.contains(row)) return;
+        if (event.target.closest(".email-actions, .email-context-menu")) return;
+
+        const key = this.getRowKey(row);
+        if (key === null) return;
+
+        const onCheckbox = !!event.target.closest(".email-checkbox");
+        const toggle = event.ctrlKey || event.metaKey;
+
+        if (event.shiftKey) {
+            if (!toggle) {
+                instance.baseSelection = new Set();
+            }
+            this.selectRange(instance, instance.anchorKey !== null ? instance.anchorKey : key, key);
+            instance.focusKey = key;
+        } else if (onCheckbox || toggle) {
+            this.toggle(instance, key);
+            this.setAnchor(instance, key);
+        } else {
+            // Plain click opens the email (handled by Blazor); just track focus.
+            instance.focusKey = key;
+            this.setAnchor(instance, key);
+        }
+
+        this.notify(instance);
+    },
+
+    handleShortcut: function (instance, id) {
+        const keys = this.getKeys(instance);
+        if (keys.length === 0) return;
+
+        switch (id) {
+            case "list.next":
+                this.moveFocus(instance, 1, false);
+                break;
+            case "list.previous":
+                this.moveFocus(instance, -1, false);
+                break;
+            case "list.extendDown":
+                this.moveFocus(instance, 1, true);
+                break;
+            case "list.extendUp":
+                this.moveFocus(instance, -1, true);
+                break;
+            case "list.toggleSelection":
+                if (instance.focusKey === null) instance.focusKey = keys[0];
+                this.toggle(instance, instance.focusKey);
+                this.setAnchor(instance, instance.focusKey);
+                break;
+            case "list.selectAll":
+                if (instance.selected.size === keys.length) {
+                    instance.selected = new Set();
+                } else {
+                    instance.selected = new Set(keys);
+                }
+                instance.baseSelection = new Set(instance.selected);
+                break;
+            case "list.clearSelection":
+                instance.selected = new Set();
+                instance.baseSelection = new Set();
+                break;
+            case "list.open":
+                if (instance.focusKey !== null && instance.dotNetRef) {
+                    instance.dotNetRef.invokeMethodAsync("OpenEmail", instance.focusKey);
+                }
+                return;
+            case "list.delete": {
+                // The selection if there is one, otherwise the highlighted email.
+                const ids = instance.selected.size > 0
+                    ? Array.from(instance.selected)
+                    : instance.focusKey !== null ? [instance.focusKey] : [];
+                if (ids.length > 0 && instance.dotNetRef) {
+                    instance.dotNetRef.invokeMethodAsync("DeleteEmails", ids);
+                }
+                return;
+            }
+            case "list.undo":
+                if (window.emailUndoQueue) window.emailUndoQueue.undoLast();
+                return;
+            case "list.contextMenu":
+                this.openContextMenu(instance);
+                return;
+            default:
+                return;
+        }
+
+        this.notify(instance);
+    },
+
+    // The menu of the row holding focus, or of the list's highlighted row
+    // while the list itself has focus.
+    openContextMenu: function (instance) {
+        const active = document.activeElement;
+        if (!window.contextMenu || !active || !instance.container.contains(active)) return;
+
+        const row = active.closest(".email-item") || instance.container.querySelector(
+            `.email-item[data-email-id="${instance.focusKey}"]`,
+        );
+        window.contextMenu.openForRow(row);
+    },
+
+    moveFocus: function (instance, delta, extend) {
+        const keys = this.getKeys(instance);
+        let index = this.indexOf(instance, instance.focusKey);
+        index = index === -1 ? 0 : Math.max(0, Math.min(keys.length - 1, index + delta));
+
+        if (extend && instance.anchorKey === null) {
+            this.setAnchor(instance, instance.focusKey !== null ? instance.focusKey : keys[index]);
+        }
+
+        instance.focusKey = keys[index];
+
+        if (extend) {
+            this.selectRange(instance, instance.anchorKey, instance.focusKey);
+        } else {
+            this.setAnchor(instance, instance.focusKey);
+        }
+
+        this.scrollToFocus(instance, index);
+    },
+
+    setAnchor: function (instance, key) {
+        instance.anchorKey = key;
+        instance.baseSelection = new Set(instance.selected);
+    },
+
+    toggle: function (instance, key) {
+        if (instance.selected.has(key)) {
+            instance.selected.delete(key);
+        } else {
+            instance.selected.add(key);
+        }
+        instance.focusKey = key;
+    },
+
+    // Selection = what was selected when the anchor was set + anchor..target.
+    selectRange: function (instance, fromKey, toKey) {
+        const keys = this.getKeys(instance);
+        const from = keys.indexOf(fromKey);
+        const to = keys.indexOf(toKey);
+        if (from === -1 || to === -1) return;
+
+        if (instance.anchorKey === null) {
+            this.setAnchor(instance, fromKey);
+        }
+
+        const selected = new Set(instance.baseSelection);
+        for (let i = Math.min(from, to); i <= Math.max(from, to); i++) {
+            selected.add(keys[i]);
+        }
+        instance.selected = selected;
+    },
+
+    scrollToFocus: function (instance, index) {
+        if (window.emailVirtualizer && window.emailVirtualizer.instances.has(instance.container)) {
+            window.emailVirtualizer.scrollToIndex(instance.container, index);
+            return;
+        }
+
+        const row = instance.container.querySelector(
+            `.email-item[data-email-id="${instance.focusKey}"]`,
+        );
+        if (row) {
+            row.scrollIntoView({ block: "nearest" });
+        }
+    },
+
+    updateActiveDescendant: function (instance) {
+        if (instance.focusKey !== null) {
+            instance.container.setAttribute(
+                "aria-activedescendant",
+                `email-row-${instance.focusKey}`,
+            );
+        } else {
+            instance.container.removeAttribute("aria-activedescendant");
+        }
+    },
+
+    notify: function (instance) {
+        instance.lastFocusIndex = Math.max(0, this.indexOf(instance, instance.focusKey));
+        this.updateActiveDescendant(instance);
+
+        if (instance.dotNetRef) {
+            instance.dotNetRef.invokeMethodAsync(
+                "OnClientSelectionChanged",
+                Array.from(instance.selected),
+                instance.focusKey,
+            );
+        }
+    },
+};
@@ -0,0 +1,357 @@
+// Email Swipe
+//
+// Touch gestures for the inbox list:
+//
+// - swiping a row left or right reveals the action chosen for that direction
+//   in Settings (a coloured band with its icon and label); letting go past
+//   `commitRatio` of the row's width carries it out (OnSwipeAction), letting
+//   go earlier puts the row back. Move puts the row back and opens its
+//   context menu at the "Move to" folder list instead;
+// - pulling down while the list is scrolled to the top, past
+//   `pullThreshold`, syncs the inbox (OnPullToRefresh);
+// - pressing and holding a row opens its context menu at the finger
+//   (context-menu.js keeps it on screen).
+//
+// Only touch input is handled; mouse and pen keep their click, drag and
+// right-click behaviour. The band and the pull indicator are appended to
+// <body>, outside what Blazor renders.
+
+window.emailSwipe = {
+    // Movement (px) before deciding between a swipe, a pull and a scroll.
+    slop: 10,
+    commitRatio: 0.35,
+    longPressMs: 500,
+    pullThreshold: 70,
+    maxPull: 110,
+    // Enum names of EmailSwipeAction.
+    actions: {
+        Archive: { icon: "fa-archive", color: "#198754", label: () => "Archive" },
+        Delete: { icon: "fa-trash", color: "#dc3545", label: () => "Delete" },
+        ToggleRead: {
+            icon: "fa-envelope-open",
+            color: "#0d6efd",
+            label: (row) => (row.classList.contains("unread") ? "Mark read" : "Mark unread"),
+        },
+        ToggleImportant: {
+            icon: "fa-star",
+            color: "#ffc107",
+            label: (row) => (row.querySelector(".email-meta .fa-star") ? "Remove star" : "Add star"),
+        },
+        Spam: { icon: "fa-exclamation-triangle", color: "#fd7e14", label: () => "Spam" },
+        Move: { icon: "fa-folder-open", color: "#6f42c1", label: () => "Move to…", submenu: "move" },
+    },
+    instances: new Map(),
+
+    // `options`: { left, right }, the EmailSwipeAction names for swiping
+    // left and right ("None" turns that direction off).
+    attach: function (container, dotNetRef, options) {
+        if (!container) return;
+        this.detach(container);
+
+        const instance = {
+            container: container,
+            dotNetRef: dotNetRef,
+            left: this.actions[options.left] ? options.left : null,
+            right: this.actions[options.right] ? options.right : null,
+            gesture: null,
+            isRefreshing: false,
+            band: null,
+            indicator: null,
+            handlers: {},
+        };
+        const h = instance.handlers;
+
+        h.touchstart = (event) => this.start(instance, event);
+        h.touchmove = (event) => this.move(instance, event);
+        h.touchend = (event) => this.end(instance, event);
+        h.touchcancel = () => this.cancel(instance);
+        h.contextmenu = (event) => this.handleNativeContextMenu(instance, event);
+
+        container.addEventListener("touchstart", h.touchstart, { passive: true });
+        container.addEventListener("touchmove", h.touchmove, { passive: false });
+        container.addEventListener("touchend", h.touchend);
+        container.addEventListener("touchcancel", h.touchcancel);
+        container.addEventListener("contextmenu", h.contextmenu, true);
+        this.instances.set(container, instance);
+    },
+
+    detach: function (container) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+
+        this.cancel(instance);
+        const h = instance.handlers;
+        container.removeEventListener("touchstart", h.touchstart);
+        container.removeEventListener("touchmove", h.touchmove);
+        container.removeEventListener("touchend", h.touchend);
+        container.removeEventListener("touchcancel", h.touchcancel);
+        container.removeEventListener("contextmenu", h.contextmenu, true);
+        if (instance.indicator) instance.indicator.remove();
+        this.instances.delete(container);
+    },
+
+    start: function (instance, event) {
+        if (event.touches.length !== 1) {
+            this.cancel(instance);
+            return;
+        }
+
+        const touch = event.touches[0];
+        const row = event.target.closest(".email-item");
+        const isControl = !!event.target.closest("input, button, a, .email-context-menu");
+
+        instance.gesture = {
+            row: isControl ? null : row,
+            startX: touch.clientX,
+            startY: touch.clientY,
+            x: touch.clientX,
+            y: touch.clientY,
+            mode: null,
+            distance: 0,
+            isLongPressed: false,
+            timer: null,
+        };
+
+        if (instance.gesture.row) {
+            instance.gesture.timer = setTimeout(() => this.longPress(instance), this.longPressMs);
+        }
+    },
+
+    move: function (instance, event) {
+        const gesture = instance.gesture;
+        if (!gesture || gesture.isLongPressed) return;
+
+        const touch = event.touches[0];
+        gesture.x = touch.clientX;
+        gesture.y = touch.clientY;
+        const dx = gesture.x - gesture.startX;
+        const dy = gesture.y - gesture.startY;
+
+        if (!gesture.mode) {
+            if (Math.abs(dx) < this.slop && Math.abs(dy) < this.slop) return;
+            clearTimeout(gesture.timer);
+
+            if (Math.abs(dx) > Math.abs(dy) && gesture.row && (instance.left || instance.right)) {
+                gesture.mode = "swipe";
+                gesture.row.classList.add("email-swiping");
+            } else if (dy > 0 && instance.container.scrollTop <= 0 && !instance.isRefreshing) {
+                gesture.mode = "pull";
+            } else {
+                gesture.mode = "scroll";
+            }
+        }
+
+        if (gesture.mode === "swipe") {
+            event.preventDefault();
+            this.updateSwipe(instance, dx);
+        } else if (gesture.mode === "pull") {
+            event.preventDefault();
+            this.updatePull(instance, dy);
+        }
+    },
+
+    end: function (instance, event) {
+        const gesture = instance.gesture;
+        if (!gesture) return;
+
+        clearTimeout(gesture.timer);
+        instance.gesture = null;
+
+        if (gesture.isLongPressed) {
+            // The menu is open; don't let the lifted finger click the row.
+            event.preventDefault();
+        } else if (gesture.mode === "swipe") {
+            event.preventDefault();
+            this.finishSwipe(instance, gesture);
+        } else if (gesture.mode === "pull") {
+            this.finishPull(instance, gesture);
+        }
+    },
+
+    cancel: function (instance) {
+        const gesture = instance.gesture;
+        if (!gesture) return;
+
+        clearTimeout(gesture.timer);
+        instance.gesture = null;
+        if (gesture.mode === "swipe") this.resetRow(instance, gesture.row);
+        if (gesture.mode === "pull" && !instance.isRefreshing) this.hideIndicator(instance);
+    },
+
+    getAction: function (instance, dx) {
+        return dx < 0 ? instance.left : instance.right;
+    },
+
+    updateSwipe: function (instance, dx) {
+        const gesture = instance.gesture;
+        const action = this.getAction(instance, dx);
+        // A direction without an action doesn't move.
+        const offset = action ? dx : 0;
+        gesture.distance = offset;
+
+        gesture.row.style.transform = `translateX(${offset}px)`;
+        this.showBand(instance, gesture.row, action, offset);
+    },
+
+    finishSwipe: function (instance, gesture) {
+        const row = gesture.row;
+        const action = this.getAction(instance, gesture.distance);
+        const width = row.getBoundingClientRect().width;
+
+        if (!action || Math.abs(gesture.distance) < width * this.commitRatio) {
+            this.resetRow(instance, row);
+            return;
+        }
+
+        const submenu = this.actions[action].submenu;
+        if (submenu) {
+            this.resetRow(instance, row);
+            const rect = row.getBoundingClientRect();
+            this.openMenu(row, rect.left + rect.width / 2, rect.bottom, submenu);
+            return;
+        }
+
+        const emailId = Number(row.dataset.emailId);
+        row.classList.add("email-swipe-committing");
+        row.style.transform = `translateX(${gesture.distance < 0 ? -width : width}px)`;
+
+        instance.dotNetRef
+            .invokeMethodAsync("OnSwipeAction", emailId, action)
+            .catch((error) => console.error("Error running swipe action:", error))
+            // Rows that stay in the list (mark read, star) slide back.
+            .finally(() => this.resetRow(instance, row));
+    },
+
+    resetRow: function (instance, row) {
+        if (row) {
+            row.classList.remove("email-swiping", "email-swipe-committing");
+            row.style.transform = "";
+        }
+        if (instance.band) {
+            instance.band.remove();
+            instance.band = null;
+        }
+    },
+
+    showBand: function (instance, row, action, offset) {
+        if (!action || offset === 0) {
+            if (instance.band) instance.band.hidden = true;
+            return;
+        }
+
+        if (!instance.band) {
+            instance.band = document.createElement("div");
+            instance.band.className = "email-swipe-band";
+            instance.band.setAttribute("aria-hidden", "true");
+            instance.band.innerHTML = '<i class="fas"></i><span></span>';
+            document.body.appendChild(instance.band);
+        }
+
+        const band = instance.band;
+        const rect = row.getBoundingClientRect();
+        const definition = this.actions[action];
+        const isCommitted = Math.abs(offset) >= rect.width * this.commitRatio;
+
+        band.hidden = false;
+        band.style.top = `${rect.top}px`;
+        band.style.height = `${rect.height}px`;
+        // The row's rectangle includes the swipe offset; the band stays put.
+        band.style.left = `${rect.left - offset}px`;
+        band.style.width = `${rect.width}px`;
+        band.style.backgroundColor = definition.color;
+        band.classList.toggle("from-right", offset < 0);
+        band.classList.toggle("armed", isCommitted);
+        band.querySelector("i").className = `fas ${definition.icon}`;
+        band.querySelector("span").textContent = definition.label(row);
+    },
+
+    updatePull: function (instance, dy) {
+        const gesture = instance.gesture;
+        gesture.distance = Math.min(this.maxPull, Math.max(0, dy) * 0.5);
+
+        const indicator = this.getIndicator(instance);
+        indicator.hidden = false;
+        indicator.style.height = `${gesture.distance}px`;
+        indicator.classList.toggle("armed", gesture.distance >= this.pullThreshold);
+        indicator.querySelector("span").textContent =
+            gesture.distance >= this.pullThreshold ? "Release to refresh" : "Pull to refresh";
+    },
+
+    finishPull: async function (instance, gesture) {
+        if (gesture.distance < this.pullThreshold) {
+            this.hideIndicator(instance);
+            return;
+        }
+
+        const indicator = this.getIndicator(instance);
+        instance.isRefreshing = true;
+        indicator.classList.add("refreshing");
+        indicator.querySelector("span").textContent = "Refreshing…";
+
+        try {
+            await instance.dotNetRef.invokeMethodAsync("OnPullToRefresh");
+        } catch (error) {
+            console.error("Error refreshing emails:", error);
+        } finally {
+            instance.isRefreshing = false;
+            this.hideIndicator(instance);
+        }
+    },
+
+    getIndicator: function (instance) {
+        if (!instance.indicator) {
+            instance.indicator = document.createElement("div");
+            instance.indicator.className = "email-pull-refresh";
+            instance.indicator.setAttribute("role", "status");
+            instance.indicator.innerHTML = '<i class="fas fa-sync-alt"></i><span></span>';
+            document.body.appendChild(instance.indicator);
+        }
+
+        const rect = instance.container.getBoundingClientRect();
+        instance.indicator.style.top = `${rect.top}px`;
+        instance.indicator.style.left = `${rect.left}px`;
+        instance.indicator.style.width = `${rect.width}px`;
+        return instance.indicator;
+    },
+
+    hideIndicator: function (instance) {
+        if (!instance.indicator) return;
+        instance.indicator.hidden = true;
+        instance.indicator.classList.remove("armed", "refreshing");
+    },
+
+    longPress: function (instance) {
+        const gesture = instance.gesture;
+        if (!gesture || gesture.mode || !gesture.row.isConnected) return;
+
+        gesture.isLongPressed = true;
+        if (navigator.vibrate) navigator.vibrate(10);
+        this.openMenu(gesture.row, gesture.x, gesture.y, null);
+    },
+
+    // The row's Blazor contextmenu handler opens the menu at the point;
+    // `submenu` names the submenu context-menu.js opens with it.
+    openMenu: function (row, x, y, submenu) {
+        if (submenu) window.contextMenu.openSubmenuNext(row, submenu);
+        row.dispatchEvent(new MouseEvent("contextmenu", {
+            bubbles: true,
+            cancelable: true,
+            clientX: x,
+            clientY: y,
+        }));
+    },
+
+    // Some browsers fire their own contextmenu on a long touch, which would
+    // open the menu a second time. Only the one dispatched by
+    // longPress gets through.
+    handleNativeContextMenu: function (instance, event) {
+        if (!event.isTrusted || !instance.gesture || !instance.gesture.row) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        if (!instance.gesture.isLongPressed) {
+            clearTimeout(instance.gesture.timer);
+            this.longPress(instance);
+        }
+    },
+};
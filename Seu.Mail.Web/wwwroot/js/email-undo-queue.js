@@ -0,0 +1,102 @@
+// Email Undo Queue
+//
+// Delete, archive, move and mark-as-spam take the emails off the list at
+// once, but are only carried out once the undo window has passed. The .NET
+// list hides the emails and calls `enqueue`; this queue shows the "Undo"
+// toast with a countdown and later calls back CommitEmailAction(id) or,
+// when Undo (or `z`, through `undoLast`) is used, UndoEmailAction(id).
+//
+// Actions still waiting when the page is closed or reloaded are committed
+// on `beforeunload`. The list commits whatever it still holds itself when it
+// is disposed (in-app navigation, or a circuit that never got the message),
+// and calls `forget` so the toasts go away; an action is carried out at
+// most once either way.
+
+window.emailUndoQueue = {
+    actions: new Map(),
+    unloadHandler: null,
+
+    // Holds action `id` (described by `description`, e.g. "Deleted 3 emails")
+    // for `delayMs` before committing it.
+    enqueue: function (dotNetRef, id, description, delayMs) {
+        this.listenForUnload();
+
+        const action = {
+            id: id,
+            dotNetRef: dotNetRef,
+            description: description,
+            timer: null,
+            toastId: null,
+        };
+
+        if (window.toastService) {
+            action.toastId = window.toastService.show({
+                title: description,
+                message: "Undo within {seconds}s, or press Z",
+                key: `undo-${id}`,
+                countdown: delayMs,
+                actions: [{ id: "undo", label: "Undo", onClick: () => this.undo(id) }],
+            });
+        }
+
+        action.timer = setTimeout(() => this.commit(id), delayMs);
+        this.actions.set(id, action);
+    },
+
+    // Undoes the most recent action still waiting. Returns whether there was one.
+    undoLast: function () {
+        const ids = Array.from(this.actions.keys());
+        if (ids.length === 0) return false;
+        this.undo(ids[ids.length - 1]);
+        return true;
+    },
+
+    undo: function (id) {
+        const action = this.take(id);
+        if (!action) return;
+
+        action.dotNetRef
+            .invokeMethodAsync("UndoEmailAction", id)
+            .then((undone) => {
+                if (undone && window.toastService) {
+                    window.toastService.show({ message: `Undone: ${action.description}`, type: "info", duration: 3000 });
+                }
+            })
+            .catch((error) => console.error("Error undoing email action:", error));
+    },
+
+    commit: function (id) {
+        const action = this.take(id);
+        if (!action) return;
+
+        action.dotNetRef
+            .invokeMethodAsync("CommitEmailAction", id)
+            .catch((error) => console.error("Error committing email action:", error));
+    },
+
+    // Called by .NET for actions it has committed itself.
+    forget: function (ids) {
+        (ids || []).forEach((id) => this.take(id));
+    },
+
+    take: function (id) {
+        const action = this.actions.get(id);
+        if (!action) return null;
+
+        this.actions.delete(id);
+        clearTimeout(action.timer);
+        if (action.toastId && window.toastService) window.toastService.dismiss(action.toastId);
+        return action;
+    },
+
+    listenForUnload: function () {
+        if (this.unloadHandler) return;
+
+        // The messages are queued on the circuit's open connection before the
+        // page goes away; if one is lost anyway, the list's disposal commits it.
+        this.unloadHandler = () => {
+            Array.from(this.actions.keys()).forEach((id) => this.commit(id));
+        };
+        window.addEventListener("beforeunload", this.unloadHandler);
+    },
+};
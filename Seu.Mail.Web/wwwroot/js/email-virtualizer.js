@@ -0,0 +1,415 @@
+// Email List Virtual Scrolling
+//
+// Keeps only the visible window of `.email-item` rows in the DOM. The list
+// component owns the rows; this module watches the scroll container, measures
+// rendered rows and tells the component which slice to render.
+
+window.emailVirtualizer = {
+    instances: new Map(),
+
+    defaults: {
+        estimatedItemHeight: 72,
+        overscan: 8,
+        itemSelector: ".email-item",
+        viewportSelector: ".email-virtual-viewport",
+        windowSelector: ".email-virtual-window",
+    },
+
+    // Attach a virtualizer to a scroll container.
+    // keys: message IDs in list order, used as the height cache key so rows
+    // keep their measured height when other rows are inserted or removed.
+    attach: function (container, dotNetRef, keys, options = {}) {
+        if (!container) return;
+        this.detach(container);
+
+        const settings = Object.assign({}, this.defaults, options);
+        const instance = {
+            container: container,
+            dotNetRef: dotNetRef,
+            settings: settings,
+            keys: [],
+            indexByKey: new Map(),
+            heights: new Map(),
+            offsets: new Float64Array(1),
+            dirty: true,
+            range: { startIndex: -1, endIndex: -1, offsetY: 0 },
+            resizeObserver: null,
+            mutationObserver: null,
+            scrollHandler: null,
+            scrollFrame: null,
+            suppressAnchor: false,
+        };
+
+        // One update per frame, after the last scroll event of that frame, so
+        // the range always matches where scrolling stopped.
+        instance.scrollHandler = () => {
+            if (instance.scrollFrame !== null) return;
+            instance.scrollFrame = requestAnimationFrame(() => {
+                instance.scrollFrame = null;
+                this.update(instance);
+            });
+        };
+        container.addEventListener("scroll", instance.scrollHandler, {
+            passive: true,
+        });
+
+        // Observe the container for viewport size changes and rows for
+        // height changes (preview lines, tags, font loading).
+        instance.resizeObserver = new ResizeObserver((entries) =>
+            this.handleResize(instance, entries),
+        );
+        instance.resizeObserver.observe(container);
+
+        // Pick up rows as Blazor renders them.
+        instance.mutationObserver = new MutationObserver(() =>
+            this.observeRows(instance),
+        );
+        instance.mutationObserver.observe(container, {
+            childList: true,
+            subtree: true,
+        });
+
+        this.instances.set(container, instance);
+        this.setKeys(instance, keys || []);
+        this.observeRows(instance);
+        this.update(instance, true);
+    },
+
+    detach: function (container) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+
+        container.removeEventListener("scroll", instance.scrollHandler);
+        if (instance.scrollFrame !== null) {
+            cancelAnimationFrame(instance.scrollFrame);
+        }
+        instance.resizeObserver.disconnect();
+        instance.mutationObserver.disconnect();
+        this.instances.delete(container);
+    },
+
+    // Replace the item list after the component's data changed (sync, delete,
+    // load more). The focused or selected row keeps its position on screen.
+    setItems: function (container, keys) {
+        const instance = this.instances.get(container);
+        if (!instance) return;
+
+        const anchor = this.captureAnchor(instance);
+        this.setKeys(instance, keys || []);
+        this.restoreAnchor(instance, anchor);
+        this.update(instance, true);
+
+        // Let other list modules (selection) react to the new item order.
+        container.dispatchEvent(new CustomEvent("email-items-changed"));
+    },
+
+    // Scroll so that the item at the given index is visible.
+    scrollToIndex: function (container, index, align = "nearest") {
+        const instance = this.instances.get(container);
+        if (!instance || index < 0 || index >= instance.keys.length) return;
+
+        this.ensureOffsets(instance);
+        // Offsets count from the viewport, which may sit below other content
+        // in the container.
+        const base = this.getViewportTop(instance);
+        const top = base + instance.offsets[index];
+        const bottom = base + instance.offsets[index + 1];
+        const viewTop = container.scrollTop;
+        const viewBottom = viewTop + container.clientHeight;
+
+        if (align === "start") {
+            container.scrollTop = top;
+        } else if (align === "center") {
+            container.scrollTop = top - (container.clientHeight - (bottom - top)) / 2;
+        } else if (top < viewTop) {
+            container.scrollTop = top;
+        } else if (bottom > viewBottom) {
+            container.scrollTop = bottom - container.clientHeight;
+        }
+
+        this.update(instance);
+    },
+
+    setKeys: function (instance, keys) {
+        instance.keys = keys.slice();
+        instance.indexByKey = new Map();
+        instance.keys.forEach((key, index) => instance.indexByKey.set(key, index));
+
+        // Drop cached heights for rows that no longer exist.
+        for (const key of instance.heights.keys()) {
+            if (!instance.indexByKey.has(key)) {
+                instance.heights.delete(key);
+            }
+        }
+
+        instance.dirty = true;
+    },
+
+    // Average of the measured rows, so unmeasured rows get a realistic guess.
+    getEstimatedHeight: function (instance) {
+        if (instance.heights.size === 0) {
+            return instance.settings.estimatedItemHeight;
+        }
+
+        let total = 0;
+        for (const height of instance.heights.values()) {
+            total += height;
+        }
+        return total / instance.heights.size;
+    },
+
+    ensureOffsets: function (instance) {
+        if (!instance.dirty) return;
+
+        const count = instance.keys.length;
+        const estimate = this.getEstimatedHeight(instance);
+        const offsets = new Float64Array(count + 1);
+
+        for (let i = 0; i < count; i++) {
+            const height = instance.heights.get(instance.keys[i]);
+            offsets[i + 1] = offsets[i] + (height !== undefined ? height : estimate);
+        }
+
+        instance.offsets = offsets;
+        instance.dirty = false;
+
+        const viewport = instance.container.querySelector(
+            instance.settings.viewportSelector,
+        );
+        if (viewport) {
+            viewport.style.height = `${offsets[count]}px`;
+        }
+    },
+
+    // Binary search for the item containing the given vertical offset.
+    findIndex: function (instance, offset) {
+        const offsets = instance.offsets;
+        let low = 0;
+        let high = instance.keys.length - 1;
+
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (offsets[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return Math.max(0, low);
+    },
+
+    update: function (instance, force = false) {
+        this.ensureOffsets(instance);
+
+        const container = instance.container;
+        const count = instance.keys.length;
+        const overscan = instance.settings.overscan;
+        let range;
+
+        if (count === 0) {
+            range = { startIndex: 0, endIndex: 0, offsetY: 0 };
+        } else {
+            const viewTop = this.getListScrollTop(instance);
+            const viewBottom = viewTop + container.clientHeight;
+            const first = this.findIndex(instance, viewTop);
+            const last = this.findIndex(instance, viewBottom);
+
+            const startIndex = Math.max(0, first - overscan);
+            const endIndex = Math.min(count, last + 1 + overscan);
+            range = {
+                startIndex: startIndex,
+                endIndex: endIndex,
+                offsetY: instance.offsets[startIndex],
+            };
+        }
+
+        const current = instance.range;
+        if (
+            !force &&
+            current.startIndex === range.startIndex &&
+            current.endIndex === range.endIndex &&
+            current.offsetY === range.offsetY
+        ) {
+            return;
+        }
+
+        instance.range = range;
+        if (instance.dotNetRef) {
+            instance.dotNetRef.invokeMethodAsync(
+                "OnVisibleRangeChanged",
+                range.startIndex,
+                range.endIndex,
+                range.offsetY,
+            );
+        }
+    },
+
+    // Scroll position relative to the top of the virtual viewport, so headers
+    // rendered above the list inside the same container are accounted for.
+    getListScrollTop: function (instance) {
+        return Math.max(
+            0,
+            instance.container.scrollTop - this.getViewportTop(instance),
+        );
+    },
+
+    // Top of the virtual viewport within the container's scrolled content.
+    // Measured from the rectangles rather than offsetTop, which counts from
+    // the nearest positioned ancestor and not necessarily the container.
+    getViewportTop: function (instance) {
+        const container = instance.container;
+        const viewport = container.querySelector(
+            instance.settings.viewportSelector,
+        );
+        if (!viewport) return 0;
+
+        return (
+            viewport.getBoundingClientRect().top -
+            container.getBoundingClientRect().top -
+            container.clientTop +
+            container.scrollTop
+        );
+    },
+
+    observeRows: function (instance) {
+        const rows = instance.container.querySelectorAll(
+            instance.settings.itemSelector,
+        );
+        rows.forEach((row) => {
+            if (!row.dataset.virtualObserved) {
+                row.dataset.virtualObserved = "true";
+                instance.resizeObserver.observe(row);
+            }
+        });
+        this.measureRows(instance, rows);
+    },
+
+    measureRows: function (instance, rows) {
+        let changed = false;
+        let aboveDelta = 0;
+        const firstVisible = this.findIndex(instance, this.getListScrollTop(instance));
+
+        rows.forEach((row) => {
+            const key = this.getRowKey(row);
+            if (key === null || !instance.indexByKey.has(key)) return;
+
+            const height = row.getBoundingClientRect().height;
+            if (height <= 0) return;
+
+            const previous = instance.heights.get(key);
+            if (previous === height) return;
+
+            // Rows above the viewport growing or shrinking would otherwise
+            // push the visible rows around.
+            const index = instance.indexByKey.get(key);
+            if (index < firstVisible) {
+                const estimate =
+                    previous !== undefined ? previous : this.getEstimatedHeight(instance);
+                aboveDelta += height - estimate;
+            }
+
+            instance.heights.set(key, height);
+            changed = true;
+        });
+
+        if (!changed) return;
+
+        instance.dirty = true;
+        this.ensureOffsets(instance);
+        if (aboveDelta !== 0 && !instance.suppressAnchor) {
+            instance.container.scrollTop += aboveDelta;
+        }
+        this.update(instance);
+    },
+
+    handleResize: function (instance, entries) {
+        const rows = [];
+        let containerResized = false;
+
+        entries.forEach((entry) => {
+            if (entry.target === instance.container) {
+                containerResized = true;
+            } else if (entry.target.isConnected) {
+                rows.push(entry.target);
+            } else {
+                instance.resizeObserver.unobserve(entry.target);
+            }
+        });
+
+        if (rows.length > 0) {
+            this.measureRows(instance, rows);
+        }
+        if (containerResized) {
+            this.update(instance);
+        }
+    },
+
+    getRowKey: function (row) {
+        const value = row.dataset.emailId;
+        if (value === undefined) return null;
+        const key = parseInt(value, 10);
+        return isNaN(key) ? null : key;
+    },
+
+    // Remember which row the user is looking at and where it sits in the
+    // viewport: the focused row first, then the selected one, then the first
+    // visible one.
+    captureAnchor: function (instance) {
+        const container = instance.container;
+        const selector = instance.settings.itemSelector;
+        const containerTop = container.getBoundingClientRect().top;
+
+        let row =
+            container.querySelector(`${selector}:focus-within`) ||
+            container.querySelector(`${selector}.focused`) ||
+            container.querySelector(`${selector}.selected`);
+
+        if (row) {
+            const rect = row.getBoundingClientRect();
+            const outOfView =
+                rect.bottom < containerTop ||
+                rect.top > containerTop + container.clientHeight;
+            if (outOfView) row = null;
+        }
+
+        if (!row) {
+            row = Array.from(container.querySelectorAll(selector)).find(
+                (candidate) =>
+                    candidate.getBoundingClientRect().bottom > containerTop,
+            );
+        }
+
+        if (!row) return null;
+
+        const key = this.getRowKey(row);
+        if (key === null) return null;
+
+        return {
+            key: key,
+            delta: row.getBoundingClientRect().top - containerTop,
+        };
+    },
+
+    restoreAnchor: function (instance, anchor) {
+        if (!anchor || !instance.indexByKey.has(anchor.key)) return;
+
+        this.ensureOffsets(instance);
+        const index = instance.indexByKey.get(anchor.key);
+        const viewportTop = this.getViewportTop(instance);
+
+        instance.suppressAnchor = true;
+        instance.container.scrollTop =
+            viewportTop + instance.offsets[index] - anchor.delta;
+        instance.suppressAnchor = false;
+    },
+};
+
+// Release observers if the page goes away without the component disposing.
+window.addEventListener("beforeunload", function () {
+    if (window.emailVirtualizer) {
+        Array.from(window.emailVirtualizer.instances.keys()).forEach((container) =>
+            window.emailVirtualizer.detach(container),
+        );
+    }
+});
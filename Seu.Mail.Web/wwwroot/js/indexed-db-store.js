@@ -0,0 +1,57 @@
+// IndexedDB Store
+//
+// Opens databases and runs transactions for the modules that keep data in
+// the browser (offline-store.js, compose-autosave.js). Nothing here throws:
+// without IndexedDB (private windows, blocked storage) `open` resolves to
+// null, and a failed transaction is logged and resolves like any other.
+// `label` names the feature in those warnings.
+
+window.indexedDbStore = {
+    databases: new Map(),
+
+    // Opens `name` once per page. `upgrade(db)` creates the object stores
+    // when the database is new or older than `version`.
+    open: function (name, version, upgrade, label) {
+        if (this.databases.has(name)) return this.databases.get(name);
+
+        const dbPromise = new Promise((resolve) => {
+            if (!("indexedDB" in window)) {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = () => upgrade(request.result);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn(`${label} unavailable:`, request.error);
+                resolve(null);
+            };
+        });
+        this.databases.set(name, dbPromise);
+        return dbPromise;
+    },
+
+    // Runs `work` with the object store in a transaction and resolves once
+    // the transaction is done, successful or not.
+    run: function (db, storeName, mode, work, label) {
+        return new Promise((resolve) => {
+            let transaction;
+            try {
+                transaction = db.transaction(storeName, mode);
+            } catch (error) {
+                console.warn(`${label} failed:`, error);
+                resolve();
+                return;
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn(`${label} failed:`, transaction.error);
+                resolve();
+            };
+            transaction.onabort = () => resolve();
+            work(transaction.objectStore(storeName));
+        });
+    },
+};
@@ -0,0 +1,408 @@
+// Keyboard Shortcut Manager
+//
+// Single document-level keydown listener shared by every page. Pages register
+// a named scope with a handler and a list of bindings; when a binding fires,
+// its ID is passed to the handler's HandleShortcut method (.NET reference) or
+// handleShortcut function (client-side modules such as emailSelection).
+//
+// Binding keys are comma-separated alternatives. Each alternative is a
+// space-separated sequence of steps ("g i"), and each step is a key with
+// optional modifiers ("Mod+ArrowLeft", "Shift+j"). "Mod" is Ctrl, or Cmd on
+// macOS.
+//
+// When scopes bind the same keys, the one with the higher priority wins, and
+// among equals the one registered last. Page scopes sit above the global
+// scope whichever registers first.
+
+window.keyboardShortcuts = {
+    scopes: new Map(),
+    sequence: [],
+    sequenceTimer: null,
+    sequenceTimeout: 1500,
+    keyHandler: null,
+    helpOverlay: null,
+    helpReturnFocus: null,
+
+    // By scope name (KeyboardShortcutCatalog); scopes not listed are page
+    // scopes.
+    scopePriorities: { global: 0 },
+    pageScopePriority: 1,
+
+    keyAliases: {
+        esc: "Escape",
+        space: " ",
+        up: "ArrowUp",
+        down: "ArrowDown",
+        left: "ArrowLeft",
+        right: "ArrowRight",
+        del: "Delete",
+        comma: ",",
+    },
+
+    // Register (or replace) the bindings for a scope.
+    // bindings: [{ id, keys, description }] as produced by KeyboardShortcutCatalog.
+    register: function (scope, dotNetRef, bindings, title) {
+        this.ensureListener();
+
+        this.scopes.delete(scope);
+        this.scopes.set(scope, {
+            name: scope,
+            title: title || scope,
+            priority: scope in this.scopePriorities ? this.scopePriorities[scope] : this.pageScopePriority,
+            dotNetRef: dotNetRef,
+            bindings: (bindings || []).map((binding) => ({
+                id: binding.id,
+                keys: binding.keys,
+                description: binding.description,
+                sequences: this.parseKeys(binding.keys),
+            })),
+        });
+
+        this.resetSequence();
+        if (this.helpOverlay) {
+            this.renderHelp();
+        }
+    },
+
+    // Replace the keys of an already registered scope, e.g. after the user
+    // changed their bindings on the settings page.
+    rebind: function (scope, bindings) {
+        const existing = this.scopes.get(scope);
+        if (!existing) return;
+        this.register(scope, existing.dotNetRef, bindings, existing.title);
+    },
+
+    unregister: function (scope) {
+        this.scopes.delete(scope);
+        this.resetSequence();
+        if (this.helpOverlay) {
+            this.renderHelp();
+        }
+    },
+
+    ensureListener: function () {
+        if (this.keyHandler) return;
+        this.keyHandler = this.handleKeyDown.bind(this);
+        document.addEventListener("keydown", this.keyHandler);
+    },
+
+    // "j, g i, Mod+k" -> [[step], [step, step], [step]]
+    parseKeys: function (keys) {
+        if (!keys) return [];
+
+        return keys
+            .split(",")
+            .map((alternative) => alternative.trim())
+            .filter((alternative) => alternative.length > 0)
+            .map((alternative) =>
+                alternative
+                    .split(/\s+/)
+                    .map((step) => this.parseStep(step))
+                    .filter((step) => step !== null),
+            )
+            .filter((sequence) => sequence.length > 0);
+    },
+
+    parseStep: function (text) {
+        const parts = text.split("+");
+        let key = parts.pop();
+
+        // "Shift++" or a bare "+"
+        if (key === "" && parts.length > 0) {
+            parts.pop();
+            key = "+";
+        }
+        if (!key) return null;
+
+        const step = { key: "", mod: false, ctrl: false, alt: false, shift: false, meta: false };
+        parts.forEach((modifier) => {
+            switch (modifier.toLowerCase()) {
+                case "mod":
+                    step.mod = true;
+                    break;
+                case "ctrl":
+                case "control":
+                    step.ctrl = true;
+                    break;
+                case "alt":
+                case "option":
+                    step.alt = true;
+                    break;
+                case "shift":
+                    step.shift = true;
+                    break;
+                case "meta":
+                case "cmd":
+                    step.meta = true;
+                    break;
+            }
+        });
+
+        const alias = this.keyAliases[key.toLowerCase()];
+        step.key = alias || key;
+        return step;
+    },
+
+    isModifierKey: function (key) {
+        return ["Shift", "Control", "Alt", "Meta", "CapsLock", "OS"].includes(key);
+    },
+
+    isTypingTarget: function (target) {
+        if (!target) return false;
+        return (
+            target.tagName === "INPUT" ||
+            target.tagName === "TEXTAREA" ||
+            target.tagName === "SELECT" ||
+            target.isContentEditable
+        );
+    },
+
+    matchesStep: function (step, event) {
+        const eventKey = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        const stepKey = step.key.length === 1 ? step.key.toLowerCase() : step.key;
+        if (eventKey !== stepKey) return false;
+
+        const ctrl = step.ctrl || (step.mod && !this.isMac());
+        const meta = step.meta || (step.mod && this.isMac());
+        if (event.ctrlKey !== ctrl || event.metaKey !== meta || event.altKey !== step.alt) {
+            return false;
+        }
+
+        // Shift is implied by symbols such as "?" on most layouts, so it only
+        // has to match for letters and named keys.
+        const isSymbol = step.key.length === 1 && !/[a-z0-9]/i.test(step.key);
+        return isSymbol || event.shiftKey === step.shift;
+    },
+
+    isMac: function () {
+        return /Mac|iPhone|iPad/.test(navigator.platform);
+    },
+
+    // Highest priority first, then the most recently registered.
+    getOrderedScopes: function () {
+        return Array.from(this.scopes.values())
+            .reverse()
+            .sort((a, b) => b.priority - a.priority);
+    },
+
+    findBinding: function (events, exact) {
+        for (const scope of this.getOrderedScopes()) {
+            for (const binding of scope.bindings) {
+                for (const sequence of binding.sequences) {
+                    if (exact ? sequence.length !== events.length : sequence.length <= events.length) {
+                        continue;
+                    }
+                    const matches = events.every((event, i) =>
+                        this.matchesStep(sequence[i], event),
+                    );
+                    if (matches) {
+                        return { scope: scope, binding: binding };
+                    }
+                }
+            }
+        }
+        return null;
+    },
+
+    handleKeyDown: function (event) {
+        if (this.helpOverlay && event.key === "Escape") {
+            event.preventDefault();
+            this.hideHelp();
+            return;
+        }
+
+        if (event.defaultPrevented || this.isModifierKey(event.key)) return;
+        if (this.isTypingTarget(event.target)) {
+            this.resetSequence();
+            return;
+        }
+
+        const keyEvent = {
+            key: event.key,
+            ctrlKey: event.ctrlKey,
+            metaKey: event.metaKey,
+            altKey: event.altKey,
+            shiftKey: event.shiftKey,
+        };
+
+        const hadSequence = this.sequence.length > 0;
+        if (this.tryDispatch(this.sequence.concat([keyEvent]), event)) return;
+
+        // The key did not continue the pending sequence; try it on its own.
+        if (hadSequence) {
+            this.tryDispatch([keyEvent], event);
+        }
+    },
+
+    tryDispatch: function (events, event) {
+        const match = this.findBinding(events, true);
+        if (match) {
+            event.preventDefault();
+            this.resetSequence();
+            this.invoke(match.scope, match.binding);
+            return true;
+        }
+
+        if (this.findBinding(events, false)) {
+            event.preventDefault();
+            this.sequence = events;
+            clearTimeout(this.sequenceTimer);
+            this.sequenceTimer = setTimeout(() => this.resetSequence(), this.sequenceTimeout);
+            return true;
+        }
+
+        this.resetSequence();
+        return false;
+    },
+
+    resetSequence: function () {
+        this.sequence = [];
+        clearTimeout(this.sequenceTimer);
+        this.sequenceTimer = null;
+    },
+
+    invoke: function (scope, binding) {
+        if (binding.id === "global.help") {
+            this.toggleHelp();
+            return;
+        }
+
+        const handler = scope.dotNetRef;
+        if (!handler) return;
+
+        if (typeof handler.handleShortcut === "function") {
+            handler.handleShortcut(binding.id);
+        } else {
+            handler.invokeMethodAsync("HandleShortcut", binding.id);
+        }
+    },
+
+    // Bindings for the help overlay, current page first.
+    getActiveBindings: function () {
+        return this.getOrderedScopes().map((scope) => ({
+            scope: scope.name,
+            title: scope.title,
+            bindings: scope.bindings.map((binding) => ({
+                id: binding.id,
+                keys: binding.keys,
+                description: binding.description,
+            })),
+        }));
+    },
+
+    formatStep: function (step) {
+        const parts = [];
+        if (step.mod) parts.push(this.isMac() ? "⌘" : "Ctrl");
+        if (step.ctrl) parts.push("Ctrl");
+        if (step.meta) parts.push("⌘");
+        if (step.alt) parts.push(this.isMac() ? "⌥" : "Alt");
+        if (step.shift) parts.push("Shift");
+
+        const names = {
+            ArrowUp: "↑",
+            ArrowDown: "↓",
+            ArrowLeft: "←",
+            ArrowRight: "→",
+            Escape: "Esc",
+            " ": "Space",
+        };
+        parts.push(names[step.key] || step.key);
+        return parts.join("+");
+    },
+
+    toggleHelp: function () {
+        if (this.helpOverlay) {
+            this.hideHelp();
+        } else {
+            this.showHelp();
+        }
+    },
+
+    showHelp: function () {
+        if (this.helpOverlay) return;
+
+        this.helpReturnFocus = document.activeElement;
+        const overlay = document.createElement("div");
+        overlay.className = "shortcut-help-overlay";
+        overlay.addEventListener("click", (event) => {
+            if (event.target === overlay) this.hideHelp();
+        });
+
+        this.helpOverlay = overlay;
+        this.renderHelp();
+        document.body.appendChild(overlay);
+        overlay.querySelector(".shortcut-help-close").focus();
+    },
+
+    hideHelp: function () {
+        if (!this.helpOverlay) return;
+
+        this.helpOverlay.remove();
+        this.helpOverlay = null;
+        if (this.helpReturnFocus && this.helpReturnFocus.focus) {
+            this.helpReturnFocus.focus();
+        }
+        this.helpReturnFocus = null;
+    },
+
+    // Built with textContent only: descriptions and keys may come from user settings.
+    renderHelp: function () {
+        const overlay = this.helpOverlay;
+        overlay.replaceChildren();
+
+        const dialog = document.createElement("div");
+        dialog.className = "shortcut-help-dialog";
+        dialog.setAttribute("role", "dialog");
+        dialog.setAttribute("aria-modal", "true");
+        dialog.setAttribute("aria-labelledby", "shortcut-help-title");
+
+        const header = document.createElement("div");
+        header.className = "shortcut-help-header";
+        const heading = document.createElement("h5");
+        heading.id = "shortcut-help-title";
+        heading.className = "mb-0";
+        heading.textContent = "Keyboard shortcuts";
+        const close = document.createElement("button");
+        close.type = "button";
+        close.className = "btn-close shortcut-help-close";
+        close.setAttribute("aria-label", "Close");
+        close.addEventListener("click", () => this.hideHelp());
+        header.append(heading, close);
+        dialog.appendChild(header);
+
+        this.getOrderedScopes().forEach((scope) => {
+            if (scope.bindings.length === 0) return;
+
+            const section = document.createElement("section");
+            section.className = "shortcut-help-section";
+            const title = document.createElement("h6");
+            title.textContent = scope.title;
+            section.appendChild(title);
+
+            const list = document.createElement("dl");
+            scope.bindings.forEach((binding) => {
+                const term = document.createElement("dt");
+                binding.sequences.forEach((sequence, index) => {
+                    if (index > 0) term.append(" or ");
+                    sequence.forEach((step, stepIndex) => {
+                        if (stepIndex > 0) term.append(" then ");
+                        const kbd = document.createElement("kbd");
+                        kbd.textContent = this.formatStep(step);
+                        term.appendChild(kbd);
+                    });
+                });
+
+                const description = document.createElement("dd");
+                description.textContent = binding.description;
+                list.append(term, description);
+            });
+
+            section.appendChild(list);
+            dialog.appendChild(section);
+        });
+
+        overlay.appendChild(dialog);
+    },
+};
+
+window.keyboardShortcuts.ensureListener();
@@ -0,0 +1,113 @@
+// Offline Mode
+//
+// Blazor Server needs a live connection (the circuit) for every click, so
+// when it drops the app can't do anything. This module:
+//
+// - registers the service worker, which caches the app shell and serves
+//   offline.html when a page can't be loaded;
+// - wraps Blazor's reconnection handler: when the connection has been down
+//   for a few seconds, a toast offers to read cached mail on the offline
+//   page while Blazor keeps trying to reconnect;
+// - asks the layout to sync (OnConnectionRestored) once the connection is
+//   back, or once the offline page has brought the user back to the app.
+//
+// Blazor is started with `Blazor.start({ reconnectionHandler:
+// offlineMode.createReconnectionHandler() })` (see _Layout.cshtml).
+
+window.offlineMode = {
+    workerUrl: "/service-worker.js",
+    offlineUrl: "/offline.html",
+    resyncKey: "seu-mail.resyncOnLoad",
+    // Short drops are common (sleep, network switch); only offer the offline
+    // page and a resync when the connection stays down longer than this.
+    graceMs: 3000,
+    dotNetRef: null,
+    downTimer: null,
+    toastId: null,
+    wasOffline: false,
+
+    start: function () {
+        if (!("serviceWorker" in navigator)) return;
+
+        navigator.serviceWorker
+            .register(this.workerUrl)
+            .catch((error) => console.warn("Service worker unavailable, offline mode is off:", error));
+    },
+
+    // Returns whether the page was opened from the offline page, in which
+    // case the caller should sync now.
+    register: function (dotNetRef) {
+        this.dotNetRef = dotNetRef;
+
+        try {
+            if (sessionStorage.getItem(this.resyncKey)) {
+                sessionStorage.removeItem(this.resyncKey);
+                return true;
+            }
+        } catch (error) {
+            // Storage blocked: nothing to resume.
+        }
+        return false;
+    },
+
+    unregister: function () {
+        this.dotNetRef = null;
+    },
+
+    createReconnectionHandler: function () {
+        // Blazor sets its default handler while starting, so look it up on use.
+        const fallback = () => window.Blazor && window.Blazor.defaultReconnectionHandler;
+
+        return {
+            onConnectionDown: (options, error) => {
+                this.connectionDown();
+                const handler = fallback();
+                return handler ? handler.onConnectionDown(options, error) : undefined;
+            },
+            onConnectionUp: () => {
+                this.connectionUp();
+                const handler = fallback();
+                if (handler) handler.onConnectionUp();
+            },
+        };
+    },
+
+    connectionDown: function () {
+        clearTimeout(this.downTimer);
+        this.downTimer = setTimeout(() => {
+            this.wasOffline = true;
+            if (!window.toastService) return;
+
+            this.toastId = window.toastService.show({
+                title: "Connection lost",
+                message: "Trying to reconnect. You can read saved mail and today's agenda in the meantime.",
+                type: "warning",
+                duration: 0,
+                key: "offline-mode",
+                actions: [{ id: "offline", label: "Read offline", onClick: () => this.openOfflinePage() }],
+            });
+        }, this.graceMs);
+    },
+
+    connectionUp: function () {
+        clearTimeout(this.downTimer);
+        if (this.toastId && window.toastService) window.toastService.dismiss(this.toastId);
+        this.toastId = null;
+
+        if (!this.wasOffline) return;
+        this.wasOffline = false;
+
+        if (this.dotNetRef) {
+            this.dotNetRef
+                .invokeMethodAsync("OnConnectionRestored")
+                .catch((error) => console.error("Error resuming sync:", error));
+        }
+    },
+
+    openOfflinePage: function () {
+        const returnUrl = location.pathname + location.search;
+        location.href = `${this.offlineUrl}?return=${encodeURIComponent(returnUrl)}`;
+    },
+};
+
+window.offlineMode.start();
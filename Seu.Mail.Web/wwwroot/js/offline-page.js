@@ -0,0 +1,212 @@
+// Offline Page
+//
+// Runs offline.html: lists the mail saved by offline-store.js, shows a saved
+// message (HTML through the sandboxed email-body-renderer.js, like the app
+// does), and today's agenda. Meanwhile it checks whether the server is back
+// every few seconds and whenever the browser reports being online, then
+// returns to the page the user was on and flags the app to sync.
+//
+// The service worker serves this page at the URL that failed to load; the
+// "Read offline" toast opens it as /offline.html?return=<url> instead.
+
+window.offlinePage = {
+    checkIntervalMs: 10000,
+    checkTimer: null,
+    isChecking: false,
+
+    init: async function () {
+        this.emailList = document.querySelector("[data-offline-emails]");
+        this.reader = document.querySelector("[data-offline-reader]");
+        this.agenda = document.querySelector("[data-offline-agenda]");
+        this.status = document.querySelector("[data-offline-status]");
+
+        document.querySelector("[data-offline-retry]").addEventListener("click", () => this.checkConnection());
+        window.addEventListener("online", () => this.checkConnection());
+        this.checkTimer = setInterval(() => this.checkConnection(), this.checkIntervalMs);
+
+        await Promise.all([this.renderEmails(), this.renderAgenda()]);
+    },
+
+    renderEmails: async function () {
+        const emails = await window.offlineStore.getEmails();
+        this.emailList.replaceChildren();
+
+        if (emails.length === 0) {
+            this.emailList.append(this.createEmptyItem("No mail has been saved on this device yet."));
+            return;
+        }
+
+        emails.forEach((email) => {
+            const item = document.createElement("button");
+            item.type = "button";
+            item.className = "list-group-item list-group-item-action offline-email-item";
+            if (!email.isRead) item.classList.add("unread");
+            item.dataset.emailId = email.id;
+
+            const top = document.createElement("div");
+            top.className = "d-flex justify-content-between gap-2";
+            top.append(
+                this.createText("span", "offline-email-from text-truncate", this.displayName(email.from)),
+                this.createText("small", "text-muted text-nowrap", this.formatDate(email.date)),
+            );
+
+            const subject = this.createText("div", "offline-email-subject text-truncate", email.subject || "(No subject)");
+            if (email.htmlBody == null && email.textBody == null) {
+                subject.append(this.createText("small", "text-muted ms-1", "(header only)"));
+            }
+
+            item.append(top, subject);
+            item.addEventListener("click", () => this.showEmail(email.id));
+            this.emailList.append(item);
+        });
+    },
+
+    showEmail: async function (id) {
+        const email = await window.offlineStore.getEmail(id);
+        if (!email) return;
+
+        this.emailList.querySelectorAll(".offline-email-item").forEach((item) => {
+            const isSelected = Number(item.dataset.emailId) === id;
+            item.classList.toggle("active", isSelected);
+            if (isSelected) item.setAttribute("aria-current", "true");
+            else item.removeAttribute("aria-current");
+        });
+
+        if (window.emailBodyRenderer) window.emailBodyRenderer.disposeDetached();
+
+        const header = document.createElement("div");
+        header.className = "card-header";
+        header.append(this.createText("h3", "h5 mb-2", email.subject || "(No subject)"));
+        header.append(this.createField("From", email.from));
+        header.append(this.createField("To", email.to));
+        if (email.cc) header.append(this.createField("CC", email.cc));
+        header.append(this.createField("Date", this.formatDate(email.date, true)));
+        if (email.hasAttachments) {
+            header.append(this.createText("div", "small text-muted", "Attachments are only available online."));
+        }
+
+        const body = document.createElement("div");
+        body.className = "card-body";
+
+        if (email.htmlBody) {
+            const host = document.createElement("div");
+            host.className = "email-body-frame-host";
+            body.append(host);
+            this.reader.replaceChildren(header, body);
+            // Remote content can't load offline, so don't offer it.
+            window.emailBodyRenderer.render(host, email.htmlBody, { sender: email.from, showRemoteBar: false });
+        } else if (email.textBody) {
+            body.append(this.createText("div", "offline-text-body", email.textBody));
+            this.reader.replaceChildren(header, body);
+        } else {
+            body.append(this.createText("p", "text-muted mb-0",
+                email.textBody === "" ? "This message has no text." :
+                    "Only the header of this message is saved. Open it once Seu Mail is back to read it."));
+            this.reader.replaceChildren(header, body);
+        }
+
+        this.reader.focus();
+    },
+
+    renderAgenda: async function () {
+        const events = await window.offlineStore.getEventsForDay(new Date());
+        this.agenda.replaceChildren();
+
+        if (events.length === 0) {
+            this.agenda.append(this.createEmptyItem("No saved events today."));
+            return;
+        }
+
+        events.forEach((calendarEvent) => {
+            const item = document.createElement("li");
+            item.className = "list-group-item offline-agenda-item";
+            item.style.borderLeftColor = calendarEvent.color || "";
+
+            const time = calendarEvent.isAllDay
+                ? "All day"
+                : `${this.formatTime(calendarEvent.start)} – ${this.formatTime(calendarEvent.end)}`;
+            item.append(this.createText("div", "small text-muted", time));
+            item.append(this.createText("div", "fw-semibold", calendarEvent.title));
+            if (calendarEvent.location) item.append(this.createText("div", "small", calendarEvent.location));
+            this.agenda.append(item);
+        });
+    },
+
+    // Asks the server for the app (bypassing the service worker's offline
+    // fallback, which only applies to page loads) and goes back once it answers.
+    checkConnection: async function () {
+        if (this.isChecking) return;
+
+        this.isChecking = true;
+        this.status.textContent = "Checking connection…";
+        try {
+            const response = await fetch("/", { method: "HEAD", cache: "no-store" });
+            if (response.ok) {
+                this.returnToApp();
+                return;
+            }
+        } catch (error) {
+            // Still offline.
+        } finally {
+            this.isChecking = false;
+        }
+        this.status.textContent = "Offline. Reconnecting automatically…";
+    },
+
+    returnToApp: function () {
+        clearInterval(this.checkTimer);
+        this.status.textContent = "Back online. Returning to Seu Mail…";
+
+        try {
+            sessionStorage.setItem("seu-mail.resyncOnLoad", "1");
+        } catch (error) {
+            // The app simply won't sync on its own.
+        }
+
+        if (location.pathname !== "/offline.html") {
+            location.reload();
+            return;
+        }
+
+        // Only return to a page of this app.
+        const returnUrl = new URLSearchParams(location.search).get("return") || "/";
+        location.replace(/^\/(?![\/\\])/.test(returnUrl) ? returnUrl : "/");
+    },
+
+    createText: function (tagName, className, text) {
+        const element = document.createElement(tagName);
+        element.className = className;
+        element.textContent = text || "";
+        return element;
+    },
+
+    createField: function (label, value) {
+        const field = this.createText("div", "small text-truncate", "");
+        field.append(this.createText("span", "text-muted", `${label}: `), document.createTextNode(value || ""));
+        return field;
+    },
+
+    createEmptyItem: function (text) {
+        return this.createText("div", "list-group-item text-muted small", text);
+    },
+
+    displayName: function (address) {
+        const match = /^\s*"?(.+?)"?\s*</.exec(address || "");
+        return match ? match[1] : address || "";
+    },
+
+    formatDate: function (value, full) {
+        const date = new Date(value);
+        if (isNaN(date)) return "";
+        if (full) return date.toLocaleString();
+
+        const isToday = date.toDateString() === new Date().toDateString();
+        return isToday ? this.formatTime(value) : date.toLocaleDateString();
+    },
+
+    formatTime: function (value) {
+        return new Date(value).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    },
+};
+
+document.addEventListener("DOMContentLoaded", () => window.offlinePage.init());
@@ -0,0 +1,166 @@
+// Offline Store
+//
+// Keeps recently seen mail and upcoming calendar events in IndexedDB, so the
+// offline page (offline.html) has something to show while the server can't
+// be reached. The app writes to it through OfflineCacheService: message
+// headers from the inbox list, headers and bodies of messages the user
+// opens, and the next few days of events from the calendar.
+//
+// Every call resolves even when IndexedDB is unavailable (private windows,
+// blocked storage): writes do nothing and reads come back empty. Opening and
+// transactions go through indexedDbStore (indexed-db-store.js).
+
+window.offlineStore = {
+    dbName: "seu-mail-offline",
+    dbVersion: 1,
+    maxEmails: 300,
+
+    open: function () {
+        return window.indexedDbStore.open(this.dbName, this.dbVersion, (db) => {
+            if (!db.objectStoreNames.contains("emails")) {
+                db.createObjectStore("emails", { keyPath: "id" }).createIndex("cachedAt", "cachedAt");
+            }
+            if (!db.objectStoreNames.contains("events")) {
+                db.createObjectStore("events", { keyPath: "key" }).createIndex("start", "start");
+            }
+        }, "Offline store");
+    },
+
+    // Saves `emails` ({ id, accountId, folder, from, to, cc, subject, date,
+    // isRead, hasAttachments, textBody, htmlBody }). Fields that are null
+    // keep what is already stored, so a header from the list doesn't drop a
+    // body saved when the message was opened.
+    saveEmails: async function (emails) {
+        const db = await this.open();
+        if (!db || !emails || emails.length === 0) return;
+
+        const cachedAt = Date.now();
+        await this.run(db, "emails", "readwrite", (store) => {
+            emails.forEach((email) => {
+                const request = store.get(email.id);
+                request.onsuccess = () => {
+                    const merged = { ...(request.result || {}) };
+                    Object.keys(email).forEach((key) => {
+                        if (email[key] !== null && email[key] !== undefined) merged[key] = email[key];
+                    });
+                    merged.cachedAt = cachedAt;
+                    store.put(merged);
+                };
+            });
+        });
+        await this.pruneEmails(db);
+    },
+
+    // Removes emails that were deleted or moved to another folder.
+    removeEmails: async function (ids) {
+        const db = await this.open();
+        if (!db || !ids || ids.length === 0) return;
+
+        await this.run(db, "emails", "readwrite", (store) => {
+            ids.forEach((id) => store.delete(id));
+        });
+    },
+
+    // Replaces the stored events starting in [from, to) with `events`
+    // ({ id, accountId, title, location, start, end, isAllDay, color }), and
+    // drops events that have already ended.
+    saveEvents: async function (events, from, to) {
+        const db = await this.open();
+        if (!db) return;
+
+        const startOfToday = this.startOfDay(new Date());
+        await this.run(db, "events", "readwrite", (store) => {
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    // Occurrences of a recurring event can share an ID.
+                    (events || []).forEach((calendarEvent) =>
+                        store.put({ ...calendarEvent, key: `${calendarEvent.id}|${calendarEvent.start}` }));
+                    return;
+                }
+
+                const stored = cursor.value;
+                const start = new Date(stored.start);
+                const inRange = start >= new Date(from) && start < new Date(to);
+                if (inRange || new Date(stored.end) < startOfToday) cursor.delete();
+                cursor.continue();
+            };
+        });
+    },
+
+    // Stored emails, newest first.
+    getEmails: async function () {
+        const db = await this.open();
+        if (!db) return [];
+
+        const emails = await this.getAll(db, "emails");
+        return emails.sort((a, b) => new Date(b.date) - new Date(a.date));
+    },
+
+    getEmail: async function (id) {
+        const db = await this.open();
+        if (!db) return null;
+
+        let email = null;
+        await this.run(db, "emails", "readonly", (store) => {
+            store.get(id).onsuccess = (event) => {
+                email = event.target.result || null;
+            };
+        });
+        return email;
+    },
+
+    // Stored events overlapping `day`, all-day events first, then by start.
+    getEventsForDay: async function (day) {
+        const db = await this.open();
+        if (!db) return [];
+
+        const start = this.startOfDay(day);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+
+        const events = await this.getAll(db, "events");
+        return events
+            .filter((calendarEvent) => new Date(calendarEvent.start) < end && new Date(calendarEvent.end) > start)
+            .sort((a, b) => (b.isAllDay - a.isAllDay) || (new Date(a.start) - new Date(b.start)));
+    },
+
+    // Keeps the `maxEmails` most recently saved emails.
+    pruneEmails: function (db) {
+        return this.run(db, "emails", "readwrite", (store) => {
+            const countRequest = store.count();
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - this.maxEmails;
+                if (excess <= 0) return;
+
+                store.index("cachedAt").openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+            };
+        });
+    },
+
+    getAll: async function (db, storeName) {
+        let results = [];
+        await this.run(db, storeName, "readonly", (store) => {
+            store.getAll().onsuccess = (event) => {
+                results = event.target.result || [];
+            };
+        });
+        return results;
+    },
+
+    run: function (db, storeName, mode, work) {
+        return window.indexedDbStore.run(db, storeName, mode, work, "Offline store");
+    },
+
+    startOfDay: function (date) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        return start;
+    },
+};
@@ -0,0 +1,1242 @@
+// Rich Text Editor
+//
+// Formatting for the compose `.email-editor` without document.execCommand.
+// The module edits the DOM through Ranges, keeps its own undo stack (the
+// browser's native one doesn't see those edits), cleans up pasted Word and
+// Google Docs HTML, and syncs the body to .NET through OnEditorChanged on a
+// debounce instead of on every keystroke.
+//
+// Toolbar buttons declare what they do with `data-editor-command`
+// (bold, italic, underline, unorderedList, orderedList, indent, outdent,
+// link, quote, heading2, heading3, paragraph, undo, redo).
+//
+// Images pasted or dropped into the editor are downscaled and handed to .NET
+// through compose-attachments.js. In the editor they show from a blob: URL;
+// getHtml rewrites those to the cid: URL they are sent with, and attach and
+// setHtml map known cid: URLs back to their blob.
+
+window.richTextEditor = {
+    instances: new Map(),
+    syncDelay: 400,
+    historyLimit: 100,
+    typingGroupMs: 1000,
+    inlineTags: {
+        bold: ["STRONG", "B"],
+        italic: ["EM", "I"],
+        underline: ["U"],
+    },
+    blockSelector: "p, div, h1, h2, h3, h4, h5, h6, li, blockquote, pre",
+    pasteAllowedTags: [
+        "P", "BR", "STRONG", "EM", "U", "A", "UL", "OL", "LI", "BLOCKQUOTE",
+        "H2", "H3", "H4", "PRE", "CODE", "TABLE", "THEAD", "TBODY", "TR", "TD", "TH",
+    ],
+    pasteDroppedTags: "script, style, meta, link, title, xml, head, iframe, object, embed, svg",
+    imageDefaults: {
+        maxImageDimension: 1600,
+        imageQuality: 0.85,
+    },
+    // Content-ID -> blob: URL of every inline image handed to .NET.
+    inlineImages: new Map(),
+    // Upload token -> Content-ID (or null if it failed), once finished.
+    uploads: new Map(),
+    uploadCounter: 0,
+
+    //   options.maxImageDimension - longest side, in pixels, of inline images
+    //   options.imageQuality      - JPEG quality (0-1) used when downscaling
+    attach: function (editor, toolbar, dotNetRef, html, options) {
+        if (!editor) return;
+        this.detach(editor);
+        this.detachDisconnected();
+
+        const instance = {
+            editor: editor,
+            toolbar: toolbar || null,
+            dotNetRef: dotNetRef,
+            options: Object.assign({}, this.imageDefaults, options),
+            undoStack: [],
+            redoStack: [],
+            lastTypingAt: 0,
+            savedRange: null,
+            lastSyncedHtml: null,
+            linkDialog: null,
+            sync: null,
+            handlers: {},
+        };
+
+        instance.sync = this.debounce(() => this.sync(instance), this.syncDelay);
+
+        editor.innerHTML = this.prepareHtml(html);
+        editor.setAttribute("role", "textbox");
+        editor.setAttribute("aria-multiline", "true");
+        instance.lastSyncedHtml = this.getHtml(editor);
+
+        const h = instance.handlers;
+        h.input = () => this.handleInput(instance);
+        h.keydown = (event) => this.handleKeyDown(instance, event);
+        h.beforeinput = (event) => this.handleBeforeInput(instance, event);
+        h.paste = (event) => this.handlePaste(instance, event);
+        h.drop = (event) => this.handleDrop(instance, event);
+        h.blur = () => instance.sync.flush();
+        h.selectionchange = () => this.saveSelection(instance);
+        h.toolbarMouseDown = (event) => {
+            // Keep the editor's selection when a toolbar button is pressed.
+            if (event.target.closest("[data-editor-command]")) event.preventDefault();
+        };
+        h.toolbarClick = (event) => {
+            const button = event.target.closest("[data-editor-command]");
+            if (!button || !instance.toolbar.contains(button)) return;
+            event.preventDefault();
+            this.exec(instance.editor, button.dataset.editorCommand);
+        };
+
+        editor.addEventListener("input", h.input);
+        editor.addEventListener("keydown", h.keydown);
+        editor.addEventListener("beforeinput", h.beforeinput);
+        editor.addEventListener("paste", h.paste);
+        editor.addEventListener("drop", h.drop);
+        editor.addEventListener("blur", h.blur);
+        document.addEventListener("selectionchange", h.selectionchange);
+        if (instance.toolbar) {
+            instance.toolbar.addEventListener("mousedown", h.toolbarMouseDown);
+            instance.toolbar.addEventListener("click", h.toolbarClick);
+        }
+
+        this.instances.set(editor, instance);
+    },
+
+    detach: function (editor) {
+        const instance = this.instances.get(editor);
+        if (!instance) return;
+
+        instance.sync.flush();
+        const h = instance.handlers;
+        editor.removeEventListener("input", h.input);
+        editor.removeEventListener("keydown", h.keydown);
+        editor.removeEventListener("beforeinput", h.beforeinput);
+        editor.removeEventListener("paste", h.paste);
+        editor.removeEventListener("drop", h.drop);
+        editor.removeEventListener("blur", h.blur);
+        document.removeEventListener("selectionchange", h.selectionchange);
+        if (instance.toolbar) {
+            instance.toolbar.removeEventListener("mousedown", h.toolbarMouseDown);
+            instance.toolbar.removeEventListener("click", h.toolbarClick);
+        }
+        this.closeLinkDialog(instance);
+        this.instances.delete(editor);
+    },
+
+    // Blazor removes the editor when switching to plain text, sometimes before
+    // a detach call can resolve the element reference.
+    detachDisconnected: function () {
+        for (const editor of Array.from(this.instances.keys())) {
+            if (!editor.isConnected) this.detach(editor);
+        }
+    },
+
+    // Returns the current body, stripped of editing artifacts. Inline images
+    // point at their cid: URL, and images still uploading are left out.
+    getHtml: function (editor) {
+        if (!editor) return "";
+        if (!editor.querySelector("img")) return editor.innerHTML.replace(/\u200B/g, "");
+
+        // An inert document, so the copied images don't load.
+        const copy = document.implementation.createHTMLDocument("").body;
+        copy.innerHTML = editor.innerHTML;
+        copy.querySelectorAll("img[data-uploading]").forEach((image) => image.remove());
+        copy.querySelectorAll("img[data-cid]").forEach((image) => {
+            image.setAttribute("src", `cid:${image.dataset.cid}`);
+            image.removeAttribute("data-cid");
+        });
+        return copy.innerHTML.replace(/\u200B/g, "");
+    },
+
+    setHtml: function (editor, html) {
+        const instance = this.instances.get(editor);
+        if (!instance) return;
+        this.recordHistory(instance);
+        editor.innerHTML = this.prepareHtml(html);
+        instance.lastSyncedHtml = this.getHtml(editor);
+    },
+
+    // The reverse of getHtml's cid: rewrite, for images added in this page.
+    prepareHtml: function (html) {
+        if (!html || !/cid:/i.test(html)) return html || "";
+
+        const copy = document.implementation.createHTMLDocument("").body;
+        copy.innerHTML = html;
+        copy.querySelectorAll("img[src^='cid:' i]").forEach((image) => {
+            const contentId = image.getAttribute("src").slice(4);
+            const url = this.inlineImages.get(contentId);
+            if (!url) return;
+            image.setAttribute("src", url);
+            image.dataset.cid = contentId;
+        });
+        return copy.innerHTML;
+    },
+
+    // Like getHtml, but also cancels the pending sync: for callers that are
+    // about to use the body (e.g. sending) and take it from here instead.
+    flush: function (editor) {
+        const instance = this.instances.get(editor);
+        if (instance) instance.sync.cancel();
+        return this.getHtml(editor);
+    },
+
+    debounce: function (func, wait) {
+        let timeout = null;
+        const debounced = () => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => {
+                timeout = null;
+                func();
+            }, wait);
+        };
+        debounced.cancel = () => {
+            clearTimeout(timeout);
+            timeout = null;
+        };
+        debounced.flush = () => {
+            if (timeout === null) return;
+            debounced.cancel();
+            func();
+        };
+        return debounced;
+    },
+
+    sync: function (instance) {
+        const html = this.getHtml(instance.editor);
+        if (html === instance.lastSyncedHtml) return;
+        instance.lastSyncedHtml = html;
+        instance.dotNetRef.invokeMethodAsync("OnEditorChanged", html).catch((error) => {
+            console.error("Error syncing editor content:", error);
+        });
+    },
+
+    changed: function (instance) {
+        instance.sync();
+    },
+
+    // ---- Commands -------------------------------------------------------
+
+    exec: function (editor, command) {
+        const instance = this.instances.get(editor);
+        if (!instance) return;
+
+        if (command === "undo") return this.undo(instance);
+        if (command === "redo") return this.redo(instance);
+        if (command === "link") return this.openLinkDialog(instance);
+
+        const commands = {
+            bold: (range) => this.toggleInline(instance, range, "bold"),
+            italic: (range) => this.toggleInline(instance, range, "italic"),
+            underline: (range) => this.toggleInline(instance, range, "underline"),
+            unorderedList: (range) => this.toggleList(instance, range, "UL"),
+            orderedList: (range) => this.toggleList(instance, range, "OL"),
+            indent: (range) => this.indentListItems(instance, range),
+            outdent: (range) => this.outdentListItems(instance, range),
+            quote: (range) => this.toggleQuote(instance, range),
+            heading2: (range) => this.setBlockType(instance, range, "H2"),
+            heading3: (range) => this.setBlockType(instance, range, "H3"),
+            paragraph: (range) => this.setBlockType(instance, range, "P"),
+        };
+
+        const range = this.getRange(instance);
+        if (!range || !commands[command]) return;
+
+        this.recordHistory(instance);
+        commands[command](range);
+
+        instance.editor.normalize();
+        this.changed(instance);
+    },
+
+    handleKeyDown: function (instance, event) {
+        const mod = event.ctrlKey || event.metaKey;
+        const key = event.key.toLowerCase();
+
+        if (mod && !event.altKey) {
+            const commands = { b: "bold", i: "italic", u: "underline", k: "link" };
+            if (key === "z") {
+                event.preventDefault();
+                event.shiftKey ? this.redo(instance) : this.undo(instance);
+                return;
+            }
+            if (key === "y") {
+                event.preventDefault();
+                this.redo(instance);
+                return;
+            }
+            if (commands[key] && !event.shiftKey) {
+                event.preventDefault();
+                this.exec(instance.editor, commands[key]);
+                return;
+            }
+        }
+
+        if (event.key === "Tab" && !mod && !event.altKey) {
+            const range = this.getRange(instance);
+            if (range && this.getListItems(instance, range).length > 0) {
+                event.preventDefault();
+                this.exec(instance.editor, event.shiftKey ? "outdent" : "indent");
+            }
+        }
+    },
+
+    handleBeforeInput: function (instance, event) {
+        // The browser's history doesn't know about our edits; use ours.
+        if (event.inputType === "historyUndo") {
+            event.preventDefault();
+            this.undo(instance);
+        } else if (event.inputType === "historyRedo") {
+            event.preventDefault();
+            this.redo(instance);
+        } else if (event.inputType && event.inputType.startsWith("format")) {
+            event.preventDefault();
+        } else {
+            // Typing within a short burst shares one undo step.
+            const now = Date.now();
+            if (now - instance.lastTypingAt > this.typingGroupMs) {
+                this.recordHistory(instance);
+            }
+            instance.lastTypingAt = now;
+        }
+    },
+
+    handleInput: function (instance) {
+        this.changed(instance);
+    },
+
+    // ---- Selection ------------------------------------------------------
+
+    saveSelection: function (instance) {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return;
+        const range = selection.getRangeAt(0);
+        if (instance.editor.contains(range.commonAncestorContainer)) {
+            instance.savedRange = range.cloneRange();
+        }
+    },
+
+    getRange: function (instance) {
+        const selection = window.getSelection();
+        if (selection && selection.rangeCount > 0) {
+            const range = selection.getRangeAt(0);
+            if (instance.editor.contains(range.commonAncestorContainer)) return range;
+        }
+        if (instance.savedRange && instance.editor.contains(instance.savedRange.commonAncestorContainer)) {
+            return instance.savedRange;
+        }
+        return null;
+    },
+
+    selectRange: function (instance, range) {
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        instance.savedRange = range.cloneRange();
+    },
+
+    // Selection as child-index paths from the editor, so it can be restored
+    // after the editor's HTML is replaced by undo/redo.
+    serializeRange: function (instance, range) {
+        if (!range) return null;
+        const path = (node) => {
+            const result = [];
+            while (node && node !== instance.editor) {
+                result.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+                node = node.parentNode;
+            }
+            return node === instance.editor ? result : null;
+        };
+        const start = path(range.startContainer);
+        const end = path(range.endContainer);
+        if (!start || !end) return null;
+        return { start: start, startOffset: range.startOffset, end: end, endOffset: range.endOffset };
+    },
+
+    restoreRange: function (instance, saved) {
+        if (!saved) return;
+        const resolve = (path) => {
+            let node = instance.editor;
+            for (const index of path) {
+                if (!node.childNodes[index]) return null;
+                node = node.childNodes[index];
+            }
+            return node;
+        };
+        const start = resolve(saved.start);
+        const end = resolve(saved.end);
+        if (!start || !end) return;
+
+        const length = (node) => (node.nodeType === Node.TEXT_NODE ? node.length : node.childNodes.length);
+        const range = document.createRange();
+        range.setStart(start, Math.min(saved.startOffset, length(start)));
+        range.setEnd(end, Math.min(saved.endOffset, length(end)));
+        this.selectRange(instance, range);
+    },
+
+    // Remembers range boundaries by node, so a selection survives commands
+    // that move nodes around (node paths don't).
+    bookmark: function (range) {
+        return {
+            startContainer: range.startContainer,
+            startOffset: range.startOffset,
+            endContainer: range.endContainer,
+            endOffset: range.endOffset,
+        };
+    },
+
+    restoreBookmark: function (instance, bookmark) {
+        const { startContainer, endContainer } = bookmark;
+        if (!instance.editor.contains(startContainer) || !instance.editor.contains(endContainer)) return;
+
+        const length = (node) => (node.nodeType === Node.TEXT_NODE ? node.length : node.childNodes.length);
+        const range = document.createRange();
+        range.setStart(startContainer, Math.min(bookmark.startOffset, length(startContainer)));
+        range.setEnd(endContainer, Math.min(bookmark.endOffset, length(endContainer)));
+        this.selectRange(instance, range);
+    },
+
+    // ---- Undo -----------------------------------------------------------
+
+    snapshot: function (instance) {
+        return {
+            html: instance.editor.innerHTML,
+            selection: this.serializeRange(instance, this.getRange(instance)),
+        };
+    },
+
+    recordHistory: function (instance) {
+        const snapshot = this.snapshot(instance);
+        const last = instance.undoStack[instance.undoStack.length - 1];
+        if (last && last.html === snapshot.html) return;
+
+        instance.undoStack.push(snapshot);
+        if (instance.undoStack.length > this.historyLimit) instance.undoStack.shift();
+        instance.redoStack = [];
+    },
+
+    undo: function (instance) {
+        this.stepHistory(instance, instance.undoStack, instance.redoStack);
+    },
+
+    redo: function (instance) {
+        this.stepHistory(instance, instance.redoStack, instance.undoStack);
+    },
+
+    stepHistory: function (instance, from, to) {
+        let target = from.pop();
+        // Skip entries identical to the current content.
+        while (target && target.html === instance.editor.innerHTML) target = from.pop();
+        if (!target) return;
+
+        to.push(this.snapshot(instance));
+        instance.editor.innerHTML = target.html;
+        this.refreshUploads(instance);
+        instance.lastTypingAt = 0;
+        instance.editor.focus();
+        this.restoreRange(instance, target.selection);
+        this.changed(instance);
+    },
+
+    // ---- Inline formatting ----------------------------------------------
+
+    findAncestor: function (instance, node, tagNames) {
+        while (node && node !== instance.editor) {
+            if (node.nodeType === Node.ELEMENT_NODE && tagNames.includes(node.tagName)) return node;
+            node = node.parentNode;
+        }
+        return null;
+    },
+
+    // Splits boundary text nodes and returns the text nodes inside the range.
+    getTextNodes: function (instance, range) {
+        if (range.startContainer.nodeType === Node.TEXT_NODE && range.startOffset > 0 &&
+            range.startOffset < range.startContainer.length) {
+            const tail = range.startContainer.splitText(range.startOffset);
+            if (range.endContainer === range.startContainer) {
+                range.setEnd(tail, range.endOffset - range.startOffset);
+            }
+            range.setStart(tail, 0);
+        }
+        if (range.endContainer.nodeType === Node.TEXT_NODE && range.endOffset > 0 &&
+            range.endOffset < range.endContainer.length) {
+            range.endContainer.splitText(range.endOffset);
+        }
+
+        const root = range.commonAncestorContainer;
+        if (root.nodeType === Node.TEXT_NODE) {
+            return root.length > 0 && range.toString().length > 0 ? [root] : [];
+        }
+
+        const nodes = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.length === 0 || !range.intersectsNode(node)) continue;
+            if (node === range.startContainer && range.startOffset === node.length) continue;
+            if (node === range.endContainer && range.endOffset === 0) continue;
+            nodes.push(node);
+        }
+        return nodes;
+    },
+
+    toggleInline: function (instance, range, format) {
+        const tags = this.inlineTags[format];
+
+        if (range.collapsed) {
+            this.toggleInlineAtCaret(instance, range, tags);
+            return;
+        }
+
+        const nodes = this.getTextNodes(instance, range);
+        if (nodes.length === 0) return;
+
+        const isApplied = nodes.every((node) => this.findAncestor(instance, node, tags));
+        if (isApplied) {
+            nodes.forEach((node) => {
+                let ancestor = this.findAncestor(instance, node, tags);
+                while (ancestor) {
+                    this.liftOut(node, ancestor);
+                    ancestor = this.findAncestor(instance, node, tags);
+                }
+            });
+        } else {
+            nodes.forEach((node) => {
+                if (this.findAncestor(instance, node, tags)) return;
+                const wrapper = document.createElement(tags[0]);
+                node.parentNode.insertBefore(wrapper, node);
+                wrapper.appendChild(node);
+            });
+            this.mergeAdjacent(instance, tags[0]);
+        }
+
+        const result = document.createRange();
+        result.setStart(nodes[0], 0);
+        result.setEnd(nodes[nodes.length - 1], nodes[nodes.length - 1].length);
+        this.selectRange(instance, result);
+    },
+
+    // With nothing selected, start (or stop) formatting at the caret. A
+    // zero-width space gives the caret somewhere to live; getHtml strips it.
+    toggleInlineAtCaret: function (instance, range, tags) {
+        const marker = document.createTextNode("\u200B");
+        const ancestor = this.findAncestor(instance, range.startContainer, tags);
+
+        range.insertNode(marker);
+        if (ancestor) {
+            this.liftOut(marker, ancestor);
+        } else {
+            const wrapper = document.createElement(tags[0]);
+            marker.parentNode.insertBefore(wrapper, marker);
+            wrapper.appendChild(marker);
+        }
+
+        const caret = document.createRange();
+        caret.setStart(marker, 1);
+        caret.collapse(true);
+        this.selectRange(instance, caret);
+    },
+
+    // Moves `node` out of `ancestor` by splitting the ancestor around it and
+    // unwrapping the part that holds the node.
+    liftOut: function (node, ancestor) {
+        const before = document.createRange();
+        before.setStart(ancestor, 0);
+        before.setEndBefore(node);
+        const after = document.createRange();
+        after.setStartAfter(node);
+        after.setEnd(ancestor, ancestor.childNodes.length);
+
+        const beforeContent = before.extractContents();
+        const afterContent = after.extractContents();
+
+        if (this.hasContent(beforeContent)) {
+            const beforeElement = ancestor.cloneNode(false);
+            beforeElement.appendChild(beforeContent);
+            ancestor.parentNode.insertBefore(beforeElement, ancestor);
+        }
+        if (this.hasContent(afterContent)) {
+            const afterElement = ancestor.cloneNode(false);
+            afterElement.appendChild(afterContent);
+            ancestor.parentNode.insertBefore(afterElement, ancestor.nextSibling);
+        }
+
+        this.unwrap(ancestor);
+    },
+
+    hasContent: function (fragment) {
+        return fragment.textContent.length > 0 || !!fragment.querySelector("br, img");
+    },
+
+    unwrap: function (element) {
+        const parent = element.parentNode;
+        while (element.firstChild) parent.insertBefore(element.firstChild, element);
+        parent.removeChild(element);
+    },
+
+    replaceTag: function (element, tagName) {
+        const replacement = document.createElement(tagName);
+        while (element.firstChild) replacement.appendChild(element.firstChild);
+        element.parentNode.replaceChild(replacement, element);
+        return replacement;
+    },
+
+    mergeAdjacent: function (instance, tagName) {
+        instance.editor.querySelectorAll(tagName).forEach((element) => {
+            const next = element.nextSibling;
+            if (next && next.nodeType === Node.ELEMENT_NODE && next.tagName === tagName) {
+                while (next.firstChild) element.appendChild(next.firstChild);
+                next.remove();
+            }
+        });
+    },
+
+    // ---- Blocks ---------------------------------------------------------
+
+    // Wraps loose inline content at the top level of the editor in
+    // paragraphs so every line has a block to format.
+    ensureBlocks: function (instance) {
+        const editor = instance.editor;
+        let paragraph = null;
+        Array.from(editor.childNodes).forEach((node) => {
+            const isBlock = node.nodeType === Node.ELEMENT_NODE &&
+                (node.matches(this.blockSelector) || node.matches("ul, ol, table"));
+            if (isBlock) {
+                paragraph = null;
+                return;
+            }
+            if (node.nodeType === Node.ELEMENT_NODE && node.tagName === "BR") {
+                if (!paragraph) {
+                    paragraph = document.createElement("p");
+                    editor.insertBefore(paragraph, node);
+                    paragraph.appendChild(document.createElement("br"));
+                }
+                node.remove();
+                paragraph = null;
+                return;
+            }
+            if (!paragraph) {
+                paragraph = document.createElement("p");
+                editor.insertBefore(paragraph, node);
+            }
+            paragraph.appendChild(node);
+        });
+        if (!editor.firstChild) {
+            const empty = document.createElement("p");
+            empty.appendChild(document.createElement("br"));
+            editor.appendChild(empty);
+        }
+    },
+
+    closestBlock: function (instance, node) {
+        while (node && node !== instance.editor) {
+            if (node.nodeType === Node.ELEMENT_NODE && node.matches(this.blockSelector)) return node;
+            node = node.parentNode;
+        }
+        return null;
+    },
+
+    // The innermost blocks touched by the range, in document order.
+    getBlocks: function (instance, range) {
+        const saved = this.bookmark(range);
+        this.ensureBlocks(instance);
+        this.restoreBookmark(instance, saved);
+        range = this.getRange(instance);
+        if (!range) return [];
+
+        const blocks = [];
+        const add = (block) => {
+            if (block && !blocks.includes(block)) blocks.push(block);
+        };
+        add(this.closestBlock(instance, range.startContainer));
+
+        const walker = document.createTreeWalker(instance.editor, NodeFilter.SHOW_ELEMENT);
+        while (walker.nextNode()) {
+            const element = walker.currentNode;
+            if (!element.matches(this.blockSelector) || !range.intersectsNode(element)) continue;
+            // Only leaf blocks; containers are reached through their children.
+            if (element.querySelector(this.blockSelector)) continue;
+            add(element);
+        }
+
+        add(this.closestBlock(instance, range.endContainer));
+        return blocks.sort((a, b) =>
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+    },
+
+    setBlockType: function (instance, range, tagName) {
+        const saved = this.bookmark(range);
+        const blocks = this.getBlocks(instance, range).filter((block) => block.tagName !== "LI");
+        const allMatch = blocks.length > 0 && blocks.every((block) => block.tagName === tagName);
+        const target = allMatch ? "P" : tagName;
+
+        blocks.forEach((block) => {
+            if (block.tagName === "BLOCKQUOTE") {
+                const paragraph = document.createElement(target);
+                while (block.firstChild) paragraph.appendChild(block.firstChild);
+                block.appendChild(paragraph);
+            } else if (block.tagName !== target) {
+                this.replaceTag(block, target);
+            }
+        });
+        this.restoreBookmark(instance, saved);
+    },
+
+    toggleQuote: function (instance, range) {
+        const blocks = this.getBlocks(instance, range);
+        if (blocks.length === 0) return;
+
+        const quotes = blocks.map((block) =>
+            block.tagName === "BLOCKQUOTE" ? block : this.findAncestor(instance, block, ["BLOCKQUOTE"]));
+
+        if (quotes.every(Boolean)) {
+            new Set(quotes).forEach((quote) => {
+                if (quote.isConnected) this.unwrap(quote);
+            });
+            return;
+        }
+
+        // Quote the top-level blocks (children of the editor) that hold the selection.
+        const topLevel = [];
+        blocks.forEach((block) => {
+            let node = block;
+            while (node.parentNode !== instance.editor) node = node.parentNode;
+            if (!topLevel.includes(node)) topLevel.push(node);
+        });
+
+        const quote = document.createElement("blockquote");
+        instance.editor.insertBefore(quote, topLevel[0]);
+        topLevel.forEach((node) => quote.appendChild(node));
+
+        const result = document.createRange();
+        result.selectNodeContents(quote);
+        this.selectRange(instance, result);
+    },
+
+    // ---- Lists ----------------------------------------------------------
+
+    getListItems: function (instance, range) {
+        const items = [];
+        const add = (item) => {
+            if (item && !items.includes(item)) items.push(item);
+        };
+        add(this.findAncestor(instance, range.startContainer, ["LI"]));
+        instance.editor.querySelectorAll("li").forEach((item) => {
+            if (range.intersectsNode(item) && !item.querySelector("li")) add(item);
+        });
+        add(this.findAncestor(instance, range.endContainer, ["LI"]));
+        return items;
+    },
+
+    toggleList: function (instance, range, listTag) {
+        const saved = this.bookmark(range);
+        const blocks = this.getBlocks(instance, range);
+        if (blocks.length === 0) return;
+
+        const items = blocks.map((block) => (block.tagName === "LI" ? block : null));
+
+        if (items.every(Boolean)) {
+            const lists = new Set(items.map((item) => item.parentNode));
+            if (Array.from(lists).every((list) => list.tagName === listTag)) {
+                items.slice().reverse().forEach((item) => this.liftListItem(instance, item));
+            } else {
+                lists.forEach((list) => {
+                    if (list.tagName !== listTag) this.replaceTag(list, listTag);
+                });
+                this.restoreBookmark(instance, saved);
+            }
+            return;
+        }
+
+        const list = document.createElement(listTag);
+        blocks[0].parentNode.insertBefore(list, blocks[0]);
+        blocks.forEach((block) => {
+            const item = document.createElement("li");
+            if (block.tagName === "LI") {
+                // Already listed elsewhere: move the whole item.
+                list.appendChild(block);
+                return;
+            }
+            while (block.firstChild) item.appendChild(block.firstChild);
+            list.appendChild(item);
+            block.remove();
+        });
+
+        const result = document.createRange();
+        result.selectNodeContents(list);
+        this.selectRange(instance, result);
+    },
+
+    // Turns a list item back into a paragraph, splitting its list.
+    liftListItem: function (instance, item) {
+        const list = item.parentNode;
+        const paragraph = document.createElement("p");
+        const nested = [];
+        while (item.firstChild) {
+            const child = item.firstChild;
+            if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === "UL" || child.tagName === "OL")) {
+                nested.push(child);
+                item.removeChild(child);
+            } else {
+                paragraph.appendChild(child);
+            }
+        }
+        if (!paragraph.firstChild) paragraph.appendChild(document.createElement("br"));
+
+        const tail = list.cloneNode(false);
+        while (item.nextSibling) tail.appendChild(item.nextSibling);
+        item.remove();
+
+        const parentItem = list.parentNode.tagName === "LI" ? list.parentNode : null;
+        const anchor = parentItem || list;
+        const insertAfter = (node, reference) => reference.parentNode.insertBefore(node, reference.nextSibling);
+
+        if (parentItem) {
+            // Nested: the item becomes a sibling of its parent item instead.
+            const moved = document.createElement("li");
+            while (paragraph.firstChild) moved.appendChild(paragraph.firstChild);
+            nested.forEach((n) => moved.appendChild(n));
+            if (tail.firstChild) moved.appendChild(tail);
+            insertAfter(moved, anchor);
+        } else {
+            insertAfter(paragraph, anchor);
+            let last = paragraph;
+            nested.forEach((n) => {
+                insertAfter(n, last);
+                last = n;
+            });
+            if (tail.firstChild) insertAfter(tail, last);
+        }
+
+        if (!list.firstChild) list.remove();
+    },
+
+    indentListItems: function (instance, range) {
+        const saved = this.bookmark(range);
+        this.getListItems(instance, range).forEach((item) => {
+            const previous = item.previousElementSibling;
+            if (!previous || previous.tagName !== "LI") return;
+
+            const listTag = item.parentNode.tagName;
+            let nested = previous.lastElementChild;
+            if (!nested || nested.tagName !== listTag) {
+                nested = document.createElement(listTag);
+                previous.appendChild(nested);
+            }
+            nested.appendChild(item);
+        });
+        this.restoreBookmark(instance, saved);
+    },
+
+    outdentListItems: function (instance, range) {
+        const saved = this.bookmark(range);
+        this.getListItems(instance, range).reverse().forEach((item) => {
+            if (item.isConnected) this.liftListItem(instance, item);
+        });
+        this.restoreBookmark(instance, saved);
+    },
+
+    // ---- Links ----------------------------------------------------------
+
+    normalizeUrl: function (value) {
+        const url = (value || "").trim();
+        if (!url) return null;
+        if (/^(javascript|vbscript|data):/i.test(url)) return null;
+        if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith("#")) return url;
+        if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(url)) return `mailto:${url}`;
+        return `https://${url}`;
+    },
+
+    openLinkDialog: function (instance) {
+        const range = this.getRange(instance);
+        if (!range) return;
+        this.closeLinkDialog(instance);
+
+        const saved = range.cloneRange();
+        const existing = this.findAncestor(instance, range.startContainer, ["A"]);
+
+        const dialog = document.createElement("div");
+        dialog.className = "editor-link-dialog card shadow-sm p-2";
+        dialog.setAttribute("role", "dialog");
+        dialog.setAttribute("aria-label", existing ? "Edit link" : "Insert link");
+        dialog.innerHTML = `
+            <div class="mb-2">
+                <label class="form-label small mb-1">Link address</label>
+                <input type="text" class="form-control form-control-sm" data-link-field="url" placeholder="https://example.com">
+            </div>
+            <div class="mb-2">
+                <label class="form-label small mb-1">Text to display</label>
+                <input type="text" class="form-control form-control-sm" data-link-field="text">
+            </div>
+            <div class="d-flex gap-2 justify-content-end">
+                <button type="button" class="btn btn-sm btn-outline-danger me-auto" data-link-action="remove">Remove</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-link-action="cancel">Cancel</button>
+                <button type="button" class="btn btn-sm btn-primary" data-link-action="apply">Apply</button>
+            </div>`;
+
+        const urlInput = dialog.querySelector('[data-link-field="url"]');
+        const textInput = dialog.querySelector('[data-link-field="text"]');
+        urlInput.value = existing ? existing.getAttribute("href") || "" : "";
+        textInput.value = existing ? existing.textContent : saved.toString();
+        if (!existing) dialog.querySelector('[data-link-action="remove"]').remove();
+
+        const finish = (action) => {
+            this.closeLinkDialog(instance);
+            instance.editor.focus();
+            this.selectRange(instance, saved);
+            if (action === "apply") this.applyLink(instance, saved, existing, urlInput.value, textInput.value);
+            if (action === "remove" && existing) {
+                this.recordHistory(instance);
+                this.unwrap(existing);
+                this.changed(instance);
+            }
+        };
+
+        dialog.addEventListener("click", (event) => {
+            const button = event.target.closest("[data-link-action]");
+            if (button) finish(button.dataset.linkAction);
+        });
+        dialog.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") {
+                event.preventDefault();
+                finish("apply");
+            } else if (event.key === "Escape") {
+                event.preventDefault();
+                event.stopPropagation();
+                finish("cancel");
+            }
+        });
+
+        instance.editor.parentNode.appendChild(dialog);
+        instance.linkDialog = dialog;
+        urlInput.focus();
+    },
+
+    closeLinkDialog: function (instance) {
+        if (instance.linkDialog) {
+            instance.linkDialog.remove();
+            instance.linkDialog = null;
+        }
+    },
+
+    applyLink: function (instance, range, existing, urlValue, textValue) {
+        const href = this.normalizeUrl(urlValue);
+        if (!href) return;
+        const text = (textValue || "").trim();
+
+        this.recordHistory(instance);
+
+        if (existing) {
+            existing.setAttribute("href", href);
+            if (text && text !== existing.textContent) existing.textContent = text;
+        } else if (range.collapsed || (text && text !== range.toString())) {
+            const link = document.createElement("a");
+            link.setAttribute("href", href);
+            link.textContent = text || urlValue.trim();
+            range.deleteContents();
+            range.insertNode(link);
+
+            const caret = document.createRange();
+            caret.setStartAfter(link);
+            caret.collapse(true);
+            this.selectRange(instance, caret);
+        } else {
+            const nodes = this.getTextNodes(instance, range);
+            nodes.forEach((node) => {
+                const inner = this.findAncestor(instance, node, ["A"]);
+                if (inner) this.liftOut(node, inner);
+                const link = document.createElement("a");
+                link.setAttribute("href", href);
+                node.parentNode.insertBefore(link, node);
+                link.appendChild(node);
+            });
+            this.mergeAdjacent(instance, "A");
+        }
+
+        this.changed(instance);
+    },
+
+    // ---- Paste ----------------------------------------------------------
+
+    handlePaste: function (instance, event) {
+        const data = event.clipboardData;
+        if (!data) return;
+
+        const html = data.getData("text/html");
+        const text = data.getData("text/plain");
+
+        // Office apps put a picture of the copied text next to its HTML, so
+        // files only count as a pasted image when no text comes with them.
+        const images = this.getImageFiles(data);
+        if (images.length > 0 && !text.trim()) {
+            event.preventDefault();
+            const range = this.getRange(instance) || this.endRange(instance);
+            this.insertImages(instance, range, images);
+            return;
+        }
+
+        if (!html && !text) return;
+
+        event.preventDefault();
+        const range = this.getRange(instance);
+        if (!range) return;
+
+        this.recordHistory(instance);
+        const fragment = html ? this.cleanPastedHtml(html) : this.textToFragment(text);
+
+        // A single pasted paragraph goes inline at the caret.
+        if (fragment.childNodes.length === 1 && fragment.firstChild.nodeName === "P") {
+            this.unwrap(fragment.firstChild);
+        }
+
+        const last = fragment.lastChild;
+        range.deleteContents();
+        range.insertNode(fragment);
+
+        if (last) {
+            const caret = document.createRange();
+            caret.setStartAfter(last);
+            caret.collapse(true);
+            this.selectRange(instance, caret);
+        }
+        instance.editor.normalize();
+        this.changed(instance);
+    },
+
+    // ---- Images ---------------------------------------------------------
+
+    getImageFiles: function (dataTransfer) {
+        const store = window.composeAttachments;
+        if (!store || !dataTransfer) return [];
+        return Array.from(dataTransfer.files || []).filter((file) => store.isImage(file));
+    },
+
+    // Images dropped on the editor go inline where they land; other files
+    // become attachments, as they would anywhere else on the compose page.
+    handleDrop: function (instance, event) {
+        const store = window.composeAttachments;
+        if (!store || !store.hasFiles(event)) return;
+
+        event.preventDefault();
+        const files = Array.from(event.dataTransfer.files);
+        const others = files.filter((file) => !store.isImage(file));
+        const images = files.filter((file) => store.isImage(file));
+
+        if (others.length > 0) store.addFiles(instance.dotNetRef, others);
+        if (images.length === 0) return;
+
+        instance.editor.focus();
+        const range = this.rangeFromPoint(instance, event.clientX, event.clientY) || this.endRange(instance);
+        this.insertImages(instance, range, images);
+    },
+
+    rangeFromPoint: function (instance, x, y) {
+        let range = null;
+        if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            if (position) {
+                range = document.createRange();
+                range.setStart(position.offsetNode, position.offset);
+                range.collapse(true);
+            }
+        } else if (document.caretRangeFromPoint) {
+            range = document.caretRangeFromPoint(x, y);
+        }
+        return range && instance.editor.contains(range.startContainer) ? range : null;
+    },
+
+    endRange: function (instance) {
+        const range = document.createRange();
+        range.selectNodeContents(instance.editor);
+        range.collapse(false);
+        return range;
+    },
+
+    // Inserts a preview of each image right away, then downscales and
+    // uploads them; previews are swapped for the final image (or removed if
+    // the upload fails) as each one finishes.
+    insertImages: function (instance, range, files) {
+        this.recordHistory(instance);
+        range.deleteContents();
+
+        const fragment = document.createDocumentFragment();
+        const uploads = files.map((file) => {
+            const upload = {
+                file: file,
+                token: `upload-${++this.uploadCounter}`,
+                previewUrl: URL.createObjectURL(file),
+            };
+            const image = document.createElement("img");
+            image.setAttribute("src", upload.previewUrl);
+            image.setAttribute("alt", file.name || "");
+            image.dataset.uploading = upload.token;
+            fragment.appendChild(image);
+            return upload;
+        });
+
+        const last = fragment.lastChild;
+        range.insertNode(fragment);
+        const caret = document.createRange();
+        caret.setStartAfter(last);
+        caret.collapse(true);
+        this.selectRange(instance, caret);
+
+        uploads.forEach((upload) => this.uploadImage(instance, upload));
+    },
+
+    uploadImage: async function (instance, upload) {
+        const store = window.composeAttachments;
+        let contentId = null;
+
+        try {
+            const image = await store.resizeImage(
+                upload.file, instance.options.maxImageDimension, instance.options.imageQuality);
+            const id = store.register(image.blob);
+            const candidate = store.createContentId();
+            const accepted = await instance.dotNetRef.invokeMethodAsync(
+                "OnInlineImageAdded", id, candidate, image.fileName, image.contentType, image.blob.size);
+
+            if (accepted) {
+                contentId = candidate;
+                this.inlineImages.set(contentId, URL.createObjectURL(image.blob));
+            } else {
+                store.discard(id);
+            }
+        } catch (error) {
+            console.error("Error adding inline image:", error);
+        }
+
+        this.uploads.set(upload.token, contentId);
+        this.refreshUploads(instance);
+        URL.revokeObjectURL(upload.previewUrl);
+        this.changed(instance);
+    },
+
+    // Applies finished uploads to their previews. Also runs after undo/redo,
+    // which can bring back a preview whose upload has since completed.
+    refreshUploads: function (instance) {
+        instance.editor.querySelectorAll("img[data-uploading]").forEach((image) => {
+            const token = image.dataset.uploading;
+            if (!this.uploads.has(token)) return;
+
+            const contentId = this.uploads.get(token);
+            if (!contentId) {
+                image.remove();
+                return;
+            }
+            image.setAttribute("src", this.inlineImages.get(contentId));
+            image.dataset.cid = contentId;
+            image.removeAttribute("data-uploading");
+        });
+    },
+
+    textToFragment: function (text) {
+        const fragment = document.createDocumentFragment();
+        const paragraphs = text.replace(/\r\n?/g, "\n").split(/\n{2,}/);
+        paragraphs.forEach((block) => {
+            const paragraph = document.createElement("p");
+            block.split("\n").forEach((line, index) => {
+                if (index > 0) paragraph.appendChild(document.createElement("br"));
+                paragraph.appendChild(document.createTextNode(line));
+            });
+            fragment.appendChild(paragraph);
+        });
+        return fragment;
+    },
+
+    // Reduces pasted HTML to the markup the editor produces itself. Word's
+    // namespaced tags and conditional comments, Google Docs' wrapper <b> and
+    // style-only formatting spans are translated or dropped.
+    cleanPastedHtml: function (html) {
+        const parsed = new DOMParser().parseFromString(html, "text/html");
+        parsed.querySelectorAll(this.pasteDroppedTags).forEach((node) => node.remove());
+
+        const walker = parsed.createTreeWalker(parsed.body, NodeFilter.SHOW_COMMENT);
+        const comments = [];
+        while (walker.nextNode()) comments.push(walker.currentNode);
+        comments.forEach((comment) => comment.remove());
+
+        // Word list bullets ("·", "1.") are spans marked mso-list:Ignore.
+        parsed.querySelectorAll("[style*='mso-list:Ignore' i], [style*='mso-list: Ignore' i]").forEach((node) => node.remove());
+        this.convertWordLists(parsed);
+
+        const fragment = document.createDocumentFragment();
+        Array.from(parsed.body.childNodes).forEach((node) => {
+            const cleaned = this.cleanNode(node);
+            if (cleaned) fragment.appendChild(cleaned);
+        });
+        return fragment;
+    },
+
+    convertWordLists: function (parsed) {
+        let currentList = null;
+        Array.from(parsed.body.querySelectorAll("p")).forEach((paragraph) => {
+            const isListParagraph = /MsoListParagraph/i.test(paragraph.className) ||
+                /mso-list:\s*l\d/i.test(paragraph.getAttribute("style") || "");
+            if (!isListParagraph) {
+                currentList = null;
+                return;
+            }
+            if (!currentList || currentList.nextElementSibling !== paragraph) {
+                currentList = parsed.createElement("ul");
+                paragraph.parentNode.insertBefore(currentList, paragraph);
+            }
+            const item = parsed.createElement("li");
+            while (paragraph.firstChild) item.appendChild(paragraph.firstChild);
+            currentList.appendChild(item);
+            paragraph.remove();
+        });
+    },
+
+    cleanNode: function (node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return document.createTextNode(node.textContent.replace(/\u00A0/g, " "));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+        let tag = node.tagName.toUpperCase();
+        const style = (node.getAttribute("style") || "").toLowerCase();
+        const aliases = { B: "STRONG", I: "EM", DIV: "P", H1: "H2", H5: "H4", H6: "H4" };
+
+        // Google Docs wraps the whole paste in <b style="font-weight:normal">.
+        if (tag === "B" && /font-weight:\s*(normal|400)/.test(style)) tag = "SPAN";
+        // Divs holding other blocks are just containers.
+        if (tag === "DIV" && node.querySelector("p, div, ul, ol, table, blockquote, h1, h2, h3, h4, h5, h6")) {
+            tag = "SPAN";
+        }
+        tag = aliases[tag] || tag;
+
+        let element = null;
+        if (this.pasteAllowedTags.includes(tag)) {
+            element = document.createElement(tag);
+            if (tag === "A") {
+                const href = this.normalizeUrl(node.getAttribute("href"));
+                if (href) element.setAttribute("href", href);
+            }
+        }
+
+        const children = document.createDocumentFragment();
+        Array.from(node.childNodes).forEach((child) => {
+            const cleaned = this.cleanNode(child);
+            if (cleaned) children.appendChild(cleaned);
+        });
+
+        // Formatting that only exists as inline styles (Google Docs spans).
+        let content = children;
+        const wrap = (wrapperTag) => {
+            const wrapper = document.createElement(wrapperTag);
+            wrapper.appendChild(content);
+            content = wrapper;
+        };
+        if (!element || tag === "SPAN") {
+            if (/font-weight:\s*(bold|[6-9]00)/.test(style)) wrap("STRONG");
+            if (/font-style:\s*italic/.test(style)) wrap("EM");
+            if (/text-decoration[^;]*underline/.test(style)) wrap("U");
+        }
+
+        if (!element) return content;
+        element.appendChild(content);
+        return element;
+    },
+};
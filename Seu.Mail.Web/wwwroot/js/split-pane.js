@@ -0,0 +1,193 @@
+// Split Pane
+//
+// Drives a pane resize handle: dragging it with a mouse, pen or finger
+// (pointer events), moving it with the arrow keys, Page Up/Down, Home and End
+// once focused, and resetting it with a double-click. Used by the SplitPane
+// component, where the first pane's size is a share of the container
+// (`unit: "ratio"`), and by the folder sidebar, whose width is in pixels
+// (`unit: "px"`).
+//
+// While the handle moves only the pane's flex-basis and the handle's
+// aria-valuenow change; .NET is told the final size (OnSplitPaneResized)
+// when a drag ends, or shortly after the last key press, so it can be saved
+// without a round trip per pixel.
+
+window.splitPane = {
+    // Panes never get smaller than this, whatever the ratio limits allow.
+    minPaneSize: 120,
+    keySteps: {
+        ratio: { small: 0.02, large: 0.1 },
+        px: { small: 16, large: 64 },
+    },
+    keyCommitDelayMs: 400,
+    instances: new Map(),
+
+    // `options`: { orientation: "horizontal" | "vertical", unit: "ratio" |
+    // "px", size, defaultSize, minSize, maxSize, pane }. `pane` is the
+    // element to resize, by default the container's .split-pane-first.
+    attach: function (container, handle, dotNetRef, options) {
+        if (!container || !handle) return;
+        this.detach(handle);
+
+        const instance = {
+            container: container,
+            handle: handle,
+            pane: options.pane || container.querySelector(":scope > .split-pane-first"),
+            dotNetRef: dotNetRef,
+            isHorizontal: options.orientation !== "vertical",
+            isPixels: options.unit === "px",
+            size: options.size,
+            committedSize: options.size,
+            defaultSize: options.defaultSize,
+            minSize: options.minSize,
+            maxSize: options.maxSize,
+            pointerId: null,
+            keyTimer: null,
+            handlers: {},
+        };
+        const h = instance.handlers;
+
+        h.pointerdown = (event) => this.startDrag(instance, event);
+        h.pointermove = (event) => this.drag(instance, event);
+        h.pointerup = (event) => this.endDrag(instance, event);
+        h.keydown = (event) => this.handleKey(instance, event);
+        h.dblclick = () => {
+            this.apply(instance, instance.defaultSize);
+            this.commit(instance);
+        };
+
+        handle.addEventListener("pointerdown", h.pointerdown);
+        handle.addEventListener("pointermove", h.pointermove);
+        handle.addEventListener("pointerup", h.pointerup);
+        handle.addEventListener("pointercancel", h.pointerup);
+        handle.addEventListener("keydown", h.keydown);
+        handle.addEventListener("dblclick", h.dblclick);
+        this.instances.set(handle, instance);
+    },
+
+    detach: function (handle) {
+        const instance = this.instances.get(handle);
+        if (!instance) return;
+
+        clearTimeout(instance.keyTimer);
+        const h = instance.handlers;
+        handle.removeEventListener("pointerdown", h.pointerdown);
+        handle.removeEventListener("pointermove", h.pointermove);
+        handle.removeEventListener("pointerup", h.pointerup);
+        handle.removeEventListener("pointercancel", h.pointerup);
+        handle.removeEventListener("keydown", h.keydown);
+        handle.removeEventListener("dblclick", h.dblclick);
+        instance.container.classList.remove("split-pane-resizing");
+        this.instances.delete(handle);
+    },
+
+    // Moves the handle to a size chosen by .NET, such as one loaded from the
+    // user's settings, without reporting it back.
+    setSize: function (handle, size) {
+        const instance = this.instances.get(handle);
+        if (!instance) return;
+
+        this.apply(instance, size);
+        instance.committedSize = instance.size;
+    },
+
+    startDrag: function (instance, event) {
+        if (event.pointerType === "mouse" && event.button !== 0) return;
+
+        event.preventDefault();
+        instance.pointerId = event.pointerId;
+        instance.handle.setPointerCapture(event.pointerId);
+        instance.handle.focus();
+        instance.container.classList.add("split-pane-resizing");
+    },
+
+    drag: function (instance, event) {
+        if (instance.pointerId !== event.pointerId) return;
+
+        const rect = instance.container.getBoundingClientRect();
+        const length = instance.isHorizontal ? rect.width : rect.height;
+        if (length <= 0) return;
+
+        const offset = instance.isHorizontal ? event.clientX - rect.left : event.clientY - rect.top;
+        this.apply(instance, instance.isPixels ? offset : offset / length);
+    },
+
+    endDrag: function (instance, event) {
+        if (instance.pointerId !== event.pointerId) return;
+
+        if (instance.handle.hasPointerCapture(event.pointerId)) {
+            instance.handle.releasePointerCapture(event.pointerId);
+        }
+        instance.pointerId = null;
+        instance.container.classList.remove("split-pane-resizing");
+        this.commit(instance);
+    },
+
+    handleKey: function (instance, event) {
+        const steps = this.keySteps[instance.isPixels ? "px" : "ratio"];
+        const step = event.shiftKey ? steps.large : steps.small;
+        // Left/Up make the pane smaller whatever the orientation, as for
+        // other separators and sliders.
+        const moves = {
+            ArrowLeft: -step,
+            ArrowUp: -step,
+            ArrowRight: step,
+            ArrowDown: step,
+            PageUp: -steps.large,
+            PageDown: steps.large,
+        };
+
+        let size;
+        if (event.key in moves) size = instance.size + moves[event.key];
+        else if (event.key === "Home") size = instance.minSize;
+        else if (event.key === "End") size = instance.maxSize;
+        else if (event.key === "Enter") size = instance.defaultSize;
+        else return;
+
+        event.preventDefault();
+        this.apply(instance, size);
+
+        clearTimeout(instance.keyTimer);
+        instance.keyTimer = setTimeout(() => this.commit(instance), this.keyCommitDelayMs);
+    },
+
+    apply: function (instance, size) {
+        const clamped = this.clamp(instance, size);
+        instance.size = clamped;
+        if (instance.pane) {
+            instance.pane.style.flexBasis = instance.isPixels ? `${clamped}px` : `${clamped * 100}%`;
+        }
+        instance.handle.setAttribute("aria-valuenow",
+            String(Math.round(instance.isPixels ? clamped : clamped * 100)));
+    },
+
+    // Keeps the size within the configured limits. For ratios, also keeps
+    // each pane at least `minPaneSize` pixels when the container is large
+    // enough for both.
+    clamp: function (instance, size) {
+        let min = instance.minSize;
+        let max = instance.maxSize;
+
+        if (!instance.isPixels) {
+            const rect = instance.container.getBoundingClientRect();
+            const length = instance.isHorizontal ? rect.width : rect.height;
+            if (length > this.minPaneSize * 2) {
+                min = Math.max(min, this.minPaneSize / length);
+                max = Math.min(max, 1 - this.minPaneSize / length);
+            }
+        }
+
+        const clamped = Math.min(Math.max(size, min), max);
+        return instance.isPixels ? Math.round(clamped) : clamped;
+    },
+
+    commit: function (instance) {
+        clearTimeout(instance.keyTimer);
+        if (instance.size === instance.committedSize) return;
+
+        instance.committedSize = instance.size;
+        instance.dotNetRef
+            .invokeMethodAsync("OnSplitPaneResized", instance.size)
+            .catch((error) => console.error("Error saving pane size:", error));
+    },
+};
@@ -0,0 +1,382 @@
+// Toast Service
+//
+// The one place in-page toasts are shown. Titles and messages are always
+// set as text, never as HTML, so event titles and email subjects can't
+// inject markup. Toasts stack in a single container; showing a toast that
+// is already on screen bumps a repeat count instead of stacking a copy.
+// Every toast is read out through a live region (errors and warnings
+// assertively), and hovering or focusing a toast pauses its timer.
+//
+// Toasts can stay until closed (`duration: 0`), show a progress bar for
+// long operations (`progress`, updated through `update`), count down to a
+// deadline (`countdown`), and carry action buttons such as "Undo". .NET code uses ToastService, which passes a
+// DotNetObjectReference: when the toast goes away, OnToastClosed(id,
+// reason, actionId) is called on it, where reason is "action", "closed"
+// (the user closed it), "timeout" or "dismissed" (closed by code, or pushed
+// out of a full stack). JS callers can give actions an `onClick` instead.
+
+window.toastService = {
+    toasts: new Map(),
+    nextId: 1,
+    maxVisible: 5,
+    container: null,
+    liveRegions: null,
+    types: {
+        info: { title: "Info", icon: "fa-info-circle", duration: 5000, assertive: false },
+        success: { title: "Success", icon: "fa-check-circle", duration: 5000, assertive: false },
+        warning: { title: "Warning", icon: "fa-exclamation-triangle", duration: 8000, assertive: true },
+        error: { title: "Error", icon: "fa-exclamation-circle", duration: 8000, assertive: true },
+    },
+    // Bootstrap's names, used by older callers.
+    typeAliases: { danger: "error", primary: "info", secondary: "info" },
+    // Toasts with buttons stay long enough to reach them.
+    actionDuration: 10000,
+
+    // Shows a toast and returns its id. `options`: { id, title, message,
+    // type, duration (ms, 0 = until closed), progress (0-100, or -1 while
+    // unknown; progress toasts stay until updated), key (toasts with the
+    // same key are merged; defaults to type, title and message), actions:
+    // [{ id, label, onClick }], dotNetRef, countdown (ms: the toast shows
+    // the time left as a shrinking bar, replaces "{seconds}" in the message,
+    // and times out at the end; hovering doesn't pause it) }. When an
+    // identical toast is already showing, that toast's id is returned.
+    show: function (options) {
+        options = options || {};
+        const type = this.normalizeType(options.type);
+        const title = options.title ? String(options.title) : this.types[type].title;
+        const message = options.message == null ? "" : String(options.message);
+        const key = options.key || `${type}|${title}|${message}`;
+
+        const existing = Array.from(this.toasts.values()).find((toast) => toast.key === key);
+        if (existing) {
+            existing.count++;
+            this.render(existing);
+            this.restartTimer(existing);
+            this.announce(existing);
+            return existing.id;
+        }
+
+        const actions = Array.isArray(options.actions) ? options.actions : [];
+        const countdown = options.countdown > 0 ? Number(options.countdown) : 0;
+        const toast = {
+            id: options.id || `toast-${this.nextId++}`,
+            key: key,
+            type: type,
+            title: title,
+            message: message,
+            progress: this.normalizeProgress(options.progress),
+            actions: actions,
+            dotNetRef: options.dotNetRef || null,
+            count: 1,
+            countdownEnd: countdown ? Date.now() + countdown : 0,
+            countdownTotal: countdown,
+            ticker: null,
+            duration: 0,
+            remaining: 0,
+            timer: null,
+            startedAt: 0,
+            element: null,
+        };
+        toast.duration = countdown || this.resolveDuration(toast, options.duration);
+        if (countdown) toast.ticker = setInterval(() => this.tick(toast), 1000);
+
+        toast.element = this.createElement(toast);
+        this.render(toast);
+        this.getContainer().appendChild(toast.element);
+        this.toasts.set(toast.id, toast);
+
+        this.trimStack();
+        this.restartTimer(toast);
+        this.announce(toast);
+        return toast.id;
+    },
+
+    // Changes a toast on screen. `changes`: { title, message, type, progress,
+    // complete, duration }. `complete: true` removes the progress bar and
+    // lets the toast time out like any other, after `duration` if given.
+    // Returns whether the toast was found.
+    update: function (id, changes) {
+        const toast = this.toasts.get(id);
+        if (!toast) return false;
+        changes = changes || {};
+
+        if (changes.title) toast.title = String(changes.title);
+        if (changes.message != null) toast.message = String(changes.message);
+        if (changes.type) toast.type = this.normalizeType(changes.type);
+        if (changes.progress != null) toast.progress = this.normalizeProgress(changes.progress);
+
+        if (changes.complete) {
+            toast.progress = null;
+            toast.duration = this.resolveDuration(toast, changes.duration);
+            this.restartTimer(toast);
+            this.announce(toast);
+        }
+
+        this.render(toast);
+        return true;
+    },
+
+    dismiss: function (id) {
+        this.close(id, "dismissed");
+    },
+
+    dismissAll: function () {
+        Array.from(this.toasts.keys()).forEach((id) => this.close(id, "dismissed"));
+    },
+
+    close: function (id, reason, actionId) {
+        const toast = this.toasts.get(id);
+        if (!toast) return;
+
+        this.toasts.delete(id);
+        clearTimeout(toast.timer);
+        clearInterval(toast.ticker);
+        toast.element.classList.remove("show");
+        setTimeout(() => toast.element.remove(), 150);
+
+        if (toast.dotNetRef) {
+            toast.dotNetRef
+                .invokeMethodAsync("OnToastClosed", id, reason, actionId == null ? null : String(actionId))
+                .catch((error) => console.error("Error reporting closed toast:", error));
+        }
+    },
+
+    normalizeType: function (type) {
+        const name = String(type || "info").toLowerCase();
+        const resolved = this.typeAliases[name] || name;
+        return this.types[resolved] ? resolved : "info";
+    },
+
+    normalizeProgress: function (progress) {
+        if (progress == null || isNaN(progress)) return null;
+        return progress < 0 ? -1 : Math.min(100, Math.max(0, Number(progress)));
+    },
+
+    resolveDuration: function (toast, duration) {
+        if (duration != null && duration >= 0) return Number(duration);
+        if (toast.progress != null) return 0;
+        return toast.actions.length > 0 ? this.actionDuration : this.types[toast.type].duration;
+    },
+
+    getContainer: function () {
+        if (this.container && this.container.isConnected) return this.container;
+
+        this.container = document.createElement("div");
+        this.container.className = "toast-stack position-fixed top-0 end-0 p-3";
+        document.body.appendChild(this.container);
+        return this.container;
+    },
+
+    // The shell and its listeners; `render` fills in the content.
+    createElement: function (toast) {
+        const element = document.createElement("div");
+        element.className = "toast app-toast show";
+        element.dataset.toastId = toast.id;
+        // Announced through the live region instead, which also catches updates.
+        element.setAttribute("aria-live", "off");
+
+        element.addEventListener("click", (event) => {
+            const button = event.target.closest("button");
+            if (!button) return;
+            if (button.classList.contains("btn-close")) {
+                this.close(toast.id, "closed");
+            } else if ("actionIndex" in button.dataset) {
+                this.runAction(toast, Number(button.dataset.actionIndex));
+            }
+        });
+        element.addEventListener("keydown", (event) => {
+            if (event.key === "Escape") {
+                event.stopPropagation();
+                this.close(toast.id, "closed");
+            }
+        });
+        element.addEventListener("mouseenter", () => this.pauseTimer(toast));
+        element.addEventListener("mouseleave", () => this.resumeTimer(toast));
+        element.addEventListener("focusin", () => this.pauseTimer(toast));
+        element.addEventListener("focusout", (event) => {
+            if (!element.contains(event.relatedTarget)) this.resumeTimer(toast);
+        });
+        return element;
+    },
+
+    render: function (toast) {
+        const element = toast.element;
+        const typeInfo = this.types[toast.type];
+        element.className = `toast app-toast app-toast-${toast.type} show`;
+        element.replaceChildren();
+
+        const header = document.createElement("div");
+        header.className = "toast-header";
+        const icon = document.createElement("i");
+        icon.className = `fas ${typeInfo.icon} app-toast-icon me-2`;
+        icon.setAttribute("aria-hidden", "true");
+        const title = document.createElement("strong");
+        title.className = "me-auto";
+        title.textContent = toast.title;
+        header.append(icon, title);
+
+        if (toast.count > 1) {
+            const count = document.createElement("span");
+            count.className = "badge rounded-pill bg-secondary ms-2";
+            count.textContent = `×${toast.count}`;
+            count.title = `Shown ${toast.count} times`;
+            header.appendChild(count);
+        }
+
+        const close = document.createElement("button");
+        close.type = "button";
+        close.className = "btn-close ms-2";
+        close.setAttribute("aria-label", "Close");
+        header.appendChild(close);
+
+        const body = document.createElement("div");
+        body.className = "toast-body";
+        const text = this.messageText(toast);
+        if (text) {
+            const message = document.createElement("div");
+            message.className = "app-toast-message";
+            message.textContent = text;
+            body.appendChild(message);
+        }
+
+        if (toast.countdownEnd) {
+            const countdown = document.createElement("div");
+            countdown.className = "progress app-toast-progress app-toast-countdown";
+            countdown.setAttribute("aria-hidden", "true");
+            const bar = document.createElement("div");
+            bar.className = "progress-bar";
+            bar.style.width = `${(this.countdownLeft(toast) / toast.countdownTotal) * 100}%`;
+            countdown.appendChild(bar);
+            body.appendChild(countdown);
+        } else if (toast.progress != null) {
+            const indeterminate = toast.progress < 0;
+            const progress = document.createElement("div");
+            progress.className = "progress app-toast-progress";
+            progress.setAttribute("role", "progressbar");
+            progress.setAttribute("aria-label", toast.title);
+            progress.setAttribute("aria-valuemin", "0");
+            progress.setAttribute("aria-valuemax", "100");
+            if (!indeterminate) progress.setAttribute("aria-valuenow", String(Math.round(toast.progress)));
+
+            const bar = document.createElement("div");
+            bar.className = indeterminate
+                ? "progress-bar progress-bar-striped progress-bar-animated"
+                : "progress-bar";
+            bar.style.width = indeterminate ? "100%" : `${toast.progress}%`;
+            progress.appendChild(bar);
+            body.appendChild(progress);
+        }
+
+        if (toast.actions.length > 0) {
+            const actions = document.createElement("div");
+            actions.className = "app-toast-actions";
+            toast.actions.forEach((action, index) => {
+                const button = document.createElement("button");
+                button.type = "button";
+                button.className = "btn btn-sm btn-outline-primary";
+                button.dataset.actionIndex = String(index);
+                button.textContent = action.label || "OK";
+                actions.appendChild(button);
+            });
+            body.appendChild(actions);
+        }
+
+        element.append(header, body);
+    },
+
+    // Updates a countdown in place, so a focused button keeps its focus.
+    tick: function (toast) {
+        const message = toast.element.querySelector(".app-toast-message");
+        if (message) message.textContent = this.messageText(toast);
+        const bar = toast.element.querySelector(".app-toast-countdown .progress-bar");
+        if (bar) bar.style.width = `${(this.countdownLeft(toast) / toast.countdownTotal) * 100}%`;
+    },
+
+    countdownLeft: function (toast) {
+        return Math.max(0, toast.countdownEnd - Date.now());
+    },
+
+    messageText: function (toast) {
+        if (!toast.countdownEnd) return toast.message;
+        return toast.message.replace("{seconds}", String(Math.ceil(this.countdownLeft(toast) / 1000)));
+    },
+
+    runAction: function (toast, index) {
+        const action = toast.actions[index];
+        if (!action) return;
+
+        if (typeof action.onClick === "function") {
+            try {
+                action.onClick();
+            } catch (error) {
+                console.error("Error running toast action:", error);
+            }
+        }
+        this.close(toast.id, "action", action.id == null ? index : action.id);
+    },
+
+    // Drops the oldest toasts that time out anyway, then the oldest of any.
+    trimStack: function () {
+        while (this.toasts.size > this.maxVisible) {
+            const toasts = Array.from(this.toasts.values());
+            const oldest = toasts.find((toast) => toast.duration > 0) || toasts[0];
+            this.close(oldest.id, "dismissed");
+        }
+    },
+
+    restartTimer: function (toast) {
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = toast.duration;
+        this.resumeTimer(toast);
+    },
+
+    pauseTimer: function (toast) {
+        if (!toast.timer || toast.countdownEnd) return;
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+    },
+
+    resumeTimer: function (toast) {
+        if (toast.timer || toast.duration <= 0 || !this.toasts.has(toast.id)) return;
+        if (toast.countdownEnd) {
+            toast.timer = setTimeout(() => this.close(toast.id, "timeout"), this.countdownLeft(toast));
+            return;
+        }
+        if (toast.element.matches(":hover") || toast.element.contains(document.activeElement)) return;
+
+        toast.startedAt = Date.now();
+        // Leave a moment to read a toast the pointer just left.
+        toast.timer = setTimeout(() => this.close(toast.id, "timeout"), Math.max(toast.remaining, 1000));
+    },
+
+    announce: function (toast) {
+        const regions = this.getLiveRegions();
+        const region = this.types[toast.type].assertive ? regions.assertive : regions.polite;
+        const message = this.messageText(toast);
+        const text = message ? `${toast.title}: ${message}` : toast.title;
+
+        // Clearing first makes repeats of the same text announced again.
+        region.textContent = "";
+        setTimeout(() => {
+            region.textContent = text;
+        }, 100);
+    },
+
+    getLiveRegions: function () {
+        if (this.liveRegions && this.liveRegions.polite.isConnected) return this.liveRegions;
+
+        const create = (politeness) => {
+            const region = document.createElement("div");
+            region.className = "visually-hidden";
+            region.setAttribute("aria-live", politeness);
+            region.setAttribute("aria-atomic", "true");
+            if (politeness === "assertive") region.setAttribute("role", "alert");
+            document.body.appendChild(region);
+            return region;
+        };
+        this.liveRegions = { polite: create("polite"), assertive: create("assertive") };
+        return this.liveRegions;
+    },
+};
@@ -0,0 +1,124 @@
+// Seu Mail service worker
+//
+// Keeps the app shell (styles, scripts and the offline page) in a cache.
+// Shell files are fetched from the network first so updates show up at once,
+// and come from the cache only when the network fails. A page that can't be
+// loaded gets offline.html instead, which shows the mail and events saved by
+// offline-store.js. Blazor's own traffic (_blazor, _framework) is never
+// cached: it needs the server either way.
+//
+// Also handles clicks on notifications shown by desktop-notifications.js. A click
+// on the notification focuses an open Seu Mail tab; the click, the Snooze and
+// Dismiss buttons, and closing the notification are all posted back to that
+// tab as { type: "notification-action", kind, id, action, url }. Without an
+// open tab, a click opens the notification's URL instead, and the other
+// actions are dropped: the reminder is still pending and shows again the
+// next time the app is open.
+
+// Bump the version when the list changes, so the old cache is dropped.
+const SHELL_CACHE = "seu-mail-shell-v2";
+const OFFLINE_URL = "/offline.html";
+const SHELL_URLS = [
+    OFFLINE_URL,
+    "/css/app.css",
+    "/js/email-navigation.js",
+    "/js/email-list.js",
+    "/js/calendar.js",
+    "/js/email-body-renderer.js",
+    "/js/indexed-db-store.js",
+    "/js/offline-store.js",
+    "/js/offline-page.js",
+    "https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css",
+    "https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js",
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET") return;
+
+    if (request.mode === "navigate") {
+        event.respondWith(fetch(request).catch(() => caches.match(OFFLINE_URL)));
+        return;
+    }
+
+    if (isShellRequest(request)) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+async function cacheShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    // One missing file (e.g. the CDN is blocked) shouldn't stop the rest from being cached.
+    await Promise.all(
+        SHELL_URLS.map((url) => cache.add(url).catch((error) => console.warn(`Not cached: ${url}`, error))),
+    );
+}
+
+async function removeOldCaches() {
+    const names = await caches.keys();
+    await Promise.all(
+        names.filter((name) => name.startsWith("seu-mail-shell-") && name !== SHELL_CACHE)
+            .map((name) => caches.delete(name)),
+    );
+}
+
+function isShellRequest(request) {
+    const url = new URL(request.url);
+    const key = url.origin === self.location.origin ? url.pathname : url.origin + url.pathname;
+    return SHELL_URLS.includes(key);
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener("notificationclick", (event) => {
+    const action = event.action || "open";
+    event.notification.close();
+    event.waitUntil(reportNotificationAction(event.notification.data, action));
+});
+
+self.addEventListener("notificationclose", (event) => {
+    event.waitUntil(reportNotificationAction(event.notification.data, "close"));
+});
+
+async function reportNotificationAction(data, action) {
+    if (!data) return;
+
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const client = windows.find((candidate) => candidate.focused) ||
+        windows.find((candidate) => candidate.visibilityState === "visible") ||
+        windows[0];
+
+    if (!client) {
+        if (action === "open") await self.clients.openWindow(data.url || "/");
+        return;
+    }
+
+    // Focusing is only allowed while handling a click.
+    if (action === "open") await client.focus();
+    client.postMessage({
+        type: "notification-action",
+        kind: data.kind,
+        id: data.id,
+        action: action,
+        url: data.url,
+    });
+}